@@ -91,7 +91,10 @@ class DiagnosticTool {
       console.log(`✅ Firebase connection successful`);
       console.log(`   Last sent date: ${progress.lastSentDate}`);
       console.log(`   Sent problems: ${progress.sentProblems?.length || 0}`);
-      console.log(`   Study plan position: ${progress.studyPlanPosition}`);
+      const assigned = Object.entries(progress.planProgress || {})
+        .map(([planId, entry]) => `${planId} ${entry.assigned.length}`);
+      console.log(`   Assigned per plan: ${assigned.join(', ') || 'none'}`);
+      console.log(`   Study plan setting: ${settings.study_plan || 'default'}`);
       console.log(`   Daily problems setting: ${settings.num_questions}`);
       
       if (progress.sentProblems && progress.sentProblems.length > 0) {
@@ -3,15 +3,22 @@
 class TrackerAPI {
     constructor() {
         this.baseUrl = '/api'; // Will be served by our backend
+        this.userId = localStorage.getItem('trackerUserId') || 'default';
+        this.onUnauthorized = null; // Called when the server answers 401
+    }
+
+    setUser(userId) {
+        this.userId = userId;
+        localStorage.setItem('trackerUserId', userId);
     }
 
     async get(endpoint) {
         try {
-            const response = await fetch(`${this.baseUrl}${endpoint}`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.json();
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                headers: { 'X-User-Id': this.userId },
+                credentials: 'same-origin'
+            });
+            return await this.handleResponse(response);
         } catch (error) {
             console.error('API GET error:', error);
             throw error;
@@ -24,30 +31,129 @@ class TrackerAPI {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-User-Id': this.userId
                 },
-                body: JSON.stringify(data)
+                body: JSON.stringify(data),
+                credentials: 'same-origin' // Sends the session cookie
             });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.json();
+            return await this.handleResponse(response);
         } catch (error) {
             console.error('API POST error:', error);
             throw error;
         }
     }
+
+    async put(endpoint, data) {
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-User-Id': this.userId
+                },
+                body: JSON.stringify(data),
+                credentials: 'same-origin'
+            });
+            return await this.handleResponse(response);
+        } catch (error) {
+            console.error('API PUT error:', error);
+            throw error;
+        }
+    }
+
+    async delete(endpoint) {
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'DELETE',
+                headers: { 'X-User-Id': this.userId },
+                credentials: 'same-origin'
+            });
+            return await this.handleResponse(response);
+        } catch (error) {
+            console.error('API DELETE error:', error);
+            throw error;
+        }
+    }
+
+    async handleResponse(response) {
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            // Keep the server's explanation (e.g. which plan entry failed validation)
+            error.serverMessage = await response.json().then(body => body.error, () => null);
+            if (response.status === 401 && this.onUnauthorized) {
+                this.onUnauthorized();
+            }
+            throw error;
+        }
+        return await response.json();
+    }
+
+    getSession() {
+        return this.get('/auth/session');
+    }
+
+    login(password) {
+        return this.post('/auth/login', { password });
+    }
+
+    logout() {
+        return this.post('/auth/logout', {});
+    }
 }
 
 const api = new TrackerAPI();
+api.onUnauthorized = () => showLogin(true);
 
 // DOM Elements
 const alertElement = document.getElementById('alert');
 const currentProblemsElement = document.getElementById('currentProblems');
 const studyPositionElement = document.getElementById('studyPosition');
+const studyPlanLabelElement = document.getElementById('studyPlanLabel');
+const studyPlanSelect = document.getElementById('studyPlan');
 const unsolvedCountElement = document.getElementById('unsolvedCount');
+const currentStreakElement = document.getElementById('currentStreak');
+const streakLabelElement = document.getElementById('streakLabel');
+const streakRuleSelect = document.getElementById('streakRule');
 const numProblemsInput = document.getElementById('numProblems');
 const progressInfoElement = document.getElementById('progressInfo');
+const userSelectElement = document.getElementById('userSelect');
+const channelInputs = document.querySelectorAll('#channelOptions input[type="checkbox"]');
+const adaptiveEnabledInput = document.getElementById('adaptiveEnabled');
+const adaptiveMinInput = document.getElementById('adaptiveMin');
+const adaptiveMaxInput = document.getElementById('adaptiveMax');
+const adaptiveStatusElement = document.getElementById('adaptiveStatus');
+const pauseUntilInput = document.getElementById('pauseUntil');
+const pauseStatusElement = document.getElementById('pauseStatus');
+const restDayInputs = document.querySelectorAll('#restDayOptions input[type="checkbox"]');
+const loginCardElement = document.getElementById('loginCard');
+const passwordInput = document.getElementById('dashboardPassword');
+const logoutButton = document.getElementById('logoutButton');
+const tokensCardElement = document.getElementById('tokensCard');
+const tokenNameInput = document.getElementById('tokenName');
+const tokenExpiryInput = document.getElementById('tokenExpiry');
+const tokenScopesElement = document.getElementById('tokenScopes');
+const tokenListElement = document.getElementById('tokenList');
+const newTokenElement = document.getElementById('newToken');
+const newTokenValueElement = document.getElementById('newTokenValue');
+const dashboardPageElement = document.getElementById('dashboardPage');
+const runsPageElement = document.getElementById('runsPage');
+const plansPageElement = document.getElementById('plansPage');
+const planEditorSelect = document.getElementById('planEditorSelect');
+const newPlanIdInput = document.getElementById('newPlanId');
+const newPlanNameInput = document.getElementById('newPlanName');
+const planEditorCardElement = document.getElementById('planEditorCard');
+const planEditorTitleElement = document.getElementById('planEditorTitle');
+const planNameInput = document.getElementById('planName');
+const planWeeksElement = document.getElementById('planWeeks');
+const pageLinks = document.querySelectorAll('.page-nav a');
+const runJobFilter = document.getElementById('runJobFilter');
+const runStatusFilter = document.getElementById('runStatusFilter');
+const runListElement = document.getElementById('runList');
+const runDetailCardElement = document.getElementById('runDetailCard');
+const runDetailTitleElement = document.getElementById('runDetailTitle');
+const runDetailElement = document.getElementById('runDetail');
+const runLogElement = document.getElementById('runLog');
 
 // Utility Functions
 function showAlert(message, type = 'success') {
@@ -67,30 +173,620 @@ function hideAlert() {
     alertElement.style.display = 'none';
 }
 
+function describeError(error, fallback) {
+    return error.status === 401 ? 'Please log in to make changes.' : fallback;
+}
+
 function formatDate(dateString) {
     if (!dateString) return 'Never';
     return new Date(dateString).toLocaleDateString();
 }
 
+function formatDateTime(dateString) {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString();
+}
+
+// Local YYYY-MM-DD, to compare with the dates the tracker stores
+function todayString() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function formatDuration(ms) {
+    if (ms === undefined || ms === null) return '-';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function escapeHtml(value) {
+    const element = document.createElement('span');
+    element.textContent = String(value);
+    return element.innerHTML;
+}
+
+function escapeAttribute(value) {
+    return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
 // Load initial data when page loads
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('LeetCode Tracker Frontend loaded');
-    await refreshStatus();
+    showPage();
+    await checkSession();
+    if (loggedIn) {
+        await loadDashboard();
+    }
 });
 
+// Authentication - every API call but the session check needs a login
+let loggedIn = false;
+
+function showLogin(show) {
+    loggedIn = !show;
+    loginCardElement.style.display = show ? 'block' : 'none';
+    logoutButton.style.display = show ? 'none' : 'inline-block';
+    tokensCardElement.style.display = show ? 'none' : 'block';
+    if (show) {
+        newTokenElement.style.display = 'none';
+    }
+}
+
+async function checkSession() {
+    try {
+        const session = await api.getSession();
+        showLogin(!session.authenticated);
+        if (session.authenticated) {
+            await loadTokens();
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+}
+
+async function login() {
+    try {
+        hideAlert();
+        await api.login(passwordInput.value);
+        passwordInput.value = '';
+        showLogin(false);
+        showAlert('Logged in.', 'success');
+        await loadTokens();
+        await loadDashboard();
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showAlert(error.status === 429 ?
+            'Too many failed attempts. Please wait before trying again.' :
+            'Login failed. Check the password.', 'error');
+    }
+}
+
+async function logout() {
+    try {
+        await api.logout();
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    showLogin(true);
+    showAlert('Logged out.', 'success');
+}
+
+async function loadDashboard() {
+    await loadUsers();
+    await refreshStatus();
+    showPage();
+}
+
+async function loadUsers() {
+    try {
+        const users = await api.get('/users');
+
+        // Fall back to the default user if the stored one no longer exists
+        if (!users.some(user => user.id === api.userId)) {
+            api.setUser(users[0]?.id || 'default');
+        }
+
+        userSelectElement.innerHTML = users.map(user =>
+            `<option value="${escapeAttribute(user.id)}">${escapeHtml(user.name || user.id)} (${escapeHtml(user.leetcodeUsername)})</option>`
+        ).join('');
+        userSelectElement.value = api.userId;
+    } catch (error) {
+        console.error('Error loading users:', error);
+    }
+}
+
+async function switchUser(userId) {
+    api.setUser(userId);
+    newTokenElement.style.display = 'none';
+    await refreshStatus();
+    if (tokensCardElement.style.display !== 'none') {
+        await loadTokens();
+    }
+}
+
+// API Tokens
+async function loadTokens() {
+    try {
+        const { scopes, tokens } = await api.get('/tokens');
+
+        if (!tokenScopesElement.children.length) {
+            tokenScopesElement.innerHTML = scopes.map(scope =>
+                `<label><input type="checkbox" value="${scope}"> ${scope}</label>`
+            ).join('');
+        }
+
+        if (tokens.length === 0) {
+            tokenListElement.innerHTML = '<p>No API tokens yet.</p>';
+            return;
+        }
+
+        tokenListElement.innerHTML = `
+            <ul class="problem-list">
+                ${tokens.map(token => `
+                    <li>
+                        <span>
+                            <strong>${escapeHtml(token.name)}</strong> <code>${token.prefix}…</code><br>
+                            <small>${token.scopes.join(', ')} · expires ${formatDate(token.expiresAt)} ·
+                            last used ${formatDate(token.lastUsedAt)}${token.lastUsedIp ? ` from ${escapeHtml(token.lastUsedIp)}` : ''}</small>
+                        </span>
+                        ${token.status === 'active' ?
+                            `<button class="btn btn-secondary btn-small" onclick="revokeToken('${token.id}')">🚫 Revoke</button>` :
+                            `<span class="status-pending">${token.status}</span>`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+        // Tokens are only managed from a dashboard session (not with CRON_SECRET or a token)
+        tokenListElement.innerHTML = error.status === 403 ?
+            '<p>Log in with the dashboard password to manage API tokens.</p>' :
+            '<p>Failed to load API tokens.</p>';
+    }
+}
+
+async function createToken() {
+    try {
+        hideAlert();
+
+        const scopes = Array.from(tokenScopesElement.querySelectorAll('input:checked'))
+            .map(input => input.value);
+
+        if (!tokenNameInput.value.trim() || scopes.length === 0) {
+            showAlert('Give the token a name and at least one scope.', 'error');
+            return;
+        }
+
+        const result = await api.post('/tokens', {
+            name: tokenNameInput.value,
+            scopes,
+            expiresInDays: parseInt(tokenExpiryInput.value)
+        });
+
+        newTokenValueElement.textContent = result.token;
+        newTokenElement.style.display = 'block';
+        tokenNameInput.value = '';
+        showAlert(`Token "${result.record.name}" created.`, 'success');
+        await loadTokens();
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        showAlert(describeError(error, 'Failed to create the token. Check the name, scopes and expiry.'), 'error');
+    }
+}
+
+async function revokeToken(tokenId) {
+    if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+    try {
+        hideAlert();
+        await api.delete(`/tokens/${tokenId}`);
+        newTokenElement.style.display = 'none';
+        showAlert('Token revoked.', 'success');
+        await loadTokens();
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        showAlert(describeError(error, 'Failed to revoke the token. Please try again.'), 'error');
+    }
+}
+
+// Pages - the dashboard, the run history at #runs or the plan editor at #plans
+function showPage() {
+    const page = { '#runs': 'runs', '#plans': 'plans' }[window.location.hash] || 'dashboard';
+    dashboardPageElement.style.display = page === 'dashboard' ? 'block' : 'none';
+    runsPageElement.style.display = page === 'runs' ? 'block' : 'none';
+    plansPageElement.style.display = page === 'plans' ? 'block' : 'none';
+    pageLinks.forEach(link => link.classList.toggle('active', link.dataset.page === page));
+    if (!loggedIn) {
+        return;
+    }
+    if (page === 'runs') {
+        loadRuns();
+    }
+    if (page === 'plans') {
+        loadPlanList();
+    }
+}
+
+window.addEventListener('hashchange', showPage);
+
+// Run History
+function runStatusClass(status) {
+    return { succeeded: 'status-solved', failed: 'status-failed' }[status] || 'status-pending';
+}
+
+async function loadRuns() {
+    try {
+        const params = new URLSearchParams({ limit: '50' });
+        if (runJobFilter.value) params.set('job', runJobFilter.value);
+        if (runStatusFilter.value) params.set('status', runStatusFilter.value);
+
+        const { runs } = await api.get(`/runs?${params}`);
+
+        if (runs.length === 0) {
+            runListElement.innerHTML = '<p>No runs recorded yet.</p>';
+            return;
+        }
+
+        runListElement.innerHTML = `
+            <ul class="problem-list">
+                ${runs.map(run => `
+                    <li style="cursor: pointer;" onclick="showRun('${escapeHtml(run.id)}')">
+                        <span>
+                            <strong>${escapeHtml(run.job)}</strong> · ${escapeHtml(run.trigger)}<br>
+                            <small>${formatDateTime(run.startedAt)} · ${formatDuration(run.durationMs)} ·
+                            ${(run.problemsSent || []).length} problem(s) sent${run.reliability?.retries ? ` · ${run.reliability.retries} retries` : ''}</small>
+                        </span>
+                        <span class="${runStatusClass(run.status)}">${escapeHtml(run.outcome || run.status)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading run history:', error);
+        runListElement.innerHTML = '<p>Failed to load run history.</p>';
+    }
+}
+
+async function showRun(runId) {
+    try {
+        const run = await api.get(`/runs/${encodeURIComponent(runId)}`);
+        const reliability = run.reliability || {};
+
+        runDetailTitleElement.textContent = `📜 ${run.job} - ${formatDateTime(run.startedAt)}`;
+        runDetailElement.innerHTML = `
+            <ul class="problem-list">
+                <li><span>Status</span><span class="${runStatusClass(run.status)}">${escapeHtml(run.status)}${run.error ? `: ${escapeHtml(run.error)}` : ''}</span></li>
+                <li><span>Trigger</span><span>${escapeHtml(run.trigger)}${run.requestId ? ` (request ${escapeHtml(run.requestId)})` : ''}</span></li>
+                <li><span>Finished</span><span>${formatDateTime(run.finishedAt)} (${formatDuration(run.durationMs)})</span></li>
+                <li><span>Problems sent</span><span>${escapeHtml((run.problemsSent || []).join(', ') || 'None')}</span></li>
+                <li><span>Users</span><span>${escapeHtml((run.users || []).map(user => `${user.userId}: ${user.outcome}`).join(', ') || '-')}</span></li>
+                <li><span>API calls / retries</span><span>${reliability.apiCalls ?? '-'} / ${reliability.retries ?? '-'}</span></li>
+                <li><span>Cold starts</span><span>${reliability.coldStarts ?? '-'} (${formatDuration(reliability.coldStartWaitMs)} waiting)</span></li>
+            </ul>
+        `;
+        runLogElement.innerHTML = (run.log || []).map(line =>
+            `<span class="log-${line.level}">${new Date(line.at).toLocaleTimeString()} ${line.component ? `[${escapeHtml(line.component)}] ` : ''}${escapeHtml(line.message)}</span>`
+        ).join('\n') + (run.logTruncated ? `\n… ${run.logTruncated} more lines not kept` : '');
+        runDetailCardElement.style.display = 'block';
+        runDetailCardElement.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Error loading run:', error);
+        showAlert('Failed to load the run log.', 'error');
+    }
+}
+
+// Study Plan Editor
+// Weeks are edited as a list and renumbered 1..n on save. Progress is kept by
+// slug, so reordering or removing problems never resends or skips one.
+const PLAN_SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const PLAN_DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Unknown'];
+const PLAN_PRIORITIES = ['high', 'medium', 'low'];
+
+let editingPlan = null; // { id, version, weeks: [{ theme, problems }] }
+let slugChecks = {}; // slug -> result of POST /plans/check-slugs
+
+async function loadPlanList(selectedId) {
+    try {
+        const { active, plans } = await api.get('/plans');
+        const planId = selectedId || editingPlan?.id || active;
+
+        planEditorSelect.innerHTML = plans
+            .map(plan => `<option value="${escapeAttribute(plan.id)}">${escapeHtml(plan.name)} (v${plan.version}, ${plan.problems} problems)${plan.active ? ' - active' : ''}</option>`)
+            .join('');
+        planEditorSelect.value = plans.some(plan => plan.id === planId) ? planId : active;
+        await loadPlanForEditing(planEditorSelect.value);
+    } catch (error) {
+        console.error('Error loading plans:', error);
+        showAlert('Failed to load study plans.', 'error');
+    }
+}
+
+async function loadPlanForEditing(planId) {
+    try {
+        const plan = await api.get(`/plans/${encodeURIComponent(planId)}`);
+        editingPlan = {
+            id: plan.id,
+            version: plan.version,
+            weeks: Object.keys(plan.weeks)
+                .sort((a, b) => a - b)
+                .map(number => ({
+                    theme: plan.weeks[number].theme,
+                    problems: plan.weeks[number].problems.map(problem => ({ ...problem }))
+                }))
+        };
+        planNameInput.value = plan.name;
+        planEditorTitleElement.textContent = `✏️ ${plan.name} (${plan.id}, v${plan.version})`;
+        planEditorCardElement.style.display = 'block';
+        renderPlanEditor();
+    } catch (error) {
+        console.error('Error loading plan:', error);
+        showAlert('Failed to load the plan.', 'error');
+    }
+}
+
+function slugStatus(slug) {
+    if (!slug) return '';
+    if (!PLAN_SLUG_PATTERN.test(slug)) {
+        return '<span class="status-failed">Slug must be lowercase letters, digits and "-"</span>';
+    }
+    const check = slugChecks[slug];
+    if (!check) return '';
+    if (check.found === true) {
+        return `<span class="status-solved">✅ ${escapeHtml(check.title)} (${escapeHtml(check.difficulty)})${check.isPaidOnly ? ' 🔒 Premium' : ''}</span>`;
+    }
+    return check.found === false ?
+        '<span class="status-failed">❌ Not a LeetCode problem</span>' :
+        `<span class="status-pending">⚠️ Lookup failed: ${escapeHtml(check.error)}</span>`;
+}
+
+function optionList(values, selected) {
+    return values
+        .map(value => `<option value="${value}"${value === selected ? ' selected' : ''}>${value}</option>`)
+        .join('');
+}
+
+function renderPlanEditor() {
+    planWeeksElement.innerHTML = editingPlan.weeks.map((week, weekIndex) => `
+        <div class="plan-week">
+            <div class="input-group">
+                <strong>Week ${weekIndex + 1}</strong>
+                <input type="text" value="${escapeAttribute(week.theme)}" placeholder="Topic" maxlength="100"
+                       oninput="editingPlan.weeks[${weekIndex}].theme = this.value">
+                <button class="btn btn-secondary btn-small" title="Move up" onclick="moveWeek(${weekIndex}, -1)">⬆️</button>
+                <button class="btn btn-secondary btn-small" title="Move down" onclick="moveWeek(${weekIndex}, 1)">⬇️</button>
+                <button class="btn btn-secondary btn-small" title="Remove topic" onclick="removeWeek(${weekIndex})">🗑️</button>
+            </div>
+            ${week.problems.map((problem, problemIndex) => `
+                <div class="plan-problem">
+                    <div class="input-group">
+                        <input type="text" value="${escapeAttribute(problem.name)}" placeholder="Name"
+                               oninput="setProblemField(${weekIndex}, ${problemIndex}, 'name', this.value)">
+                        <input type="text" value="${escapeAttribute(problem.slug)}" placeholder="slug"
+                               onchange="setProblemField(${weekIndex}, ${problemIndex}, 'slug', this.value.trim().toLowerCase()); renderPlanEditor()">
+                    </div>
+                    <div class="input-group">
+                        <select title="Difficulty" onchange="setProblemField(${weekIndex}, ${problemIndex}, 'difficulty', this.value)">
+                            ${optionList(PLAN_DIFFICULTIES, problem.difficulty)}
+                        </select>
+                        <select title="Priority" onchange="setProblemField(${weekIndex}, ${problemIndex}, 'priority', this.value)">
+                            ${optionList(PLAN_PRIORITIES, problem.priority || 'medium')}
+                        </select>
+                        <input type="number" min="1" max="600" value="${problem.estimatedTime || 30}" title="Estimated minutes"
+                               oninput="setProblemField(${weekIndex}, ${problemIndex}, 'estimatedTime', parseInt(this.value))">
+                        <button class="btn btn-secondary btn-small" title="Move up" onclick="moveProblem(${weekIndex}, ${problemIndex}, -1)">⬆️</button>
+                        <button class="btn btn-secondary btn-small" title="Move down" onclick="moveProblem(${weekIndex}, ${problemIndex}, 1)">⬇️</button>
+                        <button class="btn btn-secondary btn-small" title="Remove problem" onclick="removeProblem(${weekIndex}, ${problemIndex})">✖️</button>
+                    </div>
+                    <small>${slugStatus(problem.slug)}</small>
+                </div>
+            `).join('')}
+            <button class="btn btn-secondary btn-small" onclick="addProblem(${weekIndex})">➕ Add Problem</button>
+        </div>
+    `).join('');
+}
+
+function setProblemField(weekIndex, problemIndex, field, value) {
+    editingPlan.weeks[weekIndex].problems[problemIndex][field] = value;
+}
+
+function moveWeek(weekIndex, direction) {
+    const weeks = editingPlan.weeks;
+    const target = weekIndex + direction;
+    if (target < 0 || target >= weeks.length) return;
+    [weeks[weekIndex], weeks[target]] = [weeks[target], weeks[weekIndex]];
+    renderPlanEditor();
+}
+
+function removeWeek(weekIndex) {
+    const week = editingPlan.weeks[weekIndex];
+    if (week.problems.length > 0 && !confirm(`Remove "${week.theme}" and its ${week.problems.length} problem(s)?`)) return;
+    editingPlan.weeks.splice(weekIndex, 1);
+    renderPlanEditor();
+}
+
+function addWeek() {
+    editingPlan.weeks.push({ theme: `Week ${editingPlan.weeks.length + 1}`, problems: [] });
+    renderPlanEditor();
+}
+
+// Moving past the first or last problem of a week moves it into the neighbouring week
+function moveProblem(weekIndex, problemIndex, direction) {
+    const problems = editingPlan.weeks[weekIndex].problems;
+    const target = problemIndex + direction;
+
+    if (target >= 0 && target < problems.length) {
+        [problems[problemIndex], problems[target]] = [problems[target], problems[problemIndex]];
+    } else {
+        const neighbour = editingPlan.weeks[weekIndex + direction];
+        if (!neighbour) return;
+        const [problem] = problems.splice(problemIndex, 1);
+        if (direction < 0) neighbour.problems.push(problem);
+        else neighbour.problems.unshift(problem);
+    }
+    renderPlanEditor();
+}
+
+function removeProblem(weekIndex, problemIndex) {
+    editingPlan.weeks[weekIndex].problems.splice(problemIndex, 1);
+    renderPlanEditor();
+}
+
+function addProblem(weekIndex) {
+    editingPlan.weeks[weekIndex].problems.push({ name: '', slug: '', difficulty: 'Unknown', estimatedTime: 30, priority: 'medium' });
+    renderPlanEditor();
+}
+
+// The plan as the API takes it, or null (with an alert) if an entry is incomplete
+function planFromEditor() {
+    const weeks = {};
+
+    for (const [weekIndex, week] of editingPlan.weeks.entries()) {
+        const theme = week.theme.trim();
+        if (!theme) {
+            showAlert(`Week ${weekIndex + 1} needs a topic.`, 'error');
+            return null;
+        }
+
+        const problems = [];
+        for (const problem of week.problems) {
+            const slug = problem.slug.trim().toLowerCase();
+            if (!PLAN_SLUG_PATTERN.test(slug)) {
+                showAlert(`Week ${weekIndex + 1}: "${problem.slug}" is not a valid slug (e.g. two-sum).`, 'error');
+                return null;
+            }
+            if (!(problem.estimatedTime >= 1)) {
+                showAlert(`Week ${weekIndex + 1}: ${slug} needs an estimated time in minutes.`, 'error');
+                return null;
+            }
+            problems.push({
+                name: problem.name.trim() || slugChecks[slug]?.title || slug,
+                slug,
+                difficulty: problem.difficulty,
+                estimatedTime: problem.estimatedTime,
+                priority: problem.priority || 'medium'
+            });
+        }
+        weeks[weekIndex + 1] = { theme, problems };
+    }
+
+    if (Object.keys(weeks).length === 0) {
+        showAlert('A plan needs at least one topic.', 'error');
+        return null;
+    }
+    return { name: planNameInput.value.trim(), weeks };
+}
+
+async function checkSlugs() {
+    try {
+        hideAlert();
+
+        const slugs = [...new Set(editingPlan.weeks.flatMap(week => week.problems.map(problem => problem.slug)))]
+            .filter(slug => PLAN_SLUG_PATTERN.test(slug) && !slugChecks[slug]);
+        if (slugs.length === 0) {
+            renderPlanEditor();
+            showAlert('Every valid slug has already been checked.', 'success');
+            return;
+        }
+
+        showAlert(`Checking ${slugs.length} slug(s) against the LeetCode API...`, 'info');
+        // The server looks up at most 50 per request
+        for (let start = 0; start < slugs.length; start += 50) {
+            const { results } = await api.post('/plans/check-slugs', { slugs: slugs.slice(start, start + 50) });
+            results.forEach(result => {
+                slugChecks[result.slug] = result;
+            });
+        }
+
+        // Fill in what the editor left unknown
+        editingPlan.weeks.forEach(week => week.problems.forEach(problem => {
+            const check = slugChecks[problem.slug];
+            if (!check?.found) return;
+            if (!problem.name.trim()) problem.name = check.title;
+            if (problem.difficulty === 'Unknown' && check.difficulty !== 'Unknown') problem.difficulty = check.difficulty;
+        }));
+        renderPlanEditor();
+
+        const missing = slugs.filter(slug => slugChecks[slug].found !== true);
+        showAlert(missing.length === 0 ?
+            'All slugs are LeetCode problems.' :
+            `Not found or not checked: ${missing.join(', ')}`, missing.length === 0 ? 'success' : 'warning');
+    } catch (error) {
+        console.error('Error checking slugs:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to check slugs. Please try again.'), 'error');
+    }
+}
+
+async function savePlan() {
+    try {
+        hideAlert();
+
+        const plan = planFromEditor();
+        if (!plan) return;
+
+        const result = await api.put(`/plans/${encodeURIComponent(editingPlan.id)}`, { ...plan, version: editingPlan.version });
+        showAlert(`Saved ${result.plan.name} as v${result.plan.version}.`, 'success');
+        await loadPlanList(result.plan.id);
+    } catch (error) {
+        console.error('Error saving plan:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to save the plan. Please try again.'), 'error');
+    }
+}
+
+async function createPlan() {
+    try {
+        hideAlert();
+
+        const id = newPlanIdInput.value.trim();
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+            showAlert('Plan ids are 1-64 letters, digits, "_" or "-".', 'error');
+            return;
+        }
+
+        const result = await api.post('/plans', {
+            id,
+            name: newPlanNameInput.value.trim() || id,
+            weeks: { 1: { theme: 'Week 1', problems: [] } }
+        });
+        newPlanIdInput.value = '';
+        newPlanNameInput.value = '';
+        showAlert(`Created ${result.plan.name}. Add topics and problems, then save.`, 'success');
+        await loadPlanList(result.plan.id);
+    } catch (error) {
+        console.error('Error creating plan:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to create the plan. Please try again.'), 'error');
+    }
+}
+
+async function deletePlan() {
+    if (!editingPlan || !confirm(`Delete the plan "${editingPlan.id}"? Its saved versions are kept.`)) return;
+
+    try {
+        hideAlert();
+        await api.delete(`/plans/${encodeURIComponent(editingPlan.id)}`);
+        showAlert(`Deleted ${editingPlan.id}.`, 'success');
+        editingPlan = null;
+        await loadPlanList();
+    } catch (error) {
+        console.error('Error deleting plan:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to delete the plan. Please try again.'), 'error');
+    }
+}
+
 // Main Functions
 async function refreshStatus() {
     try {
         hideAlert();
         
         // Load settings and progress data
-        const [settings, progress, status] = await Promise.all([
+        const [settings, progress, status, plans] = await Promise.all([
             api.get('/settings'),
             api.get('/progress'),
-            api.get('/status')
+            api.get('/status'),
+            api.get('/plans')
         ]);
 
-        updateUI(settings, progress, status);
+        updateUI(settings, progress, status, plans);
         showAlert('Status refreshed successfully!', 'success');
         
     } catch (error) {
@@ -99,46 +795,138 @@ async function refreshStatus() {
     }
 }
 
-function updateUI(settings, progress, status) {
+function updateUI(settings, progress, status, plans) {
     // Update settings
     numProblemsInput.value = settings.num_questions;
-    currentProblemsElement.textContent = settings.num_questions;
+    currentProblemsElement.textContent = status.adaptiveLoad?.current ?? settings.num_questions;
+    updateAdaptiveStatus(settings, status.adaptiveLoad);
     
-    // Update progress
-    studyPositionElement.textContent = `${progress.studyPlanPosition}/${status.totalProblems}`;
+    const channels = settings.notification_channels || ['email'];
+    channelInputs.forEach(input => {
+        input.checked = channels.includes(input.value);
+    });
+
+    const restDays = settings.rest_days || [];
+    restDayInputs.forEach(input => {
+        input.checked = restDays.includes(input.value);
+    });
+    
+    // Update study plan and progress through it
+    studyPlanSelect.innerHTML = plans.plans
+        .map(plan => `<option value="${escapeAttribute(plan.id)}">${escapeHtml(plan.name)} (v${plan.version}, ${plan.problems} problems)</option>`)
+        .join('');
+    studyPlanSelect.value = plans.active;
+
+    studyPositionElement.textContent = `${status.assignedProblems}/${status.totalProblems}`;
+    studyPlanLabelElement.textContent = `Study Progress (${status.plan.name})`;
     
     const unsolvedProblems = progress.sentProblems.filter(p => !p.solved);
     unsolvedCountElement.textContent = unsolvedProblems.length;
     
+    // Update streak
+    if (status.streak) {
+        currentStreakElement.textContent = `🔥 ${status.streak.current}`;
+        streakLabelElement.textContent = `Day Streak (best ${status.streak.longest}, goal ${status.streak.goal})`;
+        streakRuleSelect.value = status.streak.rule;
+    }
+
+    // Update pause state
+    updatePauseStatus(status.pause);
+    
     // Update progress info
     updateProgressInfo(progress, status);
 }
 
+function updateAdaptiveStatus(settings, adaptiveLoad) {
+    const bounds = settings.adaptive_load;
+    adaptiveEnabledInput.checked = Boolean(adaptiveLoad);
+    if (bounds) {
+        adaptiveMinInput.value = bounds.min;
+        adaptiveMaxInput.value = bounds.max;
+    }
+
+    let text = 'Between the fewest and most problems a day: one more after a few days with everything solved, one fewer when problems pile up.';
+    if (adaptiveLoad?.decision) {
+        const decision = adaptiveLoad.decision;
+        text = `⚖️ ${decision.message || `Holding at ${adaptiveLoad.current} a day.`}`;
+        if (decision.solveRate !== null) {
+            text += ` Solved the same day lately: ${Math.round(decision.solveRate * 100)}%.`;
+        }
+    } else if (adaptiveLoad) {
+        text = `⚖️ On - starts from the next daily check, between ${adaptiveLoad.min} and ${adaptiveLoad.max} a day.`;
+    }
+    adaptiveStatusElement.textContent = text;
+}
+
+function updatePauseStatus(pause) {
+    if (!pause) return;
+    pauseUntilInput.min = todayString();
+
+    const planned = pause.windows
+        .filter(window => window.from > todayString())
+        .map(window => `${formatDate(window.from)} → ${formatDate(window.to)}`);
+    let text = 'No problems or reminders are sent from today through this date, and your streak carries over it.';
+    if (pause.today?.reason === 'pause') {
+        text = `⏸️ Paused until ${formatDate(pause.today.until)}.`;
+    } else if (pause.today?.reason === 'rest-day') {
+        text = '😴 Today is a rest day.';
+    }
+    if (planned.length > 0) {
+        text += ` Planned: ${planned.join(', ')}.`;
+    }
+    pauseStatusElement.textContent = text;
+}
+
 function updateProgressInfo(progress, status) {
     let html = '';
     
     if (progress.lastSentDate) {
         html += `<h4>Last Activity: ${formatDate(progress.lastSentDate)}</h4>`;
         
-        if (progress.sentProblems.length > 0) {
-            const solvedCount = progress.sentProblems.filter(p => p.solved).length;
-            const totalSent = progress.sentProblems.length;
+        // Solved problems stay in sentProblems while they wait for review - only show today's batch
+        const lastBatch = progress.sentProblems.filter(p =>
+            !p.solved || p.sentDate === progress.lastSentDate || p.review?.pendingSince === progress.lastSentDate
+        );
+        
+        if (lastBatch.length > 0) {
+            const solvedCount = lastBatch.filter(p => p.solved && !p.review?.pendingSince).length;
+            const totalSent = lastBatch.length;
             
             html += `
                 <p><strong>Last Batch:</strong> ${solvedCount}/${totalSent} problems solved</p>
             `;
             
-            if (progress.sentProblems.length <= 5) {
+            if (lastBatch.length <= 5) {
                 html += '<ul class="problem-list">';
-                progress.sentProblems.forEach(problem => {
+                lastBatch.forEach(problem => {
                     const problemInfo = status.problemDetails[problem.slug] || { name: problem.slug };
-                    const statusClass = problem.solved ? 'status-solved' : 'status-pending';
-                    const statusText = problem.solved ? '✅ Solved' : '⏰ Pending';
+                    const reviewPending = Boolean(problem.review?.pendingSince);
+                    const snoozed = !problem.solved && problem.snoozedUntil > todayString();
+                    const statusClass = problem.solved && !reviewPending ? 'status-solved' : 'status-pending';
+                    const statusText = snoozed ? `💤 Snoozed until ${formatDate(`${problem.snoozedUntil}T00:00:00`)}` :
+                        (reviewPending ? '🔁 Review' : (problem.solved ? '✅ Solved' : '⏰ Pending'));
+                    
+                    const tags = (problemInfo.topicTags || []).join(', ');
+                    // Solve, skip or snooze by hand - for work the submission check can't see
+                    const slug = escapeAttribute(problem.slug);
+                    const actions = !problem.solved || reviewPending ? `
+                        <span class="problem-actions">
+                            <button class="btn btn-secondary btn-small" title="Mark as solved" onclick="problemAction('${slug}', 'solve')">✅</button>
+                            ${reviewPending ? '' : `<button class="btn btn-secondary btn-small" title="Skip - don't send it again" onclick="problemAction('${slug}', 'skip')">⏭️</button>`}
+                            <button class="btn btn-secondary btn-small" title="Snooze" onclick="problemAction('${slug}', 'snooze')">💤</button>
+                        </span>
+                    ` : '';
                     
                     html += `
                         <li>
-                            <span>${problemInfo.name}</span>
-                            <span class="${statusClass}">${statusText}</span>
+                            <span>
+                                ${escapeHtml(problemInfo.name)}${problemInfo.isPaidOnly ? ' <span class="premium-badge" title="LeetCode Premium">🔒 Premium</span>' : ''}
+                                ${tags ? `<br/><small class="problem-tags">🏷️ ${escapeHtml(tags)}</small>` : ''}
+                            </span>
+                            <span>
+                                <span class="${statusClass}">${statusText}</span>
+                                ${actions}
+                            </span>
                         </li>
                     `;
                 });
@@ -156,6 +944,33 @@ function updateProgressInfo(progress, status) {
     progressInfoElement.innerHTML = html;
 }
 
+async function problemAction(slug, action) {
+    let path = `/problems/${encodeURIComponent(slug)}/${action}`;
+    if (action === 'snooze') {
+        const days = prompt('Snooze for how many days? (1-30)', '1');
+        if (days === null) return;
+        path += `?days=${encodeURIComponent(days.trim())}`;
+    } else if (action === 'skip' && !confirm(`Skip ${slug}? It won't be sent again.`)) {
+        return;
+    }
+
+    try {
+        hideAlert();
+        const { event } = await api.post(path, {});
+        const messages = {
+            solved: `${slug} marked as solved.`,
+            reviewed: `${slug} marked as reviewed.`,
+            skipped: `${slug} skipped.`,
+            snoozed: `${slug} snoozed until ${formatDate(`${event.until}T00:00:00`)}.`
+        };
+        showAlert(messages[event.type], 'success');
+        await refreshStatus();
+    } catch (error) {
+        console.error(`Error applying ${action} to ${slug}:`, error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to update the problem. Please try again.'), 'error');
+    }
+}
+
 async function updateSettings() {
     try {
         hideAlert();
@@ -178,7 +993,148 @@ async function updateSettings() {
         
     } catch (error) {
         console.error('Error updating settings:', error);
-        showAlert('Failed to update settings. Please try again.', 'error');
+        showAlert(describeError(error, 'Failed to update settings. Please try again.'), 'error');
+    }
+}
+
+async function updateAdaptiveLoad() {
+    try {
+        hideAlert();
+
+        const min = parseInt(adaptiveMinInput.value);
+        const max = parseInt(adaptiveMaxInput.value);
+
+        if (isNaN(min) || isNaN(max) || min < 1 || max > 10 || min > max) {
+            showAlert('Please enter a range within 1-10, fewest first.', 'error');
+            return;
+        }
+
+        await api.post('/settings', {
+            adaptive_load: { enabled: adaptiveEnabledInput.checked, min, max }
+        });
+
+        showAlert(adaptiveEnabledInput.checked ?
+            `Adaptive load on: ${min}-${max} problems a day, from the next check.` :
+            'Adaptive load off. The daily problem count is used again.', 'success');
+        setTimeout(refreshStatus, 1000);
+
+    } catch (error) {
+        console.error('Error updating adaptive load:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to update adaptive load. Please try again.'), 'error');
+    }
+}
+
+async function updateStudyPlan() {
+    try {
+        hideAlert();
+        
+        await api.post('/settings', {
+            study_plan: studyPlanSelect.value
+        });
+        
+        showAlert('Study plan updated! New problems come from it from the next check.', 'success');
+        
+    } catch (error) {
+        console.error('Error updating study plan:', error);
+        showAlert(describeError(error, 'Failed to update study plan. Please try again.'), 'error');
+    }
+}
+
+async function updateStreakRule() {
+    try {
+        hideAlert();
+        
+        await api.post('/settings', {
+            streak_rule: streakRuleSelect.value
+        });
+        
+        showAlert('Streak rule updated! It applies from the next check.', 'success');
+        
+    } catch (error) {
+        console.error('Error updating streak rule:', error);
+        showAlert(describeError(error, 'Failed to update streak rule. Please try again.'), 'error');
+    }
+}
+
+async function pauseUntil() {
+    try {
+        hideAlert();
+
+        if (!pauseUntilInput.value) {
+            showAlert('Please pick the last day of the pause.', 'error');
+            return;
+        }
+
+        await api.post('/pause', {
+            until: pauseUntilInput.value
+        });
+
+        showAlert(`Paused until ${formatDate(pauseUntilInput.value)}. Your streak carries over the break.`, 'success');
+        setTimeout(refreshStatus, 1000);
+
+    } catch (error) {
+        console.error('Error pausing:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to pause. Please try again.'), 'error');
+    }
+}
+
+async function resumeFromPause() {
+    try {
+        hideAlert();
+
+        await api.delete('/pause');
+
+        showAlert('Resumed! Problems are sent again from the next check.', 'success');
+        setTimeout(refreshStatus, 1000);
+
+    } catch (error) {
+        console.error('Error resuming:', error);
+        showAlert(describeError(error, 'Failed to resume. Please try again.'), 'error');
+    }
+}
+
+async function updateRestDays() {
+    try {
+        hideAlert();
+
+        const restDays = Array.from(restDayInputs)
+            .filter(input => input.checked)
+            .map(input => input.value);
+
+        await api.post('/settings', {
+            rest_days: restDays
+        });
+
+        showAlert(restDays.length > 0 ? `No problems on ${restDays.join(', ')}.` : 'Problems are sent every day.', 'success');
+
+    } catch (error) {
+        console.error('Error updating rest days:', error);
+        showAlert(describeError(error, error.serverMessage || 'Failed to update rest days. Please try again.'), 'error');
+    }
+}
+
+async function updateChannels() {
+    try {
+        hideAlert();
+        
+        const channels = Array.from(channelInputs)
+            .filter(input => input.checked)
+            .map(input => input.value);
+        
+        if (channels.length === 0) {
+            showAlert('Please select at least one notification channel.', 'error');
+            return;
+        }
+        
+        await api.post('/settings', {
+            notification_channels: channels
+        });
+        
+        showAlert(`Notifications will be sent via ${channels.join(', ')}.`, 'success');
+        
+    } catch (error) {
+        console.error('Error updating channels:', error);
+        showAlert(describeError(error, 'Failed to update notification channels. Please try again.'), 'error');
     }
 }
 
@@ -197,7 +1153,7 @@ async function testTracker() {
         
     } catch (error) {
         console.error('Error testing tracker:', error);
-        showAlert('Test failed. Check the console for details.', 'error');
+        showAlert(describeError(error, 'Test failed. Check the console for details.'), 'error');
     }
 }
 
@@ -242,7 +1198,7 @@ async function runDailyCheck() {
         
     } catch (error) {
         console.error('Error running daily check:', error);
-        showAlert('Daily check failed. Check the console for details.', 'error');
+        showAlert(describeError(error, 'Daily check failed. Check the console for details.'), 'error');
     }
 }
 
@@ -264,13 +1220,17 @@ document.addEventListener('keydown', (event) => {
 
 // Auto-refresh every 30 seconds
 setInterval(async () => {
+    if (!loggedIn) {
+        return;
+    }
     try {
-        const [settings, progress, status] = await Promise.all([
+        const [settings, progress, status, plans] = await Promise.all([
             api.get('/settings'),
             api.get('/progress'),
-            api.get('/status')
+            api.get('/status'),
+            api.get('/plans')
         ]);
-        updateUI(settings, progress, status);
+        updateUI(settings, progress, status, plans);
     } catch (error) {
         // Silently fail on auto-refresh
         console.log('Auto-refresh failed:', error.message);
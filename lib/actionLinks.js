@@ -0,0 +1,127 @@
+/**
+ * Action Links
+ *
+ * Signed, expiring links in the daily emails that solve, snooze (to tomorrow)
+ * or skip a problem without a dashboard login (see lib/problemActions.js).
+ *
+ * A link is BASE_URL/actions/<token>, where the token is
+ *   base64url(JSON { u: userId, s: slug, a: action, r: review?, e: expiry in unix seconds })
+ *   "." base64url(HMAC-SHA256 of that payload)
+ * signed with ACTION_LINK_SECRET (CRON_SECRET when unset). Nothing is stored:
+ * a link is good for anyone holding it until it expires, so links last
+ * ACTION_LINK_TTL_DAYS (3 by default). Opening a link only shows a
+ * confirmation page - mail scanners fetch links too - and the action runs
+ * when its button is pressed.
+ */
+
+const crypto = require('crypto');
+const { safeCompare } = require('./security');
+const { logger } = require('./logger');
+
+const log = logger.child('action-links');
+
+// Problem actions a link can run (lib/problemActions.js); snooze is to tomorrow
+const LINK_ACTIONS = ['solve', 'snooze', 'skip'];
+const SNOOZE_DAYS = 1;
+const DEFAULT_TTL_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ActionLinks {
+  /**
+   * @param {Object} options - { secret, baseUrl, ttlDays } (default to the environment)
+   */
+  constructor(options = {}) {
+    this.secret = options.secret !== undefined ? options.secret : (process.env.ACTION_LINK_SECRET || process.env.CRON_SECRET);
+    this.baseUrl = (options.baseUrl !== undefined ? options.baseUrl : process.env.BASE_URL || '').replace(/\/+$/, '');
+    this.ttlDays = options.ttlDays || parseInt(process.env.ACTION_LINK_TTL_DAYS) || DEFAULT_TTL_DAYS;
+  }
+
+  /**
+   * Whether links can be made - they need a secret and the server's public URL
+   */
+  isEnabled() {
+    return Boolean(this.secret && this.baseUrl);
+  }
+
+  /**
+   * HMAC signature of a token payload
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Signed token for one action on one problem
+   * @param {Object} data - { userId, slug, action, review } - review links only act on the
+   *   review, so an old link can't complete a later one
+   * @param {number} now - Time in milliseconds the link is made
+   * @returns {string} Token
+   */
+  createToken({ userId, slug, action, review = false }, now = Date.now()) {
+    const expiresAt = Math.floor((now + this.ttlDays * DAY_MS) / 1000);
+    const payload = Buffer.from(JSON.stringify({ u: userId, s: slug, a: action, r: review, e: expiresAt })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a token from a link
+   * @param {string} token - Token from the URL
+   * @param {number} now - Time in milliseconds
+   * @returns {Object|null} { userId, slug, action, review, expiresAt, expired }, or null if it isn't a
+   *   token signed with this secret
+   */
+  verify(token, now = Date.now()) {
+    if (!this.secret || typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined || !safeCompare(signature, this.sign(payload))) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      log.warn('⚠️ Signed action link with an unreadable payload');
+      return null;
+    }
+    if (!data || !LINK_ACTIONS.includes(data.a) || typeof data.u !== 'string' || typeof data.s !== 'string' || !Number.isInteger(data.e)) {
+      return null;
+    }
+
+    return {
+      userId: data.u,
+      slug: data.s,
+      action: data.a,
+      review: data.r === true,
+      expiresAt: new Date(data.e * 1000).toISOString(),
+      expired: data.e * 1000 <= now
+    };
+  }
+
+  /**
+   * Links for a problem row in an email
+   * @param {string} userId - User the links act for
+   * @param {string} slug - Problem slug
+   * @param {Object} options - { review } - a review can't be skipped from an email, { now } in milliseconds
+   * @returns {Object|null} { solve, snooze, skip } URLs, or null when links are disabled
+   */
+  linksFor(userId, slug, { review = false, now = Date.now() } = {}) {
+    if (!this.isEnabled()) return null;
+    const url = action => `${this.baseUrl}/actions/${this.createToken({ userId, slug, action, review }, now)}`;
+    return {
+      solve: url('solve'),
+      snooze: url('snooze'),
+      skip: review ? null : url('skip')
+    };
+  }
+}
+
+// Create singleton instance
+const actionLinks = new ActionLinks();
+
+module.exports = {
+  actionLinks,
+  ActionLinks,
+  LINK_ACTIONS,
+  SNOOZE_DAYS
+};
@@ -0,0 +1,159 @@
+/**
+ * Adaptive Load
+ *
+ * Optional mode where the daily routine picks the number of problems itself,
+ * within user-set bounds:
+ *   settings.adaptive_load: { enabled, min, max }
+ *
+ * Each run looks at the days since the last change (at most the last
+ * TRACKER_CONFIG.adaptive.windowDays) in the history log:
+ * - everything assigned solved on the day it was sent, raiseAfterDays days
+ *   running, and solved within raiseMaxHours on average -> one more problem
+ * - under lowerBelowRate of assignments solved the same day, or new problems
+ *   taking over lowerAboveHours on average -> one fewer
+ * Time to solve runs from the assignment (its history event, or the start of
+ * the send date) to solvedTimestamp; reviews only count towards the solve rate.
+ *
+ * The count lives in progress.settingsAtSendTime: num_questions is what was
+ * sent and `adaptive` the decision behind it, so the next run starts from there
+ * (settings.num_questions is only the starting point).
+ */
+
+const { ReviewScheduler } = require('./reviewScheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class AdaptiveLoad {
+
+  /**
+   * Whether adaptive mode is on for these settings
+   */
+  static isEnabled(settings) {
+    return settings?.adaptive_load?.enabled === true;
+  }
+
+  /**
+   * Solve stats for the days in a range
+   * @param {Array<Object>} history - History events (see lib/historyLog.js)
+   * @param {Object} range - { from, to } YYYY-MM-DD, inclusive
+   * @returns {Object} { activeDays, assignedCount, solvedCount, solveRate, averageSolveHours, clearedRun }
+   */
+  static getStats(history, { from, to }) {
+    const inRange = date => date >= from && date <= to;
+    const assignedAt = new Map();
+    const days = new Map();
+    const completed = new Set();
+
+    history.forEach(event => {
+      if (event.type === 'assigned') {
+        if (event.kind === 'new') assignedAt.set(`${event.slug}@${event.date}`, event.recordedAt);
+        if (!inRange(event.date)) return;
+        if (!days.has(event.date)) days.set(event.date, new Set());
+        days.get(event.date).add(event.slug);
+      } else if (event.type === 'solved' || event.type === 'reviewed') {
+        completed.add(`${event.slug}@${event.date}`);
+      }
+    });
+
+    const dates = [...days.keys()].sort();
+    const isCleared = date => [...days.get(date)].every(slug => completed.has(`${slug}@${date}`));
+    const assignedCount = dates.reduce((count, date) => count + days.get(date).size, 0);
+    const solvedCount = dates.reduce((count, date) =>
+      count + [...days.get(date)].filter(slug => completed.has(`${slug}@${date}`)).length, 0);
+
+    let clearedRun = 0;
+    for (const date of [...dates].reverse()) {
+      if (!isCleared(date)) break;
+      clearedRun++;
+    }
+
+    const solveHours = history
+      .filter(event => event.type === 'solved' && event.solvedTimestamp && inRange(event.date))
+      .map(event => {
+        const sentDate = event.sentDate || event.date;
+        const start = assignedAt.get(`${event.slug}@${sentDate}`) || `${sentDate}T00:00:00`;
+        return (new Date(event.solvedTimestamp).getTime() - new Date(start).getTime()) / HOUR_MS;
+      })
+      .filter(hours => hours >= 0);
+
+    return {
+      activeDays: dates.length,
+      assignedCount,
+      solvedCount,
+      solveRate: assignedCount > 0 ? Math.round((solvedCount / assignedCount) * 100) / 100 : null,
+      averageSolveHours: solveHours.length > 0 ?
+        Math.round((solveHours.reduce((sum, hours) => sum + hours, 0) / solveHours.length) * 10) / 10 :
+        null,
+      clearedRun
+    };
+  }
+
+  /**
+   * Days the next decision looks at - since the last change, within the window
+   * @param {Object|null} previous - Last progress.settingsAtSendTime
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @param {number} windowDays - Longest look-back
+   * @returns {Object} { from, to } YYYY-MM-DD, inclusive
+   */
+  static getRange(previous, todayStr, windowDays) {
+    const windowStart = ReviewScheduler.addDays(todayStr, -windowDays);
+    const changedOn = previous?.adaptive?.changedOn;
+    return {
+      from: changedOn && changedOn > windowStart ? changedOn : windowStart,
+      to: ReviewScheduler.addDays(todayStr, -1)
+    };
+  }
+
+  /**
+   * Today's problem count
+   * @param {Object} settings - User settings with adaptive_load
+   * @param {Object|null} previous - Last progress.settingsAtSendTime
+   * @param {Object} stats - From getStats
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @param {Object} config - TRACKER_CONFIG.adaptive
+   * @returns {Object} { num_questions, previous, change, reason, message, min, max, changedOn, ...stats }
+   *   - reason is 'cleared', 'struggling', 'bounds' or 'hold'; message explains a change (null otherwise)
+   */
+  static decide(settings, previous, stats, todayStr, config) {
+    const { min, max } = settings.adaptive_load;
+    const base = previous?.adaptive && typeof previous.num_questions === 'number' ?
+      previous.num_questions :
+      settings.num_questions;
+    const decision = (count, reason, message) => ({
+      num_questions: count,
+      previous: base,
+      change: count - base,
+      reason,
+      message,
+      min,
+      max,
+      changedOn: count !== base ? todayStr : (previous?.adaptive?.changedOn || null),
+      ...stats
+    });
+
+    const bounded = Math.min(max, Math.max(min, base));
+    if (bounded !== base) {
+      return decision(bounded, 'bounds', `Keeping to your range of ${min}-${max}: ${bounded} ${bounded === 1 ? 'problem' : 'problems'} a day.`);
+    }
+    if (stats.activeDays < config.minDays) {
+      return decision(base, 'hold', null);
+    }
+
+    const fastEnough = stats.averageSolveHours === null || stats.averageSolveHours <= config.raiseMaxHours;
+    if (stats.clearedRun >= config.raiseAfterDays && fastEnough && base < max) {
+      return decision(base + 1, 'cleared', `You've cleared everything ${stats.clearedRun} days running, bumping to ${base + 1}.`);
+    }
+
+    const lowRate = stats.solveRate !== null && stats.solveRate < config.lowerBelowRate;
+    const slow = stats.averageSolveHours !== null && stats.averageSolveHours > config.lowerAboveHours;
+    if ((lowRate || slow) && base > min) {
+      return decision(base - 1, 'struggling', lowRate ?
+        `You solved ${stats.solvedCount} of ${stats.assignedCount} problems on the day they were sent lately, easing off to ${base - 1}.` :
+        `New problems have taken ${stats.averageSolveHours} hours on average to solve lately, easing off to ${base - 1}.`);
+    }
+
+    return decision(base, 'hold', null);
+  }
+}
+
+module.exports = { AdaptiveLoad };
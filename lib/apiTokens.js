@@ -0,0 +1,186 @@
+/**
+ * API Tokens
+ *
+ * Named, per-user bearer tokens for scripts and integrations, on top of the
+ * shared CRON_SECRET. Each token has scopes and an expiry and can be revoked
+ * from the dashboard.
+ *
+ * Tokens look like lct_<id>_<secret>. Only a SHA-256 hash of the secret is
+ * stored; the full token is shown once, when it is created. Successful uses
+ * record lastUsedAt and lastUsedIp on the token, at most once every
+ * LAST_USED_INTERVAL_MS so API reads don't each cost a database write.
+ */
+
+const crypto = require('crypto');
+const { databaseService } = require('./firebase');
+const { ValidationError } = require('./dataValidator');
+const { safeCompare } = require('./security');
+const { logger } = require('./logger');
+
+const log = logger.child('api-tokens');
+
+// Scopes only cover the token's own user - jobs for every user (daily routine,
+// reminders, system design email) need CRON_SECRET or a dashboard session
+const API_TOKEN_SCOPES = ['read:progress', 'write:settings', 'write:progress', 'write:plans', 'run:routine'];
+const TOKEN_PATTERN = /^lct_([0-9a-f]{12})_([0-9a-f]{64})$/;
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class ApiTokenService {
+  constructor(db = databaseService) {
+    this.db = db;
+  }
+
+  /**
+   * Token record without its hash, safe to return from the API
+   * @param {Object} record - Stored token record
+   * @returns {Object} Public record with a computed status
+   */
+  static toPublic(record, now = Date.now()) {
+    const { hash, ...rest } = record;
+    let status = 'active';
+    if (record.revokedAt) {
+      status = 'revoked';
+    } else if (Date.parse(record.expiresAt) <= now) {
+      status = 'expired';
+    }
+    return { ...rest, status };
+  }
+
+  /**
+   * Whether a token grants a scope
+   * @param {Object} record - Token record
+   * @param {string} scope - One of API_TOKEN_SCOPES
+   * @returns {boolean}
+   */
+  static hasScope(record, scope) {
+    return Array.isArray(record.scopes) && record.scopes.includes(scope);
+  }
+
+  /**
+   * Issue a token
+   * @param {Object} data - { userId, name, scopes, expiresInDays }
+   * @returns {Promise<Object>} { token, record } - token is the only copy of the secret
+   * @throws {ValidationError} If the data is invalid
+   */
+  async createToken(data) {
+    const context = 'create API token';
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    const scopes = Array.isArray(data.scopes) ? [...new Set(data.scopes)] : [];
+    const expiresInDays = data.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(data.expiresInDays);
+
+    if (!data.userId) {
+      throw new ValidationError('Required', 'userId', data.userId, context);
+    }
+    if (!name || name.length > 64) {
+      throw new ValidationError('Must be 1-64 characters', 'name', data.name, context);
+    }
+    if (scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+      throw new ValidationError(`Must be one or more of: ${API_TOKEN_SCOPES.join(', ')}`, 'scopes', data.scopes, context);
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw new ValidationError(`Must be a whole number of days between 1 and ${MAX_EXPIRY_DAYS}`, 'expiresInDays', data.expiresInDays, context);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const record = {
+      id,
+      name,
+      userId: data.userId,
+      scopes,
+      hash: hashSecret(secret),
+      prefix: `lct_${id}`,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresInDays * DAY_MS).toISOString()
+    };
+
+    await this.db.saveApiToken(record);
+    log.info(`🔑 API token ${record.prefix} (${name}) created for ${data.userId}: ${scopes.join(', ')}`);
+    return { token: `lct_${id}_${secret}`, record: ApiTokenService.toPublic(record, now) };
+  }
+
+  /**
+   * List a user's tokens, newest first
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array<Object>>} Public token records
+   */
+  async listTokens(userId) {
+    const records = await this.db.loadApiTokens();
+    const now = Date.now();
+    return records
+      .filter(record => record.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => ApiTokenService.toPublic(record, now));
+  }
+
+  /**
+   * Revoke a token
+   * @param {string} tokenId - Token id
+   * @param {string} userId - Owner; tokens of other users are treated as missing
+   * @returns {Promise<Object>} Public token record
+   * @throws {ValidationError} If the token does not exist for this user
+   */
+  async revokeToken(tokenId, userId) {
+    const record = await this.db.loadApiToken(tokenId);
+    if (!record || record.userId !== userId) {
+      throw new ValidationError('Token not found', 'id', tokenId, 'revoke API token');
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.db.saveApiToken(record);
+      log.info(`🔒 API token ${record.prefix} (${record.name}) revoked`);
+    }
+    return ApiTokenService.toPublic(record);
+  }
+
+  /**
+   * Check a presented token and record its use (if the last one recorded is
+   * over LAST_USED_INTERVAL_MS old)
+   * @param {string} token - Full token from the Authorization header
+   * @param {Object} options - { ip }
+   * @returns {Promise<Object|null>} Public token record, or null if unknown, wrong, revoked or expired
+   */
+  async verifyToken(token, { ip = 'unknown' } = {}) {
+    const match = typeof token === 'string' ? token.match(TOKEN_PATTERN) : null;
+    if (!match) return null;
+
+    const record = await this.db.loadApiToken(match[1]);
+    if (!record || !safeCompare(hashSecret(match[2]), record.hash)) return null;
+    if (record.revokedAt || Date.parse(record.expiresAt) <= Date.now()) return null;
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) >= LAST_USED_INTERVAL_MS) {
+      record.lastUsedAt = new Date().toISOString();
+      record.lastUsedIp = ip;
+      await this.db.saveApiToken(record);
+    }
+    return ApiTokenService.toPublic(record);
+  }
+
+  /**
+   * Whether a string looks like an API token (as opposed to CRON_SECRET)
+   * @param {string} token
+   * @returns {boolean}
+   */
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith('lct_');
+  }
+}
+
+// Create singleton instance
+const apiTokenService = new ApiTokenService();
+
+module.exports = {
+  apiTokenService,
+  ApiTokenService,
+  API_TOKEN_SCOPES,
+  LAST_USED_INTERVAL_MS
+};
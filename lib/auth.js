@@ -0,0 +1,300 @@
+/**
+ * Authentication
+ *
+ * Guards the API routes in server.js - reads as well as writes. Two ways in:
+ * - Dashboard sessions: POST /api/auth/login with DASHBOARD_PASSWORD sets an
+ *   HttpOnly session cookie. Sessions live in memory, so a restart logs the
+ *   dashboard out.
+ * - Bearer tokens: the shared CRON_SECRET for cron callers, or a per-user
+ *   API token with scopes (lib/apiTokens.js)
+ *
+ * DASHBOARD_PASSWORD and CRON_SECRET belong to whoever runs the deployment, so
+ * dashboard sessions and cron callers are admins: they may act for any user
+ * (X-User-Id). An API token only ever acts for the user it was issued to.
+ *
+ * Failed attempts are counted by SecurityService; an IP that keeps failing is
+ * blocked for RATE_LIMIT_BLOCK_DURATION_MS, valid credentials or not.
+ */
+
+const crypto = require('crypto');
+const { ApiValidator, ValidationError } = require('./dataValidator');
+const { ConfigValidator, safeCompare } = require('./security');
+const { apiTokenService, ApiTokenService } = require('./apiTokens');
+const { logger } = require('./logger');
+
+const log = logger.child('auth');
+
+const SESSION_COOKIE = 'tracker_session';
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+class AuthService {
+  /**
+   * @param {Object} options - { password, cronSecret, sessionTtlMs, tokenService } (default to the environment)
+   */
+  constructor(options = {}) {
+    this.password = options.password !== undefined ? options.password : process.env.DASHBOARD_PASSWORD;
+    this.cronSecret = options.cronSecret !== undefined ? options.cronSecret : process.env.CRON_SECRET;
+    this.sessionTtlMs = options.sessionTtlMs || parseInt(process.env.SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS;
+    this.tokenService = options.tokenService || apiTokenService;
+    this.sessions = new Map(); // session id -> { id, role, createdAt, expiresAt }
+  }
+
+  /**
+   * Parse a Cookie header
+   * @param {string} header - e.g. "a=1; tracker_session=abc"
+   * @returns {Object} Cookie name -> value
+   */
+  static parseCookies(header = '') {
+    return Object.fromEntries(String(header)
+      .split(';')
+      .map(part => part.trim())
+      .filter(part => part.includes('='))
+      .map(part => {
+        const index = part.indexOf('=');
+        return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+      }));
+  }
+
+  /**
+   * Start a dashboard session
+   * @param {string} password - Password from the login form
+   * @returns {Object|null} Session, or null if the password is wrong
+   * @throws {Error} If DASHBOARD_PASSWORD is not configured
+   */
+  login(password) {
+    if (!this.password) {
+      throw new Error('Dashboard login is not configured - set DASHBOARD_PASSWORD');
+    }
+    // Hash both sides so the comparison does not leak the password length
+    if (typeof password !== 'string' || !safeCompare(sha256(password), sha256(this.password))) {
+      return null;
+    }
+
+    this.pruneSessions();
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(32).toString('hex'),
+      role: 'admin',
+      createdAt: now,
+      expiresAt: now + this.sessionTtlMs
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session
+   * @param {string} id - Session id from the cookie
+   * @returns {Object|null} Session, or null if unknown or expired
+   */
+  getSession(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * End a session
+   * @param {string} id - Session id
+   */
+  logout(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  pruneSessions() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions.entries()) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Check a cron caller's Authorization header against CRON_SECRET
+   * @param {string} authHeader - "Bearer <token>"
+   * @returns {boolean} True if the token matches
+   * @throws {ValidationError} If the header is malformed or CRON_SECRET is not set
+   */
+  checkBearer(authHeader) {
+    ApiValidator.validateCronAuth(authHeader, this.cronSecret);
+    return safeCompare(authHeader.substring(7), this.cronSecret);
+  }
+
+  /**
+   * Work out who is calling
+   * An Authorization header wins over the session cookie, so a bad token is
+   * never rescued by a cookie sent along with it.
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} { method: 'bearer' }, { method: 'token', token } or
+   *   { method: 'session', session }; null if none of them checks out
+   */
+  async authenticate(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+      const presented = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+      if (ApiTokenService.isApiToken(presented)) {
+        const token = await this.tokenService.verifyToken(presented, { ip: ConfigValidator.getClientIP(req) });
+        return token ? { method: 'token', token } : null;
+      }
+
+      try {
+        return this.checkBearer(authHeader) ? { method: 'bearer' } : null;
+      } catch (error) {
+        if (error instanceof ValidationError) return null;
+        throw error;
+      }
+    }
+
+    const sessionId = AuthService.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = this.getSession(sessionId);
+    return session ? { method: 'session', session } : null;
+  }
+
+  /**
+   * Whether a caller may act for any user: CRON_SECRET or an admin dashboard session
+   * @param {Object|null} auth - req.auth from authenticate
+   * @returns {boolean} True for admins
+   */
+  static isAdmin(auth) {
+    return auth?.method === 'bearer' || (auth?.method === 'session' && auth.session.role === 'admin');
+  }
+
+  /**
+   * The user a request acts for
+   * @param {Object|null} auth - req.auth from authenticate
+   * @param {string} requested - X-User-Id header, if any
+   * @param {string} defaultUserId - User for admins that don't ask for one
+   * @returns {string|null} User id, or null if the caller may not act for the requested user
+   */
+  static actingUserId(auth, requested, defaultUserId) {
+    if (auth?.method === 'token') {
+      return !requested || requested === auth.token.userId ? auth.token.userId : null;
+    }
+    return this.isAdmin(auth) ? (requested || defaultUserId) : null;
+  }
+
+  /**
+   * Options for the session cookie (res.cookie / res.clearCookie)
+   */
+  cookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/'
+    };
+  }
+}
+
+/**
+ * Express middleware backed by an AuthService and a SecurityService
+ * - rateLimit: refuses IPs that SecurityService has blocked
+ * - identify: sets req.auth from the Authorization header or session cookie (null if
+ *   neither is sent); a bad Authorization header is rejected, a stale cookie is ignored
+ * - requireAuth: the request needs req.auth, whatever the method (run identify first)
+ * - requireScope(scope): API tokens must carry the scope; sessions and CRON_SECRET have them all
+ * - requireSession: only a dashboard session (e.g. to manage API tokens)
+ * - requireAdmin: only an admin - a dashboard session or CRON_SECRET (e.g. to create users)
+ * - rejectUnauthorized: count a failed attempt and answer 401 (or 429 once blocked)
+ * @param {Object} services - { authService, securityService }
+ * @returns {Object} Middleware functions
+ */
+function createAuthMiddleware({ authService, securityService }) {
+  const rejectUnauthorized = (req, res) => {
+    const ip = ConfigValidator.getClientIP(req);
+    try {
+      securityService.checkRateLimit(ip);
+    } catch (error) {
+      return res.status(429).json({ error: error.message });
+    }
+    log.warn(`❌ Unauthorized ${req.method} ${req.originalUrl} from ${ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  };
+
+  const rateLimit = (req, res, next) => {
+    const status = securityService.getStatus(ConfigValidator.getClientIP(req));
+    if (status.blocked) {
+      const retryAfter = Math.ceil((status.blockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes` });
+    }
+    next();
+  };
+
+  const identify = (req, res, next) => {
+    req.auth = null;
+    const hasCookie = Boolean(AuthService.parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    if (!req.headers.authorization && !hasCookie) {
+      return next();
+    }
+
+    rateLimit(req, res, async () => {
+      try {
+        req.auth = await authService.authenticate(req);
+      } catch (error) {
+        return next(error);
+      }
+      if (!req.auth && req.headers.authorization) {
+        return rejectUnauthorized(req, res);
+      }
+      next();
+    });
+  };
+
+  const requireAuth = (req, res, next) => {
+    if (req.auth) {
+      return next();
+    }
+    rateLimit(req, res, () => rejectUnauthorized(req, res));
+  };
+
+  const requireScope = scope => (req, res, next) => {
+    if (req.auth?.method === 'token' && !ApiTokenService.hasScope(req.auth.token, scope)) {
+      return res.status(403).json({ error: `Token is missing the ${scope} scope` });
+    }
+    next();
+  };
+
+  const requireSession = (req, res, next) => {
+    if (req.auth?.method !== 'session') {
+      return res.status(403).json({ error: 'Log in to the dashboard to do this' });
+    }
+    next();
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (!AuthService.isAdmin(req.auth)) {
+      return res.status(403).json({ error: 'Only the dashboard or cron caller can do this' });
+    }
+    next();
+  };
+
+  return {
+    rateLimit,
+    identify,
+    requireAuth,
+    requireScope,
+    requireSession,
+    requireAdmin,
+    rejectUnauthorized
+  };
+}
+
+module.exports = {
+  AuthService,
+  createAuthMiddleware,
+  SESSION_COOKIE
+};
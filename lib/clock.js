@@ -0,0 +1,106 @@
+/**
+ * Clock
+ *
+ * Shared source of "now" for the daily routine, the study plan week and the
+ * system design topic, so they can run as of any date (`tracker.js simulate`,
+ * send-system-design.js --test --date, tests).
+ *
+ * Follows the system clock until set() pins it; a pinned clock only moves
+ * through set() / advance(). Audit timestamps (updatedAt, recordedAt, ...)
+ * deliberately keep using the real time.
+ */
+
+const { format } = require('date-fns');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class Clock {
+  constructor() {
+    this.fixedTime = null;
+  }
+
+  /**
+   * Current time
+   * @returns {Date} A fresh Date - safe to mutate
+   */
+  now() {
+    return this.fixedTime === null ? new Date() : new Date(this.fixedTime);
+  }
+
+  /**
+   * Today in YYYY-MM-DD format (local timezone)
+   * @returns {string} Today's date
+   */
+  today() {
+    return format(this.now(), 'yyyy-MM-dd');
+  }
+
+  /**
+   * Whether the clock is pinned
+   * @returns {boolean}
+   */
+  isFixed() {
+    return this.fixedTime !== null;
+  }
+
+  /**
+   * Pin the clock
+   * @param {Date|string|number} time - Date, timestamp, ISO string or YYYY-MM-DD (local midnight)
+   */
+  set(time) {
+    const date = typeof time === 'string' && DATE_ONLY.test(time) ?
+      new Date(`${time}T00:00:00`) :
+      new Date(time);
+
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid clock time: ${time}`);
+    }
+    this.fixedTime = date.getTime();
+  }
+
+  /**
+   * Move a pinned clock forward
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    if (this.fixedTime === null) {
+      throw new Error('Only a pinned clock can be advanced');
+    }
+    this.fixedTime += ms;
+  }
+
+  /**
+   * Go back to the system clock
+   */
+  reset() {
+    this.fixedTime = null;
+  }
+
+  /**
+   * Run fn with the clock pinned, then restore the previous state
+   * @param {Date|string|number} time - See set()
+   * @param {Function} fn - Sync or async function
+   * @returns {Promise<*>|*} fn's result
+   */
+  withTime(time, fn) {
+    const previous = this.fixedTime;
+    const restore = () => { this.fixedTime = previous; };
+
+    this.set(time);
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        return result.finally(restore);
+      }
+      restore();
+      return result;
+    } catch (error) {
+      restore();
+      throw error;
+    }
+  }
+}
+
+const clock = new Clock();
+
+module.exports = { Clock, clock };
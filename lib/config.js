@@ -17,7 +17,10 @@ const validateConfig = () => {
     'STUDY_PLAN_START_DATE'
   ];
 
-  const missingVars = requiredVars.filter(varName => !process.env[varName]);
+  // A local API (the bundled mock or Docker) needs no hosted URL
+  const missingVars = requiredVars
+    .filter(varName => !(varName === 'LEETCODE_API_URL' && process.env.LEETCODE_API_USE_LOCAL === 'true'))
+    .filter(varName => !process.env[varName]);
   
   if (missingVars.length > 0) {
     throw new Error(
@@ -44,7 +47,8 @@ const config = {
       const configuredUrl = process.env.LEETCODE_API_URL;
       
       if (useLocal) {
-        return 'http://localhost:3000';
+        return process.env.LEETCODE_API_LOCAL_URL ||
+          `http://localhost:${process.env.LEETCODE_MOCK_PORT || 3100}`;
       }
       
       if (!configuredUrl) {
@@ -10,6 +10,9 @@
  */
 
 const { DateUtils } = require('./dateUtils');
+const { logger } = require('./logger');
+
+const log = logger.child('validation');
 
 /**
  * Validation error with context
@@ -73,7 +76,7 @@ class ApiValidator {
     const unexpectedFields = Object.keys(body).filter(key => !allowedFields.includes(key));
     
     if (unexpectedFields.length > 0) {
-      console.warn(`⚠️ ${context}: Unexpected fields ignored: ${unexpectedFields.join(', ')}`);
+      log.warn(`⚠️ ${context}: Unexpected fields ignored: ${unexpectedFields.join(', ')}`);
     }
   }
 
@@ -123,7 +126,7 @@ class ApiValidator {
     const ipv6Pattern = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
     
     if (!ipv4Pattern.test(ip) && !ipv6Pattern.test(ip) && ip !== 'unknown') {
-      console.warn(`⚠️ ${context}: Unusual IP format "${ip}" - may be from proxy`);
+      log.warn(`⚠️ ${context}: Unusual IP format "${ip}" - may be from proxy`);
     }
   }
 }
@@ -154,7 +157,7 @@ class ExternalDataValidator {
     
     // Validate count field if present
     if ('count' in response && typeof response.count !== 'number') {
-      console.warn(`⚠️ ${context}: Count field is not a number: ${response.count}`);
+      log.warn(`⚠️ ${context}: Count field is not a number: ${response.count}`);
     }
     
     // Validate individual submissions
@@ -203,7 +206,7 @@ class ExternalDataValidator {
     // Warn about unexpected status values
     const knownStatuses = ['Accepted', 'Wrong Answer', 'Time Limit Exceeded', 'Memory Limit Exceeded', 'Runtime Error', 'Compile Error'];
     if (!knownStatuses.includes(submission.statusDisplay)) {
-      console.warn(`⚠️ ${context}: Unknown status "${submission.statusDisplay}"`);
+      log.warn(`⚠️ ${context}: Unknown status "${submission.statusDisplay}"`);
     }
   }
 
@@ -226,7 +229,7 @@ class ExternalDataValidator {
     
     // Validate ranking if present
     if ('ranking' in response && (typeof response.ranking !== 'number' || response.ranking < 0)) {
-      console.warn(`⚠️ ${context}: Invalid ranking ${response.ranking}`);
+      log.warn(`⚠️ ${context}: Invalid ranking ${response.ranking}`);
     }
   }
 }
@@ -257,17 +260,37 @@ class InternalDataValidator {
       
       // Only validate format if it's not null
       if (!DateUtils.isValidAssignmentDate(progress.lastSentDate, 'lastSentDate')) {
-        console.warn(`⚠️ ${context}: lastSentDate "${progress.lastSentDate}" seems unusual`);
+        log.warn(`⚠️ ${context}: lastSentDate "${progress.lastSentDate}" seems unusual`);
       }
     }
 
-    // Validate studyPlanPosition
-    if (typeof progress.studyPlanPosition !== 'number' || progress.studyPlanPosition < 0) {
-      throw new ValidationError('Must be non-negative number', 'studyPlanPosition', progress.studyPlanPosition, context);
+    // Validate studyPlanPosition (schema < 2.3.0 only - replaced by planProgress)
+    if (progress.studyPlanPosition !== undefined) {
+      if (typeof progress.studyPlanPosition !== 'number' || progress.studyPlanPosition < 0) {
+        throw new ValidationError('Must be non-negative number', 'studyPlanPosition', progress.studyPlanPosition, context);
+      }
+
+      if (!Number.isInteger(progress.studyPlanPosition)) {
+        throw new ValidationError('Must be an integer', 'studyPlanPosition', progress.studyPlanPosition, context);
+      }
     }
-    
-    if (!Number.isInteger(progress.studyPlanPosition)) {
-      throw new ValidationError('Must be an integer', 'studyPlanPosition', progress.studyPlanPosition, context);
+
+    // Validate planProgress (optional, { <planId>: { assigned: [slugs] } })
+    if (progress.planProgress !== undefined) {
+      if (!progress.planProgress || typeof progress.planProgress !== 'object' || Array.isArray(progress.planProgress)) {
+        throw new ValidationError('Must be an object keyed by plan id', 'planProgress', progress.planProgress, context);
+      }
+
+      Object.entries(progress.planProgress).forEach(([planId, entry]) => {
+        if (!entry || !Array.isArray(entry.assigned)) {
+          throw new ValidationError('Must be an array', `planProgress.${planId}.assigned`, entry && entry.assigned, context);
+        }
+        entry.assigned.forEach((slug, index) => {
+          if (!slug || typeof slug !== 'string') {
+            throw new ValidationError('Must be non-empty string', `planProgress.${planId}.assigned[${index}]`, slug, context);
+          }
+        });
+      });
     }
 
     // Validate sentProblems array
@@ -290,10 +313,23 @@ class InternalDataValidator {
       }
     });
 
+    // Validate streak (optional)
+    if (progress.streak) {
+      ['current', 'longest'].forEach(field => {
+        const value = progress.streak[field];
+        if (!Number.isInteger(value) || value < 0) {
+          throw new ValidationError('Must be non-negative integer', `streak.${field}`, value, context);
+        }
+      });
+      if (progress.streak.lastDate !== null && typeof progress.streak.lastDate !== 'string') {
+        throw new ValidationError('Must be string or null', 'streak.lastDate', progress.streak.lastDate, context);
+      }
+    }
+
     // Validate settingsAtSendTime (optional)
     if (progress.settingsAtSendTime && typeof progress.settingsAtSendTime === 'object') {
       if (typeof progress.settingsAtSendTime.num_questions !== 'number') {
-        console.warn(`⚠️ ${context}: settingsAtSendTime.num_questions is not a number`);
+        log.warn(`⚠️ ${context}: settingsAtSendTime.num_questions is not a number`);
       }
     }
   }
@@ -330,7 +366,7 @@ class InternalDataValidator {
 
     // Validate sentDate
     if (!DateUtils.isValidAssignmentDate(problem.sentDate, `${context}.sentDate`)) {
-      console.warn(`⚠️ ${context}: sentDate "${problem.sentDate}" seems unusual`);
+      log.warn(`⚠️ ${context}: sentDate "${problem.sentDate}" seems unusual`);
     }
 
     // Validate solvedTimestamp if present
@@ -338,13 +374,65 @@ class InternalDataValidator {
       try {
         DateUtils.parseDateString(problem.solvedTimestamp, `${context}.solvedTimestamp`);
       } catch (error) {
-        console.warn(`⚠️ ${context}: Invalid solvedTimestamp "${problem.solvedTimestamp}"`);
+        log.warn(`⚠️ ${context}: Invalid solvedTimestamp "${problem.solvedTimestamp}"`);
+      }
+    }
+
+    // Validate review state if present (spaced-repetition queue)
+    if (problem.review !== undefined) {
+      if (!problem.review || typeof problem.review !== 'object') {
+        throw new ValidationError('Must be an object', 'review', problem.review, context);
       }
+
+      if (!problem.review.graduated && (typeof problem.review.dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(problem.review.dueDate))) {
+        throw new ValidationError('Must be a YYYY-MM-DD date string', 'review.dueDate', problem.review.dueDate, context);
+      }
+    }
+
+    // Validate snooze if present (lib/problemActions.js)
+    if (problem.snoozedUntil !== undefined && (typeof problem.snoozedUntil !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(problem.snoozedUntil))) {
+      throw new ValidationError('Must be a YYYY-MM-DD date string', 'snoozedUntil', problem.snoozedUntil, context);
+    }
+  }
+
+  /**
+   * Validate user record
+   * @param {Object} user - User record
+   * @throws {ValidationError} If validation fails
+   */
+  static validateUser(user) {
+    const context = 'user record';
+
+    if (!user || typeof user !== 'object') {
+      throw new ValidationError('User must be an object', 'user', user, context);
+    }
+
+    // Ids double as storage keys, so keep them path-safe
+    if (!user.id || typeof user.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(user.id)) {
+      throw new ValidationError('Must be 1-64 letters, digits, "-" or "_"', 'id', user.id, context);
+    }
+
+    if (!user.leetcodeUsername || typeof user.leetcodeUsername !== 'string') {
+      throw new ValidationError('Must be a non-empty string', 'leetcodeUsername', user.leetcodeUsername, context);
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!user.email || typeof user.email !== 'string' || !emailRegex.test(user.email)) {
+      throw new ValidationError('Must be a valid email address', 'email', user.email, context);
+    }
+
+    if ('active' in user && typeof user.active !== 'boolean') {
+      throw new ValidationError('Must be a boolean', 'active', user.active, context);
+    }
+
+    if ('studyPlan' in user && (typeof user.studyPlan !== 'string' || !user.studyPlan)) {
+      throw new ValidationError('Must be a non-empty string', 'studyPlan', user.studyPlan, context);
     }
   }
 
   /**
-   * Validate study plan structure
+   * Validate study plan structure: { weeks: { <n>: { theme, problems } } }
+   * This is what study-plan.js loads and every plan importer produces.
    * @param {Object} studyPlan - Study plan object
    * @throws {ValidationError} If validation fails
    */
@@ -355,43 +443,54 @@ class InternalDataValidator {
       throw new ValidationError('Study plan must be an object', 'studyPlan', studyPlan, context);
     }
 
-    // Validate username
-    if (!studyPlan.username || typeof studyPlan.username !== 'string') {
-      throw new ValidationError('Must have valid username', 'username', studyPlan.username, context);
+    const { weeks } = studyPlan;
+    if (!weeks || typeof weeks !== 'object' || Array.isArray(weeks)) {
+      throw new ValidationError('Weeks must be an object keyed by week number', 'weeks', weeks, context);
     }
 
-    // Validate topics array
-    if (!Array.isArray(studyPlan.topics)) {
-      throw new ValidationError('Topics must be an array', 'topics', studyPlan.topics, context);
+    const weekNumbers = Object.keys(weeks);
+    if (weekNumbers.length === 0) {
+      throw new ValidationError('Must have at least one week', 'weeks', weeks, context);
     }
 
-    studyPlan.topics.forEach((topic, index) => {
-      this.validateTopic(topic, `${context}.topics[${index}]`);
+    const seen = new Map();
+    weekNumbers.forEach(weekNumber => {
+      if (!/^[1-9]\d*$/.test(weekNumber)) {
+        throw new ValidationError('Week numbers must be positive integers', 'weeks', weekNumber, context);
+      }
+      this.validateWeek(weeks[weekNumber], `${context}.weeks[${weekNumber}]`);
+
+      // Revisiting a problem in a later week is allowed, but progress is tracked by slug
+      weeks[weekNumber].problems.forEach(problem => {
+        if (seen.has(problem.slug)) {
+          log.warn(`⚠️ ${context}: "${problem.slug}" is in week ${seen.get(problem.slug)} and week ${weekNumber}`);
+        } else {
+          seen.set(problem.slug, weekNumber);
+        }
+      });
     });
   }
 
   /**
-   * Validate individual topic structure
-   * @param {Object} topic - Topic object
+   * Validate a week of the study plan
+   * @param {Object} week - { theme, problems }
    * @param {string} context - Context for error reporting
    * @throws {ValidationError} If validation fails
    */
-  static validateTopic(topic, context) {
-    if (!topic || typeof topic !== 'object') {
-      throw new ValidationError('Topic must be an object', 'topic', topic, context);
+  static validateWeek(week, context) {
+    if (!week || typeof week !== 'object') {
+      throw new ValidationError('Week must be an object', 'week', week, context);
     }
 
-    // Required fields
-    if (!topic.name || typeof topic.name !== 'string') {
-      throw new ValidationError('Must have valid name', 'name', topic.name, context);
+    if (!week.theme || typeof week.theme !== 'string') {
+      throw new ValidationError('Must have valid theme', 'theme', week.theme, context);
     }
 
-    if (!Array.isArray(topic.problems)) {
-      throw new ValidationError('Problems must be an array', 'problems', topic.problems, context);
+    if (!Array.isArray(week.problems)) {
+      throw new ValidationError('Problems must be an array', 'problems', week.problems, context);
     }
 
-    // Validate problems
-    topic.problems.forEach((problem, index) => {
+    week.problems.forEach((problem, index) => {
       this.validateProblem(problem, `${context}.problems[${index}]`);
     });
   }
@@ -418,13 +517,24 @@ class InternalDataValidator {
 
     // Validate difficulty
     const validDifficulties = ['Easy', 'Medium', 'Hard'];
-    if (!validDifficulties.includes(problem.difficulty)) {
-      console.warn(`⚠️ ${context}: Unknown difficulty "${problem.difficulty}"`);
+    // "Unknown" is the placeholder importers use until enrich-plan looks the problem up
+    if (problem.difficulty === 'Unknown') {
+      log.debug(`🔍 ${context}: difficulty not known yet`);
+    } else if (!validDifficulties.includes(problem.difficulty)) {
+      log.warn(`⚠️ ${context}: Unknown difficulty "${problem.difficulty}"`);
     }
 
-    // Validate slug format (basic check)
+    // Optional fields the plan editor and importers set
+    if (problem.estimatedTime !== undefined && (!Number.isInteger(problem.estimatedTime) || problem.estimatedTime < 1)) {
+      throw new ValidationError('Must be a positive number of minutes', 'estimatedTime', problem.estimatedTime, context);
+    }
+    if (problem.priority !== undefined && !['high', 'medium', 'low'].includes(problem.priority)) {
+      throw new ValidationError('Must be high, medium or low', 'priority', problem.priority, context);
+    }
+
+    // Slugs end up in leetcode.com/problems/<slug> links
     if (!/^[a-z0-9-]+$/.test(problem.slug)) {
-      console.warn(`⚠️ ${context}: Unusual slug format "${problem.slug}"`);
+      throw new ValidationError('Slug must be lowercase letters, digits and "-"', 'slug', problem.slug, context);
     }
   }
 }
@@ -466,8 +576,11 @@ class DataValidator {
         case 'study-plan':
           InternalDataValidator.validateStudyPlan(data);
           break;
+        case 'user':
+          InternalDataValidator.validateUser(data);
+          break;
         default:
-          console.warn(`⚠️ Unknown validation type: ${type}`);
+          log.warn(`⚠️ Unknown validation type: ${type}`);
       }
     } catch (error) {
       if (error instanceof ValidationError) {
@@ -492,7 +605,7 @@ class DataValidator {
       this.validate(data, type, context);
       return { success: true, error: null };
     } catch (error) {
-      console.error(`❌ Validation failed: ${error.message}`);
+      log.error(`❌ Validation failed: ${error.message}`);
       return { 
         success: false, 
         error: {
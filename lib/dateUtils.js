@@ -11,6 +11,11 @@
  * - Focus is on submission time > assignment time, not exact date matching
  */
 
+const { clock } = require('./clock');
+const { logger } = require('./logger');
+
+const log = logger.child('dates');
+
 class DateUtils {
   
   /**
@@ -67,7 +72,7 @@ class DateUtils {
     if (timestampMs < leetcodeFoundedMs) {
       // For test contexts, just warn instead of throwing
       if (context.includes('test') || context.includes('validation')) {
-        console.warn(`⚠️ ${context}: Timestamp "${timestamp}" is before LeetCode existed (${date.toISOString()}) - allowing for testing`);
+        log.warn(`⚠️ ${context}: Timestamp "${timestamp}" is before LeetCode existed (${date.toISOString()}) - allowing for testing`);
       } else {
         throw new Error(`${context}: Timestamp "${timestamp}" is before LeetCode existed (${date.toISOString()})`);
       }
@@ -101,7 +106,7 @@ class DateUtils {
     const isoDateTimeRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
     
     if (!isoDateRegex.test(dateString) && !isoDateTimeRegex.test(dateString)) {
-      console.warn(`⚠️ ${context}: Date string "${dateString}" is not in ISO format - parsing may be unreliable`);
+      log.warn(`⚠️ ${context}: Date string "${dateString}" is not in ISO format - parsing may be unreliable`);
     }
 
     return date;
@@ -113,7 +118,7 @@ class DateUtils {
    * @returns {string} Today's date in YYYY-MM-DD format
    */
   static getTodayString() {
-    const now = new Date();
+    const now = clock.now();
     return this.formatDateString(now);
   }
 
@@ -161,11 +166,11 @@ class DateUtils {
       // Compare timestamps
       const result = submissionDate.getTime() > assignmentDate.getTime();
       
-      console.log(`🔍 ${context}: Submission ${submissionDate.toISOString()} ${result ? '>' : '≤'} Assignment ${assignmentDate.toISOString()}`);
+      log.debug(`🔍 ${context}: Submission ${submissionDate.toISOString()} ${result ? '>' : '≤'} Assignment ${assignmentDate.toISOString()}`);
       
       return result;
     } catch (error) {
-      console.error(`❌ ${context}: Error comparing timestamps - ${error.message}`);
+      log.error(`❌ ${context}: Error comparing timestamps - ${error.message}`);
       // Fail safe: if we can't determine, assume not solved
       return false;
     }
@@ -180,13 +185,13 @@ class DateUtils {
   static isValidAssignmentDate(dateString, context = 'unknown') {
     try {
       const date = this.parseDateString(dateString, context);
-      const now = new Date();
+      const now = clock.now();
       const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
       
       // Assignment dates should be within last 30 days and not in future
       return date >= thirtyDaysAgo && date <= now;
     } catch (error) {
-      console.warn(`⚠️ ${context}: Invalid assignment date "${dateString}" - ${error.message}`);
+      log.warn(`⚠️ ${context}: Invalid assignment date "${dateString}" - ${error.message}`);
       return false;
     }
   }
@@ -212,10 +217,10 @@ class DateUtils {
         return this.parseApiTimestamp(input, context);
       }
       
-      console.warn(`⚠️ ${context}: Unable to parse input as date, using fallback`);
+      log.warn(`⚠️ ${context}: Unable to parse input as date, using fallback`);
       return fallback;
     } catch (error) {
-      console.warn(`⚠️ ${context}: Date parsing failed (${error.message}), using fallback`);
+      log.warn(`⚠️ ${context}: Date parsing failed (${error.message}), using fallback`);
       return fallback;
     }
   }
@@ -0,0 +1,124 @@
+/**
+ * Email Templates
+ *
+ * Renders the tracker emails from Handlebars templates in templates/email/.
+ * Every email has an HTML and a plain-text version:
+ *   <name>.html.hbs, <name>.text.hbs
+ *
+ * Partials live in templates/email/partials/ and are registered by file name:
+ * - <partial>.html.hbs / <partial>.text.hbs: only for that format
+ * - <partial>.hbs: shared by both (no markup, e.g. the streak sentence)
+ *
+ * Text templates are compiled without HTML escaping. Subjects stay in
+ * EmailService since they carry the per-email wording rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+const EMAIL_FORMATS = ['html', 'text'];
+
+const EMAIL_TEMPLATES = [
+  'todays-question',
+  'reminder',
+  'multiple-problems',
+  'evening-reminder',
+  'weekly-summary',
+  'congratulations',
+  'new-week'
+];
+
+const helpers = {
+  // {{plural count "problem"}} -> problem / problems
+  plural: (count, word) => `${word}${count === 1 ? '' : 's'}`,
+  problemUrl: slug => `https://leetcode.com/problems/${slug}/`,
+  join: (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : '')
+};
+
+class EmailTemplates {
+  /**
+   * @param {string} dir - Template directory (defaults to templates/email)
+   */
+  constructor(dir = TEMPLATES_DIR) {
+    this.dir = dir;
+    this.environments = null;
+    this.compiled = new Map();
+  }
+
+  /**
+   * One Handlebars environment per format, so partials can share names
+   */
+  getEnvironment(format) {
+    if (!this.environments) {
+      this.environments = {};
+      const partialsDir = path.join(this.dir, 'partials');
+      const partialFiles = fs.existsSync(partialsDir) ? fs.readdirSync(partialsDir) : [];
+
+      EMAIL_FORMATS.forEach(name => {
+        const env = handlebars.create();
+        env.registerHelper(helpers);
+
+        partialFiles.forEach(file => {
+          const match = file.match(/^(.+?)(?:\.(html|text))?\.hbs$/);
+          if (!match || (match[2] && match[2] !== name)) return;
+          env.registerPartial(match[1], fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+        });
+
+        this.environments[name] = env;
+      });
+    }
+    return this.environments[format];
+  }
+
+  /**
+   * Compiled template for a name and format (cached)
+   */
+  getTemplate(name, format) {
+    const key = `${name}.${format}`;
+    if (!this.compiled.has(key)) {
+      const source = fs.readFileSync(path.join(this.dir, `${key}.hbs`), 'utf8');
+      this.compiled.set(key, this.getEnvironment(format).compile(source, {
+        noEscape: format === 'text'
+      }));
+    }
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Whether a template exists
+   * @param {string} name - Template name, e.g. 'multiple-problems'
+   * @returns {boolean}
+   */
+  has(name) {
+    return EMAIL_TEMPLATES.includes(name);
+  }
+
+  /**
+   * Render both versions of an email
+   * @param {string} name - One of EMAIL_TEMPLATES
+   * @param {Object} data - Template data
+   * @returns {Object} { html, text }
+   * @throws {Error} If the template is unknown
+   */
+  render(name, data = {}) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const html = this.getTemplate(name, 'html')(data).trim();
+    const text = this.getTemplate(name, 'text')(data)
+      .split('\n')
+      .map(line => line.trimEnd())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return { html, text };
+  }
+}
+
+const emailTemplates = new EmailTemplates();
+
+module.exports = { EmailTemplates, emailTemplates, EMAIL_TEMPLATES, TEMPLATES_DIR };
@@ -1,34 +1,27 @@
 /**
- * Firebase Configuration and Database Service
+ * Database Service
  * 
- * Handles connection to Firebase Firestore for persistent data storage.
- * Replaces local JSON files (progress.json, settings.json) with cloud database.
+ * Handles persistent storage of progress and settings.
+ * The actual backend (Firestore, local JSON files or in-memory) is a pluggable
+ * storage adapter chosen by STORAGE_BACKEND - see lib/storage.
  * Enhanced with atomic transactions and data validation.
+ *
+ * Every progress load runs MigrationService (lib/migrationService.js) up to
+ * CURRENT_SCHEMA_VERSION, writing a checkpoint before each migration step.
+ * `migrate down` pins the version it rolled back to (pinnedSchemaVersion), and
+ * loads leave pinned progress alone until `migrate up` clears the pin.
  */
 
-const admin = require('firebase-admin');
+const { createStorageAdapter } = require('./storage');
+const { NOTIFICATION_CHANNELS } = require('./notifier');
+const { STREAK_RULES } = require('./streakTracker');
+const { WEEKDAYS, MAX_PAUSE_WINDOWS, DATE_PATTERN } = require('./pauseSchedule');
+const { HistoryLog } = require('./historyLog');
+const { MigrationService, MigrationError, CURRENT_SCHEMA_VERSION } = require('./migrationService');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
 
-// Function to process private key
-const processPrivateKey = (key) => {
-  if (!key) return undefined;
-  // Remove any extra quotes at the start/end if present
-  key = key.trim().replace(/^['"]|['"]$/g, '');
-  // Replace literal \n with actual newlines
-  return key.replace(/\\n/g, '\n');
-};
-
-// Firebase configuration using environment variables
-const firebaseConfig = {
-  credential: admin.credential.cert({
-    projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    privateKey: processPrivateKey(process.env.FIREBASE_PRIVATE_KEY)
-  })
-};
-
-// Initialize Firebase
-const app = admin.initializeApp(firebaseConfig);
-const db = admin.firestore(app);
+const log = logger.child('firebase');
 
 // Default data structures (same as before)
 const DEFAULT_SETTINGS = {
@@ -41,19 +34,47 @@ const DEFAULT_SETTINGS = {
 const DEFAULT_PROGRESS = {
   lastSentDate: null,
   sentProblems: [],
-  studyPlanPosition: 0,
+  planProgress: {},
   pendingQueue: [],
   settingsAtSendTime: {
     num_questions: 1,
     timestamp: null
   },
+  streak: null,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
   version: 1,
   lastModified: new Date().toISOString()
 };
 
-// System Design Collections (separate from LeetCode)
-const systemDesignCollection = db.collection('system-design-progress');
-const systemDesignEmailsCollection = db.collection('system-design-emails');
+/**
+ * Stored progress with defaults for missing fields
+ * schemaVersion is never defaulted - only a migration moves it. Pinned progress
+ * keeps its rolled-back version, even where it has no schemaVersion field
+ * (legacy data), so saving it doesn't mark it current.
+ */
+function withProgressDefaults(progressData) {
+  const { schemaVersion, ...defaults } = structuredClone(DEFAULT_PROGRESS);
+  const progress = { ...defaults, ...progressData };
+  if (progressData.pinnedSchemaVersion) {
+    progress.schemaVersion = progressData.pinnedSchemaVersion;
+  }
+  return progress;
+}
+
+// Record collections (separate from per-user documents)
+const COLLECTIONS = {
+  checkpoints: 'system/checkpoints/data',
+  systemDesignEmails: 'system-design-emails',
+  users: 'system/users/data',
+  apiTokens: 'system/api-tokens/data',
+  jobRuns: 'system/job-runs/data',
+  problemMetadata: 'system/problem-metadata/data',
+  plans: 'system/plans/data',
+  planVersions: 'system/plan-versions/data'
+};
+
+// Study plan ids (also storage record ids)
+const PLAN_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
 /**
  * Data validation utilities
@@ -74,6 +95,76 @@ class DataValidator {
       throw new Error('email_enabled must be a boolean');
     }
 
+    if (settings.review_share !== undefined &&
+        (typeof settings.review_share !== 'number' ||
+         settings.review_share < 0 ||
+         settings.review_share > 1)) {
+      throw new Error('review_share must be a number between 0 and 1');
+    }
+
+    if (settings.streak_rule !== undefined && !STREAK_RULES.includes(settings.streak_rule)) {
+      throw new Error(`streak_rule must be one of: ${STREAK_RULES.join(', ')}`);
+    }
+
+    if (settings.study_plan !== undefined &&
+        (typeof settings.study_plan !== 'string' || !PLAN_ID_PATTERN.test(settings.study_plan))) {
+      throw new Error('study_plan must be a plan id (letters, digits, "_" and "-")');
+    }
+
+    if (settings.pause_windows !== undefined) {
+      const windows = settings.pause_windows;
+      if (!Array.isArray(windows) || windows.length > MAX_PAUSE_WINDOWS) {
+        throw new Error(`pause_windows must be an array of at most ${MAX_PAUSE_WINDOWS} windows`);
+      }
+      windows.forEach((window, index) => {
+        if (!window || !DATE_PATTERN.test(window.from) || !DATE_PATTERN.test(window.to) || window.to < window.from) {
+          throw new Error(`pause_windows[${index}] must be { from, to } YYYY-MM-DD dates with to on or after from`);
+        }
+      });
+    }
+
+    if (settings.rest_days !== undefined) {
+      const days = settings.rest_days;
+      if (!Array.isArray(days) || days.some(day => !WEEKDAYS.includes(day)) || new Set(days).size >= WEEKDAYS.length) {
+        throw new Error(`rest_days must be fewer than 7 of: ${WEEKDAYS.join(', ')}`);
+      }
+    }
+
+    if (settings.adaptive_load !== undefined) {
+      const load = settings.adaptive_load;
+      const isCount = value => Number.isInteger(value) && value >= 1 && value <= 10;
+      if (!load || typeof load !== 'object' || typeof load.enabled !== 'boolean' ||
+          !isCount(load.min) || !isCount(load.max) || load.min > load.max) {
+        throw new Error('adaptive_load must be { enabled, min, max } with 1 <= min <= max <= 10');
+      }
+    }
+
+    if (settings.notification_channels !== undefined) {
+      const channels = settings.notification_channels;
+      if (!Array.isArray(channels) || channels.length === 0) {
+        throw new Error('notification_channels must be a non-empty array');
+      }
+      const unknown = channels.filter(name => !NOTIFICATION_CHANNELS.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown notification channels: ${unknown.join(', ')} (expected ${NOTIFICATION_CHANNELS.join(', ')})`);
+      }
+    }
+
+    if (settings.notification_webhooks !== undefined) {
+      const webhooks = settings.notification_webhooks;
+      if (!webhooks || typeof webhooks !== 'object' || Array.isArray(webhooks)) {
+        throw new Error('notification_webhooks must be an object');
+      }
+      for (const [name, url] of Object.entries(webhooks)) {
+        if (!NOTIFICATION_CHANNELS.includes(name) || name === 'email') {
+          throw new Error(`notification_webhooks has no webhook channel named ${name}`);
+        }
+        if (typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url)) {
+          throw new Error(`notification_webhooks.${name} must be an http(s) URL`);
+        }
+      }
+    }
+
     return true;
   }
 
@@ -96,6 +187,17 @@ class DataValidator {
       throw new Error('pendingQueue must be an array');
     }
 
+    if (progress.planProgress !== undefined) {
+      if (!progress.planProgress || typeof progress.planProgress !== 'object' || Array.isArray(progress.planProgress)) {
+        throw new Error('planProgress must be an object keyed by plan id');
+      }
+      for (const [planId, entry] of Object.entries(progress.planProgress)) {
+        if (!entry || !Array.isArray(entry.assigned)) {
+          throw new Error(`planProgress.${planId}.assigned must be an array of slugs`);
+        }
+      }
+    }
+
     // Validate sent problems structure
     if (progress.sentProblems) {
       progress.sentProblems.forEach((problem, index) => {
@@ -117,15 +219,45 @@ class DataValidator {
 
 /**
  * Database Service Class
- * Provides methods to interact with Firestore for progress and settings
+ * Provides methods to read and write progress and settings through a storage adapter
  * Enhanced with atomic transactions and proper error handling
  */
 class DatabaseService {
-  constructor() {
-    this.db = db;
+  constructor(storage = null) {
+    this._storage = storage;
     this.userId = 'default'; // Single user for now, could be expanded later
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this._migrations = null;
+  }
+
+  /**
+   * Storage adapter, created on first use so requiring this module never
+   * needs credentials for a backend that isn't used
+   */
+  get storage() {
+    if (!this._storage) {
+      this._storage = createStorageAdapter();
+    }
+    return this._storage;
+  }
+
+  /**
+   * Schema migrations for stored progress, created on first use
+   */
+  get migrations() {
+    if (!this._migrations) {
+      this._migrations = new MigrationService(this);
+    }
+    return this._migrations;
+  }
+
+  /**
+   * Swap the storage adapter (e.g. in-memory storage for `tracker.js simulate`)
+   * @param {StorageAdapter} storage - Adapter to use from now on
+   */
+  useStorage(storage) {
+    this._storage = storage;
   }
 
   /**
@@ -141,41 +273,47 @@ class DatabaseService {
       try {
         return await operation();
       } catch (error) {
+        // A failed migration fails the same way every time - retrying only writes more checkpoints
+        if (error instanceof MigrationError) {
+          throw error;
+        }
         lastError = error;
-        console.warn(`⚠️ ${operationName} attempt ${attempt} failed:`, error.message);
+        log.warn(`⚠️ ${operationName} attempt ${attempt} failed:`, error.message);
         
         if (attempt < this.maxRetries) {
+          metrics.dbRetries.inc({ operation: operationName });
           const delay = this.retryDelay * attempt;
-          console.log(`⏳ Retrying in ${delay}ms...`);
+          log.info(`⏳ Retrying in ${delay}ms...`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
       }
     }
     
-    console.error(`❌ ${operationName} failed after ${this.maxRetries} attempts`);
+    log.error(`❌ ${operationName} failed after ${this.maxRetries} attempts`);
+    metrics.dbFailures.inc({ operation: operationName });
     throw lastError;
   }
 
   /**
    * Atomic progress update with validation and rollback support
+   * Stored progress is migrated (see migrateProgress) before the update sees it.
    * @param {string} userId - User identifier
    * @param {Function} updateFunction - Function that takes current progress and returns updated progress
+   * @param {Object} options - { migratePinned } passed on to migrateProgress
    * @returns {Promise<Object>} Updated progress
    */
-  async atomicProgressUpdate(userId, updateFunction) {
+  async atomicProgressUpdate(userId, updateFunction, options = {}) {
     return this.withRetry(async () => {
-      const progressRef = this.db.collection('users').doc(userId).collection('data').doc('progress');
-      
-      return this.db.runTransaction(async (transaction) => {
-        console.log('🔄 Starting atomic progress update transaction');
+      return this.storage.runTransaction(async (transaction) => {
+        log.debug('🔄 Starting atomic progress update transaction');
         
-        // Read current progress
-        const progressDoc = await transaction.get(progressRef);
-        const currentProgress = progressDoc.exists ? 
-          { ...DEFAULT_PROGRESS, ...progressDoc.data() } : 
-          DEFAULT_PROGRESS;
+        // Read current progress, at the current schema unless pinned
+        const progressData = await transaction.get(userId, 'progress');
+        const currentProgress = progressData ? 
+          await this.migrateProgress(progressData, userId, options) : 
+          structuredClone(DEFAULT_PROGRESS);
 
-        console.log(`📖 Current progress version: ${currentProgress.version || 1}`);
+        log.debug(`📖 Current progress version: ${currentProgress.version || 1}`);
         
         // Apply update function
         const updatedProgress = await updateFunction(currentProgress);
@@ -190,10 +328,10 @@ class DatabaseService {
           version: (currentProgress.version || 1) + 1
         };
 
-        console.log(`💾 Saving progress version: ${finalProgress.version}`);
+        log.debug(`💾 Saving progress version: ${finalProgress.version}`);
         
         // Write updated progress
-        transaction.set(progressRef, finalProgress);
+        transaction.set(userId, 'progress', finalProgress);
         
         return finalProgress;
       });
@@ -208,15 +346,13 @@ class DatabaseService {
    */
   async atomicSettingsUpdate(userId, updateFunction) {
     return this.withRetry(async () => {
-      const settingsRef = this.db.collection('users').doc(userId).collection('data').doc('settings');
-      
-      return this.db.runTransaction(async (transaction) => {
-        console.log('🔄 Starting atomic settings update transaction');
+      return this.storage.runTransaction(async (transaction) => {
+        log.debug('🔄 Starting atomic settings update transaction');
         
         // Read current settings
-        const settingsDoc = await transaction.get(settingsRef);
-        const currentSettings = settingsDoc.exists ? 
-          { ...DEFAULT_SETTINGS, ...settingsDoc.data() } : 
+        const settingsData = await transaction.get(userId, 'settings');
+        const currentSettings = settingsData ? 
+          { ...DEFAULT_SETTINGS, ...settingsData } : 
           DEFAULT_SETTINGS;
         
         // Apply update function
@@ -232,20 +368,71 @@ class DatabaseService {
         };
         
         // Write updated settings
-        transaction.set(settingsRef, finalSettings);
+        transaction.set(userId, 'settings', finalSettings);
         
         return finalSettings;
       });
     }, 'atomic settings update');
   }
 
+  /**
+   * Load a run ledger document (see lib/runLedger.js)
+   * @param {string} userId - User identifier
+   * @param {string} docName - Run document name
+   * @returns {Promise<Object|null>} Run or null if missing
+   */
+  async loadRun(userId, docName) {
+    return this.withRetry(() => this.storage.getDocument(userId, docName), 'load run');
+  }
+
+  /**
+   * Names of a user's run ledger documents
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array<string>>} Document names starting with "run-"
+   */
+  async listRunDocuments(userId) {
+    const names = await this.withRetry(() => this.storage.listDocuments(userId), 'list runs');
+    return names.filter(name => name.startsWith('run-'));
+  }
+
+  /**
+   * Delete a run ledger document
+   * @param {string} userId - User identifier
+   * @param {string} docName - Run document name
+   */
+  async deleteRun(userId, docName) {
+    await this.withRetry(() => this.storage.deleteDocument(userId, docName), 'delete run');
+  }
+
+  /**
+   * Atomic read-modify-write of a run ledger document
+   * @param {string} userId - User identifier
+   * @param {string} docName - Run document name
+   * @param {Function} updateFunction - Takes the current run (or null) and returns the new one,
+   *   or null to leave it unchanged
+   * @returns {Promise<Object|null>} Written run, or the unchanged one
+   */
+  async atomicRunUpdate(userId, docName, updateFunction) {
+    return this.withRetry(async () => {
+      return this.storage.runTransaction(async (transaction) => {
+        const current = await transaction.get(userId, docName);
+        const updated = await updateFunction(current);
+        if (!updated) {
+          return current;
+        }
+        transaction.set(userId, docName, updated);
+        return updated;
+      });
+    }, 'atomic run update');
+  }
+
   /**
    * Create a checkpoint for rollback purposes
    * @param {string} userId - User identifier
    * @returns {Promise<Object>} Checkpoint data
    */
   async createCheckpoint(userId = this.userId) {
-    console.log('📋 Creating checkpoint for rollback...');
+    log.info('📋 Creating checkpoint for rollback...');
     
     const [settings, progress] = await Promise.all([
       this.loadSettings(userId),
@@ -259,13 +446,12 @@ class DatabaseService {
       userId
     };
 
-    // Store checkpoint in Firebase for persistence across restarts
-    const checkpointRef = this.db.collection('system').doc('checkpoints').collection('data').doc();
-    await checkpointRef.set(checkpoint);
+    // Store checkpoint in the database for persistence across restarts
+    const checkpointId = await this.storage.addRecord(COLLECTIONS.checkpoints, checkpoint);
 
-    console.log(`✅ Checkpoint created: ${checkpointRef.id}`);
+    log.info(`✅ Checkpoint created: ${checkpointId}`);
     return {
-      id: checkpointRef.id,
+      id: checkpointId,
       ...checkpoint
     };
   }
@@ -276,170 +462,418 @@ class DatabaseService {
    * @returns {Promise<void>}
    */
   async rollbackToCheckpoint(checkpoint) {
-    console.log(`🔄 Rolling back to checkpoint: ${checkpoint.timestamp}`);
+    log.info(`🔄 Rolling back to checkpoint: ${checkpoint.timestamp}`);
     
     return this.withRetry(async () => {
-      return this.db.runTransaction(async (transaction) => {
+      return this.storage.runTransaction(async (transaction) => {
         const userId = checkpoint.userId || this.userId;
-        const settingsRef = this.db.collection('users').doc(userId).collection('data').doc('settings');
-        const progressRef = this.db.collection('users').doc(userId).collection('data').doc('progress');
-
-        // Restore settings
-        transaction.set(settingsRef, {
-          ...checkpoint.settings,
-          updated_at: new Date().toISOString(),
-          restoredFrom: checkpoint.timestamp
-        });
+
+        // Restore settings (migration checkpoints of users without settings have none)
+        if (checkpoint.settings) {
+          transaction.set(userId, 'settings', {
+            ...checkpoint.settings,
+            updated_at: new Date().toISOString(),
+            restoredFrom: checkpoint.timestamp
+          });
+        }
 
         // Restore progress
-        transaction.set(progressRef, {
+        transaction.set(userId, 'progress', {
           ...checkpoint.progress,
           lastModified: new Date().toISOString(),
           restoredFrom: checkpoint.timestamp,
           version: (checkpoint.progress.version || 1) + 1
         });
 
-        console.log('✅ Rollback completed successfully');
+        log.info('✅ Rollback completed successfully');
       });
     }, 'rollback operation');
   }
 
   /**
-   * Load user settings from Firestore
+   * Load user settings from storage
    */
   async loadSettings(userId = this.userId) {
     try {
-      const settingsRef = this.db.collection('users').doc(userId).collection('data').doc('settings');
-      const settingsSnap = await settingsRef.get();
+      const settingsData = await this.storage.getDocument(userId, 'settings');
       
-      if (settingsSnap.exists) {
-        const settings = { ...DEFAULT_SETTINGS, ...settingsSnap.data() };
+      if (settingsData) {
+        const settings = { ...DEFAULT_SETTINGS, ...settingsData };
         DataValidator.validateSettings(settings);
-        console.log('✅ Settings loaded from Firestore');
+        log.debug(`✅ Settings loaded from ${this.storage.name}`);
         return settings;
       } else {
-        console.log('📝 No settings found, creating defaults');
+        log.info('📝 No settings found, creating defaults');
         const defaultSettings = { ...DEFAULT_SETTINGS };
         await this.saveSettings(defaultSettings, userId);
         return defaultSettings;
       }
     } catch (error) {
-      console.error('❌ Error loading settings from Firestore:', error.message);
+      log.error(`❌ Error loading settings from ${this.storage.name}:`, error.message);
       // Fallback to defaults
       return DEFAULT_SETTINGS;
     }
   }
 
   /**
-   * Save user settings to Firestore
+   * Save user settings to storage
    */
   async saveSettings(settings, userId = this.userId) {
     return this.atomicSettingsUpdate(userId, () => settings);
   }
 
   /**
-   * Load progress data from Firestore
+   * Load progress data from storage
    */
   async loadProgress(userId = this.userId) {
     try {
-      const progressRef = this.db.collection('users').doc(userId).collection('data').doc('progress');
-      const progressSnap = await progressRef.get();
+      const progressData = await this.storage.getDocument(userId, 'progress');
       
-      if (progressSnap.exists) {
-        const progress = { ...DEFAULT_PROGRESS, ...progressSnap.data() };
-        
-        // Check if this is old format and migrate (same logic as before)
-        if (progress.lastSlug !== undefined) {
-          console.log('🔄 Migrating old progress format...');
-          return await this.migrateOldProgressSafely(progress, userId);
-        }
+      if (progressData) {
+        // Progress that needs migrating is saved right away, so its steps run once
+        const needsMigration = !progressData.pinnedSchemaVersion &&
+          this.migrations.detectVersion(progressData) !== CURRENT_SCHEMA_VERSION;
+        const progress = needsMigration ?
+          await this.atomicProgressUpdate(userId, current => current) :
+          await this.migrateProgress(progressData, userId);
         
         DataValidator.validateProgress(progress);
-        console.log('✅ Progress loaded from Firestore');
+        log.debug(`✅ Progress loaded from ${this.storage.name}`);
         return progress;
       } else {
-        console.log('📝 No progress found, using defaults');
-        return DEFAULT_PROGRESS;
+        log.info('📝 No progress found, using defaults');
+        return structuredClone(DEFAULT_PROGRESS);
       }
     } catch (error) {
-      console.error('❌ Error loading progress from Firestore:', error.message);
+      log.error(`❌ Error loading progress from ${this.storage.name}:`, error.message);
+      // Never hand out defaults for data that failed to migrate - they would be saved over it
+      if (error instanceof MigrationError) {
+        throw error;
+      }
       // Fallback to defaults
-      return DEFAULT_PROGRESS;
+      return structuredClone(DEFAULT_PROGRESS);
     }
   }
 
   /**
-   * Save progress data to Firestore
+   * Save progress data to storage
    */
   async saveProgress(progressData, userId = this.userId) {
     return this.atomicProgressUpdate(userId, () => progressData);
   }
 
   /**
-   * Safe migration function for old progress.json format with backup
+   * Stored progress brought up to CURRENT_SCHEMA_VERSION, with defaults for missing fields
+   * Nothing is saved here (atomicProgressUpdate saves the result); a checkpoint
+   * of the stored data is written before each migration step. Progress pinned
+   * by rollbackProgressMigration stays at its version unless migratePinned is
+   * set, which also clears the pin.
+   * @param {Object} progressData - Progress as stored
+   * @param {string} userId - User identifier
+   * @param {Object} options - { migratePinned }
+   * @returns {Promise<Object>} Progress at the current (or pinned) schema version
+   * @throws {MigrationError} If a migration fails (the stored data is left untouched)
    */
-  async migrateOldProgressSafely(oldData, userId = this.userId) {
-    console.log('🔄 Starting safe migration...');
-    
-    try {
-      // Create backup before migration
-      const backupRef = this.db.collection('system').doc('migration-backups').collection('data').doc();
-      await backupRef.set({
-        originalData: oldData,
-        migratedAt: new Date().toISOString(),
-        userId
-      });
-      console.log(`📦 Migration backup created: ${backupRef.id}`);
-      
-      const { StudyPlanHelper } = require('../study-plan');
-      const orderedProblems = StudyPlanHelper.getOrderedProblemList();
-      
-      let studyPlanPosition = 0;
-      
-      if (oldData.lastSlug) {
-        const currentIndex = orderedProblems.findIndex(p => p.slug === oldData.lastSlug);
-        if (currentIndex !== -1) {
-          studyPlanPosition = currentIndex + 1; // Next problem after last completed
-        } else {
-          console.warn(`⚠️ Last slug ${oldData.lastSlug} not found in study plan`);
-          // Keep existing position or start from 0
-          studyPlanPosition = oldData.studyPlanPosition || 0;
-        }
-      }
-      
-      const migratedProgress = {
-        lastSentDate: oldData.lastSentDate,
-        sentProblems: oldData.lastSlug ? [{
-          slug: oldData.lastSlug,
-          solved: oldData.solved || false,
-          sentDate: oldData.lastSentDate,
-          migratedFrom: 'legacy'
-        }] : [],
-        studyPlanPosition: studyPlanPosition,
-        pendingQueue: [],
-        settingsAtSendTime: {
-          num_questions: 1,
-          timestamp: oldData.lastSentDate
-        },
-        migrationInfo: {
-          migratedAt: new Date().toISOString(),
-          backupId: backupRef.id,
-          version: '2.0'
-        },
-        version: 1,
-        lastModified: new Date().toISOString()
-      };
-      
-      // Validate before saving
-      DataValidator.validateProgress(migratedProgress);
-      
-      console.log('✅ Migration completed safely');
-      await this.saveProgress(migratedProgress, userId);
-      return migratedProgress;
-    } catch (error) {
-      console.error('❌ Migration failed:', error.message);
-      throw new Error(`Migration failed: ${error.message}`);
+  async migrateProgress(progressData, userId = this.userId, { migratePinned = false } = {}) {
+    const { pinnedSchemaVersion, ...unpinned } = progressData;
+    if (pinnedSchemaVersion && !migratePinned) {
+      log.debug(`📌 Progress for ${userId} is pinned at ${pinnedSchemaVersion} - not migrating`);
+      return withProgressDefaults(progressData);
+    }
+
+    const fromVersion = this.migrations.detectVersion(unpinned);
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+      return { ...withProgressDefaults(unpinned), schemaVersion: CURRENT_SCHEMA_VERSION };
+    }
+
+    // Legacy {lastSlug, solved} data is recognised by its shape, so only fill
+    // in missing fields once it has one
+    const input = fromVersion === '1.0.0' ? unpinned : withProgressDefaults(unpinned);
+
+    const result = await this.migrations.migrateSafe(input, CURRENT_SCHEMA_VERSION, `load progress (${userId})`, {
+      beforeEach: (migration, data) => this.createMigrationCheckpoint(userId, data, migration.version)
+    });
+
+    if (!result.success) {
+      throw new MigrationError(result.error.message, fromVersion, CURRENT_SCHEMA_VERSION);
     }
+
+    log.info(`✅ Progress for ${userId} migrated from ${fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+    return withProgressDefaults(result.data);
+  }
+
+  /**
+   * Migrate a user's stored progress now, pinned or not
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Progress at the current schema version
+   * @throws {MigrationError} If there is no stored progress or a migration fails
+   */
+  async migrateStoredProgress(userId = this.userId) {
+    const progressData = await this.storage.getDocument(userId, 'progress');
+    if (!progressData) {
+      throw new MigrationError('No stored progress', 'none', CURRENT_SCHEMA_VERSION);
+    }
+    return this.atomicProgressUpdate(userId, current => current, { migratePinned: true });
+  }
+
+  /**
+   * Undo the latest schema migration of a user's stored progress
+   * The result is pinned: loads leave it at that version until migrateStoredProgress.
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} { fromVersion, toVersion, checkpointId }
+   * @throws {MigrationError} If there is no stored progress or nothing to roll back
+   */
+  async rollbackProgressMigration(userId = this.userId) {
+    const progressData = await this.storage.getDocument(userId, 'progress');
+    if (!progressData) {
+      throw new MigrationError('No stored progress', 'none', 'previous');
+    }
+
+    const { pinnedSchemaVersion, ...unpinned } = progressData;
+    const checkpointId = await this.createMigrationCheckpoint(userId, progressData, 'rollback');
+    const result = await this.migrations.rollbackLatest(unpinned, `rollback progress (${userId})`);
+    await this.saveProgress({ ...result.data, pinnedSchemaVersion: result.toVersion }, userId);
+
+    log.info(`⏪ Progress for ${userId} rolled back from ${result.fromVersion} to ${result.toVersion}`);
+    return { fromVersion: result.fromVersion, toVersion: result.toVersion, checkpointId };
+  }
+
+  /**
+   * Schema version of a user's stored progress, without migrating it
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} MigrationService status plus { stored, pinnedVersion, migrationHistory }
+   */
+  async getMigrationStatus(userId = this.userId) {
+    const progressData = await this.storage.getDocument(userId, 'progress');
+    const { pinnedSchemaVersion, ...data } = progressData || DEFAULT_PROGRESS;
+    return {
+      ...this.migrations.getStatus(data),
+      stored: Boolean(progressData),
+      pinnedVersion: pinnedSchemaVersion || null,
+      migrationHistory: data.migrationHistory || []
+    };
+  }
+
+  /**
+   * Checkpoint raw stored data ahead of a migration step
+   * Same shape as createCheckpoint, so rollbackToCheckpoint can restore it;
+   * it cannot go through createCheckpoint since that loads (and migrates) progress.
+   * @param {string} userId - User identifier
+   * @param {Object} progress - Progress as it is before the step
+   * @param {string} step - Migration version about to be applied, or 'rollback'
+   * @returns {Promise<string>} Checkpoint id
+   */
+  async createMigrationCheckpoint(userId, progress, step) {
+    const settings = await this.storage.getDocument(userId, 'settings');
+    const checkpoint = {
+      timestamp: new Date().toISOString(),
+      progress: JSON.parse(JSON.stringify(progress)),
+      userId,
+      reason: `migration ${step}`,
+      schemaVersion: this.migrations.detectVersion(progress)
+    };
+    if (settings) {
+      checkpoint.settings = JSON.parse(JSON.stringify(settings));
+    }
+
+    const checkpointId = await this.storage.addRecord(COLLECTIONS.checkpoints, checkpoint);
+    log.info(`📋 Checkpoint ${checkpointId} written before migration ${step}`);
+    return checkpointId;
+  }
+
+  /**
+   * Load every user record
+   * @returns {Promise<Array<Object>>} User records
+   */
+  async loadUsers() {
+    return this.withRetry(() => this.storage.listRecords(COLLECTIONS.users), 'load users');
+  }
+
+  /**
+   * Load a single user record
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object|null>} User record or null if missing
+   */
+  async loadUser(userId) {
+    return this.withRetry(() => this.storage.getRecord(COLLECTIONS.users, userId), 'load user');
+  }
+
+  /**
+   * Create or overwrite a user record
+   * @param {Object} user - User record (must include id)
+   * @returns {Promise<Object>} Saved user record
+   */
+  async saveUser(user) {
+    const finalUser = { ...user, updated_at: new Date().toISOString() };
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.users, user.id, finalUser), 'save user');
+    return finalUser;
+  }
+
+  /**
+   * Load every API token record (see lib/apiTokens.js)
+   * @returns {Promise<Array<Object>>} Token records, hashes included
+   */
+  async loadApiTokens() {
+    return this.withRetry(() => this.storage.listRecords(COLLECTIONS.apiTokens), 'load API tokens');
+  }
+
+  /**
+   * Load a single API token record
+   * @param {string} tokenId - Token id
+   * @returns {Promise<Object|null>} Token record or null if missing
+   */
+  async loadApiToken(tokenId) {
+    return this.withRetry(() => this.storage.getRecord(COLLECTIONS.apiTokens, tokenId), 'load API token');
+  }
+
+  /**
+   * Create or overwrite an API token record
+   * @param {Object} token - Token record (must include id)
+   * @returns {Promise<Object>} Saved token record
+   */
+  async saveApiToken(token) {
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.apiTokens, token.id, token), 'save API token');
+    return token;
+  }
+
+  /**
+   * Load job history records (see lib/jobHistory.js)
+   * @returns {Promise<Array<Object>>} Job runs, logs included
+   */
+  async loadJobRuns() {
+    return this.withRetry(() => this.storage.listRecords(COLLECTIONS.jobRuns), 'load job runs');
+  }
+
+  /**
+   * Load a single job run
+   * @param {string} runId - Job run id
+   * @returns {Promise<Object|null>} Job run or null if missing
+   */
+  async loadJobRun(runId) {
+    return this.withRetry(() => this.storage.getRecord(COLLECTIONS.jobRuns, runId), 'load job run');
+  }
+
+  /**
+   * Create or overwrite a job run
+   * @param {Object} run - Job run (must include id)
+   * @returns {Promise<Object>} Saved job run
+   */
+  async saveJobRun(run) {
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.jobRuns, run.id, run), 'save job run');
+    return run;
+  }
+
+  /**
+   * Delete a job run
+   * @param {string} runId - Job run id
+   */
+  async deleteJobRun(runId) {
+    await this.withRetry(() => this.storage.deleteRecord(COLLECTIONS.jobRuns, runId), 'delete job run');
+  }
+
+  /**
+   * Load every cached problem metadata record (see lib/problemMetadata.js)
+   * @returns {Promise<Array<Object>>} Records, id = problem slug
+   */
+  async loadProblemMetadata() {
+    return this.withRetry(() => this.storage.listRecords(COLLECTIONS.problemMetadata), 'load problem metadata');
+  }
+
+  /**
+   * Create or overwrite a problem's metadata
+   * @param {Object} record - Metadata record (must include slug)
+   * @returns {Promise<Object>} Saved record
+   */
+  async saveProblemMetadata(record) {
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.problemMetadata, record.slug, record), 'save problem metadata');
+    return record;
+  }
+
+  /**
+   * Load every saved study plan (see lib/planService.js)
+   * @returns {Promise<Array<Object>>} Plan records, id = plan id
+   */
+  async loadPlans() {
+    return this.withRetry(() => this.storage.listRecords(COLLECTIONS.plans), 'load plans');
+  }
+
+  /**
+   * Load a saved study plan
+   * @param {string} planId - Plan id
+   * @returns {Promise<Object|null>} Plan record (latest version) or null if unknown
+   */
+  async loadPlan(planId) {
+    return this.withRetry(() => this.storage.getRecord(COLLECTIONS.plans, planId), 'load plan');
+  }
+
+  /**
+   * Create or overwrite a study plan's latest version
+   * @param {Object} plan - Plan record (must include id)
+   * @returns {Promise<Object>} Saved record
+   */
+  async savePlan(plan) {
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.plans, plan.id, plan), 'save plan');
+    return plan;
+  }
+
+  /**
+   * Load one saved version of a study plan
+   * @param {string} planId - Plan id
+   * @param {number} version - Plan version
+   * @returns {Promise<Object|null>} Plan record as it was at that version, or null
+   */
+  async loadPlanVersion(planId, version) {
+    return this.withRetry(() => this.storage.getRecord(COLLECTIONS.planVersions, `${planId}-v${version}`), 'load plan version');
+  }
+
+  /**
+   * Keep a snapshot of a study plan version
+   * @param {Object} plan - Plan record (must include id and version)
+   * @returns {Promise<Object>} Saved record
+   */
+  async savePlanVersion(plan) {
+    await this.withRetry(() => this.storage.setRecord(COLLECTIONS.planVersions, `${plan.id}-v${plan.version}`, plan), 'save plan version');
+    return plan;
+  }
+
+  /**
+   * Record a system design email send (or failure)
+   * @param {Object} entry - Log entry
+   * @returns {Promise<string>} Record id
+   */
+  async logSystemDesignEmail(entry) {
+    return this.storage.addRecord(COLLECTIONS.systemDesignEmails, entry);
+  }
+
+  /**
+   * Append events to a user's solve history (see lib/historyLog.js)
+   * @param {Array<Object>} events - Events from HistoryLog.createEvent
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} Number of events written
+   */
+  async appendHistory(events, userId = this.userId) {
+    const collectionPath = HistoryLog.collectionFor(userId);
+    for (const event of events) {
+      await this.withRetry(
+        () => this.storage.setRecord(collectionPath, HistoryLog.eventId(event), event),
+        'append history'
+      );
+    }
+    return events.length;
+  }
+
+  /**
+   * Load a user's solve history
+   * @param {string} userId - User identifier
+   * @param {Object} filters - { from, to, topic, type, slug, source }
+   * @returns {Promise<Array<Object>>} Matching events, oldest first
+   */
+  async loadHistory(userId = this.userId, filters = {}) {
+    const events = await this.withRetry(
+      () => this.storage.listRecords(HistoryLog.collectionFor(userId)),
+      'load history'
+    );
+    return HistoryLog.filter(events, filters);
   }
 
   /**
@@ -449,10 +883,10 @@ class DatabaseService {
     try {
       // Try to read settings to test connection
       await this.loadSettings();
-      console.log('🔥 Firebase Firestore connection successful!');
+      log.info(`🔥 ${this.storage.name} storage connection successful!`);
       return true;
     } catch (error) {
-      console.error('❌ Firebase connection failed:', error.message);
+      log.error(`❌ ${this.storage.name} storage connection failed:`, error.message);
       return false;
     }
   }
@@ -479,8 +913,11 @@ module.exports = {
   // Constants
   DEFAULT_SETTINGS,
   DEFAULT_PROGRESS,
-  systemDesignCollection,
-  systemDesignEmailsCollection,
+  COLLECTIONS,
+  PLAN_ID_PATTERN,
+  CURRENT_SCHEMA_VERSION,
+  // Classes
+  DatabaseService,
   // Validation
   DataValidator
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * History Log
+ *
+ * Append-only log of what was assigned and solved, kept next to the compact
+ * progress document (which only holds the current batch and review queue).
+ *
+ * Each event is one record in users/{userId}/history:
+ *   { type, slug, date, sentDate, kind, topic, solvedTimestamp, attempts, language, source, until, recordedAt }
+ * - assigned: a problem went out in the daily email (kind: new, repeat or review)
+ * - solved:   first accepted submission after assignment, or marked solved by hand
+ * - reviewed: accepted submission for a problem out for review, or marked reviewed by hand
+ * - skipped:  dropped by hand without solving it
+ * - snoozed:  put off by hand until a later date
+ * source says where solves and manual actions came from: 'leetcode' for
+ * submissions, else the dashboard, CLI or API (lib/problemActions.js).
+ *
+ * Event ids are derived from (date, type, slug), so re-recording the same
+ * event after a retry overwrites it with identical data instead of duplicating it.
+ */
+
+const { ValidationError } = require('./dataValidator');
+
+const HISTORY_EVENT_TYPES = ['assigned', 'solved', 'reviewed', 'skipped', 'snoozed'];
+const ASSIGNMENT_KINDS = ['new', 'repeat', 'review'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class HistoryLog {
+
+  /**
+   * Collection path for a user's history
+   * @param {string} userId - User identifier
+   * @returns {string} Collection path
+   */
+  static collectionFor(userId) {
+    return `users/${userId}/history`;
+  }
+
+  /**
+   * Create a history event
+   * @param {string} type - One of HISTORY_EVENT_TYPES
+   * @param {Object} fields - { slug, date, sentDate, kind, topic, solvedTimestamp, attempts, language, source, until }
+   * @returns {Object} Event ready to store
+   * @throws {ValidationError} If the event is malformed
+   */
+  static createEvent(type, fields) {
+    const context = 'history event';
+
+    if (!HISTORY_EVENT_TYPES.includes(type)) {
+      throw new ValidationError(`Must be one of: ${HISTORY_EVENT_TYPES.join(', ')}`, 'type', type, context);
+    }
+    if (!fields.slug || typeof fields.slug !== 'string') {
+      throw new ValidationError('Must be non-empty string', 'slug', fields.slug, context);
+    }
+    if (!DATE_PATTERN.test(fields.date || '')) {
+      throw new ValidationError('Must be YYYY-MM-DD', 'date', fields.date, context);
+    }
+    if (fields.kind !== undefined && !ASSIGNMENT_KINDS.includes(fields.kind)) {
+      throw new ValidationError(`Must be one of: ${ASSIGNMENT_KINDS.join(', ')}`, 'kind', fields.kind, context);
+    }
+
+    // Only keep defined fields - Firestore rejects undefined values
+    const event = { type };
+    ['slug', 'date', 'sentDate', 'kind', 'topic', 'solvedTimestamp', 'attempts', 'language', 'source', 'until'].forEach(field => {
+      if (fields[field] !== undefined && fields[field] !== null) {
+        event[field] = fields[field];
+      }
+    });
+    event.recordedAt = new Date().toISOString();
+
+    return event;
+  }
+
+  /**
+   * Deterministic record id for an event
+   * @param {Object} event - History event
+   * @returns {string} Record id
+   */
+  static eventId(event) {
+    return `${event.date}_${event.type}_${event.slug}`;
+  }
+
+  /**
+   * Filter and sort history events
+   * @param {Array<Object>} events - Events from storage
+   * @param {Object} filters - { from, to, topic, type, slug, source } - all optional, dates inclusive
+   * @returns {Array<Object>} Matching events, oldest first
+   */
+  static filter(events, filters = {}) {
+    const { from, to, topic, type, slug, source } = filters;
+    const topicLower = topic ? topic.toLowerCase() : null;
+
+    return events
+      .filter(e => !from || e.date >= from)
+      .filter(e => !to || e.date <= to)
+      .filter(e => !type || e.type === type)
+      .filter(e => !slug || e.slug === slug)
+      .filter(e => !source || e.source === source)
+      .filter(e => !topicLower || (e.topic || '').toLowerCase() === topicLower)
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.recordedAt || '').localeCompare(b.recordedAt || ''));
+  }
+
+  /**
+   * Validate /api/history query filters
+   * @param {Object} query - Raw query parameters
+   * @returns {Object} Clean filters
+   * @throws {ValidationError} If a filter is malformed
+   */
+  static parseFilters(query = {}) {
+    const context = 'history filters';
+    const filters = {};
+
+    ['from', 'to'].forEach(field => {
+      if (query[field] === undefined) return;
+      if (!DATE_PATTERN.test(query[field])) {
+        throw new ValidationError('Must be YYYY-MM-DD', field, query[field], context);
+      }
+      filters[field] = query[field];
+    });
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new ValidationError('Must not be after "to"', 'from', filters.from, context);
+    }
+
+    if (query.type !== undefined) {
+      if (!HISTORY_EVENT_TYPES.includes(query.type)) {
+        throw new ValidationError(`Must be one of: ${HISTORY_EVENT_TYPES.join(', ')}`, 'type', query.type, context);
+      }
+      filters.type = query.type;
+    }
+
+    if (query.topic) filters.topic = String(query.topic);
+    if (query.slug) filters.slug = String(query.slug);
+    if (query.source) filters.source = String(query.source);
+
+    return filters;
+  }
+}
+
+module.exports = { HistoryLog, HISTORY_EVENT_TYPES, ASSIGNMENT_KINDS };
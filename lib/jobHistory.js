@@ -0,0 +1,286 @@
+/**
+ * Job History
+ *
+ * Keeps a record of every run of a scheduled job - the daily routine, evening
+ * reminder, weekly summary and the dashboard's tracker test - so a run that
+ * misbehaved at 2 AM can still be looked at later. Served by /api/runs and the
+ * dashboard's Run history page.
+ *
+ * One record per run in COLLECTIONS.jobRuns:
+ *   { id, job, trigger, requestId, status, startedAt, finishedAt, durationMs, outcome,
+ *     users, problemsSent, reliability, error, log, logTruncated }
+ * - trigger:     what started it - 'cron', 'github-actions', 'api', 'cli', ...
+ * - requestId:   correlation id of the HTTP request that started it, if any
+ * - users:       per-user results, e.g. { userId, outcome, problems }
+ * - reliability: LeetCode API calls, retries and cold-start waits during the run,
+ *                from ReliabilityService.getMetrics() before and after
+ * - log:         everything logged under the run's correlation id (its run id),
+ *                { at, level, message, component, userId } - see lib/logger.js;
+ *                userId marks lines logged while working for one user
+ *
+ * Users only see their own part of a run (JobHistory.forUser): runs they were
+ * in, or that reached no user, with the other users' results and log lines left out.
+ *
+ * The record is written when the run starts (status 'running') so a run that
+ * never finishes still shows up, and again when it ends. The log is capped at
+ * MAX_LOG_LINES lines and MAX_LOG_BYTES in all, well under Firestore's 1 MiB
+ * document limit; if the finished run still can't be saved it is saved again
+ * without its log. prune() keeps the newest JOB_HISTORY_MAX_RUNS runs - the
+ * daily routine calls it once a day rather than every job after every run.
+ * Each finished run is also counted and timed on /metrics (lib/metrics.js).
+ */
+
+const crypto = require('crypto');
+const { databaseService } = require('./firebase');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child('job-history');
+
+const JOB_STATUSES = ['running', 'succeeded', 'failed'];
+const DEFAULT_MAX_RUNS = 200;
+const MAX_LOG_LINES = 2000;
+const MAX_LOG_LINE_LENGTH = 2000;
+const MAX_LOG_BYTES = 512 * 1024;
+
+class JobHistory {
+  /**
+   * @param {DatabaseService} db - Database service (defaults to the shared one)
+   * @param {Object} options - { maxRuns } to keep (defaults to JOB_HISTORY_MAX_RUNS or 200)
+   */
+  constructor(db = databaseService, options = {}) {
+    this.db = db;
+    this.maxRuns = options.maxRuns || parseInt(process.env.JOB_HISTORY_MAX_RUNS) || DEFAULT_MAX_RUNS;
+  }
+
+  /**
+   * Id of a job run - sorts by start time
+   */
+  static createRunId(job, startedAt) {
+    const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return `${stamp}-${job}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Collect what is logged under a correlation id until stop() is called
+   * Overlapping runs each get only their own lines.
+   * @param {string} correlationId - The run's correlation id
+   * @param {number} maxLines - Lines to keep; later lines are counted in `dropped`
+   * @param {number} maxBytes - Total size of the kept lines as JSON; lines past it are dropped too
+   * @returns {Object} { lines, bytes, dropped, stop }
+   */
+  static captureLog(correlationId, maxLines = MAX_LOG_LINES, maxBytes = MAX_LOG_BYTES) {
+    const capture = { lines: [], bytes: 0, dropped: 0 };
+    const unsubscribe = logger.subscribe(entry => {
+      if (capture.lines.length >= maxLines || capture.bytes >= maxBytes) {
+        capture.dropped++;
+        return;
+      }
+      const line = { at: entry.time, level: entry.level, message: entry.msg.slice(0, MAX_LOG_LINE_LENGTH) };
+      if (entry.component) {
+        line.component = entry.component;
+      }
+      if (entry.userId) {
+        line.userId = entry.userId;
+      }
+      const size = Buffer.byteLength(JSON.stringify(line));
+      if (capture.bytes + size > maxBytes) {
+        capture.bytes = maxBytes;
+        capture.dropped++;
+        return;
+      }
+      capture.bytes += size;
+      capture.lines.push(line);
+    }, { correlationId });
+
+    capture.stop = unsubscribe;
+    return capture;
+  }
+
+  /**
+   * A run as one user may see it
+   * @param {Object} run - Job run
+   * @param {string} userId - User id
+   * @returns {Object|null} The run without other users' results and log lines;
+   *   null if it ran for other users only
+   */
+  static forUser(run, userId) {
+    const users = run.users || [];
+    if (users.length > 0 && !users.some(user => user.userId === userId)) {
+      return null;
+    }
+
+    const own = users.filter(user => user.userId === userId);
+    const view = { ...run, users: own, problemsSent: own.flatMap(user => user.problems || []) };
+    if (run.log) {
+      view.log = run.log.filter(line => !line.userId || line.userId === userId);
+    }
+    return view;
+  }
+
+  /**
+   * What the LeetCode API client went through between two getMetrics() snapshots
+   * @returns {Object|null} { apiCalls, retries, failedCalls, coldStarts, coldStartWaitMs, circuitBreakerState }
+   */
+  static reliabilityDelta(before, after) {
+    if (!before || !after) return null;
+
+    const diff = key => (after[key] || 0) - (before[key] || 0);
+    const finished = diff('totalSuccesses') + diff('totalFailures');
+    return {
+      apiCalls: finished,
+      retries: diff('totalAttempts') - finished,
+      failedCalls: diff('totalFailures'),
+      coldStarts: diff('coldStartsDetected'),
+      coldStartWaitMs: diff('coldStartWaitMs'),
+      circuitBreakerState: after.circuitBreakerState
+    };
+  }
+
+  /**
+   * Run a job and record it
+   * @param {string} job - Job name, e.g. 'daily-routine'
+   * @param {Object} options - { trigger, reliability } - reliability is the
+   *   ReliabilityService whose metrics the run should report
+   * @param {Function} fn - async () => result; a result of { outcome, users } is recorded
+   * @returns {Promise<Object>} The finished job run
+   * @throws The job's error, with the job run attached as error.jobRun
+   */
+  async track(job, { trigger = 'manual', reliability = null } = {}, fn) {
+    const startedAt = new Date();
+    let run = {
+      id: JobHistory.createRunId(job, startedAt),
+      job,
+      trigger,
+      status: 'running',
+      startedAt: startedAt.toISOString()
+    };
+    const requestId = logger.getCorrelationId();
+    if (requestId) {
+      run.requestId = requestId;
+    }
+    await this.save(run);
+
+    const before = reliability ? reliability.getMetrics() : null;
+    const capture = JobHistory.captureLog(run.id);
+    let result = null;
+    let error = null;
+    try {
+      result = await logger.withCorrelationId(run.id, fn);
+    } catch (jobError) {
+      error = jobError;
+    } finally {
+      capture.stop();
+    }
+
+    const finishedAt = new Date();
+    const users = (error ? error.results : result?.users) || [];
+    run = {
+      ...run,
+      status: error ? 'failed' : 'succeeded',
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      outcome: error ? 'failed' : (result?.outcome || 'completed'),
+      users,
+      problemsSent: users.flatMap(user => user.problems || []),
+      reliability: JobHistory.reliabilityDelta(before, reliability ? reliability.getMetrics() : null),
+      log: capture.lines,
+      logTruncated: capture.dropped
+    };
+    if (error) {
+      run.error = error.message;
+    }
+
+    metrics.jobRuns.inc({ job, trigger, status: run.status });
+    metrics.jobDuration.observe({ job, status: run.status }, run.durationMs / 1000);
+    if (!error) {
+      metrics.jobLastSuccess.set({ job }, finishedAt.getTime() / 1000);
+    }
+
+    if (!(await this.save(run))) {
+      // Don't leave it 'running' - the outcome matters more than the log
+      await this.save({ ...run, log: [], logTruncated: capture.lines.length + capture.dropped });
+    }
+
+    if (error) {
+      error.jobRun = run;
+      throw error;
+    }
+    return run;
+  }
+
+  /**
+   * Save a run without letting a storage problem fail the job itself
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  async save(run) {
+    try {
+      await this.db.saveJobRun(run);
+      return true;
+    } catch (error) {
+      log.error(`⚠️ Failed to record job run ${run.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Drop the oldest runs beyond maxRuns
+   * Loads every run, so it runs once a day from the daily routine, not after each job.
+   * @returns {Promise<number>} Runs deleted
+   */
+  async prune() {
+    try {
+      const runs = await this.db.loadJobRuns();
+      const stale = runs
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(this.maxRuns);
+      for (const run of stale) {
+        await this.db.deleteJobRun(run.id);
+      }
+      return stale.length;
+    } catch (error) {
+      log.error('⚠️ Failed to prune job history:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * List runs, newest first, without their logs
+   * @param {Object} filters - { job, status, trigger, userId, limit } (limit defaults to 50);
+   *   with userId, only that user's part of each run (see forUser)
+   * @returns {Promise<Array<Object>>} Run summaries with logLines instead of log
+   */
+  async listRuns({ job, status, trigger, userId, limit = 50 } = {}) {
+    const runs = await this.db.loadJobRuns();
+    return runs
+      .filter(run => (!job || run.job === job) &&
+        (!status || run.status === status) &&
+        (!trigger || run.trigger === trigger))
+      .map(run => (userId ? JobHistory.forUser(run, userId) : run))
+      .filter(Boolean)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit)
+      .map(({ log, ...summary }) => ({ ...summary, logLines: (log || []).length }));
+  }
+
+  /**
+   * Load one run with its log
+   * @param {string} runId - Job run id
+   * @param {string} userId - Only this user's part of the run (see forUser), if given
+   * @returns {Promise<Object|null>} Job run or null if unknown (or not the user's)
+   */
+  async getRun(runId, userId = null) {
+    const run = await this.db.loadJobRun(runId);
+    return run && userId ? JobHistory.forUser(run, userId) : run;
+  }
+}
+
+// Create singleton instance
+const jobHistory = new JobHistory();
+
+module.exports = {
+  jobHistory,
+  JobHistory,
+  JOB_STATUSES,
+  MAX_LOG_BYTES
+};
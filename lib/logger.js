@@ -0,0 +1,203 @@
+/**
+ * Logger
+ *
+ * Levelled logging for the tracker, the server and the system design sender.
+ * Each subsystem logs through a child logger that names it:
+ *   const log = logger.child('tracker');
+ *   log.info(`✅ Daily routine completed for ${user.id}`);
+ *   log.warn('⚠️ API attempt failed:', error.message);
+ *
+ * Output:
+ * - pretty (default): the message as written, on the console - what the
+ *   emoji logs always looked like
+ * - json (default when NODE_ENV=production): one JSON object per line,
+ *   { time, level, msg, component, correlationId, ... }
+ * LOG_FORMAT and LOG_LEVEL (debug, info, warn, error) override the defaults.
+ *
+ * Correlation ids tie together everything logged by one job run or one HTTP
+ * request, across subsystems and awaits:
+ *   await logger.withCorrelationId(run.id, () => tracker.executeDailyRoutine());
+ * and logger.subscribe() follows the entries of one correlation id - this is
+ * how lib/jobHistory.js records a run's log.
+ *
+ * Work done for one user runs under logger.withUserId(user.id, fn), which adds
+ * userId to its entries so a multi-user run's log can be shown per user.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['pretty', 'json'];
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Correlation ids of the current async context, outermost first
+const correlationContext = new AsyncLocalStorage();
+// User the current async context works for
+const userContext = new AsyncLocalStorage();
+const subscribers = new Set();
+
+const settings = {
+  level: LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT :
+    (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')
+};
+
+class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every entry, e.g. { component: 'tracker' }
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger for a subsystem or with extra fields
+   * @param {string|Object} bindings - Component name, or fields to add
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    const extra = typeof bindings === 'string' ? { component: bindings } : bindings;
+    return new Logger({ ...this.bindings, ...extra });
+  }
+
+  debug(...args) { this.write('debug', args); }
+  info(...args) { this.write('info', args); }
+  warn(...args) { this.write('warn', args); }
+  error(...args) { this.write('error', args); }
+
+  /**
+   * Whether entries at a level are written to the output
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[settings.level];
+  }
+
+  write(level, args) {
+    const correlationIds = correlationContext.getStore() || [];
+    const listeners = Array.from(subscribers).filter(subscriber =>
+      LOG_LEVELS[level] >= LOG_LEVELS[subscriber.level] &&
+      (!subscriber.correlationId || correlationIds.includes(subscriber.correlationId)));
+    const output = this.isLevelEnabled(level);
+    if (!output && listeners.length === 0) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: util.format(...args).trim(),
+      ...this.bindings
+    };
+    if (correlationIds.length > 0) {
+      entry.correlationId = correlationIds[correlationIds.length - 1];
+    }
+    const userId = userContext.getStore();
+    if (userId) {
+      entry.userId = userId;
+    }
+    const error = args.find(arg => arg instanceof Error);
+    if (error) {
+      entry.error = { message: error.message, stack: error.stack };
+    }
+
+    if (output) {
+      const method = CONSOLE_METHODS[level];
+      if (settings.format === 'json') {
+        console[method](JSON.stringify(entry));
+      } else {
+        console[method](...args);
+      }
+    }
+
+    for (const subscriber of listeners) {
+      try {
+        subscriber.listener(entry);
+      } catch (listenerError) {
+        // A broken subscriber must not break the code that logged
+      }
+    }
+  }
+
+  /**
+   * Run fn with a correlation id; everything it logs, however deep, carries it
+   * Nested ids are kept - subscribers of the outer id still see inner entries.
+   * @param {string} correlationId - Id, e.g. a job run id or request id
+   * @param {Function} fn - () => result (may be async)
+   * @returns {*} fn's result
+   */
+  withCorrelationId(correlationId, fn) {
+    const outer = correlationContext.getStore() || [];
+    return correlationContext.run([...outer, correlationId], fn);
+  }
+
+  /**
+   * Run fn on behalf of a user; everything it logs carries the user id
+   * @param {string} userId - User id
+   * @param {Function} fn - () => result (may be async)
+   * @returns {*} fn's result
+   */
+  withUserId(userId, fn) {
+    return userContext.run(userId, fn);
+  }
+
+  /**
+   * Innermost correlation id of the current context
+   * @returns {string|null}
+   */
+  getCorrelationId() {
+    const ids = correlationContext.getStore();
+    return ids && ids.length > 0 ? ids[ids.length - 1] : null;
+  }
+
+  /**
+   * Random id for a request or routine
+   */
+  static createCorrelationId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Receive log entries as they are written
+   * @param {Function} listener - entry => void
+   * @param {Object} options - { correlationId, level } - only entries logged
+   *   under that correlation id (default: all), at or above level (default: info)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener, { correlationId = null, level = 'info' } = {}) {
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    const subscriber = { listener, correlationId, level };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  /**
+   * Change the output level or format
+   * @param {Object} options - { level, format }
+   */
+  configure({ level, format } = {}) {
+    if (level !== undefined) {
+      if (!LOG_LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+      settings.level = level;
+    }
+    if (format !== undefined) {
+      if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+      settings.format = format;
+    }
+  }
+
+  getSettings() {
+    return { ...settings };
+  }
+}
+
+// Root logger shared by every module
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
@@ -0,0 +1,297 @@
+/**
+ * Metrics
+ *
+ * Process-wide counters, gauges and histograms served at GET /metrics in the
+ * Prometheus text exposition format (version 0.0.4), so Grafana can alert when
+ * the daily pipeline breaks. Small enough not to need prom-client.
+ *
+ * Every metric the tracker exports is declared in `metrics` below; modules
+ * import it and record as they go, e.g.
+ *   metrics.emailsSent.inc({ type: 'daily-problems' });
+ *   metrics.jobDuration.observe({ job: 'daily-routine', status: 'succeeded' }, 42.1);
+ *
+ * Counters reset when the process restarts - Prometheus' rate() and
+ * increase() handle that.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child('metrics');
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 900];
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {job="daily-routine",status="failed"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity +Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Common label handling - one series per distinct label set
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  /**
+   * Series for a label set, created on first use
+   * @throws {Error} If labels don't match the declared label names
+   */
+  getSeries(labels, create) {
+    const names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || !this.labelNames.every(name => name in labels)) {
+      throw new Error(`${this.name} expects labels [${this.labelNames.join(', ')}], got [${names.join(', ')}]`);
+    }
+
+    const ordered = Object.fromEntries(this.labelNames.map(name => [name, String(labels[name])]));
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: ordered, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    this.reset();
+  }
+
+  get type() { return 'counter'; }
+
+  /**
+   * Clear every series; a metric without labels starts again at 0 so it is always exported
+   */
+  reset() {
+    super.reset();
+    if (this.labelNames.length === 0) {
+      this.getSeries({}, () => ({ value: 0 }));
+    }
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`${this.name} is a counter and cannot decrease`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.getSeries(labels, () => ({ value: 0 })).value;
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+class Gauge extends Counter {
+  get type() { return 'gauge'; }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() { return 'histogram'; }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observation, e.g. seconds
+   */
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run fn before every render, to refresh gauges that are read rather than recorded
+   * @param {Function} fn - () => void
+   */
+  addCollector(fn) {
+    this.collectors.push(fn);
+  }
+
+  /**
+   * Everything in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    for (const collect of this.collectors) {
+      try {
+        collect();
+      } catch (error) {
+        log.error('⚠️ Metrics collector failed:', error.message);
+      }
+    }
+    const lines = Array.from(this.metrics.values()).flatMap(metric => metric.render());
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Clear every series (for tests)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+// Shared registry and the tracker's metrics
+const registry = new MetricsRegistry();
+
+const metrics = {
+  // Scheduled jobs (recorded by lib/jobHistory.js)
+  jobRuns: registry.counter('tracker_job_runs_total',
+    'Scheduled job runs by job, trigger and final status', ['job', 'trigger', 'status']),
+  jobDuration: registry.histogram('tracker_job_duration_seconds',
+    'Scheduled job run duration in seconds', ['job', 'status']),
+  jobLastSuccess: registry.gauge('tracker_job_last_success_timestamp_seconds',
+    'Unix time the job last finished successfully', ['job']),
+
+  // Notifications (EmailService.sendEmail)
+  emailsSent: registry.counter('tracker_emails_sent_total',
+    'Notifications delivered, by message type', ['type']),
+  emailsFailed: registry.counter('tracker_emails_failed_total',
+    'Notifications that failed on every channel, by message type', ['type']),
+
+  // Solves - increase(tracker_problems_solved_total[1d]) gives solves per day; source is
+  // 'leetcode' when detected from submissions, or where a manual solve came from
+  problemsSolved: registry.counter('tracker_problems_solved_total',
+    'Assigned problems solved, by user and source', ['user', 'source']),
+  problemActions: registry.counter('tracker_problem_actions_total',
+    'Manual solve, skip and snooze actions by source', ['action', 'source']),
+
+  // Storage (DatabaseService.withRetry)
+  dbRetries: registry.counter('tracker_db_retries_total',
+    'Storage operations retried after a failed attempt', ['operation']),
+  dbFailures: registry.counter('tracker_db_failures_total',
+    'Storage operations that failed after every retry', ['operation']),
+
+  // LeetCode API (ReliabilityService)
+  apiAttempts: registry.counter('leetcode_api_attempts_total', 'LeetCode API call attempts, retries included'),
+  apiSuccesses: registry.counter('leetcode_api_successes_total', 'LeetCode API calls that succeeded'),
+  apiFailures: registry.counter('leetcode_api_failures_total', 'LeetCode API calls that failed after every retry'),
+  apiColdStarts: registry.counter('leetcode_api_cold_starts_total', 'Cold start errors seen from the LeetCode API'),
+  apiColdStartWait: registry.counter('leetcode_api_cold_start_wait_seconds_total',
+    'Time spent backing off after LeetCode API cold starts'),
+  circuitBreakerTrips: registry.counter('leetcode_api_circuit_breaker_trips_total', 'Times the circuit breaker opened'),
+  circuitBreakerState: registry.gauge('leetcode_api_circuit_breaker_state',
+    '1 for the circuit breaker\'s current state, 0 for the others', ['state']),
+
+  // Process (as reported by /health)
+  uptime: registry.gauge('process_uptime_seconds', 'Seconds since the process started'),
+  heapUsed: registry.gauge('process_heap_used_bytes', 'V8 heap in use'),
+  residentMemory: registry.gauge('process_resident_memory_bytes', 'Resident set size')
+};
+
+registry.addCollector(() => {
+  const memory = process.memoryUsage();
+  metrics.uptime.set({}, process.uptime());
+  metrics.heapUsed.set({}, memory.heapUsed);
+  metrics.residentMemory.set({}, memory.rss);
+});
+
+module.exports = {
+  registry,
+  metrics,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
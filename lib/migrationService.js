@@ -5,10 +5,19 @@
  * Built to handle data structure evolution while preserving user progress.
  * 
  * Critical for ADHD user - must never lose progress data during updates.
+ *
+ * The schema version lives in progress.schemaVersion; progress.version is the
+ * revision counter DatabaseService bumps on every write.
  */
 
 const { DateUtils } = require('./dateUtils');
 const { DataValidator, ValidationError } = require('./dataValidator');
+const { logger } = require('./logger');
+
+const log = logger.child('migrations');
+
+// Schema version every load migrates progress to
+const CURRENT_SCHEMA_VERSION = '2.3.0';
 
 /**
  * Migration error with rollback capability
@@ -36,15 +45,15 @@ class Migration {
   }
 
   async apply(data, context = 'unknown') {
-    console.log(`🔄 Applying migration ${this.version}: ${this.description}`);
+    log.info(`🔄 Applying migration ${this.version}: ${this.description}`);
     
     try {
       const result = await this.migrateFn(data, context);
       this.appliedAt = new Date().toISOString();
-      console.log(`✅ Migration ${this.version} completed successfully`);
+      log.info(`✅ Migration ${this.version} completed successfully`);
       return result;
     } catch (error) {
-      console.error(`❌ Migration ${this.version} failed: ${error.message}`);
+      log.error(`❌ Migration ${this.version} failed: ${error.message}`);
       throw new MigrationError(error.message, 'unknown', this.version);
     }
   }
@@ -54,14 +63,14 @@ class Migration {
       throw new MigrationError('No rollback function defined', this.version, 'unknown');
     }
 
-    console.log(`🔄 Rolling back migration ${this.version}: ${this.description}`);
+    log.info(`🔄 Rolling back migration ${this.version}: ${this.description}`);
     
     try {
       const result = await this.rollbackFn(data, context);
-      console.log(`✅ Rollback ${this.version} completed successfully`);
+      log.info(`✅ Rollback ${this.version} completed successfully`);
       return result;
     } catch (error) {
-      console.error(`❌ Rollback ${this.version} failed: ${error.message}`);
+      log.error(`❌ Rollback ${this.version} failed: ${error.message}`);
       throw new MigrationError(`Rollback failed: ${error.message}`, this.version, 'unknown');
     }
   }
@@ -91,7 +100,7 @@ class MigrationRegistry {
     }
 
     this.migrations.set(migration.version, migration);
-    console.log(`📝 Registered migration ${migration.version}: ${migration.description}`);
+    log.debug(`📝 Registered migration ${migration.version}: ${migration.description}`);
   }
 
   /**
@@ -169,6 +178,14 @@ class MigrationService {
       this.rollbackV22ToV21.bind(this)
     ));
 
+    // Migration 2.2 → 2.3: Track study plan progress by slug, per plan
+    this.registry.register(new Migration(
+      '2.3.0',
+      'Replace studyPlanPosition with per-plan assigned slugs',
+      this.migrateV22ToV23.bind(this),
+      this.rollbackV23ToV22.bind(this)
+    ));
+
     // Future migration template
     this.registry.register(new Migration(
       '3.0.0',
@@ -182,7 +199,7 @@ class MigrationService {
    * Migration V1 → V2: Legacy progress.json to modern format
    */
   async migrateV1ToV2(oldData, context) {
-    console.log('🔄 Migrating V1 (legacy) to V2 (sentProblems format)...');
+    log.info('🔄 Migrating V1 (legacy) to V2 (sentProblems format)...');
     
     // Validate old format
     if (!oldData || typeof oldData !== 'object') {
@@ -199,9 +216,9 @@ class MigrationService {
       const currentIndex = orderedProblems.findIndex(p => p.slug === oldData.lastSlug);
       if (currentIndex !== -1) {
         studyPlanPosition = currentIndex + 1; // Next problem after last completed
-        console.log(`📍 Found last slug "${oldData.lastSlug}" at position ${currentIndex}`);
+        log.info(`📍 Found last slug "${oldData.lastSlug}" at position ${currentIndex}`);
       } else {
-        console.warn(`⚠️ Last slug "${oldData.lastSlug}" not found in current study plan`);
+        log.warn(`⚠️ Last slug "${oldData.lastSlug}" not found in current study plan`);
         // Use existing position or start from 0
         studyPlanPosition = oldData.studyPlanPosition || 0;
       }
@@ -224,9 +241,9 @@ class MigrationService {
       pendingQueue: [],
       settingsAtSendTime: {
         num_questions: 1, // Default for V1
-        timestamp: oldData.lastSentDate
+        timestamp: oldData.lastSentDate || null
       },
-      version: '2.0.0',
+      schemaVersion: '2.0.0',
       migrationHistory: [{
         fromVersion: '1.0.0',
         toVersion: '2.0.0',
@@ -239,7 +256,7 @@ class MigrationService {
     // Validate new format
     DataValidator.validate(migratedData, 'progress-data', `${context} migration v1→v2`);
     
-    console.log(`✅ V1→V2 migration completed. Position: ${studyPlanPosition}, Problems: ${migratedData.sentProblems.length}`);
+    log.info(`✅ V1→V2 migration completed. Position: ${studyPlanPosition}, Problems: ${migratedData.sentProblems.length}`);
     return migratedData;
   }
 
@@ -247,7 +264,7 @@ class MigrationService {
    * Rollback V2 → V1: Extract original data from migration history
    */
   async rollbackV2ToV1(v2Data, context) {
-    console.log('🔄 Rolling back V2 to V1 format...');
+    log.info('🔄 Rolling back V2 to V1 format...');
     
     if (!v2Data.migrationHistory || v2Data.migrationHistory.length === 0) {
       throw new Error('No migration history found for rollback');
@@ -258,7 +275,7 @@ class MigrationService {
       throw new Error('Original V1 data not found in migration history');
     }
 
-    console.log(`✅ V2→V1 rollback completed`);
+    log.info(`✅ V2→V1 rollback completed`);
     return originalMigration.originalData;
   }
 
@@ -266,15 +283,15 @@ class MigrationService {
    * Migration V2 → V2.1: Add version tracking
    */
   async migrateV2ToV21(v2Data, context) {
-    console.log('🔄 Migrating V2.0 to V2.1 (adding version tracking)...');
+    log.info('🔄 Migrating V2.0 to V2.1 (adding version tracking)...');
     
     const migratedData = {
       ...v2Data,
-      version: '2.1.0',
+      schemaVersion: '2.1.0',
       migrationHistory: [
         ...(v2Data.migrationHistory || []),
         {
-          fromVersion: v2Data.version || '2.0.0',
+          fromVersion: v2Data.schemaVersion || '2.0.0',
           toVersion: '2.1.0',
           migratedAt: new Date().toISOString(),
           changes: ['Added version field', 'Enhanced migration history']
@@ -283,7 +300,7 @@ class MigrationService {
       lastModified: new Date().toISOString()
     };
 
-    console.log(`✅ V2.0→V2.1 migration completed`);
+    log.info(`✅ V2.0→V2.1 migration completed`);
     return migratedData;
   }
 
@@ -291,16 +308,17 @@ class MigrationService {
    * Rollback V2.1 → V2.0
    */
   async rollbackV21ToV2(v21Data, context) {
-    console.log('🔄 Rolling back V2.1 to V2.0...');
+    log.info('🔄 Rolling back V2.1 to V2.0...');
     
-    const { version, migrationHistory, ...v2Data } = v21Data;
+    const { schemaVersion, migrationHistory, ...v2Data } = v21Data;
+    v2Data.schemaVersion = '2.0.0';
     
     // Remove the last migration from history
     if (migrationHistory && migrationHistory.length > 0) {
       v2Data.migrationHistory = migrationHistory.slice(0, -1);
     }
 
-    console.log(`✅ V2.1→V2.0 rollback completed`);
+    log.info(`✅ V2.1→V2.0 rollback completed`);
     return v2Data;
   }
 
@@ -308,7 +326,7 @@ class MigrationService {
    * Migration V2.1 → V2.2: Validate and fix timestamps
    */
   async migrateV21ToV22(v21Data, context) {
-    console.log('🔄 Migrating V2.1 to V2.2 (timestamp validation)...');
+    log.info('🔄 Migrating V2.1 to V2.2 (timestamp validation)...');
     
     const migratedData = { ...v21Data };
     let fixedTimestamps = 0;
@@ -320,7 +338,7 @@ class MigrationService {
           try {
             DateUtils.parseDateString(problem.sentDate, `sentProblems[${index}].sentDate`);
           } catch (error) {
-            console.warn(`⚠️ Fixing invalid sentDate for ${problem.slug}: ${problem.sentDate}`);
+            log.warn(`⚠️ Fixing invalid sentDate for ${problem.slug}: ${problem.sentDate}`);
             problem.sentDate = DateUtils.getTodayString();
             fixedTimestamps++;
           }
@@ -330,7 +348,7 @@ class MigrationService {
           try {
             DateUtils.parseDateString(problem.solvedTimestamp, `sentProblems[${index}].solvedTimestamp`);
           } catch (error) {
-            console.warn(`⚠️ Removing invalid solvedTimestamp for ${problem.slug}: ${problem.solvedTimestamp}`);
+            log.warn(`⚠️ Removing invalid solvedTimestamp for ${problem.slug}: ${problem.solvedTimestamp}`);
             delete problem.solvedTimestamp;
             fixedTimestamps++;
           }
@@ -338,7 +356,7 @@ class MigrationService {
       });
     }
 
-    migratedData.version = '2.2.0';
+    migratedData.schemaVersion = '2.2.0';
     migratedData.migrationHistory = [
       ...(migratedData.migrationHistory || []),
       {
@@ -350,7 +368,7 @@ class MigrationService {
     ];
     migratedData.lastModified = new Date().toISOString();
 
-    console.log(`✅ V2.1→V2.2 migration completed. Fixed ${fixedTimestamps} timestamps`);
+    log.info(`✅ V2.1→V2.2 migration completed. Fixed ${fixedTimestamps} timestamps`);
     return migratedData;
   }
 
@@ -358,17 +376,83 @@ class MigrationService {
    * Rollback V2.2 → V2.1
    */
   async rollbackV22ToV21(v22Data, context) {
-    console.log('🔄 Rolling back V2.2 to V2.1...');
+    log.info('🔄 Rolling back V2.2 to V2.1...');
     
     const migratedData = { ...v22Data };
-    migratedData.version = '2.1.0';
+    migratedData.schemaVersion = '2.1.0';
     
     // Remove the last migration from history
     if (migratedData.migrationHistory && migratedData.migrationHistory.length > 0) {
       migratedData.migrationHistory = migratedData.migrationHistory.slice(0, -1);
     }
 
-    console.log(`✅ V2.2→V2.1 rollback completed`);
+    log.info(`✅ V2.2→V2.1 rollback completed`);
+    return migratedData;
+  }
+
+  /**
+   * Migration V2.2 → V2.3: studyPlanPosition (an index into the bundled plan)
+   * becomes planProgress.default.assigned, the slugs it had passed plus
+   * anything already sent or queued
+   */
+  async migrateV22ToV23(v22Data, context) {
+    log.info('🔄 Migrating V2.2 to V2.3 (per-plan progress by slug)...');
+
+    const { StudyPlanHelper } = require('../study-plan');
+    const { studyPlanPosition = 0, ...migratedData } = v22Data;
+    const passed = StudyPlanHelper.getOrderedProblemList()
+      .slice(0, studyPlanPosition)
+      .map(problem => problem.slug);
+    const existing = v22Data.planProgress?.default?.assigned || [];
+    const assigned = [...new Set([
+      ...existing,
+      ...passed,
+      ...(v22Data.sentProblems || []).map(problem => problem.slug),
+      ...(v22Data.pendingQueue || [])
+    ])];
+
+    migratedData.planProgress = {
+      ...v22Data.planProgress,
+      default: { ...v22Data.planProgress?.default, assigned }
+    };
+    migratedData.schemaVersion = '2.3.0';
+    migratedData.migrationHistory = [
+      ...(migratedData.migrationHistory || []),
+      {
+        fromVersion: '2.2.0',
+        toVersion: '2.3.0',
+        migratedAt: new Date().toISOString(),
+        changes: [`Study plan position ${studyPlanPosition} became ${assigned.length} assigned slugs`]
+      }
+    ];
+    migratedData.lastModified = new Date().toISOString();
+
+    log.info(`✅ V2.2→V2.3 migration completed. ${assigned.length} problems assigned`);
+    return migratedData;
+  }
+
+  /**
+   * Rollback V2.3 → V2.2: the position is how far into the bundled plan the
+   * assigned slugs reach without a gap
+   */
+  async rollbackV23ToV22(v23Data, context) {
+    log.info('🔄 Rolling back V2.3 to V2.2...');
+
+    const { StudyPlanHelper } = require('../study-plan');
+    const { planProgress, ...migratedData } = v23Data;
+    const assigned = new Set(planProgress?.default?.assigned || []);
+    const ordered = StudyPlanHelper.getOrderedProblemList();
+    const gap = ordered.findIndex(problem => !assigned.has(problem.slug));
+
+    migratedData.studyPlanPosition = gap === -1 ? ordered.length : gap;
+    migratedData.schemaVersion = '2.2.0';
+
+    // Remove the last migration from history
+    if (migratedData.migrationHistory && migratedData.migrationHistory.length > 0) {
+      migratedData.migrationHistory = migratedData.migrationHistory.slice(0, -1);
+    }
+
+    log.info(`✅ V2.3→V2.2 rollback completed. Position: ${migratedData.studyPlanPosition}`);
     return migratedData;
   }
 
@@ -376,7 +460,7 @@ class MigrationService {
    * Placeholder migration for future use
    */
   async migratePlaceholder(data, context) {
-    console.log('🔄 Placeholder migration - no changes needed');
+    log.info('🔄 Placeholder migration - no changes needed');
     return data;
   }
 
@@ -390,7 +474,10 @@ class MigrationService {
       return '1.0.0'; // Assume legacy if invalid
     }
 
-    // Check for explicit version field
+    // Check for explicit version field (older data kept it in version)
+    if (data.schemaVersion && typeof data.schemaVersion === 'string') {
+      return data.schemaVersion;
+    }
     if (data.version && typeof data.version === 'string') {
       return data.version;
     }
@@ -405,7 +492,7 @@ class MigrationService {
     }
 
     // Default to current version if structure is unclear
-    return '2.2.0';
+    return CURRENT_SCHEMA_VERSION;
   }
 
   /**
@@ -414,7 +501,7 @@ class MigrationService {
    * @param {string} targetVersion - Desired version
    * @returns {boolean} True if migration needed
    */
-  needsMigration(data, targetVersion = '2.2.0') {
+  needsMigration(data, targetVersion = CURRENT_SCHEMA_VERSION) {
     const currentVersion = this.detectVersion(data);
     return currentVersion !== targetVersion;
   }
@@ -424,17 +511,18 @@ class MigrationService {
    * @param {Object} data - Data to migrate
    * @param {string} targetVersion - Target version
    * @param {string} context - Context for error reporting
+   * @param {Object} options - { beforeEach(migration, data) } awaited before each step, e.g. to write a checkpoint
    * @returns {Object} Migrated data
    */
-  async migrate(data, targetVersion = '2.2.0', context = 'unknown') {
+  async migrate(data, targetVersion = CURRENT_SCHEMA_VERSION, context = 'unknown', options = {}) {
     const currentVersion = this.detectVersion(data);
     
     if (currentVersion === targetVersion) {
-      console.log(`✅ Data already at version ${targetVersion}, no migration needed`);
+      log.info(`✅ Data already at version ${targetVersion}, no migration needed`);
       return data;
     }
 
-    console.log(`🚀 Starting migration from ${currentVersion} to ${targetVersion}`);
+    log.info(`🚀 Starting migration from ${currentVersion} to ${targetVersion}`);
 
     // Create backup
     const backup = {
@@ -452,12 +540,16 @@ class MigrationService {
         throw new MigrationError('No migration path found', currentVersion, targetVersion);
       }
 
-      console.log(`📋 Migration path: ${migrations.map(m => m.version).join(' → ')}`);
+      log.info(`📋 Migration path: ${migrations.map(m => m.version).join(' → ')}`);
 
       // Apply migrations in sequence
       let currentData = data;
       
       for (const migration of migrations) {
+        if (options.beforeEach) {
+          await options.beforeEach(migration, currentData);
+        }
+
         try {
           currentData = await migration.apply(currentData, context);
           
@@ -465,33 +557,33 @@ class MigrationService {
           DataValidator.validate(currentData, 'progress-data', `${context} after ${migration.version}`);
           
         } catch (error) {
-          console.error(`❌ Migration ${migration.version} failed, attempting rollback...`);
+          log.error(`❌ Migration ${migration.version} failed, attempting rollback...`);
           
           // Try to rollback this specific migration if possible
           if (migration.rollbackFn) {
             try {
               currentData = await migration.rollback(currentData, context);
             } catch (rollbackError) {
-              console.error(`💥 Rollback also failed: ${rollbackError.message}`);
+              log.error(`💥 Rollback also failed: ${rollbackError.message}`);
             }
           }
           
           // Restore from backup
-          console.log(`🔄 Restoring from backup...`);
+          log.info(`🔄 Restoring from backup...`);
           throw new MigrationError(error.message, currentVersion, targetVersion, backup);
         }
       }
 
-      console.log(`🎉 Migration completed successfully: ${currentVersion} → ${targetVersion}`);
+      log.info(`🎉 Migration completed successfully: ${currentVersion} → ${targetVersion}`);
       return currentData;
 
     } catch (error) {
       if (error instanceof MigrationError) {
-        console.error(`💥 Migration failed: ${error.message}`);
+        log.error(`💥 Migration failed: ${error.message}`);
         
         if (error.rollbackData) {
-          console.log(`🔄 Backup available for manual recovery`);
-          console.log(`🔄 Backup timestamp: ${error.rollbackData.timestamp}`);
+          log.info(`🔄 Backup available for manual recovery`);
+          log.info(`🔄 Backup timestamp: ${error.rollbackData.timestamp}`);
         }
         
         throw error;
@@ -506,11 +598,12 @@ class MigrationService {
    * @param {Object} data - Data to migrate
    * @param {string} targetVersion - Target version
    * @param {string} context - Context for error reporting
+   * @param {Object} options - Passed to migrate()
    * @returns {Object} Result with success flag and data/error
    */
-  async migrateSafe(data, targetVersion = '2.2.0', context = 'unknown') {
+  async migrateSafe(data, targetVersion = CURRENT_SCHEMA_VERSION, context = 'unknown', options = {}) {
     try {
-      const migratedData = await this.migrate(data, targetVersion, context);
+      const migratedData = await this.migrate(data, targetVersion, context, options);
       return {
         success: true,
         data: migratedData,
@@ -518,7 +611,7 @@ class MigrationService {
         error: null
       };
     } catch (error) {
-      console.error(`❌ Safe migration failed: ${error.message}`);
+      log.error(`❌ Safe migration failed: ${error.message}`);
       return {
         success: false,
         data: error.rollbackData ? error.rollbackData.data : data,
@@ -533,6 +626,29 @@ class MigrationService {
     }
   }
 
+  /**
+   * Undo the migration that produced the data's current version
+   * @param {Object} data - Data to roll back
+   * @param {string} context - Context for error reporting
+   * @returns {Object} { data, fromVersion, toVersion }
+   * @throws {MigrationError} If there is nothing to roll back or the rollback fails
+   */
+  async rollbackLatest(data, context = 'unknown') {
+    const currentVersion = this.detectVersion(data);
+    const migration = this.registry.migrations.get(currentVersion);
+
+    if (!migration) {
+      throw new MigrationError('Already at the oldest schema version', currentVersion, 'previous');
+    }
+
+    const rolledBack = await migration.rollback(data, context);
+    return {
+      data: rolledBack,
+      fromVersion: currentVersion,
+      toVersion: this.detectVersion(rolledBack)
+    };
+  }
+
   /**
    * Get migration status and recommendations
    * @param {Object} data - Data to analyze
@@ -540,7 +656,7 @@ class MigrationService {
    */
   getStatus(data) {
     const currentVersion = this.detectVersion(data);
-    const latestVersion = '2.2.0';
+    const latestVersion = CURRENT_SCHEMA_VERSION;
     const needsMigration = this.needsMigration(data, latestVersion);
     
     let recommendations = [];
@@ -573,5 +689,6 @@ module.exports = {
   MigrationService,
   Migration,
   MigrationRegistry,
-  MigrationError
-};
\ No newline at end of file
+  MigrationError,
+  CURRENT_SCHEMA_VERSION
+};
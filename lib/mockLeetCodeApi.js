@@ -0,0 +1,391 @@
+/**
+ * Mock LeetCode API
+ *
+ * Local stand-in for alfa-leetcode-api, for offline development and tests.
+ * Serves the endpoints LeetCodeAPI and test-leetcode-api.js use:
+ *   GET /daily
+ *   GET /select?titleSlug=
+ *   GET /problems?limit=&skip=&tags=&search=
+ *   GET /:username
+ *   GET /:username/acSubmission?limit=&offset=   (accepted only, newest first)
+ *   GET /:username/submission?limit=             (all statuses, newest first)
+ *
+ * Fixtures (see fixtures/leetcode-api.json):
+ *   {
+ *     users:    { [username]: { profile: {...}, submissions: [{ titleSlug, timestamp, statusDisplay, lang }] } },
+ *     problems: { [titleSlug]: { id, title, difficulty, isPaidOnly, topicTags: [name], acRate, similar: [titleSlug] } },
+ *     daily:    titleSlug,
+ *     faults:   { latencyMs, coldStart: { delayMs, idleMs }, errorBurst: { count, status } }
+ *   }
+ * Submission timestamps may be unix seconds, ISO strings or offsets from now
+ * ("-90m", "-2h", "-3d") so fixtures stay current.
+ *
+ * Faults mimic the Render free tier so ReliabilityService can be exercised:
+ * - coldStart: the first request (and the first after idleMs without traffic) is held for delayMs
+ * - errorBurst: the next `count` requests fail with `status` (default 503)
+ * - latencyMs: added to every request
+ *
+ * Everything is scriptable at runtime, either through the methods below or
+ * the /__mock control endpoints (which are never delayed or failed).
+ *
+ * Pass { now } to run on a simulated clock: offsets resolve against it and
+ * submissions after it are hidden (see `tracker.js simulate`).
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MOCK_PORT = 3100;
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'leetcode-api.json');
+const REQUEST_LOG_LIMIT = 500;
+const RELATIVE_TIMESTAMP = /^-(\d+)([mhd])$/;
+const UNIT_SECONDS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+class MockLeetCodeApi {
+  /**
+   * @param {Object} fixtures - Fixture data (defaults to fixtures/leetcode-api.json)
+   * @param {Object} options - { now: () => Date } clock for offsets and visibility
+   */
+  constructor(fixtures = MockLeetCodeApi.loadFixtures(), options = {}) {
+    this.fixtures = fixtures;
+    this.now = options.now || (() => new Date());
+    this.server = null;
+    this.url = null;
+    this.reset();
+  }
+
+  /**
+   * Read a fixtures file
+   * @param {string} file - Path to a JSON fixtures file
+   * @returns {Object} Fixture data
+   */
+  static loadFixtures(file = DEFAULT_FIXTURES_PATH) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Resolve a fixture timestamp to unix seconds, as the real API returns them
+   * @param {number|string} value - Unix seconds, ISO string or offset like "-2h"
+   * @param {number} nowMs - Reference time for offsets
+   * @returns {string} Unix seconds as a string
+   */
+  static resolveTimestamp(value, nowMs = Date.now()) {
+    const relative = typeof value === 'string' && value.match(RELATIVE_TIMESTAMP);
+    if (relative) {
+      return String(Math.floor(nowMs / 1000) - Number(relative[1]) * UNIT_SECONDS[relative[2]]);
+    }
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      return String(value);
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`Invalid fixture timestamp: ${value}`);
+    }
+    return String(Math.floor(parsed / 1000));
+  }
+
+  /**
+   * Reload users, problems and faults from the fixtures and clear the request log
+   */
+  reset() {
+    const { users = {}, problems = {}, faults = {} } = this.fixtures;
+
+    this.problems = JSON.parse(JSON.stringify(problems));
+    this.users = {};
+    Object.entries(users).forEach(([username, user]) => {
+      this.users[username] = { profile: { ...(user.profile || {}) }, submissions: [] };
+      (user.submissions || []).forEach(s => this.addSubmission(username, s));
+    });
+
+    this.requests = [];
+    this.setFaults(faults);
+  }
+
+  /**
+   * Replace the active faults
+   * Arms the error burst and makes the API cold again if a cold start is configured.
+   * @param {Object} faults - { latencyMs, coldStart: { delayMs, idleMs }, errorBurst: { count, status } }
+   */
+  setFaults(faults = {}) {
+    this.faults = {
+      latencyMs: faults.latencyMs || 0,
+      coldStart: faults.coldStart ? { delayMs: 0, idleMs: 0, ...faults.coldStart } : null,
+      errorBurst: faults.errorBurst ? { status: 503, count: 0, ...faults.errorBurst } : null
+    };
+    this.burstRemaining = this.faults.errorBurst ? this.faults.errorBurst.count : 0;
+    this.cold = Boolean(this.faults.coldStart?.delayMs);
+    this.lastRequestAt = null;
+  }
+
+  /**
+   * Add a submission for a user (the user is created if missing)
+   * @param {string} username - LeetCode username
+   * @param {Object} submission - { titleSlug, timestamp, statusDisplay, lang, title }
+   * @returns {Object} The stored submission
+   */
+  addSubmission(username, submission) {
+    if (!submission?.titleSlug) {
+      throw new Error('Submission needs a titleSlug');
+    }
+    if (!this.users[username]) {
+      this.users[username] = { profile: {}, submissions: [] };
+    }
+
+    const stored = {
+      title: submission.title || this.problems[submission.titleSlug]?.title || submission.titleSlug,
+      titleSlug: submission.titleSlug,
+      timestamp: MockLeetCodeApi.resolveTimestamp(submission.timestamp ?? '-0m', this.now().getTime()),
+      statusDisplay: submission.statusDisplay || 'Accepted',
+      lang: submission.lang || 'python3'
+    };
+    const submissions = this.users[username].submissions;
+    submissions.push(stored);
+    submissions.sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+    return stored;
+  }
+
+  /**
+   * Problem details in the /select and /daily shape
+   */
+  formatProblem(titleSlug) {
+    const problem = this.problems[titleSlug];
+    if (!problem) return null;
+
+    return {
+      link: `https://leetcode.com/problems/${titleSlug}/`,
+      questionId: String(problem.id ?? ''),
+      questionFrontendId: String(problem.id ?? ''),
+      questionTitle: problem.title || titleSlug,
+      titleSlug,
+      difficulty: problem.difficulty || 'Medium',
+      isPaidOnly: Boolean(problem.isPaidOnly),
+      question: problem.content || `<p>${problem.title || titleSlug}</p>`,
+      topicTags: (problem.topicTags || []).map(name => ({
+        name,
+        slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      })),
+      hints: problem.hints || [],
+      likes: problem.likes || 0,
+      dislikes: problem.dislikes || 0,
+      // JSON strings, as LeetCode's GraphQL sends them
+      similarQuestions: JSON.stringify((problem.similar || []).map(slug => ({
+        title: this.problems[slug]?.title || slug,
+        titleSlug: slug,
+        difficulty: this.problems[slug]?.difficulty || 'Medium'
+      }))),
+      stats: JSON.stringify(problem.acRate === undefined ? {} : { acRate: `${problem.acRate}%` })
+    };
+  }
+
+  /**
+   * Delay, fail or pass a request according to the active faults
+   */
+  async applyFaults(req, res, next) {
+    const { coldStart, errorBurst, latencyMs } = this.faults;
+    const now = Date.now();
+    const idle = coldStart?.idleMs && this.lastRequestAt && now - this.lastRequestAt >= coldStart.idleMs;
+    let fault = null;
+
+    if (coldStart?.delayMs && (this.cold || idle)) {
+      this.cold = false;
+      fault = 'cold-start';
+      await sleep(coldStart.delayMs);
+    }
+    this.lastRequestAt = Date.now();
+
+    if (latencyMs) {
+      await sleep(latencyMs);
+    }
+
+    if (this.burstRemaining > 0) {
+      this.burstRemaining--;
+      res.locals.fault = 'error-burst';
+      return res.status(errorBurst.status).json({ error: 'Service Unavailable (mock error burst)' });
+    }
+
+    res.locals.fault = fault;
+    next();
+  }
+
+  /**
+   * Build the Express app
+   * @returns {Object} Express application
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Request log, for tests asserting on retries
+    app.use((req, res, next) => {
+      res.on('finish', () => {
+        if (req.path.startsWith('/__mock')) return;
+        this.requests.push({
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          fault: res.locals.fault || null,
+          at: new Date().toISOString()
+        });
+        if (this.requests.length > REQUEST_LOG_LIMIT) this.requests.shift();
+      });
+      next();
+    });
+
+    // Control endpoints
+    app.get('/__mock/state', (req, res) => {
+      res.json({
+        faults: this.faults,
+        cold: this.cold,
+        burstRemaining: this.burstRemaining,
+        users: Object.keys(this.users),
+        requestCount: this.requests.length
+      });
+    });
+    app.get('/__mock/requests', (req, res) => res.json(this.requests));
+    app.post('/__mock/faults', (req, res) => {
+      this.setFaults(req.body);
+      res.json(this.faults);
+    });
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+    app.post('/__mock/users/:username/submissions', (req, res) => {
+      try {
+        res.json(this.addSubmission(req.params.username, req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // alfa-leetcode-api endpoints
+    app.use((req, res, next) => this.applyFaults(req, res, next).catch(next));
+
+    app.get('/daily', (req, res) => {
+      const slug = this.fixtures.daily || Object.keys(this.problems)[0];
+      const problem = this.formatProblem(slug);
+      if (!problem) {
+        return res.status(404).json({ error: 'No daily problem in fixtures' });
+      }
+      res.json({
+        questionLink: problem.link,
+        date: this.now().toISOString().split('T')[0],
+        ...problem
+      });
+    });
+
+    app.get('/select', (req, res) => {
+      if (!req.query.titleSlug) {
+        return res.status(400).json({ error: 'Missing titleSlug query parameter' });
+      }
+      const problem = this.formatProblem(req.query.titleSlug);
+      if (!problem) {
+        return res.status(404).json({ error: `Problem not found: ${req.query.titleSlug}` });
+      }
+      res.json(problem);
+    });
+
+    app.get('/problems', (req, res) => {
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = parseInt(req.query.skip) || 0;
+      const tags = req.query.tags ? req.query.tags.split('+') : [];
+      const search = (req.query.search || '').toLowerCase();
+
+      const matching = Object.keys(this.problems)
+        .map(slug => this.formatProblem(slug))
+        .filter(p => tags.every(tag => p.topicTags.some(t => t.slug === tag)))
+        .filter(p => !search || p.questionTitle.toLowerCase().includes(search));
+
+      res.json({
+        totalQuestions: matching.length,
+        count: Math.min(limit, Math.max(matching.length - skip, 0)),
+        problemsetQuestionList: matching.slice(skip, skip + limit).map(p => ({
+          questionFrontendId: p.questionFrontendId,
+          title: p.questionTitle,
+          titleSlug: p.titleSlug,
+          difficulty: p.difficulty,
+          isPaidOnly: p.isPaidOnly,
+          topicTags: p.topicTags
+        }))
+      });
+    });
+
+    app.get('/:username', (req, res) => {
+      const user = this.users[req.params.username];
+      if (!user) {
+        return res.status(404).json({ errors: [{ message: 'That user does not exist.' }] });
+      }
+      const accepted = new Set(user.submissions
+        .filter(s => s.statusDisplay === 'Accepted')
+        .map(s => s.titleSlug));
+      res.json({
+        username: req.params.username,
+        name: req.params.username,
+        ranking: 100000,
+        reputation: 0,
+        totalSolved: accepted.size,
+        badges: [],
+        ...user.profile
+      });
+    });
+
+    const submissionList = (acceptedOnly) => (req, res) => {
+      const user = this.users[req.params.username];
+      if (!user) {
+        return res.status(404).json({ errors: [{ message: 'That user does not exist.' }] });
+      }
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+      const nowSeconds = this.now().getTime() / 1000;
+      const submissions = user.submissions
+        .filter(s => Number(s.timestamp) <= nowSeconds)
+        .filter(s => !acceptedOnly || s.statusDisplay === 'Accepted');
+      const page = submissions.slice(offset, offset + limit);
+
+      res.json({ count: page.length, submission: page });
+    };
+    app.get('/:username/acSubmission', submissionList(true));
+    app.get('/:username/submission', submissionList(false));
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free one)
+   * @returns {Promise<string>} Base URL of the mock
+   */
+  start(port = DEFAULT_MOCK_PORT) {
+    return new Promise((resolve, reject) => {
+      const server = this.createApp().listen(port, '127.0.0.1', () => {
+        this.server = server;
+        this.url = `http://127.0.0.1:${server.address().port}`;
+        resolve(this.url);
+      });
+      server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening, dropping any kept-alive connections
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { MockLeetCodeApi, DEFAULT_MOCK_PORT, DEFAULT_FIXTURES_PATH };
@@ -0,0 +1,27 @@
+/**
+ * Notification Channel Interface
+ * 
+ * Base class for the channels behind Notifier.
+ * A message is { type, subject, html, text } - channels pick the format they can render
+ * (email sends html + text, chat webhooks send text, the generic webhook sends all of it).
+ * 
+ * Every channel must implement:
+ * - send(message) -> Promise<Object> channel-specific result
+ */
+
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { type, subject, html, text }
+   * @returns {Promise<Object>} Channel-specific result
+   */
+  async send(message) {
+    throw new Error(`${this.name} channel does not implement send`);
+  }
+}
+
+module.exports = { NotificationChannel };
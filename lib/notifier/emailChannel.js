@@ -0,0 +1,49 @@
+/**
+ * Email Channel
+ * 
+ * Sends notifications through a nodemailer transporter (Gmail by default).
+ */
+
+const nodemailer = require('nodemailer');
+const { NotificationChannel } = require('./channel');
+
+/**
+ * Create the default transporter from EMAIL_SERVICE / EMAIL_USER / EMAIL_PASS
+ */
+function createTransporter() {
+  return nodemailer.createTransport({
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+}
+
+class EmailChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - { transporter, from, to }
+   */
+  constructor(options = {}) {
+    super('email');
+    this.transporter = options.transporter || createTransporter();
+    this.from = options.from || process.env.FROM_EMAIL;
+    this.to = options.to || process.env.TO_EMAIL;
+  }
+
+  async send(message) {
+    if (!this.to) {
+      throw new Error('email channel has no recipient (set TO_EMAIL or the user email)');
+    }
+
+    return this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+  }
+}
+
+module.exports = { EmailChannel, createTransporter };
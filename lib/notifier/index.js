@@ -0,0 +1,122 @@
+/**
+ * Notifier
+ * 
+ * Fans a message out to the channels picked in settings.notification_channels:
+ * - email (default): nodemailer, see emailChannel.js
+ * - slack: Slack incoming webhook (SLACK_WEBHOOK_URL)
+ * - discord: Discord webhook (DISCORD_WEBHOOK_URL)
+ * - webhook: generic JSON POST (NOTIFY_WEBHOOK_URL)
+ * 
+ * Webhook URLs can be overridden per user in settings.notification_webhooks;
+ * those may only point at public addresses (see webhookChannel.js).
+ */
+
+const { NotificationChannel } = require('./channel');
+const { EmailChannel, createTransporter } = require('./emailChannel');
+const { WebhookChannel, SlackChannel, DiscordChannel, JsonWebhookChannel, hasPrivateHost } = require('./webhookChannel');
+const { RecordingChannel } = require('./recordingChannel');
+const { logger } = require('../logger');
+
+const log = logger.child('notifier');
+
+const NOTIFICATION_CHANNELS = ['email', 'slack', 'discord', 'webhook'];
+const DEFAULT_CHANNELS = ['email'];
+
+class Notifier {
+  /**
+   * @param {Array<NotificationChannel>} channels - Channels to deliver to
+   */
+  constructor(channels = []) {
+    this.channels = channels;
+  }
+
+  /**
+   * Send a message to every channel
+   * A message counts as delivered if at least one channel accepted it;
+   * failures on the other channels are logged but do not throw.
+   * @param {Object} message - { type, subject, html, text }
+   * @returns {Promise<Array<Object>>} Per-channel { channel, success, result|error }
+   * @throws {Error} If no channel is configured or every channel failed
+   */
+  async send(message) {
+    if (this.channels.length === 0) {
+      throw new Error('No notification channels configured');
+    }
+
+    const outcomes = await Promise.allSettled(this.channels.map(channel => channel.send(message)));
+
+    const results = outcomes.map((outcome, i) => {
+      const channel = this.channels[i].name;
+      if (outcome.status === 'fulfilled') {
+        log.info(`✅ Notification sent via ${channel}:`, message.subject);
+        return { channel, success: true, result: outcome.value };
+      }
+      log.error(`❌ Error sending notification via ${channel}:`, outcome.reason.message);
+      return { channel, success: false, error: outcome.reason.message };
+    });
+
+    if (results.every(r => !r.success)) {
+      throw new Error(`All notification channels failed: ${results.map(r => `${r.channel} (${r.error})`).join(', ')}`);
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Create a single channel
+ * @param {string} name - One of NOTIFICATION_CHANNELS
+ * @param {Object} options - Channel options ({ transporter, to } for email, { url } for webhooks)
+ * @returns {NotificationChannel} Channel instance
+ */
+function createChannel(name, options = {}) {
+  switch (name) {
+    case 'email':
+      return new EmailChannel(options);
+    case 'slack':
+      return new SlackChannel(options);
+    case 'discord':
+      return new DiscordChannel(options);
+    case 'webhook':
+      return new JsonWebhookChannel(options);
+    default:
+      throw new Error(`Unknown notification channel "${name}". Expected one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+  }
+}
+
+/**
+ * Create a notifier for a user's settings
+ * @param {Object|null} settings - User settings (notification_channels, notification_webhooks)
+ * @param {Object} emailOptions - { transporter, from, to } for the email channel
+ * @returns {Notifier} Notifier instance
+ */
+function createNotifier(settings, emailOptions = {}) {
+  const names = settings?.notification_channels?.length ?
+    settings.notification_channels :
+    DEFAULT_CHANNELS;
+  const webhooks = settings?.notification_webhooks || {};
+
+  const channels = names.map(name => name === 'email' ?
+    createChannel(name, emailOptions) :
+    createChannel(name, webhooks[name] ? { url: webhooks[name], publicOnly: true } : {})
+  );
+
+  return new Notifier(channels);
+}
+
+module.exports = {
+  Notifier,
+  createNotifier,
+  createChannel,
+  createTransporter,
+  NotificationChannel,
+  EmailChannel,
+  WebhookChannel,
+  SlackChannel,
+  DiscordChannel,
+  JsonWebhookChannel,
+  RecordingChannel,
+  hasPrivateHost,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_CHANNELS
+};
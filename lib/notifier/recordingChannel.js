@@ -0,0 +1,22 @@
+/**
+ * Recording Channel
+ * 
+ * Keeps messages in memory instead of delivering them.
+ * Used by `tracker.js simulate` to show what would have been sent.
+ */
+
+const { NotificationChannel } = require('./channel');
+
+class RecordingChannel extends NotificationChannel {
+  constructor(name = 'recording') {
+    super(name);
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push({ ...message, recordedAt: new Date().toISOString() });
+    return { recorded: this.messages.length };
+  }
+}
+
+module.exports = { RecordingChannel };
@@ -0,0 +1,164 @@
+/**
+ * Webhook Channels
+ * 
+ * Slack incoming webhooks, Discord webhooks and a generic JSON webhook.
+ * They share the POST logic and differ only in the payload they build.
+ *
+ * URLs users set themselves are sent with publicOnly: the host must not be, or
+ * resolve to, a loopback, private or link-local address, and redirects aren't
+ * followed - otherwise any user could make the server POST into its own network.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { NotificationChannel } = require('./channel');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Discord rejects messages longer than this
+const DISCORD_CONTENT_LIMIT = 2000;
+
+// Addresses a publicOnly webhook may not reach (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Host of a URL without IPv6 brackets, or null if it isn't a URL
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a URL's host is a local name or a non-public IP address (no DNS lookup)
+ * @param {string} url - Webhook URL
+ */
+function hasPrivateHost(url) {
+  const hostname = hostOf(url);
+  return hostname !== null && (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname));
+}
+
+/**
+ * dns.lookup for publicOnly requests - fails if the name resolves to a non-public address
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+    return options.all ?
+      callback(null, addresses) :
+      callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+class WebhookChannel extends NotificationChannel {
+  /**
+   * @param {string} name - Channel name used in settings and logs
+   * @param {Object} options - { url, timeout, publicOnly } - publicOnly for URLs from user settings
+   */
+  constructor(name, options = {}) {
+    super(name);
+    this.url = options.url;
+    this.timeout = options.timeout || WEBHOOK_TIMEOUT_MS;
+    this.publicOnly = options.publicOnly === true;
+  }
+
+  /**
+   * Build the JSON body for a message
+   * @param {Object} message - { type, subject, html, text }
+   * @returns {Object} Request body
+   */
+  buildPayload(message) {
+    return {
+      type: message.type,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  async send(message) {
+    if (!this.url) {
+      throw new Error(`${this.name} channel has no webhook URL configured`);
+    }
+
+    // IP literals never reach the lookup, so they are checked here
+    if (this.publicOnly && isPrivateAddress(hostOf(this.url) || '')) {
+      throw new Error(`${this.name} webhook URL points at a private address`);
+    }
+
+    const response = await axios.post(this.url, this.buildPayload(message), {
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/json' },
+      ...(this.publicOnly ? { lookup: publicOnlyLookup, maxRedirects: 0 } : {})
+    });
+
+    return { status: response.status };
+  }
+}
+
+class SlackChannel extends WebhookChannel {
+  constructor(options = {}) {
+    super('slack', { url: process.env.SLACK_WEBHOOK_URL, ...options });
+  }
+
+  buildPayload(message) {
+    return { text: `*${message.subject}*\n${message.text || ''}`.trim() };
+  }
+}
+
+class DiscordChannel extends WebhookChannel {
+  constructor(options = {}) {
+    super('discord', { url: process.env.DISCORD_WEBHOOK_URL, ...options });
+  }
+
+  buildPayload(message) {
+    const content = `**${message.subject}**\n${message.text || ''}`.trim();
+    return {
+      content: content.length > DISCORD_CONTENT_LIMIT ?
+        `${content.slice(0, DISCORD_CONTENT_LIMIT - 1)}…` :
+        content
+    };
+  }
+}
+
+class JsonWebhookChannel extends WebhookChannel {
+  constructor(options = {}) {
+    super('webhook', { url: process.env.NOTIFY_WEBHOOK_URL, ...options });
+  }
+}
+
+module.exports = {
+  WebhookChannel,
+  SlackChannel,
+  DiscordChannel,
+  JsonWebhookChannel,
+  DISCORD_CONTENT_LIMIT,
+  isPrivateAddress,
+  hasPrivateHost
+};
@@ -0,0 +1,167 @@
+/**
+ * Pause Schedule
+ *
+ * Days a user is off: the daily routine and the evening reminder send nothing,
+ * and the streak carries over them (see StreakTracker). Two settings:
+ * - pause_windows: [{ from, to }] - inclusive YYYY-MM-DD ranges, e.g. a vacation
+ * - rest_days: weekdays off every week, e.g. ['saturday']
+ *
+ * "Pause until" adds a window from today; "resume" ends the window covering
+ * today on yesterday. Windows stay for KEEP_ENDED_DAYS after they end, so
+ * streak days recorded a little late still carry over them, and are dropped
+ * after that.
+ */
+
+const { ValidationError } = require('./dataValidator');
+const { ReviewScheduler } = require('./reviewScheduler');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_PAUSE_WINDOWS = 20;
+const MAX_PAUSE_DAYS = 366;
+const KEEP_ENDED_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class PauseSchedule {
+
+  /**
+   * Lowercase weekday name of a date
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {string} One of WEEKDAYS
+   */
+  static getWeekday(dateStr) {
+    return WEEKDAYS[new Date(`${dateStr}T00:00:00`).getDay()];
+  }
+
+  /**
+   * The pause window covering a date
+   * @param {Object} settings - User settings
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {Object|null} { from, to }
+   */
+  static getWindow(settings, dateStr) {
+    return (settings?.pause_windows || []).find(window => window.from <= dateStr && dateStr <= window.to) || null;
+  }
+
+  /**
+   * Why a date is a day off
+   * @param {Object} settings - User settings
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {Object|null} { reason: 'pause', until } or { reason: 'rest-day', weekday }, null on a normal day
+   */
+  static getPause(settings, dateStr) {
+    const window = this.getWindow(settings, dateStr);
+    if (window) {
+      return { reason: 'pause', until: window.to };
+    }
+    const weekday = this.getWeekday(dateStr);
+    if ((settings?.rest_days || []).includes(weekday)) {
+      return { reason: 'rest-day', weekday };
+    }
+    return null;
+  }
+
+  /**
+   * Whether a date is a day off
+   */
+  static isPaused(settings, dateStr) {
+    return this.getPause(settings, dateStr) !== null;
+  }
+
+  /**
+   * Day-off check for a user's settings, for StreakTracker
+   * @returns {Function} dateStr => boolean
+   */
+  static offDayCheck(settings) {
+    return dateStr => this.isPaused(settings, dateStr);
+  }
+
+  /**
+   * Rest days from CLI or API input
+   * @param {string|Array<string>} value - e.g. "sat,sun", ["Saturday"] or "none"
+   * @returns {Array<string>} Weekday names in week order
+   * @throws {ValidationError} If a day isn't a weekday or every day would be off
+   */
+  static parseRestDays(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const names = items.map(item => String(item).trim().toLowerCase()).filter(item => item && item !== 'none');
+    const days = names.map(name => {
+      const day = WEEKDAYS.find(weekday => name.length >= 3 && weekday.startsWith(name));
+      if (!day) {
+        throw new ValidationError(`Must be weekdays, e.g. saturday,sunday (got "${name}")`, 'rest_days', value, 'rest days');
+      }
+      return day;
+    });
+
+    const unique = WEEKDAYS.filter(day => days.includes(day));
+    if (unique.length === WEEKDAYS.length) {
+      throw new ValidationError('At least one day must be left to practice - use a pause instead', 'rest_days', value, 'rest days');
+    }
+    return unique;
+  }
+
+  /**
+   * Pause windows that haven't ended, or ended recently
+   * @param {Object} settings - User settings
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @returns {Array<Object>} { from, to } windows
+   */
+  static keptWindows(settings, todayStr) {
+    const cutoff = ReviewScheduler.addDays(todayStr, -KEEP_ENDED_DAYS);
+    return (settings?.pause_windows || []).filter(window => window.to >= cutoff);
+  }
+
+  /**
+   * Add a pause window
+   * @param {Object} settings - User settings
+   * @param {string} until - Last day off (YYYY-MM-DD)
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @param {string} from - First day off (defaults to today)
+   * @returns {Array<Object>} New pause_windows, sorted, without windows that ended long ago
+   * @throws {ValidationError} If the dates are invalid, in the past or too far apart
+   */
+  static addWindow(settings, until, todayStr, from = todayStr) {
+    const context = 'pause';
+    [['from', from], ['until', until]].forEach(([field, value]) => {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00`))) {
+        throw new ValidationError('Must be a YYYY-MM-DD date', field, value, context);
+      }
+    });
+    if (from < todayStr) {
+      throw new ValidationError('Must be today or later', 'from', from, context);
+    }
+    if (until < from) {
+      throw new ValidationError(`Must be on or after ${from}`, 'until', until, context);
+    }
+    if (ReviewScheduler.daysBetween(from, until) >= MAX_PAUSE_DAYS) {
+      throw new ValidationError(`A pause can last at most ${MAX_PAUSE_DAYS} days`, 'until', until, context);
+    }
+
+    const windows = [...this.keptWindows(settings, todayStr), { from, to: until }]
+      .sort((a, b) => a.from.localeCompare(b.from));
+    if (windows.length > MAX_PAUSE_WINDOWS) {
+      throw new ValidationError(`At most ${MAX_PAUSE_WINDOWS} pauses can be planned`, 'pause_windows', windows.length, context);
+    }
+    return windows;
+  }
+
+  /**
+   * End the pause covering today (planned pauses stay)
+   * @param {Object} settings - User settings
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @returns {Array<Object>} New pause_windows - a window starting today is removed
+   */
+  static resume(settings, todayStr) {
+    const yesterday = ReviewScheduler.addDays(todayStr, -1);
+    return this.keptWindows(settings, todayStr)
+      .map(window => (window.from <= todayStr && todayStr <= window.to ? { ...window, to: yesterday } : window))
+      .filter(window => window.from <= window.to);
+  }
+}
+
+module.exports = {
+  PauseSchedule,
+  WEEKDAYS,
+  MAX_PAUSE_WINDOWS,
+  MAX_PAUSE_DAYS,
+  DATE_PATTERN
+};
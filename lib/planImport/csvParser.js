@@ -0,0 +1,125 @@
+/**
+ * CSV Plan Parser
+ *
+ * One problem per row, with a header row naming the columns (any order, any
+ * case). Recognised columns:
+ *   week                        - week number (optional)
+ *   theme | topic | category | pattern - week theme (optional)
+ *   name | title | problem      - problem title
+ *   slug, url | link            - LeetCode slug or problem URL
+ *   difficulty, estimatedTime | minutes, priority - optional
+ * Each row needs a name or a slug/url; other columns are ignored.
+ *
+ *   week,theme,name,difficulty
+ *   1,Arrays & Hashing,Two Sum,Easy
+ *   1,Arrays & Hashing,"Product of Array Except Self",Medium
+ */
+
+const { ValidationError } = require('../dataValidator');
+
+const COLUMNS = {
+  week: ['week'],
+  theme: ['theme', 'topic', 'category', 'pattern'],
+  name: ['name', 'title', 'problem'],
+  slug: ['slug', 'titleslug'],
+  url: ['url', 'link'],
+  difficulty: ['difficulty'],
+  estimatedTime: ['estimatedtime', 'minutes', 'time'],
+  priority: ['priority']
+};
+
+/**
+ * Split CSV text into records of fields (RFC 4180 quoting: "a,b" and "say ""hi""")
+ * @param {string} text - CSV text
+ * @returns {Array<{ line: number, fields: Array<string> }>} Non-blank records
+ */
+function splitRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('Unterminated quoted field', 'csv', null, `CSV line ${recordLine}`);
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Parse a CSV study plan
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Plan rows { context, week, theme, name, slug, url, difficulty, estimatedTime, priority }
+ * @throws {ValidationError} If the CSV is empty, badly quoted or has no problem column
+ */
+function parseCsv(text) {
+  const [header, ...records] = splitRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ValidationError('CSV is empty', 'csv', null, 'CSV');
+  }
+
+  const headings = header.fields.map(heading => heading.trim().toLowerCase().replace(/[\s_-]/g, ''));
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMNS)) {
+    const index = headings.findIndex(heading => aliases.includes(heading));
+    if (index !== -1) columns[key] = index;
+  }
+
+  if (columns.name === undefined && columns.slug === undefined && columns.url === undefined) {
+    throw new ValidationError('Header must have a name, slug or url column', 'header', header.fields.join(','), 'CSV line 1');
+  }
+
+  return records.map(({ line, fields }) => {
+    const row = { context: `CSV line ${line}` };
+    for (const [key, index] of Object.entries(columns)) {
+      const value = (fields[index] || '').trim();
+      if (value !== '') row[key] = value;
+    }
+    return row;
+  });
+}
+
+module.exports = { parseCsv };
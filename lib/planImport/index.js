@@ -0,0 +1,228 @@
+/**
+ * Study Plan Import
+ *
+ * Builds the { weeks: { <n>: { theme, problems } } } plan that study-plan.js
+ * loads from:
+ * - csv: one problem per row, see csvParser.js
+ * - yaml: weeks or topics with problem lists, see yamlParser.js
+ * - markdown: checklists under headings, see markdownParser.js
+ * - the bundled lists: blind75 and neetcode150 (lists/neetcode-150.json,
+ *   Blind 75 being the flagged subset)
+ *
+ * Parsers only read their format into rows ({ week, theme, name, slug, url,
+ * difficulty, ... } or { ref } when the text could be a slug, URL or title);
+ * buildPlan() normalises the problems, lays out the weeks and validates the
+ * result with InternalDataValidator.validateStudyPlan.
+ *
+ * Rows with week numbers keep them. Rows without are grouped by theme, one
+ * week per theme, or perWeek problems at most when given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { InternalDataValidator, ValidationError } = require('../dataValidator');
+const { parseCsv } = require('./csvParser');
+const { parseYaml } = require('./yamlParser');
+const { parseMarkdown } = require('./markdownParser');
+
+const PLAN_FORMATS = ['csv', 'yaml', 'markdown'];
+const BUILTIN_PLANS = ['blind75', 'neetcode150'];
+
+const EXTENSIONS = { '.csv': 'csv', '.yaml': 'yaml', '.yml': 'yaml', '.md': 'markdown', '.markdown': 'markdown' };
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const DEFAULT_ESTIMATED_TIME = 30;
+const DEFAULT_THEME = 'General';
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const PROBLEM_URL_PATTERN = /^https?:\/\/(?:www\.)?leetcode\.(?:com|cn)\/problems\/([a-z0-9-]+)/i;
+
+/**
+ * Slug for a problem title, e.g. "Pow(x, n)" -> "powx-n"
+ */
+function toSlug(title) {
+  return title
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Title for a slug when the source only gave the slug, e.g. "two-sum" -> "Two Sum"
+ */
+function toTitle(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Study plan problem for a parsed row
+ * @param {Object} row - Parsed row
+ * @returns {Object} { name, slug, difficulty, estimatedTime, priority }
+ * @throws {ValidationError} If the row has no usable problem
+ */
+function toProblem(row) {
+  const context = row.context || 'plan import';
+  let { name, slug, url } = row;
+
+  if (row.ref) {
+    if (/^https?:\/\//i.test(row.ref)) url = row.ref;
+    else if (SLUG_PATTERN.test(row.ref)) slug = row.ref;
+    else name = row.ref;
+  }
+
+  if (url && !slug) {
+    const match = url.match(PROBLEM_URL_PATTERN);
+    if (!match) {
+      throw new ValidationError('Must be a leetcode.com/problems/ URL', 'url', url, context);
+    }
+    slug = match[1].toLowerCase();
+  }
+
+  slug = slug ? slug.trim().toLowerCase() : (name ? toSlug(name) : '');
+  if (!slug) {
+    throw new ValidationError('Must have a problem name, slug or URL', 'name', name, context);
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new ValidationError('Slug must be lowercase letters, digits and "-"', 'slug', slug, context);
+  }
+
+  const difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(row.difficulty || '').trim().toLowerCase());
+  const estimatedTime = parseInt(row.estimatedTime);
+  const priority = String(row.priority || '').trim().toLowerCase();
+
+  return {
+    name: name ? name.trim() : toTitle(slug),
+    slug,
+    difficulty: difficulty || 'Unknown',
+    estimatedTime: estimatedTime > 0 ? estimatedTime : DEFAULT_ESTIMATED_TIME,
+    priority: PRIORITIES.includes(priority) ? priority : 'medium'
+  };
+}
+
+/**
+ * Lay parsed rows out into a validated study plan
+ * @param {Array<Object>} rows - Rows from a parser
+ * @param {Object} options - { perWeek } problems per week for rows without week numbers
+ * @returns {Object} { weeks: { <n>: { theme, problems } } }
+ * @throws {ValidationError} If a row is unusable, only some rows have weeks, or the plan is invalid
+ */
+function buildPlan(rows, { perWeek } = {}) {
+  if (rows.length === 0) {
+    throw new ValidationError('No problems found', 'problems', rows, 'plan import');
+  }
+
+  const numbered = rows.filter(row => row.week !== undefined);
+  if (numbered.length > 0 && numbered.length < rows.length) {
+    const row = rows.find(row => row.week === undefined);
+    throw new ValidationError('Either every problem or none must have a week', 'week', row.week, row.context);
+  }
+
+  const weeks = {};
+
+  if (numbered.length > 0) {
+    for (const row of rows) {
+      const week = Number(row.week);
+      if (!Number.isInteger(week) || week < 1) {
+        throw new ValidationError('Week must be a positive whole number', 'week', row.week, row.context);
+      }
+      if (!weeks[week]) {
+        weeks[week] = { theme: row.theme || `Week ${week}`, problems: [] };
+      }
+      weeks[week].problems.push(toProblem(row));
+    }
+  } else {
+    const size = perWeek === undefined ? Infinity : Number(perWeek);
+    if (!(size >= 1)) {
+      throw new ValidationError('Problems per week must be at least 1', 'perWeek', perWeek, 'plan import');
+    }
+
+    // Themes in order of first appearance
+    const themes = new Map();
+    for (const row of rows) {
+      const theme = row.theme || DEFAULT_THEME;
+      if (!themes.has(theme)) themes.set(theme, []);
+      themes.get(theme).push(toProblem(row));
+    }
+
+    let week = 1;
+    for (const [theme, problems] of themes) {
+      for (let start = 0; start < problems.length; start += size) {
+        weeks[week++] = { theme, problems: problems.slice(start, start + size) };
+      }
+    }
+  }
+
+  const plan = { weeks };
+  InternalDataValidator.validateStudyPlan(plan);
+  return plan;
+}
+
+/**
+ * Rows for a bundled list
+ * @param {string} name - One of BUILTIN_PLANS
+ * @returns {Array<Object>} Plan rows grouped by theme
+ */
+function builtinRows(name) {
+  const { categories } = require('./lists/neetcode-150.json');
+  return categories.flatMap(({ theme, problems }) => problems
+    .filter(problem => name !== 'blind75' || problem.blind75)
+    .map(({ name: title, slug, difficulty }) => ({ theme, name: title, slug, difficulty, context: name })));
+}
+
+/**
+ * Format of a plan file from its extension
+ * @param {string} filePath - Plan file
+ * @returns {string|null} One of PLAN_FORMATS, or null if unrecognised
+ */
+function detectFormat(filePath) {
+  return EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Parse plan text in a given format
+ * @param {string} text - File contents
+ * @param {string} format - One of PLAN_FORMATS
+ * @returns {Array<Object>} Plan rows
+ */
+function parsePlan(text, format) {
+  switch (format) {
+    case 'csv':
+      return parseCsv(text);
+    case 'yaml':
+      return parseYaml(text);
+    case 'markdown':
+      return parseMarkdown(text);
+    default:
+      throw new ValidationError(`Unknown plan format. Expected one of: ${PLAN_FORMATS.join(', ')}`, 'format', format, 'plan import');
+  }
+}
+
+/**
+ * Import a study plan from a file or a bundled list
+ * @param {string} source - File path, or one of BUILTIN_PLANS
+ * @param {Object} options - { format } to override the file extension, { perWeek }
+ * @returns {Object} Validated { weeks } plan
+ * @throws {ValidationError} If the source can't be read as a plan
+ */
+function importPlan(source, { format, perWeek } = {}) {
+  if (BUILTIN_PLANS.includes(source)) {
+    return buildPlan(builtinRows(source), { perWeek });
+  }
+
+  const planFormat = format || detectFormat(source);
+  if (!planFormat) {
+    throw new ValidationError(`Can't tell the format of ${source}; pass --format ${PLAN_FORMATS.join('|')}`, 'format', null, 'plan import');
+  }
+  return buildPlan(parsePlan(fs.readFileSync(source, 'utf8'), planFormat), { perWeek });
+}
+
+module.exports = {
+  importPlan,
+  parsePlan,
+  buildPlan,
+  detectFormat,
+  toSlug,
+  PLAN_FORMATS,
+  BUILTIN_PLANS
+};
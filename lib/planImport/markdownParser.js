@@ -0,0 +1,74 @@
+/**
+ * Markdown Checklist Plan Parser
+ *
+ * Headings set the theme of the checklist items under them; "Week <n>" in a
+ * heading numbers the week. Only checklist items are read, so notes and
+ * other text can stay in the file:
+ *   ## Week 1 - Arrays & Hashing
+ *   - [ ] [Two Sum](https://leetcode.com/problems/two-sum/) (Easy)
+ *   - [x] Valid Anagram - Easy
+ *   - [ ] top-k-frequent-elements
+ */
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const WEEK_HEADING_PATTERN = /^week\s+(\d+)\b\s*[-–—:.]?\s*(.*)$/i;
+const ITEM_PATTERN = /^\s*[-*+]\s+\[[ xX]\]\s+(.+)$/;
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)[^)]*\)/;
+const DIFFICULTY_PATTERN = /(?:^|\s)[([]?(easy|medium|hard)[)\]]?(?=\s|$)/i;
+
+/**
+ * Plan row for the text of a checklist item
+ */
+function itemRow(text, base) {
+  const row = { ...base };
+  let rest = text;
+
+  const link = rest.match(LINK_PATTERN);
+  if (link) {
+    row.name = link[1].trim();
+    row.url = link[2];
+    rest = rest.replace(link[0], ' ');
+  }
+
+  const difficulty = rest.match(DIFFICULTY_PATTERN);
+  if (difficulty) {
+    row.difficulty = difficulty[1];
+    rest = rest.replace(difficulty[0], ' ');
+  }
+
+  if (!link) {
+    const ref = rest.replace(/[\s\-–—|:,]+$/, '').replace(/^[\s\-–—|:,]+/, '').trim();
+    if (ref) row.ref = ref;
+  }
+  return row;
+}
+
+/**
+ * Parse a Markdown checklist study plan
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Plan rows { context, week, theme, ref | name, url, difficulty }
+ */
+function parseMarkdown(text) {
+  const rows = [];
+  let section = {};
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const week = heading[1].match(WEEK_HEADING_PATTERN);
+      section = week ?
+        { week: week[1], ...(week[2] ? { theme: week[2].trim() } : {}) } :
+        { theme: heading[1] };
+      return;
+    }
+
+    const item = line.match(ITEM_PATTERN);
+    if (item) {
+      rows.push(itemRow(item[1].trim(), { ...section, context: `Markdown line ${index + 1}` }));
+    }
+  });
+
+  return rows;
+}
+
+module.exports = { parseMarkdown };
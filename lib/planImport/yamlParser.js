@@ -0,0 +1,94 @@
+/**
+ * YAML Plan Parser
+ *
+ * Either numbered weeks (a map, or a list where the first entry is week 1):
+ *   weeks:
+ *     1:
+ *       theme: Arrays & Hashing
+ *       problems:
+ *         - two-sum                      # slug, URL or title
+ *         - name: Valid Anagram
+ *           difficulty: Easy
+ * or themes without week numbers, laid out into weeks by the importer:
+ *   topics:
+ *     - theme: Trees
+ *       problems: [invert-binary-tree, same-tree]
+ */
+
+const yaml = require('js-yaml');
+const { ValidationError } = require('../dataValidator');
+
+const PROBLEM_FIELDS = ['name', 'slug', 'url', 'difficulty', 'estimatedTime', 'priority'];
+
+/**
+ * Rows for one week or topic's problem list
+ */
+function problemRows(problems, base, context) {
+  if (!Array.isArray(problems)) {
+    throw new ValidationError('Problems must be a list', 'problems', problems, context);
+  }
+
+  return problems.map((problem, index) => {
+    const row = { ...base, context: `${context}.problems[${index}]` };
+    if (typeof problem === 'string' || typeof problem === 'number') {
+      row.ref = String(problem);
+      return row;
+    }
+    if (!problem || typeof problem !== 'object') {
+      throw new ValidationError('Problem must be a slug, URL, title or object', 'problem', problem, row.context);
+    }
+
+    if (problem.title && !problem.name) row.name = problem.title;
+    for (const field of PROBLEM_FIELDS) {
+      if (problem[field] !== undefined && problem[field] !== null) row[field] = String(problem[field]);
+    }
+    return row;
+  });
+}
+
+/**
+ * Parse a YAML study plan
+ * @param {string} text - YAML text
+ * @returns {Array<Object>} Plan rows { context, week, theme, ref | name, slug, url, ... }
+ * @throws {ValidationError} If the YAML is invalid or has neither weeks nor topics
+ */
+function parseYaml(text) {
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch (error) {
+    const context = error.mark ? `YAML line ${error.mark.line + 1}` : 'YAML';
+    throw new ValidationError(`Invalid YAML: ${error.reason || error.message}`, 'yaml', null, context);
+  }
+
+  if (!doc || typeof doc !== 'object' || (!doc.weeks && !doc.topics)) {
+    throw new ValidationError('Must have weeks or topics', 'weeks', doc, 'YAML');
+  }
+
+  if (doc.weeks) {
+    const entries = Array.isArray(doc.weeks) ?
+      doc.weeks.map((week, index) => [String(index + 1), week]) :
+      Object.entries(doc.weeks);
+
+    return entries.flatMap(([week, content]) => {
+      const context = `YAML weeks.${week}`;
+      // A week may be just its problem list
+      const { theme, problems } = Array.isArray(content) ? { problems: content } : (content || {});
+      return problemRows(problems, { week, ...(theme ? { theme: String(theme) } : {}) }, context);
+    });
+  }
+
+  if (!Array.isArray(doc.topics)) {
+    throw new ValidationError('Topics must be a list', 'topics', doc.topics, 'YAML');
+  }
+  return doc.topics.flatMap((topic, index) => {
+    const context = `YAML topics[${index}]`;
+    const theme = topic && (topic.theme || topic.name);
+    if (!theme) {
+      throw new ValidationError('Topic must have a theme', 'theme', topic, context);
+    }
+    return problemRows(topic.problems, { theme: String(theme) }, context);
+  });
+}
+
+module.exports = { parseYaml };
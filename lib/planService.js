@@ -0,0 +1,205 @@
+/**
+ * Plan Service
+ *
+ * Named, versioned study plans stored in COLLECTIONS.plans, one record per
+ * plan id: { id, name, version, weeks, source, created_at, updated_at }.
+ * Every save bumps the version and keeps a snapshot in
+ * COLLECTIONS.planVersions, so settingsAtSendTime.plan_version can always be
+ * looked up again.
+ *
+ * The plan bundled in study-plan.clean.json is the 'default' plan until a
+ * plan is saved under that id. A user's active plan is settings.study_plan,
+ * else the user's studyPlan, else 'default'.
+ *
+ * Deleting a plan marks its record with deleted_at and keeps the snapshots;
+ * saving the id again carries on from the deleted plan's version.
+ */
+
+const { databaseService, PLAN_ID_PATTERN } = require('./firebase');
+const { InternalDataValidator, ValidationError } = require('./dataValidator');
+const { StudyPlan } = require('./studyPlan');
+const { logger } = require('./logger');
+
+const log = logger.child('plans');
+
+const DEFAULT_PLAN_ID = 'default';
+
+class PlanService {
+  constructor(db = databaseService) {
+    this.db = db;
+  }
+
+  /**
+   * Plan record for the bundled study plan
+   * @returns {Object} Version 1 of the 'default' plan
+   */
+  getBundledPlan() {
+    // Required lazily - study-plan.js loads dotenv and the plan file
+    const { DEFAULT_STUDY_PLAN } = require('../study-plan');
+    return {
+      id: DEFAULT_PLAN_ID,
+      name: DEFAULT_STUDY_PLAN.name,
+      version: DEFAULT_STUDY_PLAN.version,
+      weeks: DEFAULT_STUDY_PLAN.weeks,
+      source: 'study-plan.clean.json'
+    };
+  }
+
+  /**
+   * Summary of a plan record for listings
+   */
+  static summarize(plan) {
+    const weeks = Object.values(plan.weeks);
+    return {
+      id: plan.id,
+      name: plan.name,
+      version: plan.version,
+      source: plan.source || null,
+      weeks: weeks.length,
+      problems: weeks.reduce((sum, week) => sum + week.problems.length, 0),
+      updated_at: plan.updated_at || null
+    };
+  }
+
+  /**
+   * List every plan (the bundled default included unless it was replaced)
+   * @returns {Promise<Array<Object>>} Plan summaries { id, name, version, source, weeks, problems, updated_at }
+   */
+  async listPlans() {
+    const plans = (await this.db.loadPlans()).filter(plan => !plan.deleted_at);
+    if (!plans.some(plan => plan.id === DEFAULT_PLAN_ID)) {
+      plans.unshift(this.getBundledPlan());
+    }
+    return plans.map(plan => PlanService.summarize(plan));
+  }
+
+  /**
+   * Get the latest version of a plan
+   * @param {string} planId - Plan id
+   * @returns {Promise<Object|null>} Plan record or null if unknown
+   */
+  async getPlan(planId) {
+    const plan = await this.db.loadPlan(planId);
+    if (plan) return plan.deleted_at ? null : plan;
+    return planId === DEFAULT_PLAN_ID ? this.getBundledPlan() : null;
+  }
+
+  /**
+   * Get one version of a plan
+   * @param {string} planId - Plan id
+   * @param {number} version - Plan version
+   * @returns {Promise<Object|null>} Plan record as saved at that version, or null
+   */
+  async getPlanVersion(planId, version) {
+    const plan = await this.db.loadPlanVersion(planId, version);
+    if (plan) return plan;
+
+    const bundled = planId === DEFAULT_PLAN_ID ? this.getBundledPlan() : null;
+    return bundled && bundled.version === version ? bundled : null;
+  }
+
+  /**
+   * Save a plan as its next version
+   * @param {Object} data - { id, name, weeks, source }
+   * @returns {Promise<Object>} Saved plan record
+   * @throws {ValidationError} If the id or plan is invalid
+   */
+  async savePlan({ id, name, weeks, source }) {
+    if (typeof id !== 'string' || !PLAN_ID_PATTERN.test(id)) {
+      throw new ValidationError('Plan id must be 1-64 letters, digits, "_" or "-"', 'id', id, 'save plan');
+    }
+    InternalDataValidator.validateStudyPlan({ weeks });
+
+    // A deleted plan's record still holds the last version number
+    const stored = await this.db.loadPlan(id);
+    const current = await this.getPlan(id);
+    const latestVersion = stored?.version || current?.version || 0;
+    const now = new Date().toISOString();
+    const plan = {
+      id,
+      name: name || current?.name || id,
+      version: latestVersion + 1,
+      weeks,
+      source: source || null,
+      created_at: current?.created_at || now,
+      updated_at: now
+    };
+
+    // Keep the version being replaced too (the bundled default has no snapshot yet)
+    if (current && !(await this.db.loadPlanVersion(id, current.version))) {
+      await this.db.savePlanVersion(current);
+    }
+    await this.db.savePlanVersion(plan);
+    await this.db.savePlan(plan);
+
+    log.info(`📚 Saved plan ${id} v${plan.version} (${PlanService.summarize(plan).problems} problems)`);
+    return plan;
+  }
+
+  /**
+   * Delete a plan (its versions are kept)
+   * @param {string} planId - Plan id
+   * @returns {Promise<Object|null>} Deleted plan record, or null if unknown
+   * @throws {ValidationError} For the default plan
+   */
+  async deletePlan(planId) {
+    if (planId === DEFAULT_PLAN_ID) {
+      throw new ValidationError('The default plan cannot be deleted', 'id', planId, 'delete plan');
+    }
+
+    const plan = await this.getPlan(planId);
+    if (!plan) return null;
+
+    const deleted = { ...plan, deleted_at: new Date().toISOString() };
+    await this.db.savePlan(deleted);
+    log.info(`🗑️ Deleted plan ${planId} (v${plan.version} and earlier versions kept)`);
+    return deleted;
+  }
+
+  /**
+   * Load a plan as a StudyPlan
+   * @param {string} planId - Plan id
+   * @returns {Promise<StudyPlan|null>} Study plan or null if unknown
+   */
+  async loadStudyPlan(planId) {
+    const plan = await this.getPlan(planId);
+    return plan ? new StudyPlan(plan) : null;
+  }
+
+  /**
+   * Id of the plan a user studies from
+   * @param {Object} user - User record (may be null)
+   * @param {Object} settings - User settings
+   * @returns {string} Plan id
+   */
+  static getActivePlanId(user, settings) {
+    return settings?.study_plan || user?.studyPlan || DEFAULT_PLAN_ID;
+  }
+
+  /**
+   * The plan a user studies from, falling back to the default plan if the
+   * selected one no longer exists
+   * @param {Object} user - User record (may be null)
+   * @param {Object} settings - User settings
+   * @returns {Promise<StudyPlan>} Active study plan
+   */
+  async resolveActivePlan(user, settings) {
+    const planId = PlanService.getActivePlanId(user, settings);
+    const plan = planId === DEFAULT_PLAN_ID ? null : await this.loadStudyPlan(planId);
+    if (plan) return plan;
+
+    if (planId !== DEFAULT_PLAN_ID) {
+      log.warn(`⚠️ Study plan "${planId}" not found, using the default plan`);
+    }
+    return this.loadStudyPlan(DEFAULT_PLAN_ID);
+  }
+}
+
+// Create singleton instance
+const planService = new PlanService();
+
+module.exports = {
+  planService,
+  PlanService,
+  DEFAULT_PLAN_ID
+};
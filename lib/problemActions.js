@@ -0,0 +1,204 @@
+/**
+ * Problem Actions
+ *
+ * Manual solve, skip and snooze for assigned problems, for work the
+ * submission check can't see (solved on another site, in an interview, or a
+ * premium-only problem):
+ * - solve:  the problem counts as solved now; a review that is out counts as reviewed
+ * - skip:   the problem is dropped without being solved; it stays in
+ *           planProgress, so it is never sent again
+ * - snooze: the problem is left out of emails and reminders until
+ *           snoozedUntil, then comes back as unfinished (a review comes back
+ *           as due)
+ *
+ * An assigned problem is an open sentProblems entry (unsolved, or out for
+ * review) or a slug in the pendingQueue. Every action is a history event with
+ * the source it came from; solves detected from submissions have source
+ * 'leetcode', so stats can tell the two apart.
+ *
+ * The daily routine and the submission check work from a snapshot of progress
+ * and save later; ProblemActions.rebase lays their changes over the stored
+ * progress so an action taken in between is not undone.
+ */
+
+const { ValidationError } = require('./dataValidator');
+const { ReviewScheduler, DEFAULT_INTERVALS } = require('./reviewScheduler');
+const { HistoryLog } = require('./historyLog');
+
+const PROBLEM_ACTIONS = ['solve', 'skip', 'snooze'];
+const ACTION_SOURCES = ['dashboard', 'cli', 'api', 'email'];
+const DETECTED_SOURCE = 'leetcode';
+const MAX_SNOOZE_DAYS = 30;
+
+/**
+ * JSON with sorted keys, to compare entries whatever order storage kept them in
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ProblemActions {
+
+  /**
+   * Whether a sentProblems entry still needs work (unsolved, or out for review)
+   */
+  static isOpen(sentProblem) {
+    return !sentProblem.solved || Boolean(sentProblem.review?.pendingSince);
+  }
+
+  /**
+   * Whether a sentProblems entry is snoozed past a date
+   * @param {Object} sentProblem - sentProblems entry
+   * @param {string} todayStr - Date in YYYY-MM-DD format
+   */
+  static isSnoozed(sentProblem, todayStr) {
+    return Boolean(sentProblem.snoozedUntil && sentProblem.snoozedUntil > todayStr);
+  }
+
+  /**
+   * Validate the number of days for a snooze
+   * @param {*} days - Raw value (query string or CLI option)
+   * @returns {number} Days (1-30)
+   * @throws {ValidationError} If it isn't a whole number in range
+   */
+  static parseSnoozeDays(days) {
+    const parsed = Number(days);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_SNOOZE_DAYS) {
+      throw new ValidationError(`Must be a whole number of days from 1 to ${MAX_SNOOZE_DAYS}`, 'days', days, 'snooze');
+    }
+    return parsed;
+  }
+
+  /**
+   * Apply an action to a problem (progress is not modified)
+   * @param {Object} progress - User progress
+   * @param {string} action - One of PROBLEM_ACTIONS
+   * @param {string} slug - Problem slug
+   * @param {Object} options - { today, now, source, days, topic, reviewEnabled, reviewIntervals,
+   *   review } - review true/false only acts on a review / a problem that isn't one (for links
+   *   made for one of them)
+   * @returns {Object} { progress, event } - updated progress and its history event
+   * @throws {ValidationError} If the action, source or days are invalid, or the problem isn't assigned
+   */
+  static apply(progress, action, slug, options) {
+    const { today, now = new Date(), source, topic, reviewEnabled = true, reviewIntervals = DEFAULT_INTERVALS } = options;
+
+    if (!PROBLEM_ACTIONS.includes(action)) {
+      throw new ValidationError(`Must be one of: ${PROBLEM_ACTIONS.join(', ')}`, 'action', action, 'problem action');
+    }
+    if (!ACTION_SOURCES.includes(source)) {
+      throw new ValidationError(`Must be one of: ${ACTION_SOURCES.join(', ')}`, 'source', source, 'problem action');
+    }
+    const days = action === 'snooze' ? this.parseSnoozeDays(options.days) : null;
+
+    const index = progress.sentProblems.findIndex(p => p.slug === slug && this.isOpen(p) &&
+      (options.review === undefined || p.solved === options.review));
+    const queued = index === -1 && options.review !== true && (progress.pendingQueue || []).includes(slug);
+    if (index === -1 && !queued) {
+      throw new ValidationError('Not an assigned problem', 'slug', slug, action);
+    }
+
+    // A queued problem has no sentProblems entry yet - it gets one from today
+    const entry = queued ? { slug, solved: false, sentDate: today } : progress.sentProblems[index];
+    const sentProblems = progress.sentProblems.filter((p, i) => i !== index);
+    const pendingQueue = (progress.pendingQueue || []).filter(queuedSlug => queuedSlug !== slug);
+    const { snoozedUntil, ...current } = entry;
+    const eventFields = { slug, date: today, sentDate: entry.sentDate, topic, source };
+
+    let updated = null;
+    let event;
+
+    if (action === 'solve' && current.solved) {
+      updated = { ...current, review: ReviewScheduler.completeReview(current.review, today, reviewIntervals) };
+      event = HistoryLog.createEvent('reviewed', { ...eventFields, solvedTimestamp: now.toISOString() });
+    } else if (action === 'solve') {
+      updated = { ...current, solved: true, solvedTimestamp: now.toISOString(), solvedSource: source };
+      if (reviewEnabled) {
+        updated.review = ReviewScheduler.createReviewState(today, reviewIntervals);
+      }
+      event = HistoryLog.createEvent('solved', { ...eventFields, solvedTimestamp: updated.solvedTimestamp });
+    } else if (action === 'skip') {
+      event = HistoryLog.createEvent('skipped', eventFields);
+    } else {
+      const until = ReviewScheduler.addDays(today, days);
+      // A review is simply due again later; anything else waits out the snooze
+      updated = current.solved ?
+        { ...current, review: { ...current.review, pendingSince: null, dueDate: until } } :
+        { ...current, snoozedUntil: until };
+      event = HistoryLog.createEvent('snoozed', { ...eventFields, until });
+    }
+
+    if (updated) {
+      sentProblems.splice(queued ? sentProblems.length : index, 0, updated);
+    }
+    return { progress: { ...progress, sentProblems, pendingQueue }, event };
+  }
+
+  /**
+   * Lay changes planned from a snapshot over the progress stored now
+   * Entries are matched by slug and sentDate. One that changed since the snapshot
+   * (solved, snoozed, skipped away, ...) keeps its stored state; the others take
+   * the planned state. The pendingQueue is merged the same way, slug by slug.
+   * @param {Object} base - { sentProblems, pendingQueue } of the snapshot
+   * @param {Object} planned - { sentProblems, pendingQueue } worked out from it
+   * @param {Object} current - Progress as stored now
+   * @returns {Object} { sentProblems, pendingQueue, conflicts } - conflicts are the
+   *   "slug@sentDate" keys of planned entries that lost to a change made in between
+   */
+  static rebase(base, planned, current) {
+    const key = p => `${p.slug}@${p.sentDate}`;
+    const baseEntries = new Map(base.sentProblems.map(p => [key(p), p]));
+    const currentEntries = new Map(current.sentProblems.map(p => [key(p), p]));
+    const changed = entryKey => (baseEntries.has(entryKey) ?
+      stableStringify(baseEntries.get(entryKey)) !== stableStringify(currentEntries.get(entryKey)) :
+      currentEntries.has(entryKey));
+    const plannedKeys = new Set(planned.sentProblems.map(key));
+    const conflicts = [];
+
+    const sentProblems = [];
+    planned.sentProblems.forEach(p => {
+      if (!changed(key(p))) {
+        sentProblems.push(p);
+        return;
+      }
+      if (stableStringify(p) !== stableStringify(currentEntries.get(key(p)))) {
+        conflicts.push(key(p));
+      }
+      if (currentEntries.has(key(p))) {
+        sentProblems.push(currentEntries.get(key(p)));
+      }
+    });
+    // Entries the plan dropped or never saw, but that changed in between
+    current.sentProblems
+      .filter(p => !plannedKeys.has(key(p)) && changed(key(p)))
+      .forEach(p => sentProblems.push(p));
+
+    const baseQueue = base.pendingQueue || [];
+    const currentQueue = current.pendingQueue || [];
+    const plannedQueue = planned.pendingQueue || [];
+    const pendingQueue = [
+      ...plannedQueue.filter(slug => !baseQueue.includes(slug) || currentQueue.includes(slug)),
+      ...currentQueue.filter(slug => !baseQueue.includes(slug) && !plannedQueue.includes(slug))
+    ];
+
+    return { sentProblems, pendingQueue, conflicts };
+  }
+}
+
+module.exports = {
+  ProblemActions,
+  PROBLEM_ACTIONS,
+  ACTION_SOURCES,
+  DETECTED_SOURCE,
+  MAX_SNOOZE_DAYS
+};
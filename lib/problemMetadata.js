@@ -0,0 +1,235 @@
+/**
+ * Problem Metadata
+ *
+ * Cached LeetCode details for study plan problems: topic tags, real
+ * difficulty, acceptance rate, premium flag and similar questions. Study plan
+ * entries only carry name, slug and a difficulty that is often "Unknown", so
+ * emails and the dashboard overlay what is cached here.
+ *
+ * Filled by `node tracker.js enrich-plan`, which calls /select?titleSlug= for
+ * every slug in the plan. One record per slug in COLLECTIONS.problemMetadata:
+ *   { slug, found, title, questionId, difficulty, topicTags, acceptanceRate,
+ *     isPaidOnly, similarQuestions: [{ slug, title, difficulty }], fetchedAt }
+ * Slugs the API doesn't know (Trello cards that aren't problems) are cached
+ * with found: false so they aren't looked up on every run.
+ */
+
+const { databaseService } = require('./firebase');
+const { logger } = require('./logger');
+
+const log = logger.child('problem-metadata');
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELOAD_AFTER_MS = 5 * 60 * 1000; // Pick up what enrich-plan cached in another process
+
+/**
+ * Parse a field the API may send as a JSON string (LeetCode's GraphQL does for
+ * similarQuestions and stats)
+ */
+function parseMaybeJson(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+class ProblemMetadataStore {
+  /**
+   * @param {DatabaseService} db - Database service (defaults to the shared one)
+   * @param {Object} options - { maxAgeDays } before a record is refetched
+   *   (defaults to PROBLEM_METADATA_MAX_AGE_DAYS or 30)
+   */
+  constructor(db = databaseService, options = {}) {
+    this.db = db;
+    this.maxAgeDays = options.maxAgeDays || parseInt(process.env.PROBLEM_METADATA_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS;
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Metadata record from a /select?titleSlug= response
+   * @param {string} slug - Problem slug that was requested
+   * @param {Object} data - Response body
+   * @returns {Object} Metadata record
+   */
+  static fromApiResponse(slug, data) {
+    const stats = parseMaybeJson(data.stats, {});
+    const acRate = data.acRate ?? stats?.acRate;
+    const acceptanceRate = acRate === undefined || acRate === null ? null : parseFloat(acRate);
+    const similar = parseMaybeJson(data.similarQuestions, []);
+
+    return {
+      slug,
+      found: true,
+      title: data.questionTitle || data.title || slug,
+      questionId: String(data.questionFrontendId || data.questionId || ''),
+      difficulty: DIFFICULTIES.includes(data.difficulty) ? data.difficulty : 'Unknown',
+      topicTags: (data.topicTags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean),
+      acceptanceRate: Number.isFinite(acceptanceRate) ? Math.round(acceptanceRate * 10) / 10 : null,
+      isPaidOnly: Boolean(data.isPaidOnly),
+      similarQuestions: (Array.isArray(similar) ? similar : [])
+        .filter(question => question && question.titleSlug)
+        .map(question => ({
+          slug: question.titleSlug,
+          title: question.title || question.titleSlug,
+          difficulty: question.difficulty || 'Unknown'
+        })),
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * A study plan problem with its cached metadata laid over it
+   * The plan's own difficulty wins unless it is missing or "Unknown".
+   * @param {Object} problem - { slug, name, difficulty, ... }
+   * @param {Object|null} metadata - Cached record
+   * @returns {Object} Problem with topicTags, acceptanceRate, isPaidOnly and similarQuestions
+   */
+  static apply(problem, metadata) {
+    if (!metadata || !metadata.found) return problem;
+
+    const planDifficulty = DIFFICULTIES.includes(problem.difficulty) ? problem.difficulty : null;
+    return {
+      ...problem,
+      difficulty: planDifficulty || metadata.difficulty,
+      topicTags: metadata.topicTags,
+      acceptanceRate: metadata.acceptanceRate,
+      isPaidOnly: metadata.isPaidOnly,
+      similarQuestions: metadata.similarQuestions
+    };
+  }
+
+  /**
+   * Whether a cached record should be fetched again
+   */
+  isStale(record, now = Date.now()) {
+    return !record || now - new Date(record.fetchedAt).getTime() > this.maxAgeDays * DAY_MS;
+  }
+
+  /**
+   * All cached records by slug (reloaded every few minutes, kept in sync by save)
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async load() {
+    if (!this.cache || Date.now() - this.loadedAt > RELOAD_AFTER_MS) {
+      const records = await this.db.loadProblemMetadata();
+      this.cache = new Map(records.map(({ id, ...record }) => [id, record]));
+      this.loadedAt = Date.now();
+    }
+    return this.cache;
+  }
+
+  /**
+   * Cached record for a slug
+   * @returns {Promise<Object|null>}
+   */
+  async get(slug) {
+    return (await this.load()).get(slug) || null;
+  }
+
+  /**
+   * Store a record and keep the in-memory copy current
+   */
+  async save(record) {
+    await this.db.saveProblemMetadata(record);
+    if (this.cache) {
+      this.cache.set(record.slug, record);
+    }
+    return record;
+  }
+
+  /**
+   * Overlay cached metadata on problems for display
+   * A storage problem leaves the problems as they are rather than failing an email.
+   * @param {Array<Object>} problems - Study plan problems
+   * @returns {Promise<Array<Object>>} Problems with metadata applied
+   */
+  async enrichProblems(problems) {
+    try {
+      const cache = await this.load();
+      return problems.map(problem => ProblemMetadataStore.apply(problem, cache.get(problem.slug)));
+    } catch (error) {
+      log.warn('⚠️ Problem metadata unavailable:', error.message);
+      return problems;
+    }
+  }
+
+  /**
+   * Fetch metadata for slugs that aren't cached (or are stale) and cache it
+   * @param {Array<string>} slugs - Problem slugs
+   * @param {Function} fetchProblem - async slug => /select response body, or null if unknown
+   * @param {Object} options - { refresh } to refetch everything, { delayMs } between requests
+   * @returns {Promise<Object>} { fetched, notFound, cached, failed: [{ slug, error }] }
+   */
+  async enrich(slugs, fetchProblem, { refresh = false, delayMs = 0 } = {}) {
+    const cache = await this.load();
+    const summary = { fetched: [], notFound: [], cached: [], failed: [] };
+
+    for (const slug of [...new Set(slugs)]) {
+      if (!refresh && !this.isStale(cache.get(slug))) {
+        summary.cached.push(slug);
+        continue;
+      }
+
+      if (summary.fetched.length + summary.notFound.length + summary.failed.length > 0 && delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+
+      try {
+        const data = await fetchProblem(slug);
+
+        if (!data || !(data.titleSlug || data.questionTitle)) {
+          await this.save({ slug, found: false, fetchedAt: new Date().toISOString() });
+          summary.notFound.push(slug);
+          log.warn(`⚠️ ${slug}: not a LeetCode problem`);
+          continue;
+        }
+
+        const record = await this.save(ProblemMetadataStore.fromApiResponse(slug, data));
+        summary.fetched.push(slug);
+        log.info(`🏷️ ${slug}: ${record.difficulty}, ${record.topicTags.join(', ') || 'no tags'}${record.isPaidOnly ? ' (premium)' : ''}`);
+      } catch (error) {
+        summary.failed.push({ slug, error: error.message });
+        log.error(`❌ ${slug}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether slugs are LeetCode problems, fetching the ones that aren't cached
+   * (the plan editor's "Check slugs")
+   * @param {Array<string>} slugs - Problem slugs
+   * @param {Function} fetchProblem - async slug => /select response body, or null if unknown
+   * @returns {Promise<Array<Object>>} { slug, found, title, difficulty, isPaidOnly } per slug,
+   *   found: null with an error when the lookup failed
+   */
+  async check(slugs, fetchProblem) {
+    const summary = await this.enrich(slugs, fetchProblem);
+    const failed = new Map(summary.failed.map(failure => [failure.slug, failure.error]));
+    const cache = await this.load();
+
+    return [...new Set(slugs)].map(slug => {
+      if (failed.has(slug)) {
+        return { slug, found: null, error: failed.get(slug) };
+      }
+      const record = cache.get(slug);
+      return record.found === false ?
+        { slug, found: false } :
+        { slug, found: true, title: record.title, difficulty: record.difficulty, isPaidOnly: record.isPaidOnly };
+    });
+  }
+}
+
+// Create singleton instance
+const problemMetadata = new ProblemMetadataStore();
+
+module.exports = {
+  problemMetadata,
+  ProblemMetadataStore
+};
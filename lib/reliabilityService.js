@@ -14,6 +14,10 @@
  */
 
 const axios = require('axios');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child('reliability');
 
 /**
  * Retry strategies for different scenarios
@@ -90,10 +94,12 @@ class ReliabilityService {
       totalSuccesses: 0,
       totalFailures: 0,
       coldStartsDetected: 0,
+      coldStartWaitMs: 0,      // Time spent backing off after cold start errors
       circuitBreakerTrips: 0
     };
     
-    console.log('🛡️ ReliabilityService initialized with enterprise-grade patterns');
+    this.setCircuitState(CIRCUIT_STATES.CLOSED);
+    log.debug('🛡️ ReliabilityService initialized with enterprise-grade patterns');
   }
 
   /**
@@ -105,8 +111,8 @@ class ReliabilityService {
     const operationName = options.name || 'API Operation';
     const startTime = Date.now();
     
-    console.log(`🔄 Starting reliable operation: ${operationName}`);
-    console.log(`📊 Strategy: ${options.strategy || 'normal'} (${strategy.maxAttempts} attempts max)`);
+    log.debug(`🔄 Starting reliable operation: ${operationName}`);
+    log.debug(`📊 Strategy: ${options.strategy || 'normal'} (${strategy.maxAttempts} attempts max)`);
     
     // Check circuit breaker
     if (this.isCircuitOpen()) {
@@ -121,41 +127,44 @@ class ReliabilityService {
     while (attempt < strategy.maxAttempts) {
       attempt++;
       this.metrics.totalAttempts++;
+      metrics.apiAttempts.inc();
       
       // Check total time limit
       if (strategy.totalTimeLimit && (Date.now() - startTime) > strategy.totalTimeLimit) {
-        console.log(`⏰ Total time limit exceeded for ${operationName}`);
+        log.warn(`⏰ Total time limit exceeded for ${operationName}`);
         break;
       }
       
       try {
         const timeout = this.calculateTimeout(strategy, attempt);
-        console.log(`\n🔄 ${operationName} - Attempt ${attempt}/${strategy.maxAttempts}`);
-        console.log(`⏳ Timeout: ${timeout/1000}s`);
+        log.info(`\n🔄 ${operationName} - Attempt ${attempt}/${strategy.maxAttempts}`);
+        log.debug(`⏳ Timeout: ${timeout/1000}s`);
         
         // Execute the operation with timeout
         const result = await this.executeWithTimeout(operation, timeout);
         
         // Success!
-        console.log(`✅ ${operationName} succeeded on attempt ${attempt}`);
+        log.info(`✅ ${operationName} succeeded on attempt ${attempt}`);
         this.onSuccess();
         this.metrics.totalSuccesses++;
+        metrics.apiSuccesses.inc();
         
         return result;
         
       } catch (error) {
         lastError = error;
-        console.log(`⚠️ ${operationName} attempt ${attempt} failed: ${error.message}`);
+        log.warn(`⚠️ ${operationName} attempt ${attempt} failed: ${error.message}`);
         
         // Detect cold start scenarios
         if (this.isColdStartError(error)) {
-          console.log(`🌅 Cold start detected for ${operationName}`);
+          log.info(`🌅 Cold start detected for ${operationName}`);
           this.metrics.coldStartsDetected++;
+          metrics.apiColdStarts.inc();
         }
         
         // Don't retry on certain error types
         if (this.isNonRetryableError(error)) {
-          console.log(`🚫 Non-retryable error, stopping attempts`);
+          log.info(`🚫 Non-retryable error, stopping attempts`);
           break;
         }
         
@@ -166,15 +175,20 @@ class ReliabilityService {
         
         // Calculate wait time and wait
         const waitTime = this.calculateWaitTime(strategy, attempt);
-        console.log(`⏳ Waiting ${waitTime/1000}s before retry...`);
+        if (this.isColdStartError(error)) {
+          this.metrics.coldStartWaitMs += waitTime;
+          metrics.apiColdStartWait.inc({}, waitTime / 1000);
+        }
+        log.info(`⏳ Waiting ${waitTime/1000}s before retry...`);
         await this.sleep(waitTime);
       }
     }
     
     // All attempts failed
-    console.log(`❌ ${operationName} failed after ${attempt} attempts`);
+    log.error(`❌ ${operationName} failed after ${attempt} attempts`);
     this.onFailure(lastError);
     this.metrics.totalFailures++;
+    metrics.apiFailures.inc();
     
     throw lastError || new Error(`${operationName} failed after all retry attempts`);
   }
@@ -273,8 +287,8 @@ class ReliabilityService {
       // Check if recovery timeout has passed
       const timeSinceFailure = Date.now() - this.circuitBreaker.lastFailureTime;
       if (timeSinceFailure >= this.circuitBreaker.recoveryTimeout) {
-        console.log('🔌 Circuit breaker transitioning to HALF-OPEN');
-        this.circuitBreaker.state = CIRCUIT_STATES.HALF_OPEN;
+        log.info('🔌 Circuit breaker transitioning to HALF-OPEN');
+        this.setCircuitState(CIRCUIT_STATES.HALF_OPEN);
         this.circuitBreaker.successCount = 0;
         return false;
       }
@@ -292,8 +306,8 @@ class ReliabilityService {
     if (this.circuitBreaker.state === CIRCUIT_STATES.HALF_OPEN) {
       this.circuitBreaker.successCount++;
       if (this.circuitBreaker.successCount >= this.circuitBreaker.halfOpenSuccessThreshold) {
-        console.log('✅ Circuit breaker transitioning to CLOSED');
-        this.circuitBreaker.state = CIRCUIT_STATES.CLOSED;
+        log.info('✅ Circuit breaker transitioning to CLOSED');
+        this.setCircuitState(CIRCUIT_STATES.CLOSED);
         this.circuitBreaker.failureCount = 0;
       }
     } else if (this.circuitBreaker.state === CIRCUIT_STATES.CLOSED) {
@@ -310,16 +324,28 @@ class ReliabilityService {
     this.circuitBreaker.lastFailureTime = Date.now();
     
     if (this.circuitBreaker.state === CIRCUIT_STATES.HALF_OPEN) {
-      console.log('🔌 Circuit breaker transitioning to OPEN (half-open failure)');
-      this.circuitBreaker.state = CIRCUIT_STATES.OPEN;
+      log.warn('🔌 Circuit breaker transitioning to OPEN (half-open failure)');
+      this.setCircuitState(CIRCUIT_STATES.OPEN);
       this.metrics.circuitBreakerTrips++;
+      metrics.circuitBreakerTrips.inc();
     } else if (this.circuitBreaker.failureCount >= this.circuitBreaker.failureThreshold) {
-      console.log('🔌 Circuit breaker tripped - transitioning to OPEN');
-      this.circuitBreaker.state = CIRCUIT_STATES.OPEN;
+      log.warn('🔌 Circuit breaker tripped - transitioning to OPEN');
+      this.setCircuitState(CIRCUIT_STATES.OPEN);
       this.metrics.circuitBreakerTrips++;
+      metrics.circuitBreakerTrips.inc();
     }
   }
 
+  /**
+   * Circuit breaker: change state and report it on /metrics
+   */
+  setCircuitState(state) {
+    this.circuitBreaker.state = state;
+    Object.values(CIRCUIT_STATES).forEach(name => {
+      metrics.circuitBreakerState.set({ state: name }, name === state ? 1 : 0);
+    });
+  }
+
   /**
    * Utility: sleep for specified milliseconds
    */
@@ -347,11 +373,11 @@ class ReliabilityService {
    * Reset circuit breaker (for testing/debugging)
    */
   resetCircuitBreaker() {
-    this.circuitBreaker.state = CIRCUIT_STATES.CLOSED;
+    this.setCircuitState(CIRCUIT_STATES.CLOSED);
     this.circuitBreaker.failureCount = 0;
     this.circuitBreaker.successCount = 0;
     this.circuitBreaker.lastFailureTime = null;
-    console.log('🔌 Circuit breaker manually reset');
+    log.info('🔌 Circuit breaker manually reset');
   }
 }
 
@@ -0,0 +1,154 @@
+/**
+ * Review Scheduler
+ *
+ * Spaced-repetition (Leitner boxes with an SM-2 style ease factor) for solved problems.
+ * Once a problem is solved it comes back for review after growing intervals
+ * (1, 3, 7, 21 days by default) until it graduates out of the queue.
+ *
+ * Review state lives on the sentProblems entry itself:
+ *   review: { step, interval, ease, dueDate, reviewCount, lastReviewedDate, pendingSince, graduated }
+ */
+
+const { DateUtils } = require('./dateUtils');
+
+const DEFAULT_INTERVALS = [1, 3, 7, 21];
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+
+class ReviewScheduler {
+
+  /**
+   * Add days to a YYYY-MM-DD date string
+   * @param {string} dateString - Date in YYYY-MM-DD format
+   * @param {number} days - Number of days to add
+   * @returns {string} New date in YYYY-MM-DD format
+   */
+  static addDays(dateString, days) {
+    const date = new Date(`${dateString.slice(0, 10)}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return DateUtils.formatDateString(date);
+  }
+
+  /**
+   * Whole days between two YYYY-MM-DD date strings (b - a)
+   */
+  static daysBetween(a, b) {
+    const start = new Date(`${a.slice(0, 10)}T00:00:00`);
+    const end = new Date(`${b.slice(0, 10)}T00:00:00`);
+    return Math.round((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Scale a ladder interval by the problem's ease (2.5 = unchanged)
+   */
+  static scaleInterval(baseInterval, ease) {
+    return Math.max(1, Math.round(baseInterval * (ease / DEFAULT_EASE)));
+  }
+
+  /**
+   * Create review state for a problem that was just solved for the first time
+   * @param {string} solvedDate - Date the problem was solved (YYYY-MM-DD or ISO)
+   * @param {Array<number>} intervals - Review ladder in days
+   * @returns {Object} Review state
+   */
+  static createReviewState(solvedDate, intervals = DEFAULT_INTERVALS) {
+    const today = solvedDate.slice(0, 10);
+    return {
+      step: 0,
+      interval: intervals[0],
+      ease: DEFAULT_EASE,
+      dueDate: this.addDays(today, intervals[0]),
+      reviewCount: 0,
+      lastReviewedDate: today,
+      pendingSince: null,
+      graduated: false
+    };
+  }
+
+  /**
+   * Advance review state after a review was completed
+   * Same-day completion moves the problem up a box and raises its ease;
+   * a late completion keeps it in the same box and lowers its ease.
+   * @param {Object} review - Current review state
+   * @param {string} completedDate - Date the review was solved (YYYY-MM-DD or ISO)
+   * @param {Array<number>} intervals - Review ladder in days
+   * @returns {Object} Updated review state
+   */
+  static completeReview(review, completedDate, intervals = DEFAULT_INTERVALS) {
+    const today = completedDate.slice(0, 10);
+    const sentOn = review.pendingSince || today;
+    const lateDays = Math.max(0, this.daysBetween(sentOn, today));
+    const onTime = lateDays === 0;
+
+    const ease = onTime
+      ? Math.min(MAX_EASE, review.ease + 0.1)
+      : Math.max(MIN_EASE, review.ease - 0.2);
+    const step = onTime ? review.step + 1 : review.step;
+
+    const updated = {
+      ...review,
+      ease: Number(ease.toFixed(2)),
+      step,
+      reviewCount: (review.reviewCount || 0) + 1,
+      lastReviewedDate: today,
+      pendingSince: null
+    };
+
+    if (step >= intervals.length) {
+      return { ...updated, graduated: true, interval: null, dueDate: null };
+    }
+
+    const interval = this.scaleInterval(intervals[step], updated.ease);
+    return {
+      ...updated,
+      interval,
+      dueDate: this.addDays(today, interval)
+    };
+  }
+
+  /**
+   * Mark a review as sent today
+   */
+  static markSent(review, todayStr) {
+    return {
+      ...review,
+      pendingSince: review.pendingSince || todayStr
+    };
+  }
+
+  /**
+   * Whether a sentProblems entry still belongs in the review queue
+   */
+  static isInQueue(sentProblem) {
+    return Boolean(sentProblem.solved && sentProblem.review && !sentProblem.review.graduated);
+  }
+
+  /**
+   * Get solved problems whose review is due, oldest due date first
+   * @param {Array<Object>} sentProblems - Progress sentProblems
+   * @param {string} todayStr - Today's date in YYYY-MM-DD format
+   * @returns {Array<Object>} Due sentProblems entries
+   */
+  static getDueReviews(sentProblems, todayStr) {
+    return sentProblems
+      .filter(p => this.isInQueue(p) && p.review.dueDate && p.review.dueDate <= todayStr)
+      .sort((a, b) => a.review.dueDate.localeCompare(b.review.dueDate));
+  }
+
+  /**
+   * Number of daily slots reviews may take
+   * @param {number} numQuestions - Daily problem count
+   * @param {number} share - Fraction of slots reserved for reviews (0-1)
+   * @returns {number} Review slot count
+   */
+  static getReviewSlots(numQuestions, share) {
+    if (!share || share <= 0) return 0;
+    return Math.min(numQuestions, Math.floor(numQuestions * share));
+  }
+}
+
+module.exports = {
+  ReviewScheduler,
+  DEFAULT_INTERVALS
+};
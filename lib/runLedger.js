@@ -0,0 +1,322 @@
+/**
+ * Run Ledger
+ *
+ * Makes the daily routine safe to trigger more than once. GitHub Actions,
+ * node-cron and a manual /api/check can all fire on the same day, and a crash
+ * between sending the email and saving progress used to mean a second email.
+ *
+ * Each (job, user, date) gets one run document in users/{userId}/run-{job}-{date}:
+ *   { runId, job, userId, date, status, attempts, lease, steps, outbox, plan, ... }
+ * - lease:  { owner, expiresAt } - only the owner may advance the run; a lease
+ *           left behind by a crashed process expires after RUN_LEASE_MS. Every
+ *           write renews it, and renew() does so between slow steps; it outlasts
+ *           the slowest LeetCode retry strategy so one API call can't lose it
+ * - steps:  step name -> { status: 'done', at } so a resumed run skips finished work
+ * - outbox: messages to send, each pending -> sending -> sent (or failed / unknown)
+ * - plan:   whatever the job decided up front, so a resumed run sends and saves
+ *           exactly what the first attempt planned
+ *
+ * A completed run is never repeated; a failed or abandoned one is resumed, and
+ * a skipped one (the job had nothing to do yet, e.g. on a paused day) runs
+ * again on the next trigger.
+ *
+ * A run only matters on its own day, so prune() deletes runs older than
+ * RUN_LEDGER_KEEP_DAYS (30 by default) - the daily routine does this for
+ * every user after it runs.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { databaseService } = require('./firebase');
+const { ReviewScheduler } = require('./reviewScheduler');
+const { logger } = require('./logger');
+
+const log = logger.child('run-ledger');
+
+const RUN_STATUSES = ['running', 'completed', 'skipped', 'failed'];
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'unknown'];
+const DEFAULT_LEASE_MS = 15 * 60 * 1000; // 15 minutes - above the 12-minute 'aggressive' retry limit
+const DEFAULT_KEEP_DAYS = 30;
+const RUN_DATE = /-(\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Thrown when a run's lease has been taken over by another process
+ */
+class RunLeaseError extends Error {
+  constructor(runId, owner) {
+    super(`Lost the lease on run ${runId} to ${owner || 'nobody'}`);
+    this.name = 'RunLeaseError';
+    this.runId = runId;
+    this.owner = owner;
+  }
+}
+
+class RunLedger {
+  /**
+   * @param {DatabaseService} db - Database service (defaults to the shared one)
+   * @param {Object} options - { leaseMs, keepDays } (default to RUN_LEASE_MS or 15 minutes,
+   *   and RUN_LEDGER_KEEP_DAYS or 30)
+   */
+  constructor(db = databaseService, options = {}) {
+    this.db = db;
+    this.leaseMs = options.leaseMs || parseInt(process.env.RUN_LEASE_MS) || DEFAULT_LEASE_MS;
+    this.keepDays = options.keepDays || parseInt(process.env.RUN_LEDGER_KEEP_DAYS) || DEFAULT_KEEP_DAYS;
+  }
+
+  /**
+   * Stable id of a run
+   */
+  static runId(job, userId, date) {
+    return `${job}:${userId}:${date}`;
+  }
+
+  /**
+   * Document name of a run under the user's data
+   */
+  static docName(job, date) {
+    return `run-${job}-${date}`;
+  }
+
+  /**
+   * A lease owner id, unique per process and trigger
+   * @param {string} trigger - What started the run, e.g. 'cron' or 'api'
+   */
+  static createOwner(trigger = 'manual') {
+    return `${trigger}@${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Whether a step of the run has finished
+   */
+  static isStepDone(run, step) {
+    return run.steps?.[step]?.status === 'done';
+  }
+
+  /**
+   * Load a run without taking its lease
+   * @returns {Promise<Object|null>} Run document or null
+   */
+  async getRun(job, userId, date) {
+    return this.db.loadRun(userId, RunLedger.docName(job, date));
+  }
+
+  /**
+   * Start or resume a run by taking its lease
+   * @param {string} job - Job name, e.g. 'daily-routine'
+   * @param {string} userId - User identifier
+   * @param {string} date - YYYY-MM-DD the run is for
+   * @param {Object} options - { owner, trigger }
+   * @returns {Promise<Object>} { acquired: true, run } or { acquired: false, reason: 'completed'|'locked', run }
+   */
+  async begin(job, userId, date, { owner = RunLedger.createOwner(), trigger = 'manual' } = {}) {
+    const docName = RunLedger.docName(job, date);
+    let outcome = null;
+
+    await this.db.atomicRunUpdate(userId, docName, current => {
+      const now = Date.now();
+
+      if (current?.status === 'completed') {
+        outcome = { acquired: false, reason: 'completed', run: current };
+        return null;
+      }
+      if (current?.lease && current.lease.owner !== owner && Date.parse(current.lease.expiresAt) > now) {
+        outcome = { acquired: false, reason: 'locked', run: current };
+        return null;
+      }
+
+      const run = current || {
+        runId: RunLedger.runId(job, userId, date),
+        job,
+        userId,
+        date,
+        attempts: 0,
+        steps: {},
+        outbox: [],
+        createdAt: new Date(now).toISOString()
+      };
+      const resumed = { ...run };
+      delete resumed.error;
+
+      const updated = {
+        ...resumed,
+        status: 'running',
+        attempts: run.attempts + 1,
+        trigger,
+        lease: { owner, expiresAt: new Date(now + this.leaseMs).toISOString() },
+        startedAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+      };
+      outcome = { acquired: true, run: updated };
+      return updated;
+    });
+
+    if (outcome.acquired) {
+      const resumedFrom = Object.keys(outcome.run.steps);
+      log.info(`🧾 Run ${outcome.run.runId} attempt ${outcome.run.attempts}` +
+        (resumedFrom.length > 0 ? ` - resuming after ${resumedFrom.join(', ')}` : ''));
+    }
+    return outcome;
+  }
+
+  /**
+   * Change a run the caller holds the lease on, renewing the lease
+   * @param {Object} run - Run from begin() or a previous update
+   * @param {Function} updateFunction - (run) => changes to merge in
+   * @param {Object} options - { release } to give up the lease instead of renewing it
+   * @returns {Promise<Object>} Updated run
+   * @throws {RunLeaseError} If another process has taken over the run
+   */
+  async update(run, updateFunction, { release = false } = {}) {
+    const owner = run.lease.owner;
+    let leaseHolder = owner;
+
+    // Leave the document alone rather than throw inside the transaction, which would be retried
+    const updated = await this.db.atomicRunUpdate(run.userId, RunLedger.docName(run.job, run.date), current => {
+      if (!current || current.lease?.owner !== owner) {
+        leaseHolder = current?.lease?.owner || null;
+        return null;
+      }
+
+      const now = Date.now();
+      return {
+        ...current,
+        ...updateFunction(current),
+        lease: release ? null : { owner, expiresAt: new Date(now + this.leaseMs).toISOString() },
+        updatedAt: new Date(now).toISOString()
+      };
+    });
+
+    if (leaseHolder !== owner) {
+      throw new RunLeaseError(run.runId, leaseHolder);
+    }
+    return updated;
+  }
+
+  /**
+   * Extend the lease without changing the run, e.g. between slow API calls within a step
+   * @param {Object} run - Run holding the lease
+   * @returns {Promise<Object>} Updated run
+   * @throws {RunLeaseError} If another process has taken over the run
+   */
+  async renew(run) {
+    return this.update(run, () => ({}));
+  }
+
+  /**
+   * Mark a step as done
+   * @param {Object} run - Run holding the lease
+   * @param {string} step - Step name
+   * @param {Object} changes - Extra fields to store with it (e.g. plan, outbox)
+   * @returns {Promise<Object>} Updated run
+   */
+  async completeStep(run, step, changes = {}) {
+    return this.update(run, current => ({
+      ...changes,
+      steps: { ...current.steps, [step]: { status: 'done', at: new Date().toISOString() } }
+    }));
+  }
+
+  /**
+   * Change the state of one outbox message
+   * @param {Object} run - Run holding the lease
+   * @param {string} messageId - Outbox entry id
+   * @param {string} status - One of OUTBOX_STATUSES
+   * @param {Object} fields - Extra fields, e.g. { error }
+   * @returns {Promise<Object>} Updated run
+   */
+  async setOutboxStatus(run, messageId, status, fields = {}) {
+    return this.update(run, current => ({
+      outbox: current.outbox.map(entry => entry.id !== messageId ? entry : {
+        ...entry,
+        ...fields,
+        status,
+        attempts: (entry.attempts || 0) + (status === 'sending' ? 1 : 0),
+        [`${status}At`]: new Date().toISOString()
+      })
+    }));
+  }
+
+  /**
+   * Deliver every outbox message that has not gone out yet
+   * A message left in 'sending' by a crashed attempt may or may not have been
+   * delivered; it is marked 'unknown' and not sent again, since a duplicate
+   * email is what this ledger exists to prevent.
+   * @param {Object} run - Run holding the lease
+   * @param {Function} send - async (message) => void
+   * @returns {Promise<Object>} Updated run
+   * @throws {Error} The first delivery error (the message stays 'failed' for the next attempt)
+   */
+  async flushOutbox(run, send) {
+    let current = run;
+
+    for (const entry of run.outbox) {
+      if (entry.status === 'sent' || entry.status === 'unknown') continue;
+
+      if (entry.status === 'sending') {
+        log.warn(`⚠️ Outbox message ${entry.id} of ${run.runId} was being sent when a previous attempt stopped - not resending`);
+        current = await this.setOutboxStatus(current, entry.id, 'unknown');
+        continue;
+      }
+
+      current = await this.setOutboxStatus(current, entry.id, 'sending');
+      try {
+        await send(entry.message);
+      } catch (error) {
+        await this.setOutboxStatus(current, entry.id, 'failed', { error: error.message });
+        throw error;
+      }
+      current = await this.setOutboxStatus(current, entry.id, 'sent');
+    }
+
+    return current;
+  }
+
+  /**
+   * Delete a user's runs from before the last keepDays days
+   * @param {string} userId - User identifier
+   * @param {string} today - Today in YYYY-MM-DD format
+   * @returns {Promise<number>} Runs deleted
+   */
+  async prune(userId, today) {
+    const cutoff = ReviewScheduler.addDays(today, -this.keepDays);
+    const stale = (await this.db.listRunDocuments(userId))
+      .filter(docName => {
+        const date = docName.match(RUN_DATE)?.[1];
+        return Boolean(date) && date < cutoff;
+      });
+
+    for (const docName of stale) {
+      await this.db.deleteRun(userId, docName);
+    }
+    if (stale.length > 0) {
+      log.info(`🧹 Deleted ${stale.length} run${stale.length === 1 ? '' : 's'} of ${userId} from before ${cutoff}`);
+    }
+    return stale.length;
+  }
+
+  /**
+   * End a run and release its lease
+   * @param {Object} run - Run holding the lease
+   * @param {string} status - 'completed', 'skipped' or 'failed'
+   * @param {Object} fields - { outcome, error }
+   * @returns {Promise<Object>} Final run
+   */
+  async finish(run, status, fields = {}) {
+    return this.update(run, () => ({
+      ...fields,
+      status,
+      [`${status}At`]: new Date().toISOString()
+    }), { release: true });
+  }
+}
+
+// Create singleton instance
+const runLedger = new RunLedger();
+
+module.exports = {
+  runLedger,
+  RunLedger,
+  RunLeaseError,
+  RUN_STATUSES,
+  OUTBOX_STATUSES
+};
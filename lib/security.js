@@ -5,6 +5,23 @@
  * Designed to work within Render free tier memory constraints.
  */
 
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child('security');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+function safeCompare(a, b) {
+  const aBuf = Buffer.from(a);
+  const bBuf = Buffer.from(b);
+  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+}
+
 class SecurityService {
   constructor() {
     this.attemptTracker = new Map(); // IP -> { count, lastAttempt, blockedUntil }
@@ -15,9 +32,8 @@ class SecurityService {
     // Cleanup interval to prevent memory leaks
     this.cleanupInterval = setInterval(() => this.cleanup(), 300000); // 5 minutes
     
-    console.log('🛡️ Security service initialized');
-    console.log(`   Rate limit: ${this.maxAttempts} attempts per ${this.windowMs/60000} minutes`);
-    console.log(`   Block duration: ${this.blockDurationMs/60000} minutes`);
+    log.info(`🛡️ Security service initialized (rate limit: ${this.maxAttempts} attempts per ${this.windowMs/60000} minutes, ` +
+      `block duration: ${this.blockDurationMs/60000} minutes)`);
   }
 
   /**
@@ -54,7 +70,7 @@ class SecurityService {
       attempts.blockedUntil = now + this.blockDurationMs;
       this.attemptTracker.set(ip, attempts);
       
-      console.warn(`🚨 IP ${ip} blocked for ${this.blockDurationMs/60000} minutes (${attempts.count} attempts)`);
+      log.warn(`🚨 IP ${ip} blocked for ${this.blockDurationMs/60000} minutes (${attempts.count} attempts)`);
       throw new Error(`Rate limit exceeded. Blocked for ${this.blockDurationMs/60000} minutes`);
     }
 
@@ -63,7 +79,7 @@ class SecurityService {
     attempts.lastAttempt = now;
     this.attemptTracker.set(ip, attempts);
 
-    console.log(`🔍 Rate limit check: IP ${ip} - ${attempts.count}/${this.maxAttempts} attempts`);
+    log.debug(`🔍 Rate limit check: IP ${ip} - ${attempts.count}/${this.maxAttempts} attempts`);
   }
 
   /**
@@ -73,7 +89,7 @@ class SecurityService {
   recordSuccess(ip) {
     if (this.attemptTracker.has(ip)) {
       this.attemptTracker.delete(ip);
-      console.log(`✅ Rate limit reset for IP ${ip} after successful auth`);
+      log.info(`✅ Rate limit reset for IP ${ip} after successful auth`);
     }
   }
 
@@ -94,7 +110,7 @@ class SecurityService {
     }
 
     if (cleaned > 0) {
-      console.log(`🧹 Security cleanup: removed ${cleaned} old rate limit entries`);
+      log.info(`🧹 Security cleanup: removed ${cleaned} old rate limit entries`);
     }
   }
 
@@ -131,7 +147,7 @@ class SecurityService {
       this.cleanupInterval = null;
     }
     this.attemptTracker.clear();
-    console.log('🛡️ Security service destroyed');
+    log.info('🛡️ Security service destroyed');
   }
 }
 
@@ -185,10 +201,10 @@ class ConfigValidator {
       }
     });
 
-    console.log('✅ Configuration validated successfully');
-    console.log(`   FROM_EMAIL: ${process.env.FROM_EMAIL}`);
-    console.log(`   TO_EMAIL: ${process.env.TO_EMAIL}`);
-    console.log(`   Optional config: ${optional.filter(key => process.env[key]).length}/${optional.length} set`);
+    log.info('✅ Configuration validated successfully');
+    log.info(`   FROM_EMAIL: ${process.env.FROM_EMAIL}`);
+    log.info(`   TO_EMAIL: ${process.env.TO_EMAIL}`);
+    log.info(`   Optional config: ${optional.filter(key => process.env[key]).length}/${optional.length} set`);
 
     return sanitized;
   }
@@ -243,5 +259,6 @@ class ConfigValidator {
 
 module.exports = {
   SecurityService,
-  ConfigValidator
+  ConfigValidator,
+  safeCompare
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Local File Storage Adapter
+ * 
+ * Persists documents as JSON files so the tracker runs offline:
+ *   {DATA_DIR}/users/{userId}/{docName}.json
+ *   {DATA_DIR}/{collectionPath}/{id}.json
+ * 
+ * Files are written to a temp file and renamed so a crash never leaves
+ * half-written JSON behind. Transaction semantics come from MemoryAdapter.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MemoryAdapter } = require('./memoryAdapter');
+
+const SAFE_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+class FileAdapter extends MemoryAdapter {
+  constructor(dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data')) {
+    super('file');
+    this.dataDir = path.resolve(dataDir);
+  }
+
+  /**
+   * Build a path inside the data directory, rejecting unsafe segments
+   */
+  resolvePath(...segments) {
+    segments.forEach(segment => {
+      if (!SAFE_SEGMENT.test(segment)) {
+        throw new Error(`Invalid storage path segment: "${segment}"`);
+      }
+    });
+    return path.join(this.dataDir, ...segments);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeJson(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async readDocument(userId, docName) {
+    return this.readJson(`${this.resolvePath('users', userId, docName)}.json`);
+  }
+
+  async writeDocument(userId, docName, data) {
+    await this.writeJson(`${this.resolvePath('users', userId, docName)}.json`, data);
+  }
+
+  async readDocumentNames(userId) {
+    try {
+      const files = await fs.readdir(this.resolvePath('users', userId));
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async removeDocument(userId, docName) {
+    try {
+      await fs.unlink(`${this.resolvePath('users', userId, docName)}.json`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  recordPath(collectionPath, id) {
+    return `${this.resolvePath(...collectionPath.split('/'), id)}.json`;
+  }
+
+  async readRecord(collectionPath, id) {
+    return this.readJson(this.recordPath(collectionPath, id));
+  }
+
+  async writeRecord(collectionPath, id, data) {
+    await this.writeJson(this.recordPath(collectionPath, id), data);
+  }
+
+  async readAllRecords(collectionPath) {
+    const dir = this.resolvePath(...collectionPath.split('/'));
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+      const id = file.slice(0, -'.json'.length);
+      const data = await this.readJson(path.join(dir, file));
+      if (data) records.push({ id, ...data });
+    }
+    return records;
+  }
+
+  async removeRecord(collectionPath, id) {
+    try {
+      await fs.unlink(this.recordPath(collectionPath, id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = {
+  FileAdapter
+};
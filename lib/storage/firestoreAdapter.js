@@ -0,0 +1,101 @@
+/**
+ * Firestore Storage Adapter
+ * 
+ * Stores user documents at users/{userId}/data/{docName} in Firebase Firestore.
+ * Firebase Admin is only initialized when this adapter is created, so the
+ * local adapters work without any Firebase credentials.
+ */
+
+const { StorageAdapter } = require('./storageAdapter');
+
+// Function to process private key
+const processPrivateKey = (key) => {
+  if (!key) return undefined;
+  // Remove any extra quotes at the start/end if present
+  key = key.trim().replace(/^['"]|['"]$/g, '');
+  // Replace literal \n with actual newlines
+  return key.replace(/\\n/g, '\n');
+};
+
+class FirestoreAdapter extends StorageAdapter {
+  constructor() {
+    super('firestore');
+
+    const admin = require('firebase-admin');
+
+    // Reuse the default app if another adapter already initialized it
+    const app = admin.apps.length > 0 ? admin.app() : admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: processPrivateKey(process.env.FIREBASE_PRIVATE_KEY)
+      })
+    });
+
+    this.db = admin.firestore(app);
+  }
+
+  docRef(userId, docName) {
+    return this.db.collection('users').doc(userId).collection('data').doc(docName);
+  }
+
+  async getDocument(userId, docName) {
+    const snap = await this.docRef(userId, docName).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async setDocument(userId, docName, data) {
+    await this.docRef(userId, docName).set(data);
+  }
+
+  async listDocuments(userId) {
+    const refs = await this.db.collection('users').doc(userId).collection('data').listDocuments();
+    return refs.map(ref => ref.id);
+  }
+
+  async deleteDocument(userId, docName) {
+    await this.docRef(userId, docName).delete();
+  }
+
+  async runTransaction(fn) {
+    return this.db.runTransaction(async (transaction) => {
+      return fn({
+        get: async (userId, docName) => {
+          const snap = await transaction.get(this.docRef(userId, docName));
+          return snap.exists ? snap.data() : null;
+        },
+        set: (userId, docName, data) => {
+          transaction.set(this.docRef(userId, docName), data);
+        }
+      });
+    });
+  }
+
+  async addRecord(collectionPath, data) {
+    const ref = this.db.collection(collectionPath).doc();
+    await ref.set(data);
+    return ref.id;
+  }
+
+  async getRecord(collectionPath, id) {
+    const snap = await this.db.collection(collectionPath).doc(id).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async setRecord(collectionPath, id, data) {
+    await this.db.collection(collectionPath).doc(id).set(data);
+  }
+
+  async listRecords(collectionPath) {
+    const snapshot = await this.db.collection(collectionPath).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async deleteRecord(collectionPath, id) {
+    await this.db.collection(collectionPath).doc(id).delete();
+  }
+}
+
+module.exports = {
+  FirestoreAdapter
+};
@@ -0,0 +1,43 @@
+/**
+ * Storage Backend Factory
+ * 
+ * Picks the storage adapter behind DatabaseService from STORAGE_BACKEND:
+ * - firestore (default): Firebase Firestore, needs Firebase Admin credentials
+ * - file: JSON files under DATA_DIR (default ./data) for offline use
+ * - memory: in-process only, for tests
+ */
+
+const { StorageAdapter } = require('./storageAdapter');
+const { MemoryAdapter } = require('./memoryAdapter');
+const { FileAdapter } = require('./fileAdapter');
+
+const STORAGE_BACKENDS = ['firestore', 'file', 'memory'];
+
+/**
+ * Create a storage adapter
+ * @param {string} backend - One of STORAGE_BACKENDS
+ * @returns {StorageAdapter} Adapter instance
+ */
+function createStorageAdapter(backend = process.env.STORAGE_BACKEND || 'firestore') {
+  switch (backend) {
+    case 'firestore': {
+      // Required lazily so local backends never load firebase-admin
+      const { FirestoreAdapter } = require('./firestoreAdapter');
+      return new FirestoreAdapter();
+    }
+    case 'file':
+      return new FileAdapter();
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  StorageAdapter,
+  MemoryAdapter,
+  FileAdapter,
+  STORAGE_BACKENDS
+};
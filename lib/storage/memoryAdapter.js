@@ -0,0 +1,139 @@
+/**
+ * In-Memory Storage Adapter
+ * 
+ * Keeps every document in process memory. Intended for tests and dry runs -
+ * nothing survives a restart. Transactions are serialized with a promise
+ * chain and writes are staged until the transaction body resolves.
+ */
+
+const crypto = require('crypto');
+const { StorageAdapter } = require('./storageAdapter');
+
+const clone = (value) => (value === null || value === undefined) ? null : JSON.parse(JSON.stringify(value));
+
+class MemoryAdapter extends StorageAdapter {
+  constructor(name = 'memory') {
+    super(name);
+    this.documents = new Map();
+    this.records = new Map();
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Serialize operations so concurrent transactions can't interleave
+   */
+  withLock(operation) {
+    const result = this.lock.then(operation);
+    // Keep the chain alive even if this operation fails
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  generateId() {
+    return crypto.randomBytes(10).toString('hex');
+  }
+
+  // Storage primitives - overridden by adapters that persist elsewhere
+  async readDocument(userId, docName) {
+    return clone(this.documents.get(`${userId}/${docName}`));
+  }
+
+  async writeDocument(userId, docName, data) {
+    this.documents.set(`${userId}/${docName}`, clone(data));
+  }
+
+  async readDocumentNames(userId) {
+    return Array.from(this.documents.keys())
+      .filter(key => key.startsWith(`${userId}/`))
+      .map(key => key.slice(userId.length + 1));
+  }
+
+  async removeDocument(userId, docName) {
+    this.documents.delete(`${userId}/${docName}`);
+  }
+
+  async readRecord(collectionPath, id) {
+    return clone(this.records.get(collectionPath)?.get(id));
+  }
+
+  async writeRecord(collectionPath, id, data) {
+    if (!this.records.has(collectionPath)) {
+      this.records.set(collectionPath, new Map());
+    }
+    this.records.get(collectionPath).set(id, clone(data));
+  }
+
+  async readAllRecords(collectionPath) {
+    const collection = this.records.get(collectionPath) || new Map();
+    return Array.from(collection.entries()).map(([id, data]) => ({ id, ...clone(data) }));
+  }
+
+  async removeRecord(collectionPath, id) {
+    this.records.get(collectionPath)?.delete(id);
+  }
+
+  async getDocument(userId, docName) {
+    return this.readDocument(userId, docName);
+  }
+
+  async setDocument(userId, docName, data) {
+    return this.withLock(() => this.writeDocument(userId, docName, data));
+  }
+
+  async listDocuments(userId) {
+    return this.readDocumentNames(userId);
+  }
+
+  async deleteDocument(userId, docName) {
+    return this.withLock(() => this.removeDocument(userId, docName));
+  }
+
+  async runTransaction(fn) {
+    return this.withLock(async () => {
+      const staged = new Map();
+
+      const result = await fn({
+        get: async (userId, docName) => {
+          const key = `${userId}/${docName}`;
+          return staged.has(key) ? clone(staged.get(key).data) : this.readDocument(userId, docName);
+        },
+        set: (userId, docName, data) => {
+          staged.set(`${userId}/${docName}`, { userId, docName, data: clone(data) });
+        }
+      });
+
+      // Commit staged writes only after the body succeeded
+      for (const { userId, docName, data } of staged.values()) {
+        await this.writeDocument(userId, docName, data);
+      }
+
+      return result;
+    });
+  }
+
+  async addRecord(collectionPath, data) {
+    const id = this.generateId();
+    await this.writeRecord(collectionPath, id, data);
+    return id;
+  }
+
+  async getRecord(collectionPath, id) {
+    return this.readRecord(collectionPath, id);
+  }
+
+  async setRecord(collectionPath, id, data) {
+    return this.withLock(() => this.writeRecord(collectionPath, id, data));
+  }
+
+  async listRecords(collectionPath) {
+    return this.readAllRecords(collectionPath);
+  }
+
+  async deleteRecord(collectionPath, id) {
+    return this.withLock(() => this.removeRecord(collectionPath, id));
+  }
+}
+
+module.exports = {
+  MemoryAdapter
+};
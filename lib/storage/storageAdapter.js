@@ -0,0 +1,130 @@
+/**
+ * Storage Adapter Interface
+ * 
+ * Base class for the storage backends behind DatabaseService.
+ * Documents are addressed by (userId, docName), e.g. ('default', 'progress').
+ * Records are append-only entries in a named collection (checkpoints, backups, logs).
+ * 
+ * Every adapter must implement:
+ * - getDocument(userId, docName)          -> Promise<Object|null>
+ * - setDocument(userId, docName, data)    -> Promise<void>
+ * - listDocuments(userId)                 -> Promise<Array<string>> document names
+ * - deleteDocument(userId, docName)       -> Promise<void>
+ * - runTransaction(fn)                    -> Promise<any>, fn receives { get, set }
+ * - addRecord(collectionPath, data)       -> Promise<string> record id
+ * - getRecord(collectionPath, id)         -> Promise<Object|null>
+ * - setRecord(collectionPath, id, data)   -> Promise<void>
+ * - listRecords(collectionPath)           -> Promise<Array<Object>> records with their id
+ * - deleteRecord(collectionPath, id)      -> Promise<void>
+ */
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Read a user document
+   * @param {string} userId - User identifier
+   * @param {string} docName - Document name (settings, progress, ...)
+   * @returns {Promise<Object|null>} Document data or null if missing
+   */
+  async getDocument(userId, docName) {
+    throw new Error(`${this.name} adapter does not implement getDocument`);
+  }
+
+  /**
+   * Overwrite a user document
+   * @param {string} userId - User identifier
+   * @param {string} docName - Document name
+   * @param {Object} data - Document data
+   * @returns {Promise<void>}
+   */
+  async setDocument(userId, docName, data) {
+    throw new Error(`${this.name} adapter does not implement setDocument`);
+  }
+
+  /**
+   * List a user's document names
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array<string>>} Document names (progress, settings, run-..., ...)
+   */
+  async listDocuments(userId) {
+    throw new Error(`${this.name} adapter does not implement listDocuments`);
+  }
+
+  /**
+   * Delete a user document (no-op if missing)
+   * @param {string} userId - User identifier
+   * @param {string} docName - Document name
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(userId, docName) {
+    throw new Error(`${this.name} adapter does not implement deleteDocument`);
+  }
+
+  /**
+   * Run a read-modify-write transaction
+   * The callback receives { get(userId, docName), set(userId, docName, data) };
+   * writes are applied only if the callback resolves.
+   * @param {Function} fn - Transaction body
+   * @returns {Promise<any>} Callback result
+   */
+  async runTransaction(fn) {
+    throw new Error(`${this.name} adapter does not implement runTransaction`);
+  }
+
+  /**
+   * Append a record to a collection
+   * @param {string} collectionPath - Collection path (e.g. 'system/checkpoints/data')
+   * @param {Object} data - Record data
+   * @returns {Promise<string>} Generated record id
+   */
+  async addRecord(collectionPath, data) {
+    throw new Error(`${this.name} adapter does not implement addRecord`);
+  }
+
+  /**
+   * Read a record by id
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} Record data or null if missing
+   */
+  async getRecord(collectionPath, id) {
+    throw new Error(`${this.name} adapter does not implement getRecord`);
+  }
+
+  /**
+   * Create or overwrite a record with a known id
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Record id
+   * @param {Object} data - Record data
+   * @returns {Promise<void>}
+   */
+  async setRecord(collectionPath, id, data) {
+    throw new Error(`${this.name} adapter does not implement setRecord`);
+  }
+
+  /**
+   * List every record in a collection
+   * @param {string} collectionPath - Collection path
+   * @returns {Promise<Array<Object>>} Records, each with its id
+   */
+  async listRecords(collectionPath) {
+    throw new Error(`${this.name} adapter does not implement listRecords`);
+  }
+
+  /**
+   * Delete a record (no-op if missing)
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Record id
+   * @returns {Promise<void>}
+   */
+  async deleteRecord(collectionPath, id) {
+    throw new Error(`${this.name} adapter does not implement deleteRecord`);
+  }
+}
+
+module.exports = {
+  StorageAdapter
+};
@@ -0,0 +1,159 @@
+/**
+ * Streak Tracker
+ *
+ * Counts consecutive days of practice. What counts as a streak day is a rule:
+ * - assigned (default): an assigned problem (new, repeat or review) was solved that day
+ * - any: any accepted LeetCode submission that day
+ *
+ * Streak state lives on progress:
+ *   streak: { current, longest, lastDate, rule, updatedAt }
+ * `current` is the run ending on `lastDate`; it only counts as live while
+ * lastDate is today or yesterday (see getCurrent).
+ *
+ * Days off (pauses and rest days, see lib/pauseSchedule.js) are passed in as an
+ * `isOffDay(dateStr)` check: a gap made only of days off doesn't break a
+ * streak, and days off don't add to it either.
+ */
+
+const { DateUtils } = require('./dateUtils');
+const { ReviewScheduler } = require('./reviewScheduler');
+
+const STREAK_RULES = ['assigned', 'any'];
+const DEFAULT_STREAK_RULE = 'assigned';
+// Longest gap of days off a streak carries over
+const MAX_OFF_DAYS = 366;
+const NO_OFF_DAYS = () => false;
+
+class StreakTracker {
+
+  /**
+   * Create an empty streak
+   * @param {string} rule - One of STREAK_RULES
+   * @returns {Object} Streak state
+   */
+  static createStreak(rule = DEFAULT_STREAK_RULE) {
+    return {
+      current: 0,
+      longest: 0,
+      lastDate: null,
+      rule,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Convert timestamps to unique, sorted YYYY-MM-DD local dates
+   * @param {Array<Date|string>} timestamps - Solve or submission times
+   * @returns {Array<string>} Sorted unique dates
+   */
+  static toDates(timestamps) {
+    const dates = timestamps
+      .filter(Boolean)
+      .map(ts => DateUtils.formatDateString(ts instanceof Date ? ts : new Date(ts)));
+    return [...new Set(dates)].sort();
+  }
+
+  /**
+   * Dates on which assigned problems were solved, from sentProblems
+   * Review completions count too - a review is an assigned problem solved again.
+   * @param {Array<Object>} sentProblems - Progress sentProblems
+   * @returns {Array<string>} Sorted unique dates
+   */
+  static getSolveDates(sentProblems) {
+    const solveDates = this.toDates(sentProblems
+      .filter(p => p.solved && p.solvedTimestamp)
+      .map(p => p.solvedTimestamp));
+    const reviewDates = sentProblems
+      .map(p => p.review?.lastReviewedDate)
+      .filter(Boolean);
+    return [...new Set([...solveDates, ...reviewDates])].sort();
+  }
+
+  /**
+   * Whether every day strictly between two dates is a day off
+   * @param {string} fromStr - Earlier date (YYYY-MM-DD)
+   * @param {string} toStr - Later date (YYYY-MM-DD)
+   * @param {Function} isOffDay - dateStr => boolean
+   * @returns {boolean} True when the gap is empty or only days off
+   */
+  static onlyOffDaysBetween(fromStr, toStr, isOffDay) {
+    const gap = ReviewScheduler.daysBetween(fromStr, toStr) - 1;
+    if (gap > MAX_OFF_DAYS) return false;
+    for (let day = 1; day <= gap; day++) {
+      if (!isOffDay(ReviewScheduler.addDays(fromStr, day))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Extend a streak with new streak days
+   * Days on or before lastDate are ignored, so feeding the same history twice is safe.
+   * @param {Object} streak - Current streak state
+   * @param {Array<string>} dates - Streak days in YYYY-MM-DD format
+   * @param {Function} isOffDay - dateStr => boolean for days off the streak carries over
+   * @returns {Object} Updated streak state
+   */
+  static recordDays(streak, dates, isOffDay = NO_OFF_DAYS) {
+    const updated = { ...streak };
+    const newDates = [...new Set(dates)]
+      .filter(date => !updated.lastDate || date > updated.lastDate)
+      .sort();
+
+    newDates.forEach(date => {
+      const consecutive = updated.lastDate && this.onlyOffDaysBetween(updated.lastDate, date, isOffDay);
+      updated.current = consecutive ? updated.current + 1 : 1;
+      updated.longest = Math.max(updated.longest, updated.current);
+      updated.lastDate = date;
+    });
+
+    if (newDates.length > 0) {
+      updated.updatedAt = new Date().toISOString();
+    }
+
+    return updated;
+  }
+
+  /**
+   * Build a streak from full history
+   * @param {Array<string>} dates - Streak days in YYYY-MM-DD format
+   * @param {string} rule - One of STREAK_RULES
+   * @param {Function} isOffDay - dateStr => boolean for days off
+   * @returns {Object} Streak state
+   */
+  static fromHistory(dates, rule = DEFAULT_STREAK_RULE, isOffDay = NO_OFF_DAYS) {
+    return this.recordDays(this.createStreak(rule), dates, isOffDay);
+  }
+
+  /**
+   * Current streak as of a date - 0 once a full day (other than a day off) has been missed
+   * @param {Object|null} streak - Streak state
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @param {Function} isOffDay - dateStr => boolean for days off
+   * @returns {number} Live streak length
+   */
+  static getCurrent(streak, todayStr, isOffDay = NO_OFF_DAYS) {
+    if (!streak?.lastDate) return 0;
+    if (streak.lastDate >= todayStr) return streak.current;
+    return this.onlyOffDaysBetween(streak.lastDate, todayStr, isOffDay) ? streak.current : 0;
+  }
+
+  /**
+   * Streak summary for emails, the API and the dashboard
+   * @param {Object|null} streak - Streak state
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @param {number} goal - Target streak length
+   * @param {Function} isOffDay - dateStr => boolean for days off
+   * @returns {Object} { current, longest, lastDate, rule, goal }
+   */
+  static summarize(streak, todayStr, goal, isOffDay = NO_OFF_DAYS) {
+    return {
+      current: this.getCurrent(streak, todayStr, isOffDay),
+      longest: streak?.longest || 0,
+      lastDate: streak?.lastDate || null,
+      rule: streak?.rule || DEFAULT_STREAK_RULE,
+      goal
+    };
+  }
+}
+
+module.exports = { StreakTracker, STREAK_RULES, DEFAULT_STREAK_RULE };
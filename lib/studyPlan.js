@@ -0,0 +1,164 @@
+/**
+ * Study Plan
+ *
+ * One named, versioned plan: { id, name, version, weeks: { <n>: { theme,
+ * problems } } }. Weeks with the same theme are merged into topics, and the
+ * topics in order give the order problems are assigned in.
+ *
+ * Progress is kept by slug rather than by position, so a plan can be edited
+ * or replaced without losing track of what was already sent:
+ *   progress.planProgress = { <planId>: { assigned: [slugs] } }
+ * A problem counts as done in every plan once it has been assigned by any of
+ * them (or is still in sentProblems / pendingQueue), so switching plans
+ * never sends an already solved problem again.
+ */
+
+const { clock } = require('./clock');
+
+class StudyPlan {
+  /**
+   * @param {Object} plan - { id, name, version, weeks }
+   */
+  constructor({ id, name, version = 1, weeks }) {
+    this.id = id;
+    this.name = name || id;
+    this.version = version;
+    this.weeks = weeks;
+
+    // Convert weeks -> topics (merge duplicate themes, preserve order)
+    this.topics = [];
+    const topicIndex = new Map();
+    Object.keys(weeks).sort((a, b) => a - b).forEach(weekNo => {
+      const week = weeks[weekNo];
+      const theme = week.theme || `Theme ${weekNo}`;
+      let index = topicIndex.get(theme);
+      if (index === undefined) {
+        index = this.topics.length;
+        this.topics.push({ name: theme, problems: [] });
+        topicIndex.set(theme, index);
+      }
+      this.topics[index].problems.push(...week.problems);
+    });
+  }
+
+  /**
+   * Current week number based on a start date
+   * @param {string} startDate - First day of week 1
+   */
+  getCurrentWeek(startDate) {
+    const diffTime = clock.now().getTime() - new Date(startDate).getTime();
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    return Math.ceil(diffDays / 7);
+  }
+
+  /**
+   * Problems for a specific week
+   */
+  getWeekProblems(weekNumber) {
+    return this.weeks[weekNumber]?.problems || [];
+  }
+
+  /**
+   * Problems in the order they are assigned, with { topicIndex, problemIndex }
+   */
+  getOrderedProblemList() {
+    return this.topics.flatMap((topic, topicIndex) =>
+      topic.problems.map((problem, problemIndex) => ({ ...problem, topicIndex, problemIndex })));
+  }
+
+  /**
+   * Every problem slug in assignment order
+   */
+  getAllProblemSlugs() {
+    return this.topics.flatMap(topic => topic.problems.map(problem => problem.slug));
+  }
+
+  /**
+   * Whether the plan contains a problem
+   */
+  hasProblem(slug) {
+    return this.getProblemBySlug(slug) !== null;
+  }
+
+  /**
+   * Plan entry for a slug, or null
+   */
+  getProblemBySlug(slug) {
+    for (const week of Object.values(this.weeks)) {
+      const problem = week.problems.find(p => p.slug === slug);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  /**
+   * Topic a problem belongs to ('Unknown' if it isn't in the plan)
+   */
+  getTopicBySlug(slug) {
+    const topic = this.topics.find(t => t.problems.some(p => p.slug === slug));
+    return topic ? topic.name : 'Unknown';
+  }
+
+  /**
+   * Problems not yet assigned by any plan, in order
+   * @param {Object} progress - Progress with planProgress, sentProblems and pendingQueue
+   * @returns {Array<Object>} Ordered plan entries
+   */
+  getRemainingProblems(progress) {
+    const done = StudyPlan.getDoneSlugs(progress);
+    // A problem listed twice (under two themes) is only assigned once
+    return this.getOrderedProblemList().filter(problem => {
+      if (done.has(problem.slug)) return false;
+      done.add(problem.slug);
+      return true;
+    });
+  }
+
+  /**
+   * How far through this plan the progress is
+   * @param {Object} progress - Progress data
+   * @returns {Object} { done, total, percentage }
+   */
+  getCompletion(progress) {
+    const slugs = [...new Set(this.getAllProblemSlugs())];
+    const doneSlugs = StudyPlan.getDoneSlugs(progress);
+    const done = slugs.filter(slug => doneSlugs.has(slug)).length;
+    return {
+      done,
+      total: slugs.length,
+      percentage: slugs.length > 0 ? Math.round((done / slugs.length) * 100) : 0
+    };
+  }
+
+  /**
+   * Slugs that must not be assigned as new problems again: everything any
+   * plan has assigned, plus what is still sent or queued
+   * @param {Object} progress - Progress data
+   * @returns {Set<string>} Slugs
+   */
+  static getDoneSlugs(progress) {
+    const done = new Set();
+    Object.values(progress.planProgress || {}).forEach(entry => entry.assigned.forEach(slug => done.add(slug)));
+    (progress.sentProblems || []).forEach(problem => done.add(problem.slug));
+    (progress.pendingQueue || []).forEach(slug => done.add(slug));
+    return done;
+  }
+
+  /**
+   * planProgress with slugs added to a plan's assigned list (progress is not modified)
+   * @param {Object} planProgress - Current planProgress
+   * @param {string} planId - Plan the slugs were assigned from
+   * @param {Array<string>} slugs - Newly assigned slugs
+   * @returns {Object} New planProgress
+   */
+  static withAssigned(planProgress = {}, planId, slugs) {
+    const assigned = planProgress[planId]?.assigned || [];
+    const added = slugs.filter(slug => !assigned.includes(slug));
+    return {
+      ...planProgress,
+      [planId]: { ...planProgress[planId], assigned: [...assigned, ...added] }
+    };
+  }
+}
+
+module.exports = { StudyPlan };
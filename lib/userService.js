@@ -0,0 +1,139 @@
+/**
+ * User Service
+ * 
+ * Manages tracker users. Each user has their own LeetCode username, email
+ * address and study plan; their settings and progress are stored under the
+ * user's id by DatabaseService.
+ * 
+ * Single-user deployments keep working unchanged: until any user record is
+ * saved, a 'default' user is built from LEETCODE_USERNAME and TO_EMAIL.
+ */
+
+const { databaseService } = require('./firebase');
+const { DataValidator, ValidationError } = require('./dataValidator');
+const { logger } = require('./logger');
+
+const log = logger.child('users');
+
+const DEFAULT_USER_ID = 'default';
+
+// Fields a user record may be updated with
+const EDITABLE_FIELDS = ['name', 'leetcodeUsername', 'email', 'studyPlan', 'active'];
+
+class UserService {
+  constructor(db = databaseService) {
+    this.db = db;
+  }
+
+  /**
+   * Build the default user from environment variables
+   * @returns {Object} Default user record
+   */
+  getDefaultUser() {
+    return {
+      id: DEFAULT_USER_ID,
+      name: 'Default',
+      leetcodeUsername: process.env.LEETCODE_USERNAME || 'your-username',
+      email: process.env.TO_EMAIL,
+      studyPlan: 'default',
+      active: true
+    };
+  }
+
+  /**
+   * List all users (falls back to the env-based default user)
+   * @returns {Promise<Array<Object>>} User records
+   */
+  async listUsers() {
+    const users = await this.db.loadUsers();
+    return users.length > 0 ? users : [this.getDefaultUser()];
+  }
+
+  /**
+   * List users the daily routine should run for
+   * @returns {Promise<Array<Object>>} Active user records
+   */
+  async listActiveUsers() {
+    const users = await this.listUsers();
+    return users.filter(user => user.active !== false);
+  }
+
+  /**
+   * Get a user by id
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object|null>} User record or null if unknown
+   */
+  async getUser(userId) {
+    const user = await this.db.loadUser(userId);
+    if (user) return user;
+
+    if (userId === DEFAULT_USER_ID) {
+      const users = await this.db.loadUsers();
+      return users.length === 0 ? this.getDefaultUser() : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} data - { id, name, leetcodeUsername, email, studyPlan }
+   * @returns {Promise<Object>} Created user record
+   * @throws {ValidationError} If the data is invalid or the id is taken
+   */
+  async createUser(data) {
+    const user = {
+      id: data.id,
+      name: data.name || data.id,
+      leetcodeUsername: data.leetcodeUsername,
+      email: data.email,
+      studyPlan: data.studyPlan || 'default',
+      active: data.active !== undefined ? data.active : true,
+      created_at: new Date().toISOString()
+    };
+
+    DataValidator.validate(user, 'user', 'create user');
+
+    if (await this.db.loadUser(user.id)) {
+      throw new ValidationError('User already exists', 'id', user.id, 'create user');
+    }
+
+    // Saving the first real user would hide the env-based default one - persist it too
+    if (user.id !== DEFAULT_USER_ID && (await this.db.loadUsers()).length === 0 && process.env.TO_EMAIL) {
+      await this.db.saveUser({ ...this.getDefaultUser(), created_at: new Date().toISOString() });
+    }
+
+    log.info(`👤 Creating user ${user.id} (${user.leetcodeUsername})`);
+    return this.db.saveUser(user);
+  }
+
+  /**
+   * Update an existing user
+   * @param {string} userId - User identifier
+   * @param {Object} changes - Fields to change (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} Updated user record
+   */
+  async updateUser(userId, changes) {
+    const user = await this.getUser(userId);
+    if (!user) {
+      throw new ValidationError('User not found', 'id', userId, 'update user');
+    }
+
+    const allowed = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => EDITABLE_FIELDS.includes(key))
+    );
+    const updated = { ...user, ...allowed };
+
+    DataValidator.validate(updated, 'user', 'update user');
+    return this.db.saveUser(updated);
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = {
+  userService,
+  UserService,
+  DEFAULT_USER_ID
+};
@@ -0,0 +1,137 @@
+/**
+ * Weekly Report
+ *
+ * Summarizes a week of practice for the Sunday summary email:
+ * problems assigned vs. solved, reviews completed, topics touched and
+ * the average time from assignment to solve. Solves marked by hand
+ * (lib/problemActions.js) are counted apart from detected ones, and skipped
+ * problems are not left as open.
+ *
+ * Works on assignment records built from the history log and sentProblems:
+ *   { slug, sentDate, solved, solvedTimestamp, solvedSource, skipped, reviewDates: [YYYY-MM-DD] }
+ */
+
+const { DateUtils } = require('./dateUtils');
+const { ReviewScheduler } = require('./reviewScheduler');
+const { DETECTED_SOURCE } = require('./problemActions');
+
+class WeeklyReport {
+
+  /**
+   * The 7 days ending today
+   * @param {string} todayStr - Today in YYYY-MM-DD format
+   * @returns {Object} { startDate, endDate }
+   */
+  static getWeekRange(todayStr) {
+    return {
+      startDate: ReviewScheduler.addDays(todayStr, -6),
+      endDate: todayStr
+    };
+  }
+
+  /**
+   * Assignment records from history events and the current progress document
+   * History has everything the daily routine has dropped; sentProblems fills in
+   * anything history is missing (e.g. solves recorded before the log existed).
+   * @param {Object} progress - User progress
+   * @param {Array<Object>} history - Events from the history log (see lib/historyLog.js)
+   * @returns {Array<Object>} Records, one per slug and send date
+   */
+  static collectRecords(progress, history = []) {
+    const records = new Map();
+    const recordFor = (slug, sentDate) => {
+      const key = `${slug}@${sentDate}`;
+      if (!records.has(key)) {
+        records.set(key, { slug, sentDate, solved: false, solvedTimestamp: null, solvedSource: null, skipped: false, reviewDates: [] });
+      }
+      return records.get(key);
+    };
+
+    history.forEach(event => {
+      // Repeats and reviews point back at an earlier assignment - they are not new work
+      if (event.type === 'assigned' && event.kind !== 'new') return;
+      // Snoozing changes nothing the report counts; a skipped problem only
+      // matters if it was assigned (a queued one never was)
+      if (event.type === 'snoozed') return;
+      if (event.type === 'skipped') {
+        const skipped = records.get(`${event.slug}@${event.sentDate}`);
+        if (skipped) skipped.skipped = true;
+        return;
+      }
+
+      const record = recordFor(event.slug, event.sentDate || event.date);
+      if (event.type === 'solved') {
+        record.solved = true;
+        record.solvedTimestamp = event.solvedTimestamp || null;
+        record.solvedSource = event.source || null;
+      } else if (event.type === 'reviewed') {
+        record.reviewDates.push(event.date);
+      }
+    });
+
+    (progress.sentProblems || []).forEach(p => {
+      const record = recordFor(p.slug, p.sentDate);
+      if (p.solved && !record.solved) {
+        record.solved = true;
+        record.solvedTimestamp = p.solvedTimestamp || null;
+        record.solvedSource = p.solvedSource || null;
+      }
+      const lastReviewed = p.review?.lastReviewedDate;
+      if (lastReviewed && !record.reviewDates.includes(lastReviewed)) {
+        record.reviewDates.push(lastReviewed);
+      }
+    });
+
+    return Array.from(records.values());
+  }
+
+  /**
+   * Local YYYY-MM-DD date of an ISO timestamp
+   */
+  static toDate(timestamp) {
+    return DateUtils.formatDateString(new Date(timestamp));
+  }
+
+  /**
+   * Build the report for a date range
+   * @param {Array<Object>} records - Assignment records (see collectRecords)
+   * @param {Object} options - { startDate, endDate, getTopic(slug) }
+   * @returns {Object} Report data
+   */
+  static build(records, options) {
+    const { startDate, endDate, getTopic = () => 'Unknown' } = options;
+    const inRange = (date) => Boolean(date) && date >= startDate && date <= endDate;
+
+    const assigned = records.filter(r => inRange(r.sentDate));
+    const solved = records.filter(r => r.solved && r.solvedTimestamp && inRange(this.toDate(r.solvedTimestamp)));
+    const reviewsCompletedCount = records
+      .reduce((count, r) => count + (r.reviewDates || []).filter(inRange).length, 0);
+
+    // Hours from the start of the assignment day to the accepted submission
+    const solveHours = solved.map(r => {
+      const assignedAt = new Date(`${r.sentDate}T00:00:00`);
+      return (new Date(r.solvedTimestamp).getTime() - assignedAt.getTime()) / (60 * 60 * 1000);
+    }).filter(hours => hours >= 0);
+
+    const topics = [...new Set([...assigned, ...solved].map(r => getTopic(r.slug)))];
+
+    return {
+      startDate,
+      endDate,
+      assignedCount: assigned.length,
+      solvedCount: solved.length,
+      solvedOfAssignedCount: assigned.filter(r => r.solved).length,
+      manualSolvedCount: solved.filter(r => r.solvedSource && r.solvedSource !== DETECTED_SOURCE).length,
+      skippedCount: assigned.filter(r => r.skipped).length,
+      unsolved: assigned.filter(r => !r.solved && !r.skipped).map(r => r.slug),
+      solved: solved.map(r => r.slug),
+      reviewsCompletedCount,
+      topics,
+      averageSolveHours: solveHours.length > 0 ?
+        Math.round((solveHours.reduce((sum, hours) => sum + hours, 0) / solveHours.length) * 10) / 10 :
+        null
+    };
+  }
+}
+
+module.exports = { WeeklyReport };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Run the bundled alfa-leetcode-api mock
+ *
+ * Usage:
+ *   node mock-leetcode-api.js [--port=3100] [--fixtures=fixtures/leetcode-api.json]
+ *                             [--cold-start=20000] [--errors=3] [--error-status=503]
+ *
+ * Point the tracker at it with LEETCODE_API_USE_LOCAL=true (and LEETCODE_API_LOCAL_URL
+ * if you change the port). Faults can also be changed while it runs:
+ *   curl -X POST localhost:3100/__mock/faults -H 'Content-Type: application/json' \
+ *        -d '{"errorBurst": {"count": 3, "status": 502}}'
+ */
+
+require('dotenv').config();
+const { MockLeetCodeApi, DEFAULT_MOCK_PORT, DEFAULT_FIXTURES_PATH } = require('./lib/mockLeetCodeApi');
+
+async function main() {
+  const options = Object.fromEntries(process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value] = arg.slice(2).split(/=(.*)/s);
+      return [key, value === undefined ? true : value];
+    }));
+
+  const port = parseInt(options.port || process.env.LEETCODE_MOCK_PORT) || DEFAULT_MOCK_PORT;
+  const fixtures = MockLeetCodeApi.loadFixtures(options.fixtures || DEFAULT_FIXTURES_PATH);
+  const mock = new MockLeetCodeApi(fixtures);
+
+  if (options['cold-start'] || options.errors) {
+    mock.setFaults({
+      ...fixtures.faults,
+      ...(options['cold-start'] && { coldStart: { delayMs: parseInt(options['cold-start']) } }),
+      ...(options.errors && {
+        errorBurst: { count: parseInt(options.errors), status: parseInt(options['error-status']) || 503 }
+      })
+    });
+  }
+
+  const url = await mock.start(port);
+  console.log(`🧪 Mock LeetCode API running at ${url}`);
+  console.log(`👤 Users: ${Object.keys(mock.users).join(', ') || 'none'}`);
+  console.log(`📚 Problems: ${Object.keys(mock.problems).length}`);
+  if (mock.faults.coldStart?.delayMs) {
+    console.log(`🌅 Cold start: first request held for ${mock.faults.coldStart.delayMs}ms`);
+  }
+  if (mock.burstRemaining > 0) {
+    console.log(`💥 Error burst: next ${mock.burstRemaining} requests fail with ${mock.faults.errorBurst.status}`);
+  }
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Mock LeetCode API failed to start:', error.message);
+  process.exit(1);
+});
@@ -4,6 +4,11 @@ const nodemailer = require('nodemailer');
 const { execSync } = require('child_process');
 const path = require('path');
 require('dotenv').config();
+const { createNotifier } = require('./lib/notifier');
+const { clock } = require('./lib/clock');
+const { logger } = require('./lib/logger');
+
+const log = logger.child('system-design');
 
 // Load system design curriculum
 const systemDesignPlan = JSON.parse(fs.readFileSync('./system-design-plan.json', 'utf8'));
@@ -21,8 +26,6 @@ const transporter = nodemailer.createTransport({
     }
 });
 
-let _testDate = null; // For testing purposes
-
 /**
  * Validate environment variables
  */
@@ -63,10 +66,10 @@ function validateTopic(topic) {
 }
 
 /**
- * Get current date (or test date if set)
+ * Get current date from the shared clock (pinned in tests and simulations)
  */
 function getCurrentDate() {
-    return _testDate || new Date();
+    return clock.now();
 }
 
 /**
@@ -121,7 +124,7 @@ function getMermaidImageUrl(mermaidCode) {
         // In production, this should be a full URL to where the images are hosted
         return `${process.env.BASE_URL}/diagrams/${fileName}`;
     } catch (error) {
-        console.error('Error getting diagram image URL:', error);
+        log.error('Error getting diagram image URL:', error);
         return null;
     }
 }
@@ -147,39 +150,49 @@ async function sendSystemDesignEmail() {
 
         // Generate email content
         const htmlContent = template({ topic: topicWithImage });
+        const textContent = [
+            `System Design Study: ${topic.name}`,
+            topic.description,
+            `Key concepts: ${topic.keyConcepts.join(', ')}`
+        ].join('\n\n');
 
-        // Send email
-        const mailOptions = {
+        // Send through the default user's notification channels
+        const { databaseService } = require('./lib/firebase');
+        const settings = await databaseService.loadSettings();
+        const notifier = createNotifier(settings, {
+            transporter,
             from: process.env.FROM_EMAIL,
-            to: process.env.TO_EMAIL,
-            subject: `System Design Study: ${topic.name}`,
-            html: htmlContent
-        };
+            to: process.env.TO_EMAIL
+        });
 
-        await transporter.sendMail(mailOptions);
-        console.log(`✅ System design email sent for topic: ${topic.name}`);
+        await notifier.send({
+            type: 'system-design',
+            subject: `System Design Study: ${topic.name}`,
+            html: htmlContent,
+            text: textContent
+        });
+        log.info(`✅ System design email sent for topic: ${topic.name}`);
         
-        // Log to Firebase if available
-        if (process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID) {
-            const { systemDesignEmailsCollection } = require('./lib/firebase');
-            await systemDesignEmailsCollection.add({
-                topic: topic.name,
-                sentAt: new Date(),
-                success: true
-            });
-        }
+        // Log to the database
+        await databaseService.logSystemDesignEmail({
+            topic: topic.name,
+            sentAt: new Date().toISOString(),
+            success: true
+        });
 
     } catch (error) {
-        console.error('❌ Error sending system design email:', error);
+        log.error('❌ Error sending system design email:', error);
         
-        // Log error to Firebase if available
-        if (process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID) {
-            const { systemDesignEmailsCollection } = require('./lib/firebase');
-            await systemDesignEmailsCollection.add({
+        // Log error to the database (never mask the original error)
+        try {
+            const { databaseService } = require('./lib/firebase');
+            await databaseService.logSystemDesignEmail({
                 error: error.message,
-                sentAt: new Date(),
+                sentAt: new Date().toISOString(),
                 success: false
             });
+        } catch (logError) {
+            log.error('⚠️ Failed to log system design email error:', logError.message);
         }
         
         throw error;
@@ -190,12 +203,12 @@ async function sendSystemDesignEmail() {
  * Test the email sending without actually sending
  */
 async function testSystemDesignEmail(options = {}) {
-    try {
-        // Set test date if provided
-        if (options.testDate) {
-            _testDate = new Date(options.testDate);
-        }
+    // Pin the shared clock to the test date if provided
+    if (options.testDate) {
+        return clock.withTime(new Date(options.testDate), () => testSystemDesignEmail({ ...options, testDate: null }));
+    }
 
+    try {
         // Validate environment
         validateEnvironment();
 
@@ -207,7 +220,7 @@ async function testSystemDesignEmail(options = {}) {
         template({ topic });
 
         // Minimal console output
-        console.log(`✅ Test passed - Topic: ${topic.name} (Week ${topic.week})`);
+        log.info(`✅ Test passed - Topic: ${topic.name} (Week ${topic.week})`);
         
         return {
             success: true,
@@ -216,14 +229,11 @@ async function testSystemDesignEmail(options = {}) {
         };
 
     } catch (error) {
-        console.error('❌ Test failed:', error.message);
+        log.error('❌ Test failed:', error.message);
         return {
             success: false,
             error: error.message
         };
-    } finally {
-        // Reset test date
-        _testDate = null;
     }
 }
 
@@ -244,4 +254,4 @@ if (require.main === module) {
     }
 }
 
-module.exports = { sendSystemDesignEmail, testSystemDesignEmail }; 
\ No newline at end of file
+module.exports = { sendSystemDesignEmail, testSystemDesignEmail, getCurrentTopic }; 
\ No newline at end of file
@@ -12,21 +12,52 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const crypto = require('crypto');
 
 // Import our tracker modules
 const { ProgressTracker, LeetCodeAPI, EmailService } = require('./tracker');
-const { StudyPlanHelper } = require('./study-plan');
+const { StudyPlanHelper, TRACKER_CONFIG } = require('./study-plan');
 
 // Import version from package.json
 const { version } = require('./package.json');
 
 // Import Firebase database service
-const { databaseService, DEFAULT_SETTINGS, DEFAULT_PROGRESS } = require('./lib/firebase');
+const { databaseService, DataValidator, DEFAULT_SETTINGS, DEFAULT_PROGRESS, PLAN_ID_PATTERN } = require('./lib/firebase');
+
+// Import streak tracker and pause schedule for the status summary
+const { StreakTracker } = require('./lib/streakTracker');
+const { PauseSchedule } = require('./lib/pauseSchedule');
+const { AdaptiveLoad } = require('./lib/adaptiveLoad');
+const { DateUtils } = require('./lib/dateUtils');
+const { HistoryLog } = require('./lib/historyLog');
+const { jobHistory, JOB_STATUSES } = require('./lib/jobHistory');
+const { problemMetadata } = require('./lib/problemMetadata');
+const { registry: metricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+
+// Import email templates for the preview route
+const handlebars = require('handlebars');
+const { EMAIL_TEMPLATES } = require('./lib/emailTemplates');
+
+// Import user service for per-user API scoping
+const { userService, DEFAULT_USER_ID } = require('./lib/userService');
+
+// Import PlanService for named, versioned study plans
+const { planService, PlanService, DEFAULT_PLAN_ID } = require('./lib/planService');
+
+// Import auth: dashboard sessions, cron bearer tokens and the IP rate limiter
+const { AuthService, createAuthMiddleware, SESSION_COOKIE } = require('./lib/auth');
+const { SecurityService, ConfigValidator, safeCompare } = require('./lib/security');
+const { apiTokenService, API_TOKEN_SCOPES } = require('./lib/apiTokens');
+const { hasPrivateHost } = require('./lib/notifier');
+const { actionLinks, SNOOZE_DAYS } = require('./lib/actionLinks');
 
 // Import system design email sender
 const { sendSystemDesignEmail } = require('./send-system-design');
 
+// Import the logger - each request gets a correlation id
+const { logger, Logger } = require('./lib/logger');
+
+const log = logger.child('server');
+
 // Utility functions
 function validateNumQuestions(num) {
   const parsed = parseInt(num);
@@ -35,34 +66,52 @@ function validateNumQuestions(num) {
   return parsed;
 }
 
-function safeCompare(a, b) {
-  const aBuf = Buffer.from(a);
-  const bBuf = Buffer.from(b);
-  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+/**
+ * What triggered a job request, for the job history
+ * Callers can name themselves with an X-Trigger header (the GitHub Actions workflows send 'github-actions').
+ */
+function jobTrigger(req, fallback = 'api') {
+  const named = req.headers['x-trigger'];
+  if (typeof named === 'string' && /^[a-z0-9-]{1,32}$/.test(named)) return named;
+  if (req.auth?.method === 'session') return 'dashboard';
+  return fallback;
+}
+
+// Slugs the plan editor can look up per request (each unknown one is an API call)
+const MAX_SLUG_CHECKS = 50;
+
+/**
+ * Ids of the users whose active study plan is planId
+ */
+async function usersOfPlan(planId) {
+  const users = await userService.listUsers();
+  const settings = await Promise.all(users.map(user => databaseService.loadSettings(user.id)));
+  return users
+    .filter((user, index) => PlanService.getActivePlanId(user, settings[index]) === planId)
+    .map(user => user.id);
 }
 
-function captureConsole() {
-  const originalLog = console.log;
-  const originalErr = console.error;
-  const output = [];
-
-  console.log = (...args) => {
-    output.push(args.join(' '));
-    originalLog(...args);
-  };
-  
-  console.error = (...args) => {
-    output.push(`ERROR: ${args.join(' ')}`);
-    originalErr(...args);
-  };
-
-  return {
-    output,
-    restore: () => {
-      console.log = originalLog;
-      console.error = originalErr;
-    }
-  };
+/**
+ * Whether the caller may create or change a plan
+ * Plans are shared, so a non-admin (an API token) may only touch plans no
+ * other user studies from - changing one would move their planProgress.
+ */
+async function canEditPlan(req, planId) {
+  if (AuthService.isAdmin(req.auth)) {
+    return true;
+  }
+  return (await usersOfPlan(planId)).every(userId => userId === req.user.id);
+}
+
+const PLAN_IN_USE_ERROR = 'Another user studies from this plan - only the dashboard or cron caller can change it';
+
+/**
+ * Last lines of a job run's log (lib/jobHistory.js) for an API response
+ */
+function logTail(run, count) {
+  return (run?.log || [])
+    .slice(-count)
+    .map(line => line.level === 'error' ? `ERROR: ${line.message}` : line.message);
 }
 
 // Create Express app
@@ -71,6 +120,18 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+
+// Correlation id per request - everything logged while handling it carries the id.
+// Callers can pass their own in X-Request-Id; it is echoed back either way.
+app.use((req, res, next) => {
+  const supplied = req.headers['x-request-id'];
+  req.id = typeof supplied === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(supplied) ?
+    supplied :
+    Logger.createCorrelationId();
+  res.setHeader('X-Request-Id', req.id);
+  logger.withCorrelationId(req.id, next);
+});
+
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'frontend')));
 
@@ -80,145 +141,657 @@ app.use('/diagrams', express.static(path.join(__dirname, 'diagrams')));
 // Create tracker instance
 const tracker = new ProgressTracker();
 
+// Auth for every API route but login and the session check (see lib/auth.js)
+const securityService = new SecurityService();
+const authService = new AuthService();
+const {
+  rateLimit,
+  identify,
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  rejectUnauthorized
+} = createAuthMiddleware({ authService, securityService });
+
+if (!process.env.DASHBOARD_PASSWORD) {
+  log.warn('⚠️ DASHBOARD_PASSWORD is not set - dashboard login is disabled');
+}
+if (!process.env.CRON_SECRET) {
+  log.warn('⚠️ CRON_SECRET is not set - cron callers cannot authenticate');
+}
+
+// Log in to the dashboard - sets the session cookie
+app.post('/api/auth/login', rateLimit, (req, res) => {
+  try {
+    const session = authService.login(req.body?.password);
+    if (!session) {
+      return rejectUnauthorized(req, res);
+    }
+
+    securityService.recordSuccess(ConfigValidator.getClientIP(req));
+    res.cookie(SESSION_COOKIE, session.id, { ...authService.cookieOptions(), maxAge: authService.sessionTtlMs });
+    res.json({ success: true, expiresAt: new Date(session.expiresAt).toISOString() });
+  } catch (error) {
+    res.status(503).json({ error: error.message });
+  }
+});
+
+// Work out who is calling: session cookie, CRON_SECRET or a per-user API token
+app.use('/api', identify);
+
+// Log out of the dashboard
+app.post('/api/auth/logout', (req, res) => {
+  if (!req.auth) {
+    return rejectUnauthorized(req, res);
+  }
+  if (req.auth.method === 'session') {
+    authService.logout(req.auth.session.id);
+  }
+  res.clearCookie(SESSION_COOKIE, authService.cookieOptions());
+  res.json({ success: true });
+});
+
+// Whether this request is authenticated (the dashboard checks this on load)
+app.get('/api/auth/session', (req, res) => {
+  const auth = req.auth;
+  res.json({
+    authenticated: Boolean(auth),
+    method: auth?.method || null,
+    expiresAt: auth?.session ? new Date(auth.session.expiresAt).toISOString() : (auth?.token?.expiresAt || null),
+    scopes: auth?.token ? auth.token.scopes : null,
+    admin: AuthService.isAdmin(auth),
+    loginEnabled: Boolean(authService.password)
+  });
+});
+
+// Everything below needs a session, CRON_SECRET or an API token - reads included
+app.use('/api', requireAuth);
+
+/**
+ * Resolve the user an API request acts for
+ * API tokens always act for the user they were issued to; admins (dashboard
+ * sessions, CRON_SECRET) pick one with the X-User-Id header, else the default user.
+ */
+async function resolveUser(req, res, next) {
+  try {
+    const headerUserId = req.headers['x-user-id'];
+    const userId = AuthService.actingUserId(req.auth, headerUserId, DEFAULT_USER_ID);
+    if (!userId) {
+      return res.status(403).json({ error: req.auth?.method === 'token' ?
+        'API token belongs to another user' :
+        'Not allowed to act for this user' });
+    }
+
+    const user = await userService.getUser(userId);
+
+    if (!user) {
+      return res.status(404).json({ error: `Unknown user: ${userId}` });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.use('/api', resolveUser);
+
 // API Routes
 
+// Get the user this request acts for
+app.get('/api/me', requireScope('read:progress'), (req, res) => {
+  res.json(req.user);
+});
+
+// List users - an API token only sees its own user
+app.get('/api/users', requireScope('read:progress'), async (req, res) => {
+  try {
+    const users = AuthService.isAdmin(req.auth) ? await userService.listUsers() : [req.user];
+    res.json(users);
+  } catch (error) {
+    log.error('Error loading users:', error);
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+});
+
+// Create a user (admins only)
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { id, name, leetcodeUsername, email, studyPlan } = req.body;
+    const user = await userService.createUser({ id, name, leetcodeUsername, email, studyPlan });
+    
+    log.info(`👤 User created via API: ${user.id}`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update the current user's profile (LeetCode username, email, study plan, active flag)
+app.post('/api/me', requireScope('write:settings'), async (req, res) => {
+  try {
+    const user = await userService.updateUser(req.user.id, req.body || {});
+    res.json({ success: true, user });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// API tokens for the current user - dashboard sessions only, so a token cannot mint more
+app.get('/api/tokens', requireSession, async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listTokens(req.user.id);
+    res.json({ scopes: API_TOKEN_SCOPES, tokens });
+  } catch (error) {
+    log.error('Error loading API tokens:', error);
+    res.status(500).json({ error: 'Failed to load API tokens' });
+  }
+});
+
+// Issue a token - the response is the only time the full token is shown
+app.post('/api/tokens', requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { token, record } = await apiTokenService.createToken({ userId: req.user.id, name, scopes, expiresInDays });
+    res.status(201).json({ success: true, token, record });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// Revoke a token
+app.delete('/api/tokens/:id', requireSession, async (req, res) => {
+  try {
+    const record = await apiTokenService.revokeToken(req.params.id, req.user.id);
+    res.json({ success: true, record });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(404).json({ error: error.message });
+    }
+    log.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
 // Get current settings
-app.get('/api/settings', async (req, res) => {
+app.get('/api/settings', requireScope('read:progress'), async (req, res) => {
   try {
-    const settings = await databaseService.loadSettings();
+    const settings = await databaseService.loadSettings(req.user.id);
     res.json(settings);
   } catch (error) {
-    console.error('Error loading settings:', error);
+    log.error('Error loading settings:', error);
     res.status(500).json({ error: 'Failed to load settings' });
   }
 });
 
 // Update settings
-app.post('/api/settings', async (req, res) => {
+app.post('/api/settings', requireScope('write:settings'), async (req, res) => {
   try {
-    const { num_questions } = req.body;
+    const { num_questions, notification_channels, notification_webhooks, streak_rule, study_plan, rest_days, adaptive_load } = req.body;
+    const changes = {};
     
-    if (typeof num_questions !== 'number') {
-      return res.status(400).json({ error: 'num_questions must be a number' });
+    if (num_questions !== undefined) {
+      if (typeof num_questions !== 'number') {
+        return res.status(400).json({ error: 'num_questions must be a number' });
+      }
+      changes.num_questions = validateNumQuestions(num_questions);
+    }
+    if (notification_channels !== undefined) {
+      changes.notification_channels = notification_channels;
+    }
+    if (notification_webhooks !== undefined) {
+      // The server POSTs to these, so they can't point into its own network
+      const privateWebhook = Object.entries(notification_webhooks || {})
+        .find(([, url]) => typeof url === 'string' && hasPrivateHost(url));
+      if (privateWebhook) {
+        return res.status(400).json({ error: `notification_webhooks.${privateWebhook[0]} must not point at a local or private address` });
+      }
+      changes.notification_webhooks = notification_webhooks;
+    }
+    if (streak_rule !== undefined) {
+      changes.streak_rule = streak_rule;
+    }
+    if (study_plan !== undefined) {
+      if (typeof study_plan !== 'string' || !PLAN_ID_PATTERN.test(study_plan) || !(await planService.getPlan(study_plan))) {
+        return res.status(400).json({ error: `Unknown study plan: ${study_plan}` });
+      }
+      changes.study_plan = study_plan;
+    }
+    if (adaptive_load !== undefined) {
+      changes.adaptive_load = adaptive_load;
+    }
+    if (rest_days !== undefined) {
+      try {
+        changes.rest_days = PauseSchedule.parseRestDays(rest_days);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
     
-    const validatedNum = validateNumQuestions(num_questions);
-    const currentSettings = await databaseService.loadSettings();
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
     
-    const updatedSettings = await databaseService.saveSettings({
-      ...currentSettings,
-      num_questions: validatedNum
-    });
+    const currentSettings = await databaseService.loadSettings(req.user.id);
+    const newSettings = { ...currentSettings, ...changes };
     
-    console.log(`⚙️ Settings updated: ${validatedNum} problems per day`);
+    try {
+      DataValidator.validateSettings(newSettings);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const updatedSettings = await databaseService.saveSettings(newSettings, req.user.id);
+    
+    log.info(`⚙️ Settings updated for ${req.user.id}: ${updatedSettings.num_questions} problems per day via ${(updatedSettings.notification_channels || ['email']).join(', ')}`);
     
     res.json({
       success: true,
       settings: updatedSettings,
-      message: `Updated to ${validatedNum} problems per day`
+      message: `Updated to ${updatedSettings.num_questions} problems per day`
     });
     
   } catch (error) {
-    console.error('Error updating settings:', error);
+    log.error('Error updating settings:', error);
     res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
+// Pause the daily routine: { until, from? } (YYYY-MM-DD, from defaults to today)
+app.post('/api/pause', requireScope('write:settings'), async (req, res) => {
+  try {
+    const { until, from } = req.body || {};
+    const settings = await tracker.pauseUntil(req.user.id, until, from);
+    res.json({ success: true, pause_windows: settings.pause_windows });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error pausing:', error);
+    res.status(500).json({ error: 'Failed to pause' });
+  }
+});
+
+// End the pause covering today (planned pauses stay)
+app.delete('/api/pause', requireScope('write:settings'), async (req, res) => {
+  try {
+    const settings = await tracker.resumeFromPause(req.user.id);
+    res.json({ success: true, pause_windows: settings.pause_windows });
+  } catch (error) {
+    log.error('Error resuming:', error);
+    res.status(500).json({ error: 'Failed to resume' });
+  }
+});
+
 // Get current progress
-app.get('/api/progress', async (req, res) => {
+app.get('/api/progress', requireScope('read:progress'), async (req, res) => {
   try {
-    const progress = await databaseService.loadProgress();
+    const progress = await databaseService.loadProgress(req.user.id);
     res.json(progress);
   } catch (error) {
-    console.error('Error loading progress:', error);
+    log.error('Error loading progress:', error);
     res.status(500).json({ error: 'Failed to load progress' });
   }
 });
 
+// Solve, skip or snooze an assigned problem by hand, e.g. /api/problems/two-sum/snooze?days=3
+app.post('/api/problems/:slug/:action(solve|skip|snooze)', requireScope('write:progress'), async (req, res) => {
+  try {
+    const { slug, action } = req.params;
+    const days = action === 'snooze' ? req.query.days ?? req.body?.days ?? 1 : undefined;
+    const source = req.auth?.method === 'session' ? 'dashboard' : 'api';
+    const event = await tracker.applyProblemAction(req.user, slug, action, { source, days });
+    res.json({ success: true, event });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error applying problem action:', error);
+    res.status(500).json({ error: 'Failed to update the problem' });
+  }
+});
+
 // Get comprehensive status
-app.get('/api/status', async (req, res) => {
+app.get('/api/status', requireScope('read:progress'), async (req, res) => {
   try {
-    const settings = await databaseService.loadSettings();
-    const progress = await databaseService.loadProgress();
-    const orderedProblems = StudyPlanHelper.getOrderedProblemList();
+    const settings = await databaseService.loadSettings(req.user.id);
+    const progress = await databaseService.loadProgress(req.user.id);
+    const plan = await planService.resolveActivePlan(req.user, settings);
+    const completion = plan.getCompletion(progress);
+    const nextProblem = plan.getRemainingProblems(progress)[0];
+    const todayStr = DateUtils.getTodayString();
     
-    // Get problem details for sent problems
+    // Get problem details for sent problems (carried over ones may be from the bundled plan), with cached tags and premium flags
+    const sentDetails = progress.sentProblems
+      .map(sentProblem => plan.getProblemBySlug(sentProblem.slug) || StudyPlanHelper.getProblemBySlug(sentProblem.slug))
+      .filter(Boolean);
     const problemDetails = {};
-    progress.sentProblems.forEach(sentProblem => {
-      const problem = StudyPlanHelper.getProblemBySlug(sentProblem.slug);
-      if (problem) {
-        problemDetails[sentProblem.slug] = problem;
-      }
+    (await problemMetadata.enrichProblems(sentDetails)).forEach(problem => {
+      problemDetails[problem.slug] = problem;
     });
     
-    const position = progress.studyPlanPosition;
-    const inBounds = position >= 0 && position < orderedProblems.length;
-    
     const status = {
-      totalProblems: orderedProblems.length,
+      plan: { id: plan.id, name: plan.name, version: plan.version },
+      assignedProblems: completion.done,
+      totalProblems: completion.total,
       problemDetails: problemDetails,
-      currentTopic: inBounds ? orderedProblems[position].topicIndex : null,
-      completionPercentage: orderedProblems.length > 0 ? Math.round((progress.studyPlanPosition / orderedProblems.length) * 100) : 0,
-      progressState: inBounds ? 'in_progress' : 'completed'
+      currentTopic: nextProblem ? nextProblem.topicIndex : null,
+      currentTopicName: nextProblem ? plan.topics[nextProblem.topicIndex].name : null,
+      completionPercentage: completion.percentage,
+      progressState: nextProblem ? 'in_progress' : 'completed',
+      streak: {
+        ...StreakTracker.summarize(progress.streak, todayStr, TRACKER_CONFIG.goals.streakGoal, PauseSchedule.offDayCheck(settings)),
+        rule: settings.streak_rule || TRACKER_CONFIG.goals.streakRule
+      },
+      // Adaptive mode: the count last sent and why (see lib/adaptiveLoad.js)
+      adaptiveLoad: AdaptiveLoad.isEnabled(settings) ? {
+        ...settings.adaptive_load,
+        current: progress.settingsAtSendTime?.adaptive ? progress.settingsAtSendTime.num_questions : null,
+        decision: progress.settingsAtSendTime?.adaptive || null
+      } : null,
+      pause: {
+        today: PauseSchedule.getPause(settings, todayStr),
+        windows: settings.pause_windows || [],
+        restDays: settings.rest_days || []
+      }
     };
     
     res.json(status);
   } catch (error) {
-    console.error('Error getting status:', error);
+    log.error('Error getting status:', error);
     res.status(500).json({ error: 'Failed to get status' });
   }
 });
 
+// List study plans; the requesting user's active plan is marked active
+app.get('/api/plans', requireScope('read:progress'), async (req, res) => {
+  try {
+    const settings = await databaseService.loadSettings(req.user.id);
+    const activeId = (await planService.resolveActivePlan(req.user, settings)).id;
+    const plans = await planService.listPlans();
+    res.json({ active: activeId, plans: plans.map(plan => ({ ...plan, active: plan.id === activeId })) });
+  } catch (error) {
+    log.error('Error listing plans:', error);
+    res.status(500).json({ error: 'Failed to list plans' });
+  }
+});
+
+// Look up slugs for the plan editor: { slugs: [...] } -> { results: [{ slug, found, title, difficulty, isPaidOnly }] }
+// Unknown slugs are fetched from the LeetCode API and cached like enrich-plan does.
+app.post('/api/plans/check-slugs', requireScope('write:plans'), async (req, res) => {
+  try {
+    const { slugs } = req.body || {};
+    if (!Array.isArray(slugs) || slugs.length === 0 || slugs.length > MAX_SLUG_CHECKS ||
+        slugs.some(slug => typeof slug !== 'string' || !/^[a-z0-9-]{1,100}$/.test(slug))) {
+      return res.status(400).json({ error: `slugs must be 1-${MAX_SLUG_CHECKS} slugs of lowercase letters, digits and "-"` });
+    }
+
+    const results = await tracker.problemMetadata.check(slugs, slug => tracker.leetcodeApi.getProblem(slug));
+    res.json({ results });
+  } catch (error) {
+    log.error('Error checking slugs:', error);
+    res.status(500).json({ error: 'Failed to check slugs' });
+  }
+});
+
+// Get a plan with its weeks, e.g. /api/plans/blind75 or /api/plans/blind75?version=2
+app.get('/api/plans/:id', requireScope('read:progress'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
+    if (!PLAN_ID_PATTERN.test(id) || (version !== null && !(version >= 1))) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const plan = version !== null ? await planService.getPlanVersion(id, version) : await planService.getPlan(id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    log.error('Error loading plan:', error);
+    res.status(500).json({ error: 'Failed to load plan' });
+  }
+});
+
+// Create a plan: { id, name, weeks } (API tokens only for ids no other user has selected)
+app.post('/api/plans', requireScope('write:plans'), async (req, res) => {
+  try {
+    const { id, name, weeks } = req.body || {};
+    if (typeof id === 'string' && await planService.getPlan(id)) {
+      return res.status(409).json({ error: `Plan ${id} already exists` });
+    }
+    // A user can have a plan id selected that doesn't exist (yet)
+    if (PLAN_ID_PATTERN.test(id) && !(await canEditPlan(req, id))) {
+      return res.status(403).json({ error: PLAN_IN_USE_ERROR });
+    }
+
+    const plan = await planService.savePlan({ id, name, weeks, source: 'dashboard' });
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error creating plan:', error);
+    res.status(500).json({ error: 'Failed to create plan' });
+  }
+});
+
+// Save a plan as its next version: { name, weeks, version }
+// version is the one the editor loaded; saving over a newer version gets 409. API tokens can
+// only save plans no other user studies from.
+app.put('/api/plans/:id', requireScope('write:plans'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, weeks, version } = req.body || {};
+    const current = PLAN_ID_PATTERN.test(id) ? await planService.getPlan(id) : null;
+    if (!current) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (!(await canEditPlan(req, id))) {
+      return res.status(403).json({ error: PLAN_IN_USE_ERROR });
+    }
+    if (version !== undefined && version !== current.version) {
+      return res.status(409).json({ error: `Plan ${id} was changed since it was loaded (now v${current.version})` });
+    }
+
+    const plan = await planService.savePlan({ id, name, weeks, source: 'dashboard' });
+    res.json({ success: true, plan });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error saving plan:', error);
+    res.status(500).json({ error: 'Failed to save plan' });
+  }
+});
+
+// Delete a plan nobody studies from (its versions are kept)
+app.delete('/api/plans/:id', requireScope('write:plans'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!PLAN_ID_PATTERN.test(id) || !(await planService.getPlan(id))) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    // planService.deletePlan refuses the default plan itself
+    const users = id === DEFAULT_PLAN_ID ? [] : await usersOfPlan(id);
+    if (users.length > 0) {
+      // Only admins may see who else studies from it
+      return AuthService.isAdmin(req.auth) ?
+        res.status(409).json({ error: `Plan ${id} is the study plan of: ${users.join(', ')}` }) :
+        res.status(409).json({ error: `Plan ${id} is someone's study plan` });
+    }
+
+    const plan = await planService.deletePlan(id);
+    res.json({ success: true, plan });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error deleting plan:', error);
+    res.status(500).json({ error: 'Failed to delete plan' });
+  }
+});
+
+// Get solve history, e.g. /api/history?from=2025-06-01&to=2025-06-30&topic=Arrays%20%26%20Hashing&type=solved
+app.get('/api/history', requireScope('read:progress'), async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = HistoryLog.parseFilters(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const events = await databaseService.loadHistory(req.user.id, filters);
+    res.json({ count: events.length, filters, events });
+  } catch (error) {
+    log.error('Error loading history:', error);
+    res.status(500).json({ error: 'Failed to load history' });
+  }
+});
+
+// Job history, e.g. /api/runs?job=daily-routine&status=failed&limit=20 (newest first, without logs)
+// Dashboard and cron callers only, and only the acting user's part of each run
+app.get('/api/runs', requireAdmin, async (req, res) => {
+  try {
+    const { job, status, trigger } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const runs = await jobHistory.listRuns({ job, status, trigger, userId: req.user.id, limit });
+    res.json({ count: runs.length, runs });
+  } catch (error) {
+    log.error('Error loading job history:', error);
+    res.status(500).json({ error: 'Failed to load job history' });
+  }
+});
+
+// A single job run with its full log
+app.get('/api/runs/:id', requireAdmin, async (req, res) => {
+  try {
+    const run = /^[A-Za-z0-9_-]+$/.test(req.params.id) ? await jobHistory.getRun(req.params.id, req.user.id) : null;
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    log.error('Error loading job run:', error);
+    res.status(500).json({ error: 'Failed to load job run' });
+  }
+});
+
+// List the email templates that can be previewed
+app.get('/api/email-preview', (req, res) => {
+  res.json({ templates: EMAIL_TEMPLATES, formats: ['html', 'text', 'json'], data: ['sample', 'live'] });
+});
+
+// Render an email without sending it, e.g. /api/email-preview/multiple-problems?data=live&format=text
+app.get('/api/email-preview/:template', requireScope('read:progress'), async (req, res) => {
+  const { template } = req.params;
+  const { format = 'html', data = 'sample' } = req.query;
+
+  if (!EMAIL_TEMPLATES.includes(template)) {
+    return res.status(404).json({ error: `Unknown email template: ${template}`, templates: EMAIL_TEMPLATES });
+  }
+  if (!['html', 'text', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be html, text or json' });
+  }
+  if (!['sample', 'live'].includes(data)) {
+    return res.status(400).json({ error: 'data must be sample or live' });
+  }
+
+  try {
+    const preview = await tracker.buildEmailPreview(template, req.user, { live: data === 'live' });
+    res.set('X-Email-Preview-Source', preview.source);
+
+    if (format === 'json') {
+      return res.json(preview);
+    }
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${preview.subject}\n\n${preview.text}\n`);
+    }
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${handlebars.Utils.escapeExpression(preview.subject)}</title></head>
+<body>
+${preview.html}
+</body>
+</html>`);
+  } catch (error) {
+    log.error('Error rendering email preview:', error);
+    res.status(500).json({ error: 'Failed to render email preview' });
+  }
+});
+
 // Run tracker test
-app.post('/api/test', async (req, res) => {
+app.post('/api/test', requireScope('run:routine'), async (req, res) => {
   try {
-    console.log('🧪 Running tracker test via API...');
-    
-    const capture = captureConsole();
+    log.info('🧪 Running tracker test via API...');
     
     try {
-      await tracker.testTracker();
-      capture.restore();
+      const run = await tracker.trackJob('test', jobTrigger(req), async () => {
+        await tracker.testTracker(req.user.id);
+        return { outcome: 'completed', users: [{ userId: req.user.id, outcome: 'completed' }] };
+      });
       
       res.json({
         success: true,
         message: 'Test completed successfully',
-        output: capture.output.slice(-10) // Last 10 lines
+        runId: run.id,
+        output: logTail(run, 10) // Last 10 lines
       });
       
     } catch (testError) {
-      capture.restore();
-      
       res.json({
         success: false,
         message: testError.message,
-        output: capture.output.slice(-10)
+        runId: testError.jobRun?.id,
+        output: logTail(testError.jobRun, 10)
       });
     }
     
   } catch (error) {
-    console.error('Error running test:', error);
+    log.error('Error running test:', error);
     res.status(500).json({ error: 'Failed to run test' });
   }
 });
 
-// Run daily check
-app.post('/api/check', async (req, res) => {
+// Run daily check (every active user, so admin only)
+app.post('/api/check', requireAdmin, async (req, res) => {
   try {
-    console.log('⚡ Running daily check via API...');
+    log.info('⚡ Running daily check via API...');
     
-    // For cron jobs, we don't need to capture all console output
+    // Cron callers are recognised by their user agent or an X-Cron-Job header
     const isCronJob = req.headers['user-agent']?.includes('cron') || 
                      req.headers['x-cron-job'] === 'true';
     
     if (isCronJob) {
-      // Minimal logging for cron jobs
+      // Minimal response for cron jobs - the full log is in the job history
       try {
-        await tracker.runDailyRoutine();
+        const run = await tracker.runDailyRoutine({ trigger: jobTrigger(req, 'cron-api') });
         
         res.json({
           success: true,
           message: 'Daily check completed successfully',
+          runId: run.id,
           timestamp: new Date().toISOString()
         });
         
@@ -226,67 +799,59 @@ app.post('/api/check', async (req, res) => {
         res.status(500).json({
           success: false,
           message: checkError.message,
+          runId: checkError.jobRun?.id,
           timestamp: new Date().toISOString()
         });
       }
     } else {
-      // Full capture for web interface
-      const capture = captureConsole();
-      
+      // Log tail for the web interface
       try {
-        await tracker.runDailyRoutine();
-        capture.restore();
+        const run = await tracker.runDailyRoutine({ trigger: jobTrigger(req) });
         
         res.json({
           success: true,
           message: 'Daily check completed successfully',
-          output: capture.output.slice(-10)
+          runId: run.id,
+          output: logTail(run, 10)
         });
         
       } catch (checkError) {
-        capture.restore();
-        
         res.json({
           success: false,
           message: checkError.message,
-          output: capture.output.slice(-10)
+          runId: checkError.jobRun?.id,
+          output: logTail(checkError.jobRun, 10)
         });
       }
     }
     
   } catch (error) {
-    console.error('Error running daily check:', error);
+    log.error('Error running daily check:', error);
     res.status(500).json({ error: 'Failed to run daily check' });
   }
 });
 
 // Daily routine endpoint (for GitHub Actions trigger)
-app.post('/api/daily-routine', async (req, res) => {
+app.post('/api/daily-routine', requireAdmin, async (req, res) => {
   try {
-    console.log('🤖 Daily routine triggered by GitHub Actions...');
+    log.info('🤖 Daily routine triggered by GitHub Actions...');
     
     const startTime = Date.now();
     
-    const capture = captureConsole();
-    
     try {
-      await tracker.runDailyRoutine();
-      capture.restore();
-      
-      const duration = Date.now() - startTime;
+      const run = await tracker.runDailyRoutine({ trigger: jobTrigger(req, 'github-actions') });
       
       res.json({
         success: true,
         message: 'Daily routine completed successfully',
         timestamp: new Date().toISOString(),
-        duration: `${duration}ms`,
+        duration: `${run.durationMs}ms`,
         triggered_by: 'github_actions',
-        output: capture.output.slice(-15) // Last 15 lines for debugging
+        runId: run.id,
+        output: logTail(run, 15) // Last 15 lines for debugging
       });
       
     } catch (routineError) {
-      capture.restore();
-      
       const duration = Date.now() - startTime;
       
       res.status(500).json({
@@ -295,12 +860,13 @@ app.post('/api/daily-routine', async (req, res) => {
         timestamp: new Date().toISOString(),
         duration: `${duration}ms`,
         triggered_by: 'github_actions',
-        output: capture.output.slice(-15)
+        runId: routineError.jobRun?.id,
+        output: logTail(routineError.jobRun, 15)
       });
     }
     
   } catch (error) {
-    console.error('Error running daily routine:', error);
+    log.error('Error running daily routine:', error);
     res.status(500).json({ 
       success: false,
       error: 'Failed to run daily routine',
@@ -310,19 +876,42 @@ app.post('/api/daily-routine', async (req, res) => {
   }
 });
 
-// System Design Routes (kept separate from LeetCode routes)
-app.post('/api/system-design/send', async (req, res) => {
+// Evening reminder and weekly summary endpoints (for GitHub Actions / external cron)
+const scheduledJobs = {
+  'reminder': { name: 'Evening reminder', run: trigger => tracker.runEveningReminder({ trigger }) },
+  'weekly-summary': { name: 'Weekly summary', run: trigger => tracker.runWeeklySummary({ trigger }) }
+};
+
+app.post('/api/:job(reminder|weekly-summary)', requireAdmin, async (req, res) => {
+  const job = scheduledJobs[req.params.job];
+  const startTime = Date.now();
   try {
-    const authHeader = req.headers.authorization || '';
-    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
-    
-    // Timing-safe comparison to prevent auth bypass
-    if (!authHeader || !safeCompare(authHeader, expectedAuth)) {
-      console.log('❌ Unauthorized attempt to send system design email');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    log.info(`🤖 ${job.name} triggered externally...`);
+    const run = await job.run(jobTrigger(req));
 
-    console.log('📚 Sending system design email...');
+    res.json({
+      success: true,
+      message: `${job.name} completed successfully`,
+      timestamp: new Date().toISOString(),
+      duration: `${Date.now() - startTime}ms`,
+      runId: run.id
+    });
+  } catch (error) {
+    log.error(`Error running ${job.name.toLowerCase()}:`, error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      timestamp: new Date().toISOString(),
+      duration: `${Date.now() - startTime}ms`,
+      runId: error.jobRun?.id
+    });
+  }
+});
+
+// System Design Routes (kept separate from LeetCode routes)
+app.post('/api/system-design/send', requireAdmin, async (req, res) => {
+  try {
+    log.info('📚 Sending system design email...');
     
     await sendSystemDesignEmail();
     
@@ -334,7 +923,7 @@ app.post('/api/system-design/send', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error sending system design email:', error);
+    log.error('Error sending system design email:', error);
     res.status(500).json({ 
       success: false,
       error: 'Failed to send system design email',
@@ -344,6 +933,110 @@ app.post('/api/system-design/send', async (req, res) => {
   }
 });
 
+// Action links from the emails (lib/actionLinks.js) - the signed token is the
+// only credential. Opening a link asks for confirmation; the button runs the action.
+const ACTION_LINK_WORDING = {
+  solve: { question: 'Mark {name} as solved?', button: '✅ Mark as solved' },
+  snooze: { question: 'Snooze {name} until tomorrow?', button: '💤 Snooze' },
+  skip: { question: "Skip {name}? It won't be sent again.", button: '⏭️ Skip' }
+};
+const ACTION_LINK_RESULTS = {
+  solved: '✅ {name} is marked as solved.',
+  reviewed: '🔁 {name} is marked as reviewed.',
+  snoozed: '💤 {name} is snoozed until {until}.',
+  skipped: "⏭️ {name} is skipped - it won't be sent again."
+};
+
+/**
+ * Small standalone page for action links
+ * @param {string} message - Text (escaped here)
+ * @param {string} form - Extra HTML, e.g. the confirm button
+ */
+function renderActionPage(res, status, message, form = '') {
+  res.status(status)
+    .set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' })
+    .type('html')
+    .send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>LeetCode Tracker</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; text-align: center;">
+<h2>🎯 LeetCode Tracker</h2>
+<p>${handlebars.Utils.escapeExpression(message)}</p>
+${form}
+<p><a href="/">Open the dashboard</a></p>
+</body>
+</html>`);
+}
+
+/**
+ * Check an action link and load what it acts on
+ * Answers with an error page (and counts a forged link as a failed attempt) when it can't be used.
+ * @returns {Promise<Object|null>} { link, user, name }, or null if a page was sent
+ */
+async function resolveActionLink(req, res) {
+  const link = actionLinks.verify(req.params.token);
+  if (!link) {
+    try {
+      securityService.checkRateLimit(ConfigValidator.getClientIP(req));
+    } catch (error) {
+      renderActionPage(res, 429, error.message);
+      return null;
+    }
+    renderActionPage(res, 404, "This link isn't valid. Use the dashboard instead.");
+    return null;
+  }
+  if (link.expired) {
+    renderActionPage(res, 410, 'This link has expired. Use the dashboard or a newer email instead.');
+    return null;
+  }
+
+  const user = await userService.getUser(link.userId);
+  if (!user) {
+    renderActionPage(res, 404, "This link isn't valid. Use the dashboard instead.");
+    return null;
+  }
+  const settings = await databaseService.loadSettings(user.id);
+  const plan = await planService.resolveActivePlan(user, settings);
+  const [problem] = await tracker.getProblemDetails([link.slug], plan);
+  return { link, user, name: problem.name };
+}
+
+app.get('/actions/:token', rateLimit, async (req, res) => {
+  try {
+    const resolved = await resolveActionLink(req, res);
+    if (!resolved) return;
+
+    const wording = ACTION_LINK_WORDING[resolved.link.action];
+    renderActionPage(res, 200, wording.question.replace('{name}', resolved.name),
+      `<form method="post"><button type="submit" style="font-size: 1.1em; padding: 10px 24px; cursor: pointer;">${wording.button}</button></form>`);
+  } catch (error) {
+    log.error('Error opening action link:', error);
+    renderActionPage(res, 500, 'Something went wrong. Please try again later.');
+  }
+});
+
+app.post('/actions/:token', rateLimit, async (req, res) => {
+  try {
+    const resolved = await resolveActionLink(req, res);
+    if (!resolved) return;
+
+    const { link, user, name } = resolved;
+    let event;
+    try {
+      event = await tracker.applyProblemAction(user, link.slug, link.action, { source: 'email', days: SNOOZE_DAYS, review: link.review });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return renderActionPage(res, 409, `Nothing to do - ${name} isn't waiting for you any more (it may already be solved or skipped).`);
+      }
+      throw error;
+    }
+    renderActionPage(res, 200, ACTION_LINK_RESULTS[event.type].replace('{name}', name).replace('{until}', event.until));
+  } catch (error) {
+    log.error('Error running action link:', error);
+    renderActionPage(res, 500, 'Something went wrong. Please try again later.');
+  }
+});
+
 // Serve frontend
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
@@ -360,15 +1053,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (lib/metrics.js) - set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeCompare(String(req.headers.authorization || ''), `Bearer ${token}`)) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(metricsRegistry.render());
+});
+
 // Auto-start cron jobs in production
 if (process.env.NODE_ENV === 'production') {
-  console.log('🔄 Starting background cron jobs for production...');
+  log.info('🔄 Starting background cron jobs for production...');
   tracker.startScheduledJobs();
 }
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  log.error('Server error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -379,7 +1081,7 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`
+  log.info(`
 🚀 LeetCode Tracker Web Server Started!
 
 📱 Frontend: http://localhost:${PORT}
@@ -398,12 +1100,12 @@ app.listen(PORT, () => {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
+  log.info('🛑 Received SIGTERM, shutting down gracefully...');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+  log.info('\n🛑 Received SIGINT, shutting down gracefully...');
   process.exit(0);
 });
 
@@ -8,23 +8,14 @@
 // Load environment variables
 require('dotenv').config();
 
+const { StudyPlan } = require('./lib/studyPlan');
+
 // Load generated study plan weeks from JSON file (created via parse-trello.js)
 const { weeks } = require('./study-plan.clean.json');
 
-// Convert weeks -> topics (merge duplicate themes, preserve order)
-const topics = [];
-const topicIndex = new Map();
-Object.keys(weeks).sort((a,b)=>a-b).forEach(weekNo=>{
-  const week = weeks[weekNo];
-  const theme = week.theme || `Theme ${weekNo}`;
-  let tIdx = topicIndex.get(theme);
-  if(tIdx===undefined){
-    tIdx = topics.length;
-    topics.push({ name: theme, problems: []});
-    topicIndex.set(theme,tIdx);
-  }
-  topics[tIdx].problems.push(...week.problems);
-});
+// The bundled plan - the 'default' plan until one is saved under that id (see lib/planService.js)
+const DEFAULT_STUDY_PLAN = new StudyPlan({ id: 'default', name: 'Default plan', version: 1, weeks });
+const topics = DEFAULT_STUDY_PLAN.topics;
 
 const STUDY_PLAN = {
   // Study plan metadata
@@ -58,20 +49,47 @@ const TRACKER_CONFIG = {
   goals: {
     dailyMinimum: 1,      // At least 1 problem per day
     weeklyTarget: 3,      // Target 3 problems per week
-    streakGoal: 7         // Aim for 7-day streaks
+    streakGoal: 7,        // Aim for 7-day streaks
+    streakRule: process.env.STREAK_RULE || 'assigned'  // 'assigned' problem solved or 'any' accepted submission
   },
-  
+
+  // Spaced-repetition reviews of solved problems
+  review: {
+    enabled: process.env.REVIEW_ENABLED !== 'false',
+    intervals: [1, 3, 7, 21],  // Days between reviews
+    dailyShare: 0.34           // Share of num_questions slots reviews may take
+  },
+
+  // Adaptive daily load (settings.adaptive_load) - see lib/adaptiveLoad.js
+  adaptive: {
+    windowDays: 7,        // Look back at most this many days
+    minDays: 3,           // Days with problems needed before any change
+    raiseAfterDays: 3,    // Days running with everything solved to add a problem
+    raiseMaxHours: 18,    // ...if solved within this many hours on average
+    lowerBelowRate: 0.5,  // Share solved the same day below which a problem is dropped
+    lowerAboveHours: 36   // ...or average hours to solve above which it is
+  },
+
   // API settings
   api: {
-    baseUrl: process.env.LEETCODE_API_URL || (() => {
-      throw new Error('LEETCODE_API_URL environment variable must be set');
-    })(),
+    // LEETCODE_API_USE_LOCAL targets a local API - the bundled mock (npm run mock-api) by default.
+    // Resolved on use, so commands that bring their own API (simulate) run without one configured.
+    get baseUrl() {
+      if (process.env.LEETCODE_API_USE_LOCAL === 'true') {
+        return process.env.LEETCODE_API_LOCAL_URL || `http://localhost:${process.env.LEETCODE_MOCK_PORT || 3100}`;
+      }
+      if (!process.env.LEETCODE_API_URL) {
+        throw new Error('LEETCODE_API_URL environment variable must be set');
+      }
+      return process.env.LEETCODE_API_URL;
+    },
     timeout: 10000
   }
 };
 
 /**
- * Helper functions for study plan
+ * Helper functions for the bundled study plan
+ * Code that knows the user's active plan should use its StudyPlan instead.
  */
 class StudyPlanHelper {
   
@@ -79,18 +97,14 @@ class StudyPlanHelper {
    * Get current week number based on start date
    */
   static getCurrentWeek() {
-    const startDate = new Date(STUDY_PLAN.startDate);
-    const today = new Date();
-    const diffTime = today.getTime() - startDate.getTime();
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return Math.ceil(diffDays / 7);
+    return DEFAULT_STUDY_PLAN.getCurrentWeek(STUDY_PLAN.startDate);
   }
   
   /**
    * Get problems for a specific week
    */
   static getWeekProblems(weekNumber) {
-    return STUDY_PLAN.weeks[weekNumber]?.problems || [];
+    return DEFAULT_STUDY_PLAN.getWeekProblems(weekNumber);
   }
   
   /**
@@ -105,38 +119,28 @@ class StudyPlanHelper {
    * Get all problem slugs for easy lookup
    */
   static getAllProblemSlugs() {
-    return STUDY_PLAN.topics.flatMap(t=>t.problems.map(p=>p.slug));
+    return DEFAULT_STUDY_PLAN.getAllProblemSlugs();
   }
   
   /**
    * Check if a problem is in the current study plan
    */
   static isProblemInPlan(problemSlug) {
-    return this.getAllProblemSlugs().includes(problemSlug);
+    return DEFAULT_STUDY_PLAN.hasProblem(problemSlug);
   }
   
   /**
    * Get problem details by slug
    */
   static getProblemBySlug(slug) {
-    for (const week of Object.values(STUDY_PLAN.weeks)) {
-      const problem = week.problems.find(p => p.slug === slug);
-      if (problem) return problem;
-    }
-    return null;
+    return DEFAULT_STUDY_PLAN.getProblemBySlug(slug);
   }
   
   /**
    * Get ordered list of problems as [ { slug, topicIndex, idxWithin } ]
    */
   static getOrderedProblemList(){
-    const list=[];
-    STUDY_PLAN.topics.forEach((topic,tIdx)=>{
-      topic.problems.forEach((p,idx)=>{
-        list.push({ ...p, topicIndex:tIdx, problemIndex:idx });
-      });
-    });
-    return list;
+    return DEFAULT_STUDY_PLAN.getOrderedProblemList();
   }
   
   /**
@@ -151,15 +155,13 @@ class StudyPlanHelper {
   }
   
   static getTopicBySlug(slug){
-    for(const topic of STUDY_PLAN.topics){
-      if(topic.problems.some(p=>p.slug===slug)) return topic.name;
-    }
-    return 'Unknown';
+    return DEFAULT_STUDY_PLAN.getTopicBySlug(slug);
   }
 }
 
 module.exports = {
   STUDY_PLAN,
   TRACKER_CONFIG,
-  StudyPlanHelper
+  StudyPlanHelper,
+  DEFAULT_STUDY_PLAN
 }; 
\ No newline at end of file
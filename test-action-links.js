@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Test Action Links
+ *
+ * Covers the signed solve / snooze / skip links in the emails
+ * (lib/actionLinks.js): signing, tampering and expiry, the links the daily
+ * email carries, and running a link's action with the 'email' source. Uses
+ * in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { ActionLinks, SNOOZE_DAYS } = require('./lib/actionLinks');
+const { ReviewScheduler } = require('./lib/reviewScheduler');
+const { databaseService, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const USER = { id: 'links-user', leetcodeUsername: 'links-user', email: 'links@localhost' };
+const LINKS = new ActionLinks({ secret: 'test-secret', baseUrl: 'https://tracker.test/', ttlDays: 3 });
+const NOW = Date.parse('2025-03-03T02:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const problem = slug => ({ name: slug, slug, difficulty: 'Easy', estimatedTime: 30, priority: 'medium' });
+
+/**
+ * Tokens of every action link in a text
+ */
+function tokensIn(text) {
+  return [...text.matchAll(/https:\/\/tracker\.test\/actions\/([A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)/g)].map(match => match[1]);
+}
+
+const tests = [
+  {
+    name: "Tokens are signed and expire",
+    run: () => {
+      const token = LINKS.createToken({ userId: 'alice', slug: 'two-sum', action: 'solve' }, NOW);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ u: 'bob', s: 'two-sum', a: 'solve', r: false, e: 2000000000 })).toString('base64url');
+      const link = LINKS.verify(token, NOW);
+
+      return [
+        [link.userId, 'alice', 'user'],
+        [link.slug, 'two-sum', 'slug'],
+        [link.action, 'solve', 'action'],
+        [link.review, false, 'not a review link'],
+        [link.expiresAt, new Date(NOW + 3 * DAY_MS).toISOString(), 'expiry'],
+        [link.expired, false, 'valid now'],
+        [LINKS.verify(token, NOW + 3 * DAY_MS).expired, true, 'expired after 3 days'],
+        [LINKS.verify(`${forged}.${signature}`, NOW), null, 'payload swapped'],
+        [LINKS.verify(`${payload}.${signature.slice(1)}`, NOW), null, 'signature changed'],
+        [new ActionLinks({ secret: 'other', baseUrl: 'x' }).verify(token, NOW), null, 'other secret'],
+        [LINKS.verify('not-a-token', NOW), null, 'garbage'],
+        [LINKS.verify(LINKS.createToken({ userId: 'alice', slug: 'two-sum', action: 'delete' }, NOW), NOW), null, 'unknown action'],
+        [new ActionLinks({ secret: 'test-secret', baseUrl: '' }).linksFor('alice', 'two-sum'), null, 'disabled without BASE_URL'],
+        [new ActionLinks({ secret: '', baseUrl: 'https://tracker.test' }).linksFor('alice', 'two-sum'), null, 'disabled without a secret']
+      ];
+    }
+  },
+
+  {
+    name: "The daily email links every problem (reviews without skip)",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: {},
+        problemMetadata: { enrichProblems: async problems => problems },
+        actionLinks: LINKS
+      });
+      await tracker.planService.savePlan({ id: 'links', weeks: { 1: { theme: 'Arrays', problems: [problem('two-sum'), problem('valid-anagram')] } } });
+      await databaseService.saveProgress({
+        lastSentDate: '2025-03-02',
+        sentProblems: [{
+          slug: 'contains-duplicate',
+          solved: true,
+          sentDate: '2025-02-20',
+          solvedTimestamp: '2025-02-20T10:00:00.000Z',
+          review: { ...ReviewScheduler.createReviewState('2025-02-20'), dueDate: '2025-03-03' }
+        }],
+        pendingQueue: [],
+        planProgress: { default: { assigned: ['contains-duplicate'] } }
+      }, USER.id);
+
+      const planned = await clock.withTime('2025-03-03T02:00:00', () =>
+        tracker.planDailyRoutine(USER, { ...DEFAULT_SETTINGS, num_questions: 3, study_plan: 'links' }, '2025-03-03'));
+      const links = tokensIn(planned.message.html).map(token => LINKS.verify(token));
+      const describe = link => `${link.slug}:${link.action}${link.review ? ':review' : ''}`;
+
+      return [
+        [links.map(describe).join(','),
+          'two-sum:solve,two-sum:snooze,two-sum:skip,valid-anagram:solve,valid-anagram:snooze,valid-anagram:skip,contains-duplicate:solve:review,contains-duplicate:snooze:review',
+          'links in the html'],
+        [tokensIn(planned.message.text).length, 8, 'links in the text'],
+        [links.every(link => link.userId === USER.id), true, 'links act for the user']
+      ];
+    }
+  },
+
+  {
+    name: "A link runs its action once, as an email action",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({ emailService: {} });
+      await databaseService.saveProgress({
+        lastSentDate: '2025-03-03',
+        sentProblems: [
+          { slug: 'two-sum', solved: false, sentDate: '2025-03-03' },
+          { slug: 'valid-anagram', solved: false, sentDate: '2025-03-03' }
+        ],
+        pendingQueue: [],
+        planProgress: { default: { assigned: ['two-sum', 'valid-anagram'] } }
+      }, USER.id);
+
+      const follow = (slug, action, review = false) => {
+        const link = LINKS.verify(LINKS.createToken({ userId: USER.id, slug, action, review }));
+        return clock.withTime('2025-03-03T20:00:00', () => tracker.applyProblemAction(USER, link.slug, link.action, {
+          source: 'email', days: SNOOZE_DAYS, review: link.review
+        })).then(event => `${event.type}:${event.source}${event.until ? `:${event.until}` : ''}`, error => error.message);
+      };
+
+      const snoozed = await follow('valid-anagram', 'snooze');
+      const solved = await follow('two-sum', 'solve');
+      const again = await follow('two-sum', 'solve');
+      // two-sum is now out for review - only a review link may complete it
+      const progress = await databaseService.loadProgress(USER.id);
+      await databaseService.saveProgress({
+        ...progress,
+        sentProblems: progress.sentProblems.map(p => (p.slug === 'two-sum' ? { ...p, review: ReviewScheduler.markSent(p.review, '2025-03-04') } : p))
+      }, USER.id);
+      const oldLink = await follow('two-sum', 'solve');
+      const reviewLink = await follow('two-sum', 'solve', true);
+
+      return [
+        [snoozed, 'snoozed:email:2025-03-04', 'snoozed to tomorrow'],
+        [solved, 'solved:email', 'solved'],
+        [again, 'solve: slug - Not an assigned problem', 'second click'],
+        [oldLink, 'solve: slug - Not an assigned problem', 'old link leaves the review alone'],
+        [reviewLink, 'reviewed:email', 'review link completes the review']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Action Link Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Action links are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the action links.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Test Adaptive Load
+ *
+ * Covers the adaptive daily problem count (lib/adaptiveLoad.js): solve stats
+ * from the history log, raising and lowering within bounds, and the daily
+ * routine recording each decision in settingsAtSendTime and explaining changes
+ * in the email. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { AdaptiveLoad } = require('./lib/adaptiveLoad');
+const { TRACKER_CONFIG } = require('./study-plan');
+const { databaseService, DataValidator, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const USER = { id: 'adaptive-user', leetcodeUsername: 'adaptive-user', email: 'adaptive@localhost' };
+const CONFIG = { windowDays: 7, minDays: 3, raiseAfterDays: 3, raiseMaxHours: 18, lowerBelowRate: 0.5, lowerAboveHours: 36 };
+const ADAPTIVE = { ...DEFAULT_SETTINGS, num_questions: 2, adaptive_load: { enabled: true, min: 1, max: 3 } };
+
+const problem = slug => ({ name: slug, slug, difficulty: 'Easy', estimatedTime: 30, priority: 'medium' });
+const assigned = (date, slug, kind = 'new') => ({ type: 'assigned', slug, date, sentDate: date, kind, recordedAt: `${date}T02:00:00` });
+const solved = (date, slug, time = '12:00:00', sentDate = date) => ({ type: 'solved', slug, date, sentDate, solvedTimestamp: `${date}T${time}` });
+
+/**
+ * Stats with defaults for decide()
+ */
+const stats = overrides => ({ activeDays: 3, assignedCount: 6, solvedCount: 6, solveRate: 1, averageSolveHours: 10, clearedRun: 3, ...overrides });
+
+const tests = [
+  {
+    name: "Stats come from the days in range",
+    run: () => {
+      const history = [
+        assigned('2025-03-01', 'a'), solved('2025-03-01', 'a'),
+        assigned('2025-03-02', 'b'), assigned('2025-03-02', 'c'), solved('2025-03-02', 'b', '20:00:00'),
+        assigned('2025-03-03', 'c', 'repeat'), assigned('2025-03-03', 'd'), solved('2025-03-03', 'c', '08:00:00', '2025-03-02'), solved('2025-03-03', 'd'),
+        assigned('2025-03-04', 'e'), solved('2025-03-04', 'e'),
+        { type: 'reviewed', slug: 'a', date: '2025-03-04', solvedTimestamp: '2025-03-04T09:00:00' },
+        assigned('2025-03-04', 'a', 'review')
+      ];
+      const all = AdaptiveLoad.getStats(history, { from: '2025-03-01', to: '2025-03-04' });
+      const recent = AdaptiveLoad.getStats(history, { from: '2025-03-03', to: '2025-03-04' });
+
+      return [
+        [all.activeDays, 4, 'days with problems'],
+        [all.assignedCount, 7, 'assignments'],
+        [all.solvedCount, 6, 'solved the same day'],
+        [all.solveRate, 0.86, 'solve rate'],
+        [all.clearedRun, 2, 'cleared days running'],
+        // 10h, 18h, 30h (c, from its first send), 10h, 10h
+        [all.averageSolveHours, 15.6, 'average hours to solve'],
+        [recent.activeDays, 2, 'range respected'],
+        [recent.averageSolveHours, 16.7, 'older assignments still timed from their send'],
+        [AdaptiveLoad.getStats([], { from: '2025-03-01', to: '2025-03-04' }).solveRate, null, 'no data']
+      ];
+    }
+  },
+
+  {
+    name: "The count moves one step within the bounds",
+    run: () => {
+      const previous = { num_questions: 2, adaptive: { changedOn: '2025-02-20' } };
+      const decide = (overrides, settings = ADAPTIVE, last = previous) => AdaptiveLoad.decide(settings, last, stats(overrides), '2025-03-05', CONFIG);
+      const raised = decide({});
+      const lowered = decide({ solveRate: 0.33, solvedCount: 2, assignedCount: 6, clearedRun: 0 });
+      const slow = decide({ averageSolveHours: 40, clearedRun: 0 });
+
+      return [
+        [raised.num_questions, 3, 'raised'],
+        [raised.message, "You've cleared everything 3 days running, bumping to 3.", 'raise explained'],
+        [raised.changedOn, '2025-03-05', 'change date'],
+        [raised.previous, 2, 'previous count'],
+        [lowered.num_questions, 1, 'lowered'],
+        [lowered.message, 'You solved 2 of 6 problems on the day they were sent lately, easing off to 1.', 'lowering explained'],
+        [slow.message, 'New problems have taken 40 hours on average to solve lately, easing off to 1.', 'slow solves'],
+        [decide({ averageSolveHours: 20 }).reason, 'hold', 'cleared but slow holds'],
+        [decide({ activeDays: 2 }).reason, 'hold', 'too few days'],
+        [decide({ activeDays: 2 }).changedOn, '2025-02-20', 'hold keeps the change date'],
+        [decide({}, ADAPTIVE, { num_questions: 3, adaptive: {} }).reason, 'hold', 'at the top'],
+        [decide({}, ADAPTIVE, { num_questions: 5, adaptive: {} }).message, 'Keeping to your range of 1-3: 3 problems a day.', 'new bounds'],
+        [decide({ activeDays: 0 }, ADAPTIVE, { num_questions: 1 }).num_questions, 2, 'starts from num_questions'],
+        [AdaptiveLoad.getRange(previous, '2025-03-05', 7).from, '2025-02-26', 'window caps the range'],
+        [AdaptiveLoad.getRange({ adaptive: { changedOn: '2025-03-03' } }, '2025-03-05', 7).from, '2025-03-03', 'range starts at the change'],
+        [AdaptiveLoad.isEnabled(DEFAULT_SETTINGS), false, 'off by default'],
+        [DataValidator.validateSettings(ADAPTIVE), true, 'settings accept bounds'],
+        [(() => { try { return DataValidator.validateSettings({ ...ADAPTIVE, adaptive_load: { enabled: true, min: 4, max: 2 } }); } catch (error) { return error.message; } })(),
+          'adaptive_load must be { enabled, min, max } with 1 <= min <= max <= 10', 'settings reject bad bounds']
+      ];
+    }
+  },
+
+  {
+    name: "The routine records each decision and explains changes",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: {},
+        problemMetadata: { enrichProblems: async problems => problems }
+      });
+      const slugs = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8', 'p9'];
+      await tracker.planService.savePlan({ id: 'adaptive', weeks: { 1: { theme: 'Arrays', problems: slugs.map(problem) } } });
+      await databaseService.saveSettings({ ...ADAPTIVE, num_questions: 1, study_plan: 'adaptive' }, USER.id);
+
+      const runDay = async (date, solveAll) => {
+        const planned = await clock.withTime(`${date}T02:00:00`, async () => {
+          const result = await tracker.planDailyRoutine(USER, await databaseService.loadSettings(USER.id), date);
+          await databaseService.saveProgress(result.progress, USER.id);
+          await tracker.recordHistory(USER.id, result.historyEvents);
+          return result;
+        });
+        if (solveAll) {
+          for (const slug of planned.historyEvents.map(event => event.slug)) {
+            await clock.withTime(`${date}T12:00:00`, () => tracker.applyProblemAction(USER, slug, 'solve', { source: 'cli' }));
+          }
+        }
+        return { count: planned.historyEvents.length, load: planned.progress.settingsAtSendTime.adaptive, message: planned.message };
+      };
+
+      await runDay('2025-03-03', true);
+      await runDay('2025-03-04', true);
+      await runDay('2025-03-05', true);
+      const bumped = await runDay('2025-03-06', true);
+      const held = await runDay('2025-03-07', false);
+      await runDay('2025-03-08', false);
+      const eased = await runDay('2025-03-09', false);
+
+      return [
+        [bumped.count, 2, 'one more after 3 cleared days'],
+        [bumped.load.reason, 'cleared', 'reason recorded'],
+        [bumped.load.changedOn, '2025-03-06', 'change recorded'],
+        [bumped.message.text.includes("You've cleared everything 3 days running, bumping to 2."), true, 'text email explains'],
+        [bumped.message.html.includes('bumping to 2'), true, 'html email explains'],
+        [held.count, 2, 'held the day after'],
+        [held.load.reason, 'hold', 'hold recorded'],
+        [held.message.text.includes('bumping'), false, 'nothing to explain'],
+        [eased.count, 1, 'one fewer once problems pile up'],
+        [eased.load.message, 'You solved 2 of 6 problems on the day they were sent lately, easing off to 1.', 'lowering explained'],
+        [(await databaseService.loadProgress(USER.id)).settingsAtSendTime.num_questions, 1, 'count saved for the next run']
+      ];
+    }
+  },
+
+  {
+    name: "Adaptive mode off leaves the count alone",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: {},
+        problemMetadata: { enrichProblems: async problems => problems }
+      });
+      const settings = { ...ADAPTIVE, adaptive_load: { enabled: false, min: 1, max: 3 } };
+      const planned = await clock.withTime('2025-03-03T02:00:00', () => tracker.planDailyRoutine(USER, settings, '2025-03-03'));
+
+      return [
+        [await tracker.planDailyLoad(USER.id, settings, planned.progress, '2025-03-04'), null, 'no decision'],
+        [planned.progress.settingsAtSendTime.num_questions, 2, 'num_questions sent'],
+        [planned.progress.settingsAtSendTime.adaptive, undefined, 'nothing recorded'],
+        [TRACKER_CONFIG.adaptive.windowDays, 7, 'default window']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Adaptive Load Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Adaptive load is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the adaptive load.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test Shared Clock
+ *
+ * Covers pinning and advancing the clock, and that the study plan week,
+ * the system design topic, today's date and the mock API all follow it.
+ */
+
+process.env.STUDY_PLAN_START_DATE = '2025-01-06';
+process.env.SYSTEM_DESIGN_START_DATE = '2025-01-06';
+// testSystemDesignEmail checks these exist; nothing is sent
+process.env.FROM_EMAIL = process.env.FROM_EMAIL || 'tracker@example.com';
+process.env.TO_EMAIL = process.env.TO_EMAIL || 'tracker@example.com';
+process.env.EMAIL_PASS = process.env.EMAIL_PASS || 'unused';
+
+const { Clock, clock } = require('./lib/clock');
+const { DateUtils } = require('./lib/dateUtils');
+const { StudyPlanHelper } = require('./study-plan');
+const { getCurrentTopic, testSystemDesignEmail } = require('./send-system-design');
+const { MockLeetCodeApi } = require('./lib/mockLeetCodeApi');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const tests = [
+  {
+    name: "Pinned clock stays put until advanced",
+    run: async () => {
+      const testClock = new Clock();
+      testClock.set('2025-03-01');
+      const pinned = testClock.today();
+      testClock.advance(DAY_MS + 60 * 1000);
+      const advanced = testClock.now();
+      testClock.reset();
+      return [
+        [pinned, '2025-03-01', 'pinned date'],
+        [testClock.isFixed(), false, 'reset to system clock'],
+        [advanced.getHours() * 60 + advanced.getMinutes(), 1, 'advanced time of day'],
+        [DateUtils.formatDateString(advanced), '2025-03-02', 'advanced date']
+      ];
+    }
+  },
+
+  {
+    name: "withTime restores the previous time, also after errors",
+    run: async () => {
+      const testClock = new Clock();
+      testClock.set('2025-03-01');
+      const inside = await testClock.withTime('2025-04-01', async () => testClock.today());
+      let threw = false;
+      try {
+        testClock.withTime('2025-05-01', () => { throw new Error('boom'); });
+      } catch (error) {
+        threw = true;
+      }
+      return [
+        [inside, '2025-04-01', 'inside'],
+        [threw, true, 'error rethrown'],
+        [testClock.today(), '2025-03-01', 'restored']
+      ];
+    }
+  },
+
+  {
+    name: "Study plan week and today's date follow the shared clock",
+    run: async () => {
+      const results = [];
+      await clock.withTime('2025-01-06T09:00:00', () => {
+        results.push([StudyPlanHelper.getCurrentWeek(), 1, 'first day is week 1']);
+        results.push([DateUtils.getTodayString(), '2025-01-06', 'today']);
+      });
+      await clock.withTime('2025-01-20T09:00:00', () => {
+        results.push([StudyPlanHelper.getCurrentWeek(), 3, 'two weeks later']);
+      });
+      return results;
+    }
+  },
+
+  {
+    name: "System design topic follows the shared clock",
+    run: async () => {
+      const before = clock.withTime('2025-01-01', () => getCurrentTopic());
+      const first = clock.withTime('2025-01-07', () => getCurrentTopic());
+      const second = clock.withTime('2025-01-14', () => getCurrentTopic());
+      const result = await testSystemDesignEmail({ testDate: '2025-01-14' });
+      return [
+        [before, null, 'before start date'],
+        [first.week, 1, 'first week'],
+        [second.week, 2, 'second week'],
+        [result.week, 2, 'testDate option'],
+        [clock.isFixed(), false, 'clock released']
+      ];
+    }
+  },
+
+  {
+    name: "Mock API hides submissions after the simulated time",
+    run: async () => {
+      const mock = new MockLeetCodeApi({ users: { sim: {} } }, { now: () => clock.now() });
+      clock.set('2025-01-06T17:00:00');
+      mock.addSubmission('sim', { titleSlug: 'two-sum', timestamp: '-10m' });
+      mock.addSubmission('sim', { titleSlug: 'valid-anagram', timestamp: '2025-01-07T17:00:00' });
+
+      const url = await mock.start(0);
+      try {
+        const axios = require('axios');
+        const today = (await axios.get(`${url}/sim/acSubmission`)).data;
+        clock.advance(DAY_MS);
+        const tomorrow = (await axios.get(`${url}/sim/acSubmission`)).data;
+        return [
+          [today.submission.map(s => s.titleSlug).join(','), 'two-sum', 'visible today'],
+          [tomorrow.count, 2, 'visible tomorrow']
+        ];
+      } finally {
+        clock.reset();
+        await mock.stop();
+      }
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalError = console.error;
+  originalLog('🧪 Running Clock Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! The shared clock is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the clock.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
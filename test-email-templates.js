@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Test Email Templates
+ *
+ * Covers the Handlebars templates in templates/email/: shared partials,
+ * HTML escaping vs. plain text, the EmailService compose/send path and
+ * the sample and live previews behind /api/email-preview.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { EmailService, ProgressTracker } = require('./tracker');
+const { EmailTemplates, EMAIL_TEMPLATES } = require('./lib/emailTemplates');
+const { Notifier, RecordingChannel } = require('./lib/notifier');
+const { databaseService, DEFAULT_PROGRESS, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { planService } = require('./lib/planService');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const TWO_SUM = { slug: 'two-sum', name: 'Two Sum', difficulty: 'Easy' };
+const ANAGRAM = { slug: 'valid-anagram', name: 'Valid Anagram', difficulty: 'Easy' };
+const USER = { id: 'preview-user', leetcodeUsername: 'preview-user', email: 'preview@localhost' };
+
+const tests = [
+  {
+    name: "Every template renders an HTML and a text version",
+    run: async () => {
+      const tracker = new ProgressTracker({ leetcodeApi: {}, emailService: {} });
+      const results = [];
+      for (const template of EMAIL_TEMPLATES) {
+        const preview = await tracker.buildEmailPreview(template, USER);
+        results.push([preview.source, 'sample', `${template} source`]);
+        results.push([preview.subject.length > 0, true, `${template} subject`]);
+        results.push([preview.html.startsWith('<h2>'), true, `${template} html`]);
+        results.push([preview.text.length > 0 && !preview.text.includes('<'), true, `${template} text`]);
+      }
+      return results;
+    }
+  },
+
+  {
+    name: "HTML is escaped, plain text is not",
+    run: async () => {
+      const problem = { slug: 'a-b', name: 'A < B & C', difficulty: 'Easy' };
+      const message = EmailService.composeTodaysQuestionEmail(problem, 'Arrays & Hashing', null);
+      return [
+        [message.html.includes('A &lt; B &amp; C'), true, 'html escaped'],
+        [message.text.includes('A < B & C'), true, 'text raw'],
+        [message.text.includes('Topic: Arrays & Hashing'), true, 'topic raw'],
+        [message.type, 'daily-problems', 'type']
+      ];
+    }
+  },
+
+  {
+    name: "Multi-problem email only shows non-empty sections",
+    run: async () => {
+      const message = EmailService.composeMultipleProblemsEmail([TWO_SUM, ANAGRAM], {
+        unfinished: [],
+        newProblems: [ANAGRAM],
+        reviews: [TWO_SUM],
+        totalCount: 2,
+        streak: null
+      });
+      return [
+        [message.subject, "📝 Today's LeetCode – 2 problems", 'subject'],
+        [message.html.includes('Unfinished'), false, 'no unfinished section'],
+        [message.html.includes('🆕 New Problems (1)'), true, 'new section'],
+        [message.text.includes('- Review: Two Sum (Easy) - Arrays & Hashing'), true, 'review item'],
+        [message.text.includes('🔥'), false, 'no streak line'],
+        [/\n{3,}/.test(message.text), false, 'no blank runs']
+      ];
+    }
+  },
+
+  {
+    name: "Streak partial covers active, broken and first streaks",
+    run: async () => {
+      const line = streak => EmailService.composeReminderEmail(TWO_SUM, 'Arrays', streak).text.split('\n').pop();
+      return [
+        [line({ current: 1, longest: 3, goal: 7 }), '🔥 Current streak: 1 day (longest: 3, goal: 7)', 'active'],
+        [line({ current: 0, longest: 3, goal: 7 }), '🔥 Solve one today to start a new streak (longest: 3 days)', 'broken'],
+        [line({ current: 0, longest: 0, goal: 7 }), '🔥 Solve one today to start your first streak (goal: 7 days)', 'first']
+      ];
+    }
+  },
+
+  {
+    name: "Send methods deliver the composed message",
+    run: async () => {
+      const recorder = new RecordingChannel();
+      const emailService = new EmailService({ to: 'preview@localhost', notifier: new Notifier([recorder]) });
+      await emailService.sendEveningReminderEmail([TWO_SUM], { current: 2, longest: 2, goal: 7 });
+      const expected = EmailService.composeEveningReminderEmail([TWO_SUM], { current: 2, longest: 2, goal: 7 });
+      const [message] = recorder.messages;
+      return [
+        [message.type, 'evening-reminder', 'type'],
+        [message.subject, '🌙 1 problem still open today', 'subject'],
+        [message.html, expected.html, 'html'],
+        [message.text, expected.text, 'text']
+      ];
+    }
+  },
+
+  {
+    name: "Live preview uses the user's progress and falls back to the sample",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({ leetcodeApi: {}, emailService: {} });
+
+      return clock.withTime('2025-03-04T08:00:00', async () => {
+        await databaseService.saveProgress({
+          ...DEFAULT_PROGRESS,
+          lastSentDate: '2025-03-03',
+          sentProblems: [{ slug: 'valid-anagram', solved: false, sentDate: '2025-03-03' }],
+          planProgress: { default: { assigned: ['two-sum', 'valid-anagram'] } }
+        }, USER.id);
+
+        const reminder = await tracker.buildEmailPreview('reminder', USER, { live: true });
+        const congratulations = await tracker.buildEmailPreview('congratulations', USER, { live: true });
+        const unknown = await tracker.buildEmailPreview('nope', USER).catch(error => error.message);
+        return [
+          [reminder.source, 'live', 'reminder source'],
+          [reminder.html.includes('<strong>Valid Anagram</strong>'), true, 'unfinished problem'],
+          [congratulations.source, 'sample', 'nothing solved today'],
+          [unknown, 'Unknown email template: nope', 'unknown template']
+        ];
+      });
+    }
+  },
+
+  {
+    name: "Previews render for plans with one problem or none",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({ leetcodeApi: {}, emailService: {} });
+      const problem = { ...TWO_SUM, estimatedTime: 20, priority: 'high' };
+      await planService.savePlan({ id: 'single', name: 'Single', weeks: { 1: { theme: 'Arrays', problems: [problem] } }, source: 'test' });
+      await planService.savePlan({ id: 'empty', name: 'Empty', weeks: { 1: { theme: 'Later', problems: [] } }, source: 'test' });
+
+      const results = [];
+      for (const planId of ['single', 'empty']) {
+        await databaseService.saveSettings({ ...DEFAULT_SETTINGS, study_plan: planId }, USER.id);
+        for (const template of EMAIL_TEMPLATES) {
+          const preview = await tracker.buildEmailPreview(template, USER).catch(error => ({ subject: '', text: error.message }));
+          results.push([preview.subject.length > 0, true, `${planId} ${template} (${preview.text.slice(0, 60)})`]);
+        }
+      }
+      const single = await databaseService.saveSettings({ ...DEFAULT_SETTINGS, study_plan: 'single' }, USER.id)
+        .then(() => tracker.buildEmailPreview('weekly-summary', USER));
+      results.push([single.text.includes('Assigned this week: 1 (1 solved)'), true, 'single problem in the report']);
+      return results;
+    }
+  },
+
+  {
+    name: "A missing template directory fails loudly",
+    run: async () => {
+      const templates = new EmailTemplates('/nonexistent');
+      const missing = (() => {
+        try {
+          templates.render('reminder', {});
+          return null;
+        } catch (error) {
+          return error.code;
+        }
+      })();
+      return [
+        [templates.has('reminder'), true, 'known template'],
+        [missing, 'ENOENT', 'missing file']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  originalLog('🧪 Running Email Template Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Email templates are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the email templates.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -375,7 +375,7 @@ class IntegrationTestSuite {
         throw new Error('Should detect legacy format');
       }
       
-      if status.recommendations.length === 0) {
+      if (status.recommendations.length === 0) {
         throw new Error('Should provide recommendations');
       }
     });
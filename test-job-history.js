@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Test Job History
+ *
+ * Covers lib/jobHistory.js and the tracker jobs that use it: each run is
+ * stored with its trigger, timing, outcome, problems sent, API retries and
+ * cold-start waits and everything logged under its correlation id, failures
+ * are recorded before the error is rethrown, logs stay under the byte cap,
+ * and old runs are pruned. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { JobHistory, MAX_LOG_BYTES } = require('./lib/jobHistory');
+const { DatabaseService, databaseService } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+const { logger } = require('./lib/logger');
+
+const log = logger.child('test');
+
+function createHistory(options = {}) {
+  const db = new DatabaseService();
+  db.useStorage(new MemoryAdapter());
+  return new JobHistory(db, options);
+}
+
+/**
+ * Stand-in for ReliabilityService whose counters the job can bump
+ */
+function createReliability() {
+  const metrics = { totalAttempts: 0, totalSuccesses: 0, totalFailures: 0, coldStartsDetected: 0, coldStartWaitMs: 0 };
+  return {
+    metrics,
+    getMetrics: () => ({ ...metrics, circuitBreakerState: 'closed' })
+  };
+}
+
+const tests = [
+  {
+    name: "A successful run is stored with its log, results and API retries",
+    run: async () => {
+      const history = createHistory();
+      const reliability = createReliability();
+      reliability.metrics.totalAttempts = 10; // Earlier runs don't count
+
+      const run = await logger.withCorrelationId('request-42', () => history.track('daily-routine', { trigger: 'github-actions', reliability }, async () => {
+        log.info('🕑 Daily routine', { users: 2 });
+        log.warn('⚠️ API attempt 1 failed: ECONNREFUSED');
+        Object.assign(reliability.metrics, { totalAttempts: 13, totalSuccesses: 2, coldStartsDetected: 1, coldStartWaitMs: 4000 });
+        return {
+          outcome: 'completed',
+          users: [
+            { userId: 'alice', outcome: 'sent', problems: ['two-sum', 'valid-anagram'] },
+            { userId: 'bob', outcome: 'skipped-completed', problems: [] }
+          ]
+        };
+      }));
+      const stored = await history.getRun(run.id);
+
+      return [
+        [stored.status, 'succeeded', 'status'],
+        [stored.trigger, 'github-actions', 'trigger'],
+        [stored.requestId, 'request-42', 'request id'],
+        [stored.outcome, 'completed', 'outcome'],
+        [stored.durationMs >= 0 && Boolean(stored.finishedAt), true, 'timing'],
+        [stored.problemsSent.join(','), 'two-sum,valid-anagram', 'problems sent'],
+        [stored.users.length, 2, 'users'],
+        [stored.reliability.apiCalls, 2, 'API calls'],
+        [stored.reliability.retries, 1, 'retries'],
+        [stored.reliability.coldStarts, 1, 'cold starts'],
+        [stored.reliability.coldStartWaitMs, 4000, 'cold start wait'],
+        [stored.log.map(line => line.level).join(','), 'info,warn', 'log levels'],
+        [stored.log[0].message, "🕑 Daily routine { users: 2 }", 'formatted log line'],
+        [stored.log[0].component, 'test', 'component'],
+        [/^\d{8}T\d{6}Z-daily-routine-[0-9a-f]{6}$/.test(run.id), true, 'run id sorts by start time']
+      ];
+    }
+  },
+
+  {
+    name: "A failed run is recorded and the error rethrown",
+    run: async () => {
+      const history = createHistory();
+      const error = await history.track('evening-reminder', { trigger: 'cron' }, async () => {
+        log.error('❌ Evening reminder failed for bob:', 'SMTP timeout');
+        const failure = new Error('Evening reminder failed for 1/2 users: bob');
+        failure.results = [
+          { userId: 'alice', outcome: 'sent', problems: ['two-sum'] },
+          { userId: 'bob', outcome: 'failed', error: 'SMTP timeout' }
+        ];
+        throw failure;
+      }).catch(e => e);
+      const [stored] = await history.listRuns();
+
+      return [
+        [error.message, 'Evening reminder failed for 1/2 users: bob', 'rethrown'],
+        [error.jobRun.id, stored.id, 'run attached to the error'],
+        [stored.status, 'failed', 'status'],
+        [stored.error, error.message, 'error'],
+        [stored.problemsSent.join(','), 'two-sum', 'problems sent before the failure'],
+        [stored.reliability, null, 'no reliability service'],
+        [stored.logLines, 1, 'log lines'],
+        [stored.log, undefined, 'list omits logs']
+      ];
+    }
+  },
+
+  {
+    name: "Overlapping runs each record only their own log lines",
+    run: async () => {
+      const history = createHistory();
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+
+      const first = history.track('daily-routine', {}, async () => {
+        log.info('first starts');
+        await gate;
+        log.info('first ends');
+      });
+      const second = await history.track('test', {}, async () => {
+        log.info('second runs');
+        log.debug('second debug');
+      });
+      log.info('outside any run');
+      release();
+      const firstRun = await first;
+
+      return [
+        [firstRun.log.map(line => line.message).join('|'), 'first starts|first ends', 'first log'],
+        [second.log.map(line => line.message).join('|'), 'second runs', 'second log'],
+        [logger.getCorrelationId(), null, 'no correlation id outside a run']
+      ];
+    }
+  },
+
+  {
+    name: "Users only see their own part of a run",
+    run: async () => {
+      const history = createHistory();
+      const shared = await history.track('daily-routine', {}, async () => {
+        log.info('👥 Running daily routine for 2 users');
+        await logger.withUserId('alice', async () => log.info('alice sent two-sum'));
+        await logger.withUserId('bob', async () => log.info('bob sent valid-anagram'));
+        return {
+          outcome: 'completed',
+          users: [
+            { userId: 'alice', outcome: 'sent', problems: ['two-sum'] },
+            { userId: 'bob', outcome: 'sent', problems: ['valid-anagram'] }
+          ]
+        };
+      });
+      const bobTest = await history.track('test', {}, async () => ({ outcome: 'completed', users: [{ userId: 'bob', outcome: 'completed' }] }));
+      await history.track('daily-routine', {}, async () => ({ outcome: 'api-unavailable', users: [] }));
+
+      const aliceRun = await history.getRun(shared.id, 'alice');
+      const aliceRuns = await history.listRuns({ userId: 'alice' });
+
+      return [
+        [aliceRun.log.map(line => line.message).join('|'), '👥 Running daily routine for 2 users|alice sent two-sum', 'own log lines'],
+        [aliceRun.users.map(user => user.userId).join(','), 'alice', 'own results'],
+        [aliceRun.problemsSent.join(','), 'two-sum', 'own problems'],
+        [aliceRuns.map(run => run.outcome).sort().join(','), 'api-unavailable,completed', "other users' runs hidden"],
+        [await history.getRun(bobTest.id, 'alice'), null, "another user's run"],
+        [(await history.getRun(shared.id)).log.length, 3, 'full log without a user']
+      ];
+    }
+  },
+
+  {
+    name: "Only the newest runs are kept and can be filtered",
+    run: async () => {
+      const history = createHistory({ maxRuns: 3 });
+      for (const job of ['daily-routine', 'weekly-summary', 'daily-routine', 'daily-routine']) {
+        await history.track(job, { trigger: 'cli' }, async () => ({ outcome: 'completed', users: [] }));
+        await new Promise(resolve => setTimeout(resolve, 2));
+      }
+      const unpruned = (await history.listRuns()).length;
+      const deleted = await history.prune();
+      const all = await history.listRuns();
+      const daily = await history.listRuns({ job: 'daily-routine', limit: 1 });
+
+      return [
+        [unpruned, 4, 'jobs do not prune by themselves'],
+        [deleted, 1, 'prune() reports what it deleted'],
+        [all.length, 3, 'pruned to maxRuns'],
+        [all.map(run => run.job).join(','), 'daily-routine,daily-routine,weekly-summary', 'newest first'],
+        [daily.length, 1, 'limit'],
+        [daily[0].id, all[0].id, 'job filter'],
+        [(await history.listRuns({ status: 'failed' })).length, 0, 'status filter']
+      ];
+    }
+  },
+
+  {
+    name: "A run's log stays under the byte cap and a run too big to save still finishes",
+    run: async () => {
+      const history = createHistory();
+      const big = await history.track('daily-routine', { trigger: 'cli' }, async () => {
+        for (let i = 0; i < 1000; i++) {
+          log.info(`line ${i} ${'x'.repeat(1500)}`);
+        }
+        return { outcome: 'completed', users: [] };
+      });
+      const stored = await history.getRun(big.id);
+
+      // Storage that rejects runs with a log, like Firestore with an oversized document
+      const strict = createHistory();
+      const saveJobRun = strict.db.saveJobRun.bind(strict.db);
+      strict.db.saveJobRun = async run => {
+        if (run.log && run.log.length > 0) throw new Error('document too large');
+        return saveJobRun(run);
+      };
+      const rejected = await strict.track('daily-routine', { trigger: 'cli' }, async () => {
+        log.info('something worth keeping');
+        return { outcome: 'completed', users: [] };
+      });
+      const saved = await strict.getRun(rejected.id);
+
+      return [
+        [stored.log.reduce((bytes, line) => bytes + Buffer.byteLength(JSON.stringify(line)), 0) <= MAX_LOG_BYTES, true, 'log within the byte cap'],
+        [stored.log.length < 1000, true, 'later lines dropped'],
+        [stored.log.length + stored.logTruncated, 1000, 'dropped lines counted'],
+        [saved.status, 'succeeded', 'run not left running'],
+        [saved.log.length, 0, 'saved without its log'],
+        [saved.logTruncated, 1, 'log lines counted as truncated']
+      ];
+    }
+  },
+
+    {
+    name: "Tracker jobs record their trigger and the problems sent",
+    run: () => clock.withTime('2025-03-04T02:00:00', async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const history = createHistory();
+      const sent = [];
+      const tracker = new ProgressTracker({
+        jobHistory: history,
+        leetcodeApi: {
+          checkAPIHealth: async () => ({ healthy: true }),
+          getUserSubmissions: async () => ({ submission: [] })
+        },
+        emailService: { forRecipient: () => ({ deliver: async message => sent.push(message) }) }
+      });
+
+      const first = await tracker.runDailyRoutine({ trigger: 'cron' });
+      const again = await tracker.runDailyRoutine({ trigger: 'github-actions' });
+      const runs = await history.listRuns({ job: 'daily-routine' });
+
+      return [
+        [sent.length, 1, 'emails sent'],
+        [runs.length, 2, 'runs recorded'],
+        [first.trigger, 'cron', 'trigger'],
+        [first.users[0].outcome, 'sent', 'user outcome'],
+        [first.problemsSent.length > 0, true, 'problems sent'],
+        [first.log.some(line => line.message.includes('Daily routine')), true, 'log captured'],
+        [again.users[0].outcome, 'skipped-completed', 'second trigger skipped'],
+        [again.problemsSent.length, 0, 'nothing sent twice']
+      ];
+    })
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Job History Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Job history is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the job history.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -11,13 +11,22 @@ const axios = require('axios');
  * 5. Contest data (if needed)
  */
 
+const { MockLeetCodeApi } = require('./lib/mockLeetCodeApi');
+
 // Switch between hosted, local, and production API
+//   USE_LOCAL_API=true          -> alfa-leetcode-api in Docker on localhost:3000
+//   LEETCODE_API_USE_LOCAL=true -> LEETCODE_API_LOCAL_URL (default: `npm run mock-api`)
+//   --mock                      -> start the bundled mock in-process, no network needed
+const USE_MOCK_API = process.argv.includes('--mock');
 const USE_LOCAL_API = process.env.USE_LOCAL_API === 'true';
-const BASE_URL = USE_LOCAL_API 
+const USE_LOCAL_MOCK = process.env.LEETCODE_API_USE_LOCAL === 'true';
+let BASE_URL = USE_LOCAL_API 
   ? 'http://localhost:3000'
-  : process.env.LEETCODE_API_URL;
+  : USE_LOCAL_MOCK
+    ? process.env.LEETCODE_API_LOCAL_URL || `http://localhost:${process.env.LEETCODE_MOCK_PORT || 3100}`
+    : process.env.LEETCODE_API_URL;
 
-if (!BASE_URL) {
+if (!BASE_URL && !USE_MOCK_API) {
   console.error('Error: LEETCODE_API_URL environment variable must be set when not using local API');
   process.exit(1);
 }
@@ -278,9 +287,11 @@ function printTestSummary() {
 async function runAllTests() {
   console.log('🚀 Starting alfa-leetcode-api validation tests...\n');
   console.log(`🎯 Testing against: ${BASE_URL}`);
-  const apiStatus = USE_LOCAL_API 
-    ? 'Local (localhost:3000)' 
-    : 'Production';
+  const apiStatus = USE_MOCK_API
+    ? 'Bundled mock (in-process)'
+    : USE_LOCAL_API
+      ? 'Local (localhost:3000)'
+      : USE_LOCAL_MOCK ? 'Local mock' : 'Production';
   console.log(`🏠 API Environment: ${apiStatus}`);
   console.log(`👤 Test username: ${TEST_CONFIG.testUsername}`);
   console.log(`📝 Test problem: ${TEST_CONFIG.testProblemSlug}`);
@@ -366,6 +377,23 @@ async function checkSubmissionOnDate({ username, slug, date }) {
   }
 }
 
+/**
+ * Run against the bundled mock when --mock is given
+ */
+async function withApi(fn) {
+  if (!USE_MOCK_API) {
+    return fn();
+  }
+
+  const mock = new MockLeetCodeApi();
+  BASE_URL = await mock.start(0);
+  try {
+    return await fn();
+  } finally {
+    await mock.stop();
+  }
+}
+
 // --------------------------- CLI ENTRY -------------------------------------
 if (require.main === module) {
   const argv = process.argv.slice(2);
@@ -380,13 +408,13 @@ if (require.main === module) {
       console.error('❌ Date must be in YYYY-MM-DD format');
       process.exit(1);
     }
-    checkSubmissionOnDate({ username: TEST_CONFIG.testUsername, slug, date })
+    withApi(() => checkSubmissionOnDate({ username: TEST_CONFIG.testUsername, slug, date }))
       .catch(console.error);
     return;
   }
 
   // Default full test suite --------------------------------------------------
-  runAllTests().catch(console.error);
+  withApi(runAllTests).catch(console.error);
 }
 
 module.exports = {
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Test Logger
+ *
+ * Covers lib/logger.js: levels, pretty and JSON output, child loggers per
+ * subsystem, correlation ids that follow async work, and subscriptions to
+ * the entries of one correlation id.
+ */
+
+const { logger, Logger } = require('./lib/logger');
+
+/**
+ * Run fn with the logger's console output collected as [method, text] pairs
+ */
+async function withOutput(options, fn) {
+  const previous = logger.getSettings();
+  const written = [];
+  const methods = ['log', 'warn', 'error'];
+  const originals = methods.map(method => console[method]);
+  methods.forEach(method => {
+    console[method] = (...args) => written.push([method, args.join(' ')]);
+  });
+  logger.configure(options);
+  try {
+    await fn();
+  } finally {
+    logger.configure(previous);
+    methods.forEach((method, index) => { console[method] = originals[index]; });
+  }
+  return written;
+}
+
+const tests = [
+  {
+    name: "Levels below the configured one are not written",
+    run: async () => {
+      const log = logger.child('tracker');
+      const written = await withOutput({ level: 'info', format: 'pretty' }, () => {
+        log.debug('🔍 hidden');
+        log.info('✅ shown', 3);
+        log.warn('⚠️ warned');
+        log.error('❌ failed');
+      });
+      const quiet = await withOutput({ level: 'error' }, () => log.warn('⚠️ not shown'));
+
+      return [
+        [written.length, 3, 'entries written'],
+        [written[0].join(':'), 'log:✅ shown 3', 'pretty info'],
+        [written[1][0], 'warn', 'warn goes to console.warn'],
+        [written[2][0], 'error', 'error goes to console.error'],
+        [quiet.length, 0, 'error level hides warnings'],
+        [log.isLevelEnabled('debug'), false, 'debug disabled']
+      ];
+    }
+  },
+
+  {
+    name: "JSON output has one object per line with the component",
+    run: async () => {
+      const log = logger.child('firebase').child({ userId: 'alice' });
+      const error = new Error('UNAVAILABLE');
+      const written = await withOutput({ level: 'info', format: 'json' }, () => {
+        log.info('\n✅ Progress saved');
+        log.error('❌ Save failed:', error);
+      });
+      const [saved, failed] = written.map(([, text]) => JSON.parse(text));
+
+      return [
+        [saved.msg, '✅ Progress saved', 'message trimmed'],
+        [saved.level, 'info', 'level'],
+        [saved.component, 'firebase', 'component'],
+        [saved.userId, 'alice', 'child bindings'],
+        [isNaN(Date.parse(saved.time)), false, 'timestamp'],
+        [saved.correlationId, undefined, 'no correlation id outside a context'],
+        [failed.error.message, 'UNAVAILABLE', 'error message'],
+        [failed.error.stack.includes('test-logger.js'), true, 'error stack']
+      ];
+    }
+  },
+
+  {
+    name: "Correlation ids follow async work and nest",
+    run: async () => {
+      const seen = [];
+      const unsubscribe = logger.subscribe(entry => seen.push(`${entry.correlationId}:${entry.msg}`));
+      const log = logger.child('tracker');
+
+      await withOutput({}, () => Promise.all([
+        logger.withCorrelationId('run-a', async () => {
+          await new Promise(resolve => setTimeout(resolve, 5));
+          log.info('a after await');
+        }),
+        logger.withCorrelationId('run-b', async () => {
+          log.info('b');
+          await logger.withCorrelationId('request-c', async () => log.info('c inside b'));
+        })
+      ]));
+      unsubscribe();
+      log.info('after unsubscribe');
+
+      return [
+        [seen.join('|'), 'run-b:b|request-c:c inside b|run-a:a after await', 'entries'],
+        [logger.getCorrelationId(), null, 'context ends with the callback'],
+        [/^[0-9a-f]{16}$/.test(Logger.createCorrelationId()), true, 'generated id']
+      ];
+    }
+  },
+
+  {
+    name: "Subscriptions only see their correlation id and level",
+    run: async () => {
+      const runLines = [];
+      const errors = [];
+      const stopRun = logger.subscribe(entry => runLines.push(entry.msg), { correlationId: 'run-1', level: 'debug' });
+      const stopErrors = logger.subscribe(entry => errors.push(entry.msg), { level: 'error' });
+      const stopBroken = logger.subscribe(() => { throw new Error('broken subscriber'); });
+      const log = logger.child('reliability');
+
+      const written = await withOutput({ level: 'info' }, async () => {
+        await logger.withCorrelationId('run-1', async () => {
+          log.debug('debug in run');
+          await logger.withCorrelationId('nested', async () => log.info('nested in run'));
+          log.error('error in run');
+        });
+        await logger.withCorrelationId('run-2', async () => log.info('other run'));
+      });
+      stopRun();
+      stopErrors();
+      stopBroken();
+      const unknownLevel = (() => { try { logger.subscribe(() => {}, { level: 'loud' }); } catch (e) { return e.message; } })();
+
+      return [
+        [runLines.join('|'), 'debug in run|nested in run|error in run', 'run subscription'],
+        [errors.join('|'), 'error in run', 'level filter'],
+        [written.length, 3, 'debug not written but still delivered'],
+        [unknownLevel, 'Unknown log level: loud', 'level check']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Logger Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Logging is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the logger.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
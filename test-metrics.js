@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Test Metrics
+ *
+ * Covers the Prometheus text output of lib/metrics.js and the places that
+ * record into it: job runs, notifications, storage retries, LeetCode API
+ * retries and the circuit breaker, and solves. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker, EmailService } = require('./tracker');
+const { registry, MetricsRegistry } = require('./lib/metrics');
+const { JobHistory } = require('./lib/jobHistory');
+const { ReliabilityService } = require('./lib/reliabilityService');
+const { DatabaseService, databaseService } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { Notifier } = require('./lib/notifier');
+const { RecordingChannel } = require('./lib/notifier/recordingChannel');
+
+function createDb() {
+  const db = new DatabaseService();
+  db.useStorage(new MemoryAdapter());
+  db.retryDelay = 1;
+  return db;
+}
+
+/**
+ * Value of one sample line in the exposition text, e.g. sample('x_total{type="a"}')
+ */
+function sample(series) {
+  const line = registry.render().split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+const tests = [
+  {
+    name: "Counters, gauges and histograms render in the Prometheus text format",
+    run: async () => {
+      const local = new MetricsRegistry();
+      const counter = local.counter('demo_events_total', 'Events seen', ['kind']);
+      const gauge = local.gauge('demo_temperature', 'Current temperature');
+      const histogram = local.histogram('demo_duration_seconds', 'Duration', ['job'], [1, 5]);
+
+      counter.inc({ kind: 'say "hi"\n' });
+      counter.inc({ kind: 'say "hi"\n' }, 2);
+      gauge.set({}, 21.5);
+      [0.5, 3, 10].forEach(value => histogram.observe({ job: 'daily' }, value));
+      const text = local.render();
+      const labelError = (() => { try { counter.inc({ other: 'x' }); } catch (e) { return e.message; } })();
+      const negative = (() => { try { counter.inc({ kind: 'x' }, -1); } catch (e) { return e.message; } })();
+
+      return [
+        [text.includes('# HELP demo_events_total Events seen\n# TYPE demo_events_total counter\n'), true, 'header'],
+        [text.includes('demo_events_total{kind="say \\"hi\\"\\n"} 3\n'), true, 'escaped labels'],
+        [text.includes('# TYPE demo_temperature gauge\ndemo_temperature 21.5\n'), true, 'gauge'],
+        [text.includes('demo_duration_seconds_bucket{job="daily",le="1"} 1\n'), true, 'first bucket'],
+        [text.includes('demo_duration_seconds_bucket{job="daily",le="5"} 2\n'), true, 'cumulative bucket'],
+        [text.includes('demo_duration_seconds_bucket{job="daily",le="+Inf"} 3\n'), true, '+Inf bucket'],
+        [text.includes('demo_duration_seconds_sum{job="daily"} 13.5\ndemo_duration_seconds_count{job="daily"} 3\n'), true, 'sum and count'],
+        [labelError, 'demo_events_total expects labels [kind], got [other]', 'label check'],
+        [negative, 'demo_events_total is a counter and cannot decrease', 'counters only go up'],
+        [text.endsWith('\n'), true, 'trailing newline']
+      ];
+    }
+  },
+
+  {
+    name: "Job runs are counted and timed, with the last success",
+    run: async () => {
+      registry.reset();
+      const history = new JobHistory(createDb());
+      await history.track('daily-routine', { trigger: 'cron' }, async () => ({ outcome: 'completed', users: [] }));
+      await history.track('daily-routine', { trigger: 'cron' }, async () => { throw new Error('boom'); }).catch(() => {});
+
+      const lastSuccess = sample('tracker_job_last_success_timestamp_seconds{job="daily-routine"}');
+      return [
+        [sample('tracker_job_runs_total{job="daily-routine",trigger="cron",status="succeeded"}'), 1, 'succeeded runs'],
+        [sample('tracker_job_runs_total{job="daily-routine",trigger="cron",status="failed"}'), 1, 'failed runs'],
+        [sample('tracker_job_duration_seconds_count{job="daily-routine",status="failed"}'), 1, 'duration observed'],
+        [sample('tracker_job_duration_seconds_bucket{job="daily-routine",status="succeeded",le="+Inf"}'), 1, 'duration bucket'],
+        [Math.abs(lastSuccess - Date.now() / 1000) < 60, true, 'last success timestamp']
+      ];
+    }
+  },
+
+  {
+    name: "Notifications are counted per type, sent and failed",
+    run: async () => {
+      registry.reset();
+      const working = new EmailService({ to: 'a@localhost', notifier: new Notifier([new RecordingChannel()]) });
+      const broken = new EmailService({ to: 'a@localhost', notifier: new Notifier([]) });
+
+      await working.deliver({ type: 'daily-problems', subject: 'Hi', html: '', text: '' });
+      await working.deliver({ type: 'daily-problems', subject: 'Hi', html: '', text: '' });
+      await broken.deliver({ type: 'evening-reminder', subject: 'Hi', html: '', text: '' }).catch(() => {});
+
+      return [
+        [sample('tracker_emails_sent_total{type="daily-problems"}'), 2, 'sent'],
+        [sample('tracker_emails_failed_total{type="evening-reminder"}'), 1, 'failed'],
+        [sample('tracker_emails_sent_total{type="evening-reminder"}'), undefined, 'failed not counted as sent']
+      ];
+    }
+  },
+
+  {
+    name: "Storage retries and failures are counted per operation",
+    run: async () => {
+      registry.reset();
+      const db = createDb();
+      let calls = 0;
+      await db.withRetry(async () => {
+        if (++calls < 3) throw new Error('UNAVAILABLE');
+        return true;
+      }, 'load progress');
+      await db.withRetry(async () => { throw new Error('UNAVAILABLE'); }, 'save progress').catch(() => {});
+
+      return [
+        [sample('tracker_db_retries_total{operation="load progress"}'), 2, 'retries before success'],
+        [sample('tracker_db_failures_total{operation="load progress"}'), undefined, 'no failure'],
+        [sample('tracker_db_retries_total{operation="save progress"}'), 2, 'retries before giving up'],
+        [sample('tracker_db_failures_total{operation="save progress"}'), 1, 'failure']
+      ];
+    }
+  },
+
+  {
+    name: "LeetCode API calls and the circuit breaker are reported",
+    run: async () => {
+      registry.reset();
+      const reliability = new ReliabilityService({ failureThreshold: 1 });
+      await reliability.withRetry(async () => 'ok', { name: 'ok' });
+      const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      await reliability.withRetry(async () => { throw notFound; }, { name: 'missing' }).catch(() => {});
+
+      return [
+        [sample('leetcode_api_attempts_total'), 2, 'attempts'],
+        [sample('leetcode_api_successes_total'), 1, 'successes'],
+        [sample('leetcode_api_failures_total'), 1, 'failures'],
+        [sample('leetcode_api_circuit_breaker_trips_total'), 1, 'trips'],
+        [sample('leetcode_api_circuit_breaker_state{state="open"}'), 1, 'open'],
+        [sample('leetcode_api_circuit_breaker_state{state="closed"}'), 0, 'not closed'],
+        [sample('process_uptime_seconds') > 0, true, 'process uptime']
+      ];
+    }
+  },
+
+  {
+    name: "Solved problems are counted per user",
+    run: async () => {
+      registry.reset();
+      const tracker = new ProgressTracker({
+        leetcodeApi: {
+          getUserSubmissions: async () => ({
+            submission: [{ titleSlug: 'two-sum', statusDisplay: 'Accepted', timestamp: String(Math.floor(Date.now() / 1000)), lang: 'python3' }]
+          })
+        }
+      });
+      const progress = {
+        lastSentDate: '2025-01-01',
+        sentProblems: [{ slug: 'two-sum', solved: false, sentDate: '2025-01-01' }],
+        planProgress: { default: { assigned: ['two-sum'] } },
+        pendingQueue: []
+      };
+      databaseService.useStorage(new MemoryAdapter());
+      await databaseService.saveProgress(progress, 'alice');
+      await tracker.updateSolvedStatus(progress, 'alice-lc', 'alice');
+
+      return [
+        [progress.sentProblems[0].solved, true, 'marked solved'],
+        [sample('tracker_problems_solved_total{user="alice",source="leetcode"}'), 1, 'solves counted']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Metrics Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Metrics are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the metrics.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Test Mock LeetCode API
+ *
+ * Covers fixture timestamps, the alfa-leetcode-api endpoint shapes,
+ * pointing LeetCodeAPI at the mock with LEETCODE_API_USE_LOCAL, and
+ * error bursts / cold starts driving ReliabilityService retries.
+ * Everything runs against an in-process mock - no network needed.
+ */
+
+const axios = require('axios');
+
+const { MockLeetCodeApi } = require('./lib/mockLeetCodeApi');
+const { ReliabilityService } = require('./lib/reliabilityService');
+const { ExternalDataValidator } = require('./lib/dataValidator');
+
+const NOW = Date.parse('2025-06-26T12:00:00Z');
+const NOW_SECONDS = NOW / 1000;
+
+const FIXTURES = {
+  daily: 'two-sum',
+  problems: {
+    'two-sum': { id: 1, title: 'Two Sum', difficulty: 'Easy', topicTags: ['Array', 'Hash Table'] },
+    'group-shifted-strings': { id: 249, title: 'Group Shifted Strings', isPaidOnly: true, topicTags: ['String'] }
+  },
+  users: {
+    alice: {
+      profile: { ranking: 1234 },
+      submissions: [
+        { titleSlug: 'two-sum', timestamp: '2025-06-20T10:00:00Z', statusDisplay: 'Wrong Answer' },
+        { titleSlug: 'two-sum', timestamp: '2025-06-20T10:05:00Z', lang: 'java' },
+        { titleSlug: 'group-shifted-strings', timestamp: 1750000000 }
+      ]
+    }
+  }
+};
+
+async function withMock(fixtures, fn) {
+  const mock = new MockLeetCodeApi(fixtures);
+  const url = await mock.start(0);
+  try {
+    return await fn(mock, url);
+  } finally {
+    await mock.stop();
+  }
+}
+
+const tests = [
+  {
+    name: "Fixture timestamps accept offsets, ISO strings and unix seconds",
+    run: async () => [
+      [MockLeetCodeApi.resolveTimestamp('-2h', NOW), String(NOW_SECONDS - 7200), 'offset'],
+      [MockLeetCodeApi.resolveTimestamp('-1d', NOW), String(NOW_SECONDS - 86400), 'day offset'],
+      [MockLeetCodeApi.resolveTimestamp('2025-06-26T12:00:00Z'), String(NOW_SECONDS), 'ISO'],
+      [MockLeetCodeApi.resolveTimestamp(1750600000), '1750600000', 'seconds']
+    ]
+  },
+
+  {
+    name: "Submissions come back newest first, accepted only on acSubmission",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      const accepted = (await axios.get(`${url}/alice/acSubmission?limit=20`)).data;
+      const all = (await axios.get(`${url}/alice/submission?limit=20`)).data;
+      const paged = (await axios.get(`${url}/alice/acSubmission?limit=1&offset=1`)).data;
+      ExternalDataValidator.validateSubmissionResponse(accepted, 'mock');
+
+      return [
+        [accepted.submission.map(s => s.titleSlug).join(','), 'two-sum,group-shifted-strings', 'accepted'],
+        [accepted.submission[0].lang, 'java', 'lang'],
+        [accepted.submission[0].title, 'Two Sum', 'title from problems'],
+        [all.count, 3, 'all statuses'],
+        [paged.submission[0].titleSlug, 'group-shifted-strings', 'offset']
+      ];
+    })
+  },
+
+  {
+    name: "Profile, problem details and daily match the real API shapes",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      const profile = (await axios.get(`${url}/alice`)).data;
+      const problem = (await axios.get(`${url}/select?titleSlug=group-shifted-strings`)).data;
+      const daily = (await axios.get(`${url}/daily`)).data;
+      const missing = await axios.get(`${url}/nobody`).catch(error => error.response);
+      ExternalDataValidator.validateUserProfile(profile);
+
+      return [
+        [profile.ranking, 1234, 'ranking'],
+        [profile.totalSolved, 2, 'totalSolved'],
+        [problem.isPaidOnly, true, 'isPaidOnly'],
+        [problem.topicTags[0].slug, 'string', 'tag slug'],
+        [daily.titleSlug, 'two-sum', 'daily'],
+        [missing.status, 404, 'unknown user']
+      ];
+    })
+  },
+
+  {
+    name: "LEETCODE_API_USE_LOCAL points LeetCodeAPI at the mock",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      process.env.LEETCODE_API_USE_LOCAL = 'true';
+      process.env.LEETCODE_API_LOCAL_URL = url;
+      const { LeetCodeAPI } = require('./tracker');
+
+      const api = new LeetCodeAPI();
+      const data = await api.getUserSubmissions('alice', 20);
+      return [
+        [api.baseURL, url, 'baseURL'],
+        [data.submission.length, 2, 'submissions']
+      ];
+    })
+  },
+
+  {
+    name: "Error burst is retried through ReliabilityService",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      mock.setFaults({ errorBurst: { count: 1, status: 503 } });
+      const reliability = new ReliabilityService();
+
+      const data = await reliability.withRetry(
+        async () => (await axios.get(`${url}/daily`)).data,
+        { strategy: 'fast', name: 'daily' }
+      );
+      return [
+        [data.titleSlug, 'two-sum', 'result'],
+        [mock.requests.map(r => r.status).join(','), '503,200', 'statuses'],
+        [reliability.getMetrics().coldStartsDetected, 1, 'coldStartsDetected']
+      ];
+    })
+  },
+
+  {
+    name: "Burst longer than the retries fails the operation",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      const response = await axios.post(`${url}/__mock/faults`, { errorBurst: { count: 5, status: 502 } });
+      const reliability = new ReliabilityService();
+
+      const error = await reliability.withRetry(
+        async () => (await axios.get(`${url}/daily`)).data,
+        { strategy: 'fast', name: 'daily' }
+      ).catch(e => e);
+      return [
+        [response.data.errorBurst.count, 5, 'armed over HTTP'],
+        [error.response?.status, 502, 'status'],
+        [mock.burstRemaining, 3, 'burst left'],
+        [reliability.getMetrics().totalFailures, 1, 'totalFailures']
+      ];
+    })
+  },
+
+  {
+    name: "Cold start holds the first request and again after idling",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      mock.setFaults({ coldStart: { delayMs: 400, idleMs: 300 } });
+      const reliability = new ReliabilityService();
+      const fetchDaily = () => reliability.withRetry(
+        async () => (await axios.get(`${url}/daily`, { timeout: 150 })).data,
+        { strategy: 'fast', name: 'daily' }
+      );
+
+      await fetchDaily();
+      const warm = await axios.get(`${url}/daily`, { timeout: 150 }).then(() => 'ok', () => 'timeout');
+      await new Promise(resolve => setTimeout(resolve, 350));
+      const afterIdle = await axios.get(`${url}/daily`, { timeout: 150 }).then(() => 'ok', () => 'timeout');
+
+      return [
+        [reliability.getMetrics().coldStartsDetected, 1, 'coldStartsDetected'],
+        [warm, 'ok', 'warm request'],
+        [afterIdle, 'timeout', 'after idle']
+      ];
+    })
+  },
+
+  {
+    name: "Submissions can be added while the mock runs",
+    run: () => withMock(FIXTURES, async (mock, url) => {
+      await axios.post(`${url}/__mock/users/bob/submissions`, { titleSlug: 'two-sum', timestamp: '-5m' });
+      const bad = await axios.post(`${url}/__mock/users/bob/submissions`, {}).catch(error => error.response);
+      const data = (await axios.get(`${url}/bob/acSubmission`)).data;
+
+      await axios.post(`${url}/__mock/reset`);
+      const afterReset = await axios.get(`${url}/bob`).catch(error => error.response);
+      return [
+        [data.submission[0].titleSlug, 'two-sum', 'added'],
+        [bad.status, 400, 'missing slug'],
+        [afterReset.status, 404, 'reset drops added user']
+      ];
+    })
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  originalLog('🧪 Running Mock LeetCode API Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Mock LeetCode API is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the mock.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
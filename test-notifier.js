@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Test Notification Channels
+ *
+ * Covers channel selection from settings, fan-out with partial failures,
+ * Slack / Discord / JSON webhook payloads, keeping user webhooks off private
+ * addresses and settings validation.
+ * Webhooks are posted to a throwaway local HTTP server - no network needed.
+ */
+
+const http = require('http');
+
+const {
+  Notifier,
+  createNotifier,
+  NotificationChannel,
+  SlackChannel,
+  DiscordChannel,
+  JsonWebhookChannel,
+  hasPrivateHost
+} = require('./lib/notifier');
+const { DISCORD_CONTENT_LIMIT } = require('./lib/notifier/webhookChannel');
+const { DataValidator } = require('./lib/firebase');
+
+const MESSAGE = {
+  type: 'daily-problems',
+  subject: "📝 Today's LeetCode – Two Sum",
+  html: '<p>Two Sum</p>',
+  text: 'Two Sum\nhttps://leetcode.com/problems/two-sum/'
+};
+
+class FakeChannel extends NotificationChannel {
+  constructor(name, fail = false) {
+    super(name);
+    this.fail = fail;
+    this.sent = [];
+  }
+
+  async send(message) {
+    if (this.fail) throw new Error(`${this.name} is down`);
+    this.sent.push(message);
+    return { ok: true };
+  }
+}
+
+function fakeTransporter() {
+  const sent = [];
+  return { sent, sendMail: async (mail) => { sent.push(mail); return { messageId: 'test' }; } };
+}
+
+/**
+ * Start a local server that records JSON bodies it receives
+ */
+function startWebhookServer() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/fail' ? 500 : 200);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+const tests = [
+  {
+    name: "Defaults to the email channel",
+    run: async () => {
+      const transporter = fakeTransporter();
+      const notifier = createNotifier(null, { transporter, to: 'me@example.com' });
+      await notifier.send(MESSAGE);
+      return [
+        [notifier.channels.map(c => c.name).join(','), 'email', 'channels'],
+        [transporter.sent[0].to, 'me@example.com', 'to'],
+        [transporter.sent[0].text, MESSAGE.text, 'text']
+      ];
+    }
+  },
+
+  {
+    name: "Builds the channels picked in settings",
+    run: async () => {
+      const notifier = createNotifier({
+        notification_channels: ['slack', 'discord', 'webhook'],
+        notification_webhooks: { slack: 'https://hooks.slack.test/abc' }
+      });
+      return [
+        [notifier.channels.map(c => c.name).join(','), 'slack,discord,webhook', 'channels'],
+        [notifier.channels[0].url, 'https://hooks.slack.test/abc', 'slack url override']
+      ];
+    }
+  },
+
+  {
+    name: "One failing channel does not block the others",
+    run: async () => {
+      const email = new FakeChannel('email');
+      const slack = new FakeChannel('slack', true);
+      const results = await new Notifier([email, slack]).send(MESSAGE);
+      return [
+        [email.sent.length, 1, 'email deliveries'],
+        [results[1].success, false, 'slack success'],
+        [results[1].error, 'slack is down', 'slack error']
+      ];
+    }
+  },
+
+  {
+    name: "Throws when every channel fails",
+    run: async () => {
+      let error = null;
+      try {
+        await new Notifier([new FakeChannel('email', true), new FakeChannel('discord', true)]).send(MESSAGE);
+      } catch (e) {
+        error = e;
+      }
+      return [[error?.message.startsWith('All notification channels failed'), true, 'error thrown']];
+    }
+  },
+
+  {
+    name: "Chat payloads use the subject and plain text",
+    run: async () => {
+      const slack = new SlackChannel({ url: 'x' }).buildPayload(MESSAGE);
+      const discord = new DiscordChannel({ url: 'x' }).buildPayload({ ...MESSAGE, text: 'a'.repeat(5000) });
+      return [
+        [slack.text, `*${MESSAGE.subject}*\n${MESSAGE.text}`, 'slack text'],
+        [discord.content.length, DISCORD_CONTENT_LIMIT, 'discord content length']
+      ];
+    }
+  },
+
+  {
+    name: "Webhooks POST JSON and surface HTTP errors",
+    run: async () => {
+      const { server, received, url } = await startWebhookServer();
+      try {
+        const results = await new Notifier([
+          new JsonWebhookChannel({ url: `${url}/ok` }),
+          new SlackChannel({ url: `${url}/fail` })
+        ]).send(MESSAGE);
+        const body = received.find(r => r.path === '/ok').body;
+        return [
+          [body.type, 'daily-problems', 'webhook type'],
+          [body.subject, MESSAGE.subject, 'webhook subject'],
+          [results[0].success, true, 'webhook success'],
+          [results[1].success, false, 'slack 500 reported']
+        ];
+      } finally {
+        server.close();
+      }
+    }
+  },
+
+  {
+    name: "Webhooks from user settings can't reach private addresses",
+    run: async () => {
+      const { server, received, url } = await startWebhookServer();
+      try {
+        const port = new URL(url).port;
+        const fromSettings = await createNotifier({
+          notification_channels: ['webhook'],
+          notification_webhooks: { webhook: `${url}/ok` }
+        }).send(MESSAGE).catch(error => error.message);
+        const [resolved] = await new Notifier([
+          new FakeChannel('email'),
+          new JsonWebhookChannel({ url: `http://localhost:${port}/ok`, publicOnly: true })
+        ]).send(MESSAGE).then(results => results.slice(1));
+        const operator = await new Notifier([new JsonWebhookChannel({ url: `${url}/ok` })]).send(MESSAGE);
+
+        return [
+          [fromSettings, 'All notification channels failed: webhook (webhook webhook URL points at a private address)', 'IP literal'],
+          [resolved.success, false, 'name resolving to loopback'],
+          [/resolves to a private address/.test(resolved.error), true, 'lookup error'],
+          [operator[0].success, true, 'operator-configured URL'],
+          [received.length, 1, 'requests that reached the server']
+        ];
+      } finally {
+        server.close();
+      }
+    }
+  },
+
+  {
+    name: "Webhook channel without a URL fails clearly",
+    run: async () => {
+      const results = await new Notifier([new FakeChannel('email'), new JsonWebhookChannel({ url: '' })]).send(MESSAGE);
+      return [[results[1].error, 'webhook channel has no webhook URL configured', 'error']];
+    }
+  },
+
+  {
+    name: "Settings validation rejects unknown channels and bad or private URLs",
+    run: async () => {
+      const base = { num_questions: 2, email_enabled: true };
+      const rejects = (settings) => {
+        try {
+          DataValidator.validateSettings(settings);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      return [
+        [rejects({ ...base, notification_channels: ['email', 'slack'] }), false, 'valid channels'],
+        [rejects({ ...base, notification_channels: ['pager'] }), true, 'unknown channel'],
+        [rejects({ ...base, notification_channels: [] }), true, 'empty channels'],
+        [rejects({ ...base, notification_webhooks: { discord: 'not-a-url' } }), true, 'bad url'],
+        [rejects({ ...base, notification_webhooks: { email: 'https://x.test' } }), true, 'email webhook'],
+        [hasPrivateHost('https://hooks.slack.com/services/T0/B0/x'), false, 'public url'],
+        [hasPrivateHost('http://169.254.169.254/latest/meta-data'), true, 'link-local url'],
+        [hasPrivateHost('http://localhost:8080/hook'), true, 'localhost url'],
+        [hasPrivateHost('http://[::1]/hook'), true, 'IPv6 loopback url'],
+        [hasPrivateHost('http://10.0.0.5/hook'), true, 'private url']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  console.log('🧪 Running Notifier Tests\n');
+
+  // Keep test output quiet - Notifier logs every delivery
+  const originalLog = console.log;
+  const originalError = console.error;
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Notification channels are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the channels.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Test Pause Schedule
+ *
+ * Covers days off (lib/pauseSchedule.js): rest days and pause windows, adding
+ * and ending pauses, streaks carrying over days off, and the daily routine and
+ * evening reminder sending nothing on them - while leaving the day open in the
+ * run ledger for a resume. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { PauseSchedule } = require('./lib/pauseSchedule');
+const { StreakTracker } = require('./lib/streakTracker');
+const { databaseService, DataValidator, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+const { runLedger } = require('./lib/runLedger');
+
+const USER = { id: 'pause-user', leetcodeUsername: 'pause-user', email: 'pause@localhost' };
+// 2025-03-01 is a Saturday
+const WEEKEND = { rest_days: ['saturday', 'sunday'] };
+
+const problem = slug => ({ name: slug, slug, difficulty: 'Easy', estimatedTime: 30, priority: 'medium' });
+
+/**
+ * Error message of a call, or null if it doesn't throw
+ */
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const tests = [
+  {
+    name: "Rest days and pause windows are days off",
+    run: () => {
+      const settings = { ...WEEKEND, pause_windows: [{ from: '2025-03-10', to: '2025-03-14' }] };
+
+      return [
+        [PauseSchedule.getWeekday('2025-03-01'), 'saturday', 'weekday'],
+        [JSON.stringify(PauseSchedule.getPause(settings, '2025-03-02')), '{"reason":"rest-day","weekday":"sunday"}', 'rest day'],
+        [PauseSchedule.getPause(settings, '2025-03-03'), null, 'weekday off nothing'],
+        [JSON.stringify(PauseSchedule.getPause(settings, '2025-03-10')), '{"reason":"pause","until":"2025-03-14"}', 'first day of a pause'],
+        [PauseSchedule.isPaused(settings, '2025-03-14'), true, 'last day of a pause'],
+        [PauseSchedule.isPaused(settings, '2025-03-17'), false, 'after the pause'],
+        [PauseSchedule.isPaused(DEFAULT_SETTINGS, '2025-03-01'), false, 'no days off by default'],
+        [PauseSchedule.parseRestDays('Sat, sun').join(','), 'sunday,saturday', 'short names, week order'],
+        [PauseSchedule.parseRestDays(['friday', 'friday']).join(','), 'friday', 'duplicates dropped'],
+        [PauseSchedule.parseRestDays('none').length, 0, 'none clears them'],
+        [errorOf(() => PauseSchedule.parseRestDays('funday')), 'rest days: rest_days - Must be weekdays, e.g. saturday,sunday (got "funday")', 'unknown day'],
+        [errorOf(() => PauseSchedule.parseRestDays('mon,tue,wed,thu,fri,sat,sun')) !== null, true, 'every day off'],
+        [errorOf(() => DataValidator.validateSettings({ ...DEFAULT_SETTINGS, rest_days: ['caturday'] })) !== null, true, 'settings reject unknown rest days'],
+        [errorOf(() => DataValidator.validateSettings({ ...DEFAULT_SETTINGS, pause_windows: [{ from: '2025-03-10', to: '2025-03-09' }] })) !== null, true, 'settings reject backwards windows'],
+        [DataValidator.validateSettings({ ...DEFAULT_SETTINGS, ...settings }), true, 'settings accept days off']
+      ];
+    }
+  },
+
+  {
+    name: "Pausing adds a window and resuming ends the current one",
+    run: () => {
+      const settings = {
+        pause_windows: [
+          { from: '2025-01-01', to: '2025-01-07' },
+          { from: '2025-02-01', to: '2025-02-07' },
+          { from: '2025-03-01', to: '2025-03-07' },
+          { from: '2025-04-01', to: '2025-04-07' }
+        ]
+      };
+      const added = PauseSchedule.addWindow(settings, '2025-03-20', '2025-03-05', '2025-03-15');
+      const describe = windows => windows.map(window => `${window.from}/${window.to}`).join(',');
+
+      return [
+        [describe(added), '2025-02-01/2025-02-07,2025-03-01/2025-03-07,2025-03-15/2025-03-20,2025-04-01/2025-04-07', 'old windows dropped, sorted'],
+        [describe(PauseSchedule.addWindow({}, '2025-03-06', '2025-03-05')), '2025-03-05/2025-03-06', 'from defaults to today'],
+        [describe(PauseSchedule.resume(settings, '2025-03-05')), '2025-02-01/2025-02-07,2025-03-01/2025-03-04,2025-04-01/2025-04-07', 'current pause ends yesterday, planned one stays'],
+        [describe(PauseSchedule.resume({ pause_windows: [{ from: '2025-03-05', to: '2025-03-09' }] }, '2025-03-05')), '', 'pause starting today removed'],
+        [errorOf(() => PauseSchedule.addWindow({}, '2025-03-04', '2025-03-05')), 'pause: until - Must be on or after 2025-03-05', 'until before from'],
+        [errorOf(() => PauseSchedule.addWindow({}, '2025-03-09', '2025-03-05', '2025-03-01')), 'pause: from - Must be today or later', 'from in the past'],
+        [errorOf(() => PauseSchedule.addWindow({}, 'next week', '2025-03-05')), 'pause: until - Must be a YYYY-MM-DD date', 'not a date'],
+        [errorOf(() => PauseSchedule.addWindow({}, '2027-03-05', '2025-03-05')) !== null, true, 'longer than a year']
+      ];
+    }
+  },
+
+  {
+    name: "Streaks carry over days off",
+    run: () => {
+      const weekend = PauseSchedule.offDayCheck(WEEKEND);
+      const vacation = PauseSchedule.offDayCheck({ pause_windows: [{ from: '2025-03-10', to: '2025-03-16' }] });
+      // Friday, then Monday
+      const overWeekend = StreakTracker.fromHistory(['2025-03-06', '2025-03-07', '2025-03-10'], 'assigned', weekend);
+      const friday = StreakTracker.fromHistory(['2025-03-06', '2025-03-07'], 'assigned', weekend);
+      const beforeVacation = StreakTracker.fromHistory(['2025-03-08', '2025-03-09'], 'assigned', vacation);
+
+      return [
+        [overWeekend.current, 3, 'weekend gap kept'],
+        [StreakTracker.fromHistory(['2025-03-06', '2025-03-07', '2025-03-10']).current, 1, 'broken without rest days'],
+        [StreakTracker.fromHistory(['2025-03-07', '2025-03-08', '2025-03-10'], 'assigned', weekend).current, 3, 'solving on a rest day still counts'],
+        [StreakTracker.getCurrent(friday, '2025-03-10', weekend), 2, 'live on Monday'],
+        [StreakTracker.getCurrent(friday, '2025-03-11', weekend), 0, 'Monday missed'],
+        [StreakTracker.getCurrent(beforeVacation, '2025-03-17', vacation), 2, 'live after a week off'],
+        [StreakTracker.summarize(beforeVacation, '2025-03-17', 30, vacation).current, 2, 'summary'],
+        [StreakTracker.summarize(beforeVacation, '2025-03-17', 30).current, 0, 'broken without the pause']
+      ];
+    }
+  },
+
+  {
+    name: "Nothing is sent on days off and the streak survives them",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const reminders = [];
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: { forRecipient: () => ({ sendEveningReminderEmail: async problems => reminders.push(problems.length) }) },
+        problemMetadata: { enrichProblems: async problems => problems }
+      });
+      await tracker.planService.savePlan({ id: 'pause', weeks: { 1: { theme: 'Arrays', problems: ['two-sum', 'valid-anagram', 'contains-duplicate'].map(problem) } } });
+      await databaseService.saveSettings({ ...DEFAULT_SETTINGS, study_plan: 'pause', ...WEEKEND }, USER.id);
+      const runDay = date => clock.withTime(`${date}T02:00:00`, async () => {
+        const planned = await tracker.planDailyRoutine(USER, await databaseService.loadSettings(USER.id), date);
+        if (planned.progress) await databaseService.saveProgress(planned.progress, USER.id);
+        return planned.outcome || planned.historyEvents.map(event => event.slug).join(',');
+      });
+      const at = (time, fn) => clock.withTime(time, fn);
+
+      // Friday: sent, solved, then a pause through Tuesday
+      const friday = await runDay('2025-03-07');
+      await at('2025-03-07T12:00:00', () => tracker.applyProblemAction(USER, 'two-sum', 'solve', { source: 'cli' }));
+      await at('2025-03-07T13:00:00', () => tracker.pauseUntil(USER.id, '2025-03-11'));
+      const reminder = await at('2025-03-07T18:00:00', () => tracker.runEveningReminderForUser(USER));
+      const saturday = await runDay('2025-03-08');
+      const monday = await runDay('2025-03-10');
+
+      // Back early on Tuesday
+      await at('2025-03-11T01:00:00', () => tracker.resumeFromPause(USER.id));
+      const tuesday = await runDay('2025-03-11');
+      await at('2025-03-11T12:00:00', () => tracker.applyProblemAction(USER, 'valid-anagram', 'solve', { source: 'cli' }));
+      const settings = await databaseService.loadSettings(USER.id);
+      const progress = await databaseService.loadProgress(USER.id);
+
+      return [
+        [friday, 'two-sum', 'Friday sent'],
+        [reminder.outcome, 'paused', 'no reminder once paused'],
+        [reminders.length, 0, 'no reminder email'],
+        [saturday, 'paused', 'nothing on Saturday'],
+        [monday, 'paused', 'nothing on Monday'],
+        [JSON.stringify(settings.pause_windows), '[{"from":"2025-03-07","to":"2025-03-10"}]', 'resume ended the pause on Monday'],
+        [tuesday, 'valid-anagram', 'Tuesday sent'],
+        [progress.streak.current, 2, 'streak carried over the pause'],
+        [StreakTracker.getCurrent(progress.streak, '2025-03-12', PauseSchedule.offDayCheck(settings)), 2, 'still live on Wednesday']
+      ];
+    }
+  },
+
+  {
+    name: "Resuming on a paused day still sends that day's problems",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const sent = [];
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: { forRecipient: () => ({ deliver: async message => sent.push(message.type) }) },
+        problemMetadata: { enrichProblems: async problems => problems }
+      });
+      await tracker.planService.savePlan({ id: 'pause', weeks: { 1: { theme: 'Arrays', problems: ['two-sum', 'valid-anagram'].map(problem) } } });
+      await databaseService.saveSettings({ ...DEFAULT_SETTINGS, study_plan: 'pause' }, USER.id);
+      const at = (time, fn) => clock.withTime(time, fn);
+      const trigger = time => at(time, () => tracker.runDailyRoutineForUser(USER, { trigger: 'cron' }));
+
+      // Monday 2025-03-10: paused in the morning, back before the next trigger
+      await at('2025-03-10T01:00:00', () => tracker.pauseUntil(USER.id, '2025-03-12'));
+      const paused = await trigger('2025-03-10T02:00:00');
+      const pausedRun = await runLedger.getRun('daily-routine', USER.id, '2025-03-10');
+      await at('2025-03-10T09:00:00', () => tracker.resumeFromPause(USER.id));
+      const resumed = await trigger('2025-03-10T10:00:00');
+      const again = await trigger('2025-03-10T11:00:00');
+      const run = await runLedger.getRun('daily-routine', USER.id, '2025-03-10');
+
+      return [
+        [paused.outcome, 'paused', 'paused trigger'],
+        [pausedRun.status, 'skipped', 'paused run left open'],
+        [resumed.outcome, 'sent', 'sent after resuming'],
+        [resumed.problems.join(','), 'two-sum', 'problems sent'],
+        [again.outcome, 'skipped-completed', 'later trigger skipped'],
+        [sent.length, 1, 'one email'],
+        [run.status, 'completed', 'run completed'],
+        [run.attempts, 2, 'attempts']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Pause Schedule Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Pauses and rest days are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the pause schedule.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
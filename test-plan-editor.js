@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Test Plan Editor
+ *
+ * Covers what the dashboard's plan editor relies on: deleting plans while
+ * keeping their versions, the problem fields it edits (priority, estimated
+ * time, slug), looking slugs up through the problem metadata cache, and
+ * reordering a plan without resending or skipping problems. Uses in-memory
+ * storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { PlanService } = require('./lib/planService');
+const { ProblemMetadataStore } = require('./lib/problemMetadata');
+const { databaseService, DatabaseService, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { InternalDataValidator } = require('./lib/dataValidator');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const USER = { id: 'editor-user', leetcodeUsername: 'editor-user', email: 'editor@localhost' };
+
+const problem = (slug, fields = {}) => ({ name: slug, slug, difficulty: 'Easy', estimatedTime: 30, priority: 'medium', ...fields });
+
+const WEEKS = {
+  1: { theme: 'Arrays', problems: [problem('two-sum'), problem('valid-anagram'), problem('contains-duplicate')] },
+  2: { theme: 'Stack', problems: [problem('valid-parentheses'), problem('min-stack')] }
+};
+
+/**
+ * Message of the error fn throws, or null
+ */
+async function errorMessage(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const tests = [
+  {
+    name: "Deleting a plan hides it but keeps its versions",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const plans = new PlanService(databaseService);
+      await plans.savePlan({ id: 'arrays', name: 'Arrays', weeks: WEEKS });
+      await plans.savePlan({ id: 'arrays', weeks: { 1: WEEKS[2] } });
+
+      const deleted = await plans.deletePlan('arrays');
+      const listed = await plans.listPlans();
+      const recreated = await plans.savePlan({ id: 'arrays', name: 'Arrays again', weeks: WEEKS });
+
+      return [
+        [deleted.version, 2, 'deleted version'],
+        [Boolean(deleted.deleted_at), true, 'deleted_at set'],
+        [listed.map(plan => plan.id).join(','), 'default', 'not listed'],
+        [(await plans.getPlanVersion('arrays', 2)).weeks[1].theme, 'Stack', 'versions kept'],
+        [recreated.version, 3, 'recreating continues the version numbers'],
+        [(await plans.getPlanVersion('arrays', 2)).name, 'Arrays', 'old version not overwritten'],
+        [await plans.deletePlan('missing'), null, 'unknown plan'],
+        [await errorMessage(() => plans.deletePlan('default')), 'delete plan: id - The default plan cannot be deleted', 'default plan']
+      ];
+    }
+  },
+
+  {
+    name: "Edited problems are validated",
+    run: async () => {
+      const plan = fields => ({ weeks: { 1: { theme: 'Arrays', problems: [problem('two-sum', fields)] } } });
+      const validate = fields => errorMessage(() => InternalDataValidator.validateStudyPlan(plan(fields)));
+      const context = 'study plan.weeks[1].problems[0]';
+
+      return [
+        [await validate({}), null, 'valid problem'],
+        [await validate({ priority: 'low', estimatedTime: 90, difficulty: 'Unknown' }), null, 'low priority, unknown difficulty'],
+        [await validate({ estimatedTime: undefined, priority: undefined }), null, 'optional fields'],
+        [await validate({ priority: 'urgent' }), `${context}: priority - Must be high, medium or low`, 'priority'],
+        [await validate({ estimatedTime: 0 }), `${context}: estimatedTime - Must be a positive number of minutes`, 'zero minutes'],
+        [await validate({ estimatedTime: '30' }), `${context}: estimatedTime - Must be a positive number of minutes`, 'minutes as text'],
+        [await validate({ slug: 'Two Sum' }), `${context}: slug - Slug must be lowercase letters, digits and "-"`, 'slug']
+      ];
+    }
+  },
+
+  {
+    name: "Checking slugs uses the metadata cache and reports unknown ones",
+    run: async () => {
+      const db = new DatabaseService();
+      db.useStorage(new MemoryAdapter());
+      const store = new ProblemMetadataStore(db);
+      await store.save({ slug: 'two-sum', found: true, title: 'Two Sum', difficulty: 'Easy', isPaidOnly: false, topicTags: [], fetchedAt: new Date().toISOString() });
+
+      const fetched = [];
+      const fetchProblem = async slug => {
+        fetched.push(slug);
+        if (slug === 'broken') throw new Error('API unavailable');
+        if (slug === 'not-a-problem') return null;
+        return { titleSlug: slug, questionTitle: 'Meeting Rooms', difficulty: 'Medium', isPaidOnly: true, topicTags: [] };
+      };
+      const results = await store.check(['two-sum', 'meeting-rooms', 'not-a-problem', 'broken', 'two-sum'], fetchProblem);
+      const bySlug = Object.fromEntries(results.map(result => [result.slug, result]));
+      const again = await store.check(['meeting-rooms', 'not-a-problem'], fetchProblem);
+
+      return [
+        [results.length, 4, 'one result per slug'],
+        [bySlug['two-sum'].title, 'Two Sum', 'cached title'],
+        [bySlug['meeting-rooms'].difficulty, 'Medium', 'fetched difficulty'],
+        [bySlug['meeting-rooms'].isPaidOnly, true, 'premium flag'],
+        [bySlug['not-a-problem'].found, false, 'unknown slug'],
+        [bySlug.broken.found, null, 'failed lookup'],
+        [bySlug.broken.error, 'API unavailable', 'lookup error'],
+        [again.map(result => result.found).join(','), 'true,false', 'answers cached'],
+        [fetched.join(','), 'meeting-rooms,not-a-problem,broken', 'cached slugs not fetched']
+      ];
+    }
+  },
+
+  {
+    name: "Reordering a plan neither resends nor skips problems",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const tracker = new ProgressTracker({
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: {},
+        problemMetadata: { enrichProblems: async problems => problems }
+      });
+      await tracker.planService.savePlan({ id: 'editor', weeks: WEEKS });
+      const settings = { ...DEFAULT_SETTINGS, num_questions: 2, study_plan: 'editor' };
+      const runDay = date => clock.withTime(`${date}T02:00:00`, async () => {
+        const planned = await tracker.planDailyRoutine(USER, settings, date);
+        await databaseService.saveProgress(planned.progress, USER.id);
+        return planned.historyEvents.filter(event => event.kind === 'new').map(event => event.slug).join(',');
+      });
+
+      const day1 = await runDay('2025-03-03');
+
+      // Stack first, and valid-anagram (already sent) moved to the end
+      await tracker.planService.savePlan({
+        id: 'editor',
+        weeks: {
+          1: WEEKS[2],
+          2: { theme: 'Arrays', problems: [problem('contains-duplicate'), problem('two-sum'), problem('valid-anagram')] }
+        }
+      });
+      // Day 1's problems were solved, so day 2 only gets new ones
+      const progress = await databaseService.loadProgress(USER.id);
+      await databaseService.saveProgress({ ...progress, sentProblems: progress.sentProblems.map(p => ({ ...p, solved: true })) }, USER.id);
+      const day2 = await runDay('2025-03-04');
+      const plan = await tracker.planService.loadStudyPlan('editor');
+      const completion = plan.getCompletion(await databaseService.loadProgress(USER.id));
+
+      return [
+        [day1, 'two-sum,valid-anagram', 'first day'],
+        [day2, 'valid-parentheses,min-stack', 'reordered plan starts at its new first problems'],
+        [plan.getRemainingProblems(await databaseService.loadProgress(USER.id)).map(p => p.slug).join(','), 'contains-duplicate', 'nothing skipped'],
+        [`${completion.done}/${completion.total}`, '4/5', 'completion after reorder']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Plan Editor Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! The plan editor is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the plan editor.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
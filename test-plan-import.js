@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+/**
+ * Test Plan Import
+ *
+ * Covers lib/planImport: the CSV, YAML and Markdown parsers, the bundled
+ * Blind 75 / NeetCode 150 lists, laying themes out into weeks, and
+ * InternalDataValidator.validateStudyPlan on the { weeks } shape they share.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importPlan, parsePlan, buildPlan, toSlug } = require('./lib/planImport');
+const { InternalDataValidator, ValidationError } = require('./lib/dataValidator');
+
+/**
+ * Slugs of a plan's weeks, e.g. "1:two-sum,valid-anagram|2:3sum"
+ */
+function describe(plan) {
+  return Object.entries(plan.weeks)
+    .map(([number, week]) => `${number}:${week.problems.map(problem => problem.slug).join(',')}`)
+    .join('|');
+}
+
+/**
+ * Message of the ValidationError fn throws, or null
+ */
+function validationMessage(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error instanceof ValidationError ? error.message : `not a ValidationError: ${error.message}`;
+  }
+}
+
+const tests = [
+  {
+    name: "CSV rows become problems, with quoting, header aliases and URLs",
+    run: async () => {
+      const plan = buildPlan(parsePlan([
+        'Week,Topic,Title,Difficulty,URL,Minutes',
+        '1,Arrays & Hashing,Two Sum,easy,,20',
+        '1,Arrays & Hashing,"Two Sum II - Input Array Is Sorted",Medium,,',
+        '',
+        '2,"Trees, BST",,,https://leetcode.com/problems/same-tree/description/,',
+        '2,"Trees, BST","Say ""hi""",Hard,,'
+      ].join('\r\n'), 'csv'));
+      const [twoSum, sorted] = plan.weeks[1].problems;
+      const [sameTree, quoted] = plan.weeks[2].problems;
+
+      return [
+        [describe(plan), '1:two-sum,two-sum-ii-input-array-is-sorted|2:same-tree,say-hi', 'weeks'],
+        [twoSum.difficulty, 'Easy', 'difficulty normalised'],
+        [twoSum.estimatedTime, 20, 'minutes column'],
+        [sorted.estimatedTime, 30, 'default estimated time'],
+        [sorted.priority, 'medium', 'default priority'],
+        [plan.weeks[2].theme, 'Trees, BST', 'quoted theme'],
+        [sameTree.name, 'Same Tree', 'name from URL slug'],
+        [sameTree.difficulty, 'Unknown', 'missing difficulty'],
+        [quoted.name, 'Say "hi"', 'escaped quotes']
+      ];
+    }
+  },
+
+  {
+    name: "YAML weeks (map or list) and unnumbered topics",
+    run: async () => {
+      const mapped = buildPlan(parsePlan(`
+weeks:
+  3:
+    theme: Sliding Window
+    problems:
+      - best-time-to-buy-and-sell-stock
+      - https://leetcode.com/problems/minimum-window-substring/
+      - title: Permutation in String
+        difficulty: medium
+        priority: HIGH
+`, 'yaml'));
+      const listed = buildPlan(parsePlan('weeks:\n  - [two-sum]\n  - theme: Stack\n    problems: [valid-parentheses]\n', 'yaml'));
+      const topics = buildPlan(parsePlan('topics:\n  - theme: Trees\n    problems: [invert-binary-tree, same-tree, Subtree of Another Tree]\n', 'yaml'), { perWeek: 2 });
+      const permutation = mapped.weeks[3].problems[2];
+
+      return [
+        [describe(mapped), '3:best-time-to-buy-and-sell-stock,minimum-window-substring,permutation-in-string', 'week numbers kept'],
+        [permutation.difficulty, 'Medium', 'difficulty'],
+        [permutation.priority, 'high', 'priority'],
+        [describe(listed), '1:two-sum|2:valid-parentheses', 'week list'],
+        [listed.weeks[1].theme, 'Week 1', 'default theme'],
+        [describe(topics), '1:invert-binary-tree,same-tree|2:subtree-of-another-tree', 'topics split per week'],
+        [topics.weeks[2].theme, 'Trees', 'theme carried over'],
+        [validationMessage(() => parsePlan('weeks:\n  - [a: b: c\n', 'yaml')), 'YAML line 2: yaml - Invalid YAML: missed comma between flow collection entries', 'syntax error']
+      ];
+    }
+  },
+
+  {
+    name: "Markdown checklists under week and theme headings",
+    run: async () => {
+      const weekly = buildPlan(parsePlan(`# My plan
+
+Notes that aren't checklist items are ignored.
+- a plain bullet
+
+## Week 1 - Arrays & Hashing
+- [ ] [Two Sum](https://leetcode.com/problems/two-sum/) (Easy)
+- [x] Valid Anagram - Easy
+* [ ] Pow(x, n) | medium
+
+## Week 2
+- [ ] top-k-frequent-elements
+`, 'markdown'));
+      const themed = buildPlan(parsePlan('## Graphs\n- [ ] Clone Graph\n## Heap\n- [ ] Last Stone Weight (Easy)\n', 'markdown'));
+      const [twoSum, anagram, pow] = weekly.weeks[1].problems;
+
+      return [
+        [describe(weekly), '1:two-sum,valid-anagram,powx-n|2:top-k-frequent-elements', 'weeks'],
+        [weekly.weeks[1].theme, 'Arrays & Hashing', 'theme from heading'],
+        [twoSum.name, 'Two Sum', 'link text'],
+        [anagram.difficulty, 'Easy', 'difficulty after a dash'],
+        [pow.name, 'Pow(x, n)', 'title punctuation kept'],
+        [pow.difficulty, 'Medium', 'difficulty after a pipe'],
+        [describe(themed), '1:clone-graph|2:last-stone-weight', 'one week per theme'],
+        [themed.weeks[2].theme, 'Heap', 'theme']
+      ];
+    }
+  },
+
+  {
+    name: "Bundled Blind 75 and NeetCode 150 lists",
+    run: async () => {
+      const count = plan => Object.values(plan.weeks).reduce((sum, week) => sum + week.problems.length, 0);
+      const neetcode = importPlan('neetcode150');
+      const blind = importPlan('blind75');
+      const weekly = importPlan('neetcode150', { perWeek: 7 });
+      const neetcodeSlugs = new Set(Object.values(neetcode.weeks).flatMap(week => week.problems.map(problem => problem.slug)));
+      const blindSlugs = Object.values(blind.weeks).flatMap(week => week.problems.map(problem => problem.slug));
+
+      return [
+        [count(neetcode), 150, 'NeetCode 150 problems'],
+        [neetcodeSlugs.size, 150, 'no repeats'],
+        [count(blind), 75, 'Blind 75 problems'],
+        [blindSlugs.every(slug => neetcodeSlugs.has(slug)), true, 'Blind 75 is a subset'],
+        [neetcode.weeks[1].theme, 'Arrays & Hashing', 'first theme'],
+        [Object.keys(neetcode.weeks).length, 18, 'one week per category'],
+        [Object.values(weekly.weeks).every(week => week.problems.length <= 7), true, '--per-week respected'],
+        [count(weekly), 150, 'nothing lost when splitting'],
+        [Object.values(neetcode.weeks).flatMap(week => week.problems).every(problem => problem.difficulty !== 'Unknown'), true, 'difficulties included']
+      ];
+    }
+  },
+
+  {
+    name: "Files are read by extension and bad input is reported with its location",
+    run: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-import-'));
+      try {
+        fs.writeFileSync(path.join(dir, 'plan.yml'), 'topics:\n  - theme: Intervals\n    problems: [merge-intervals]\n');
+        fs.writeFileSync(path.join(dir, 'plan.txt'), 'slug\nmerge-intervals\n');
+        const fromYaml = importPlan(path.join(dir, 'plan.yml'));
+        const withFormat = importPlan(path.join(dir, 'plan.txt'), { format: 'csv' });
+
+        return [
+          [describe(fromYaml), '1:merge-intervals', 'YAML by extension'],
+          [describe(withFormat), '1:merge-intervals', 'format override'],
+          [validationMessage(() => importPlan(path.join(dir, 'plan.txt'))).includes('pass --format'), true, 'unknown extension'],
+          [validationMessage(() => buildPlan(parsePlan('name,url\nX,https://example.com/x\n', 'csv'))), 'CSV line 2: url - Must be a leetcode.com/problems/ URL', 'bad URL'],
+          [validationMessage(() => buildPlan(parsePlan('slug\nTwo Sum\n', 'csv'))), 'CSV line 2: slug - Slug must be lowercase letters, digits and "-"', 'bad slug'],
+          [validationMessage(() => parsePlan('difficulty\nEasy\n', 'csv')), 'CSV line 1: header - Header must have a name, slug or url column', 'no problem column'],
+          [validationMessage(() => buildPlan(parsePlan('## Week 1\n- [ ] two-sum\n', 'markdown').concat(parsePlan('- [ ] same-tree\n', 'markdown')))), 'Markdown line 1: week - Either every problem or none must have a week', 'mixed week numbers'],
+          [validationMessage(() => buildPlan(parsePlan('name\nTwo Sum\n', 'csv'), { perWeek: 0 })), 'plan import: perWeek - Problems per week must be at least 1', 'per week'],
+          [toSlug('Two Sum II - Input Array Is Sorted'), 'two-sum-ii-input-array-is-sorted', 'slug from title']
+        ];
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+
+  {
+    name: "validateStudyPlan checks the { weeks } shape",
+    run: async () => {
+      const valid = { weeks: { 1: { theme: 'Arrays', problems: [{ name: 'Two Sum', slug: 'two-sum', difficulty: 'Easy' }] } } };
+
+      return [
+        [validationMessage(() => InternalDataValidator.validateStudyPlan(require('./study-plan.clean.json'))), null, 'current plan is valid'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan(valid)), null, 'minimal plan'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan({ topics: [] })), 'study plan: weeks - Weeks must be an object keyed by week number', 'no weeks'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan({ weeks: {} })), 'study plan: weeks - Must have at least one week', 'empty plan'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan({ weeks: { first: valid.weeks[1] } })), 'study plan: weeks - Week numbers must be positive integers', 'week number'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan({ weeks: { 1: { problems: [] } } })), 'study plan.weeks[1]: theme - Must have valid theme', 'theme'],
+        [validationMessage(() => InternalDataValidator.validateStudyPlan({ weeks: { 1: { theme: 'A', problems: [{ name: 'X', slug: 'x' }] } } })), 'study plan.weeks[1].problems[0]: difficulty - Must be non-empty string', 'problem']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Plan Import Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Plan import is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the plan importers.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Test Problem Metadata
+ *
+ * Covers lib/problemMetadata.js and `enrich-plan`'s pieces: parsing
+ * /select?titleSlug= responses, the cache (stale records, refresh, slugs
+ * LeetCode doesn't know), LeetCodeAPI.getProblem against the mock API, and
+ * tags and premium flags reaching the daily email. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker, LeetCodeAPI } = require('./tracker');
+const { ProblemMetadataStore } = require('./lib/problemMetadata');
+const { DatabaseService, databaseService } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { MockLeetCodeApi } = require('./lib/mockLeetCodeApi');
+const { clock } = require('./lib/clock');
+
+const FIXTURES = {
+  daily: 'two-sum',
+  problems: {
+    'two-sum': { id: 1, title: 'Two Sum', difficulty: 'Easy', topicTags: ['Array', 'Hash Table'], acRate: 55.1, similar: ['3sum'] },
+    'valid-anagram': { id: 242, title: 'Valid Anagram', difficulty: 'Easy', topicTags: ['String'], isPaidOnly: true }
+  },
+  users: {}
+};
+
+function createStore(options = {}) {
+  const db = new DatabaseService();
+  db.useStorage(new MemoryAdapter());
+  db.retryDelay = 1;
+  return new ProblemMetadataStore(db, options);
+}
+
+async function withMock(fn) {
+  const mock = new MockLeetCodeApi(FIXTURES);
+  const url = await mock.start(0);
+  try {
+    return await fn(mock, url);
+  } finally {
+    await mock.stop();
+  }
+}
+
+const tests = [
+  {
+    name: "Responses are parsed, including LeetCode's JSON-string fields",
+    run: async () => {
+      const record = ProblemMetadataStore.fromApiResponse('group-anagrams', {
+        questionFrontendId: '49',
+        questionTitle: 'Group Anagrams',
+        titleSlug: 'group-anagrams',
+        difficulty: 'Medium',
+        isPaidOnly: false,
+        topicTags: [{ name: 'Array', slug: 'array' }, { name: 'String', slug: 'string' }],
+        similarQuestions: '[{"title": "Valid Anagram", "titleSlug": "valid-anagram", "difficulty": "Easy"}]',
+        stats: '{"totalAccepted": "3.1M", "acRate": "69.34%"}'
+      });
+      const sparse = ProblemMetadataStore.fromApiResponse('odd', { questionTitle: 'Odd', difficulty: 'Tricky', similarQuestions: 'not json' });
+
+      return [
+        [record.questionId, '49', 'question id'],
+        [record.topicTags.join(','), 'Array,String', 'tags'],
+        [record.acceptanceRate, 69.3, 'acceptance rate'],
+        [record.similarQuestions[0].slug, 'valid-anagram', 'similar questions'],
+        [record.isPaidOnly, false, 'premium flag'],
+        [sparse.difficulty, 'Unknown', 'unknown difficulty'],
+        [sparse.acceptanceRate, null, 'no acceptance rate'],
+        [sparse.similarQuestions.length, 0, 'bad similar questions ignored']
+      ];
+    }
+  },
+
+  {
+    name: "Metadata overlays plan problems without overriding a known difficulty",
+    run: async () => {
+      const metadata = { found: true, difficulty: 'Medium', topicTags: ['Array'], acceptanceRate: 50, isPaidOnly: true, similarQuestions: [] };
+      const unknown = ProblemMetadataStore.apply({ slug: 'a', name: 'A', difficulty: 'Unknown' }, metadata);
+      const known = ProblemMetadataStore.apply({ slug: 'a', name: 'A', difficulty: 'Hard' }, metadata);
+      const missing = ProblemMetadataStore.apply({ slug: 'a', name: 'A', difficulty: 'Unknown' }, { found: false });
+
+      return [
+        [unknown.difficulty, 'Medium', 'unknown difficulty filled in'],
+        [unknown.topicTags.join(','), 'Array', 'tags'],
+        [unknown.isPaidOnly, true, 'premium flag'],
+        [known.difficulty, 'Hard', 'plan difficulty kept'],
+        [missing.topicTags, undefined, 'not-found records add nothing']
+      ];
+    }
+  },
+
+  {
+    name: "Enrichment only fetches what isn't cached, and caches unknown slugs",
+    run: async () => {
+      const store = createStore({ maxAgeDays: 30 });
+      const calls = [];
+      const fetchProblem = async slug => {
+        calls.push(slug);
+        if (slug === 'broken') throw new Error('ECONNRESET');
+        return FIXTURES.problems[slug] ? { questionTitle: FIXTURES.problems[slug].title, titleSlug: slug, difficulty: 'Easy' } : null;
+      };
+
+      const first = await store.enrich(['two-sum', 'caching', 'broken', 'two-sum'], fetchProblem);
+      const second = await store.enrich(['two-sum', 'caching', 'broken'], fetchProblem);
+
+      // Age the cached record past maxAgeDays
+      const old = await store.get('two-sum');
+      await store.save({ ...old, fetchedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() });
+      const stale = await store.enrich(['two-sum', 'caching'], fetchProblem);
+      const refreshed = await store.enrich(['caching'], fetchProblem, { refresh: true });
+
+      return [
+        [first.fetched.join(','), 'two-sum', 'fetched'],
+        [first.notFound.join(','), 'caching', 'not found'],
+        [first.failed[0].error, 'ECONNRESET', 'failure recorded'],
+        [second.cached.join(','), 'two-sum,caching', 'cached on the second run'],
+        [second.failed.length, 1, 'failures retried'],
+        [stale.fetched.join(','), 'two-sum', 'stale record refetched'],
+        [refreshed.notFound.join(','), 'caching', 'refresh refetches'],
+        [calls.join(','), 'two-sum,caching,broken,broken,two-sum,caching', 'API calls'],
+        [(await store.get('caching')).found, false, 'unknown slug cached']
+      ];
+    }
+  },
+
+  {
+    name: "getProblem reads /select and treats unknown slugs as null",
+    run: () => withMock(async (mock, url) => {
+      const api = new LeetCodeAPI({ baseURL: url });
+      const store = createStore();
+      const summary = await store.enrich(['two-sum', 'valid-anagram', 'caching', 'not-a-problem'], slug => api.getProblem(slug));
+      const twoSum = await store.get('two-sum');
+
+      return [
+        [summary.fetched.join(','), 'two-sum,valid-anagram', 'fetched'],
+        [summary.notFound.join(','), 'caching,not-a-problem', 'not found'],
+        [twoSum.acceptanceRate, 55.1, 'acceptance rate'],
+        [twoSum.similarQuestions[0].slug, '3sum', 'similar question'],
+        [(await store.get('valid-anagram')).isPaidOnly, true, 'premium flag'],
+        [api.reliabilityService.getMetrics().circuitBreakerState, 'closed', 'unknown slugs do not trip the breaker']
+      ];
+    })
+  },
+
+  {
+    name: "The daily email shows tags and flags premium problems",
+    run: () => clock.withTime('2025-03-04T02:00:00', async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const store = new ProblemMetadataStore(databaseService);
+      await store.save({
+        slug: 'two-sum', found: true, difficulty: 'Easy', topicTags: ['Array', 'Hash Table'],
+        acceptanceRate: 55.1, isPaidOnly: true, similarQuestions: [], fetchedAt: new Date().toISOString()
+      });
+
+      const sent = [];
+      const tracker = new ProgressTracker({
+        problemMetadata: store,
+        leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+        emailService: { forRecipient: () => ({ deliver: async message => sent.push(message) }) }
+      });
+      await tracker.runDailyRoutineForUser({ id: 'meta-user', leetcodeUsername: 'meta-user', email: 'meta@localhost' });
+      const [message] = sent;
+
+      return [
+        [sent.length, 1, 'email sent'],
+        [message.text.includes('Two Sum (Easy) [Premium]'), true, 'premium flag in text'],
+        [message.text.includes('Tags: Array, Hash Table · 55.1% acceptance'), true, 'tags in text'],
+        [message.html.includes('🔒 Premium'), true, 'premium flag in HTML'],
+        [message.html.includes('🏷️ Array, Hash Table'), true, 'tags in HTML']
+      ];
+    })
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Problem Metadata Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Problem metadata is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the problem metadata.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
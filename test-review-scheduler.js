@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test Spaced-Repetition Review Scheduling
+ *
+ * Covers the review ladder (1, 3, 7, 21 days), ease adjustments for late
+ * reviews, graduation out of the queue and daily slot allocation.
+ */
+
+const { ReviewScheduler, DEFAULT_INTERVALS } = require('./lib/reviewScheduler');
+
+const tests = [
+  {
+    name: "First solve schedules review for the next day",
+    run: () => {
+      const review = ReviewScheduler.createReviewState('2025-06-26T14:30:00.000Z');
+      return [
+        [review.step, 0, 'step'],
+        [review.dueDate, '2025-06-27', 'dueDate'],
+        [review.ease, 2.5, 'ease']
+      ];
+    }
+  },
+
+  {
+    name: "On-time review moves up the ladder",
+    run: () => {
+      let review = ReviewScheduler.createReviewState('2025-06-26');
+      review = ReviewScheduler.markSent(review, '2025-06-27');
+      review = ReviewScheduler.completeReview(review, '2025-06-27');
+      return [
+        [review.step, 1, 'step'],
+        [review.interval, 3, 'interval'],
+        [review.dueDate, '2025-06-30', 'dueDate'],
+        [review.pendingSince, null, 'pendingSince'],
+        [review.reviewCount, 1, 'reviewCount']
+      ];
+    }
+  },
+
+  {
+    name: "Late review stays in the same box and lowers ease",
+    run: () => {
+      let review = ReviewScheduler.createReviewState('2025-06-26');
+      review = ReviewScheduler.markSent(review, '2025-06-27');
+      review = ReviewScheduler.completeReview(review, '2025-06-30');
+      return [
+        [review.step, 0, 'step'],
+        [review.ease, 2.3, 'ease'],
+        [review.dueDate, '2025-07-01', 'dueDate']
+      ];
+    }
+  },
+
+  {
+    name: "Re-sending a pending review keeps the original send date",
+    run: () => {
+      let review = ReviewScheduler.createReviewState('2025-06-26');
+      review = ReviewScheduler.markSent(review, '2025-06-27');
+      review = ReviewScheduler.markSent(review, '2025-06-28');
+      return [[review.pendingSince, '2025-06-27', 'pendingSince']];
+    }
+  },
+
+  {
+    name: "Graduates after the last interval",
+    run: () => {
+      let review = ReviewScheduler.createReviewState('2025-01-01');
+      for (let i = 0; i < DEFAULT_INTERVALS.length; i++) {
+        review = ReviewScheduler.markSent(review, review.dueDate);
+        review = ReviewScheduler.completeReview(review, review.pendingSince);
+      }
+      const problem = { slug: 'two-sum', solved: true, sentDate: '2025-01-01', review };
+      return [
+        [review.graduated, true, 'graduated'],
+        [review.dueDate, null, 'dueDate'],
+        [ReviewScheduler.isInQueue(problem), false, 'isInQueue']
+      ];
+    }
+  },
+
+  {
+    name: "Due reviews are sorted oldest first and skip unsolved problems",
+    run: () => {
+      const sentProblems = [
+        { slug: 'a', solved: true, sentDate: '2025-06-20', review: { dueDate: '2025-06-27' } },
+        { slug: 'b', solved: true, sentDate: '2025-06-20', review: { dueDate: '2025-06-25' } },
+        { slug: 'c', solved: true, sentDate: '2025-06-20', review: { dueDate: '2025-07-05' } },
+        { slug: 'd', solved: false, sentDate: '2025-06-26' }
+      ];
+      const due = ReviewScheduler.getDueReviews(sentProblems, '2025-06-27').map(p => p.slug);
+      return [[due.join(','), 'b,a', 'due slugs']];
+    }
+  },
+
+  {
+    name: "Review slots are a share of daily problems",
+    run: () => [
+      [ReviewScheduler.getReviewSlots(1, 0.34), 0, '1 problem'],
+      [ReviewScheduler.getReviewSlots(3, 0.34), 1, '3 problems'],
+      [ReviewScheduler.getReviewSlots(10, 0.34), 3, '10 problems'],
+      [ReviewScheduler.getReviewSlots(4, 0.5), 2, '4 problems at 50%'],
+      [ReviewScheduler.getReviewSlots(5, 0), 0, 'reviews disabled']
+    ]
+  }
+];
+
+// Run Tests
+function runTests() {
+  console.log('🧪 Running Review Scheduler Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  tests.forEach((test, index) => {
+    console.log(`${index + 1}. ${test.name}`);
+
+    try {
+      const errors = test.run()
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  });
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Review scheduling is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the logic.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
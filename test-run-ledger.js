@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Test Run Ledger
+ *
+ * Covers the idempotent daily routine (lib/runLedger.js): repeated and
+ * concurrent triggers send one email, a run that stopped after sending
+ * resumes without resending, failed sends are retried, leases keep two
+ * processes from working on the same run (and are renewed while a slow run
+ * waits on LeetCode), and old runs are pruned.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { RunLedger, RunLeaseError } = require('./lib/runLedger');
+const { databaseService } = require('./lib/firebase');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const USER = { id: 'ledger-user', leetcodeUsername: 'ledger-user', email: 'ledger@localhost' };
+const TODAY = '2025-03-04';
+
+/**
+ * Tracker on fresh in-memory storage whose emails land in `sent`
+ * @param {Function} deliver - Optional delivery hook, called before recording
+ */
+function createTracker(deliver = async () => {}) {
+  databaseService.useStorage(new MemoryAdapter());
+  const sent = [];
+  const tracker = new ProgressTracker({
+    leetcodeApi: { getUserSubmissions: async () => ({ submission: [] }) },
+    emailService: {
+      forRecipient: () => ({
+        deliver: async message => {
+          await deliver(message);
+          sent.push(message);
+        }
+      })
+    }
+  });
+  return { tracker, sent };
+}
+
+const atTwoAm = fn => clock.withTime(`${TODAY}T02:00:00`, fn);
+const loadRun = () => databaseService.loadRun(USER.id, RunLedger.docName('daily-routine', TODAY));
+
+const tests = [
+  {
+    name: "Triggering twice on the same day sends one email",
+    run: () => atTwoAm(async () => {
+      const { tracker, sent } = createTracker();
+      await tracker.runDailyRoutineForUser(USER, { trigger: 'cron' });
+      await tracker.runDailyRoutineForUser(USER, { trigger: 'api' });
+      const run = await loadRun();
+      return [
+        [sent.length, 1, 'emails sent'],
+        [run.status, 'completed', 'status'],
+        [run.outcome, 'sent', 'outcome'],
+        [run.attempts, 1, 'attempts'],
+        [Object.keys(run.steps).join(','), 'plan,send,history,save-progress', 'steps'],
+        [run.outbox[0].status, 'sent', 'outbox'],
+        [run.lease, null, 'lease released'],
+        [run.trigger, 'cron', 'trigger']
+      ];
+    })
+  },
+
+  {
+    name: "Concurrent triggers only run once",
+    run: () => atTwoAm(async () => {
+      const { tracker, sent } = createTracker();
+      await Promise.all([
+        tracker.runDailyRoutineForUser(USER, { trigger: 'cron' }),
+        tracker.runDailyRoutineForUser(USER, { trigger: 'github-actions' }),
+        tracker.runDailyRoutineForUser(USER, { trigger: 'api' })
+      ]);
+      const progress = await databaseService.loadProgress(USER.id);
+      return [
+        [sent.length, 1, 'emails sent'],
+        [progress.lastSentDate, TODAY, 'progress saved'],
+        [(await loadRun()).attempts, 1, 'attempts']
+      ];
+    })
+  },
+
+  {
+    name: "A crash between sending and saving resumes without resending",
+    run: () => atTwoAm(async () => {
+      const originalUpdate = databaseService.atomicProgressUpdate;
+      const { tracker, sent } = createTracker(async () => {
+        // The next progress save (after the send) fails like a crash would
+        databaseService.atomicProgressUpdate = async () => { throw new Error('process killed'); };
+      });
+
+      const error = await tracker.runDailyRoutineForUser(USER).catch(e => e.message);
+      databaseService.atomicProgressUpdate = originalUpdate;
+      const failed = await loadRun();
+      const beforeResume = await databaseService.loadProgress(USER.id);
+
+      await tracker.runDailyRoutineForUser(USER);
+      const resumed = await loadRun();
+      const progress = await databaseService.loadProgress(USER.id);
+
+      return [
+        [error, 'process killed', 'first attempt'],
+        [failed.status, 'failed', 'failed status'],
+        [failed.error, 'process killed', 'error recorded'],
+        [beforeResume.lastSentDate, null, 'progress not saved yet'],
+        [sent.length, 1, 'emails sent'],
+        [resumed.status, 'completed', 'resumed status'],
+        [resumed.attempts, 2, 'attempts'],
+        [resumed.error, undefined, 'error cleared'],
+        [progress.lastSentDate, TODAY, 'progress saved on resume'],
+        [progress.sentProblems[0].slug, failed.plan.progress.sentProblems[0].slug, 'planned problem saved']
+      ];
+    })
+  },
+
+  {
+    name: "A failed send is retried on the next trigger",
+    run: () => atTwoAm(async () => {
+      let failures = 1;
+      const { tracker, sent } = createTracker(async () => {
+        if (failures-- > 0) throw new Error('SMTP timeout');
+      });
+
+      const error = await tracker.runDailyRoutineForUser(USER).catch(e => e.message);
+      const failed = await loadRun();
+      await tracker.runDailyRoutineForUser(USER);
+      const run = await loadRun();
+
+      return [
+        [error, 'SMTP timeout', 'first attempt'],
+        [failed.outbox[0].status, 'failed', 'outbox after failure'],
+        [failed.outbox[0].error, 'SMTP timeout', 'outbox error'],
+        [sent.length, 1, 'emails sent'],
+        [run.outbox[0].status, 'sent', 'outbox after retry'],
+        [run.outbox[0].attempts, 2, 'send attempts']
+      ];
+    })
+  },
+
+  {
+    name: "A message cut off mid-send is not sent twice",
+    run: () => atTwoAm(async () => {
+      const { tracker, sent } = createTracker();
+      const ledger = new RunLedger(databaseService, { leaseMs: 1 });
+
+      // A process that planned and started sending, then died
+      const { run } = await ledger.begin('daily-routine', USER.id, TODAY, { owner: 'crashed' });
+      const planned = await ledger.completeStep(run, 'plan', {
+        plan: { progress: { lastSentDate: TODAY, sentProblems: [], planProgress: {}, pendingQueue: [] }, historyEvents: [] },
+        outbox: [{ id: 'daily-problems', message: { type: 'daily-problems', subject: 'Hi' }, status: 'pending' }]
+      });
+      await ledger.setOutboxStatus(planned, 'daily-problems', 'sending');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await tracker.runDailyRoutineForUser(USER);
+      const resumed = await loadRun();
+      return [
+        [sent.length, 0, 'emails sent'],
+        [resumed.outbox[0].status, 'unknown', 'outbox'],
+        [resumed.status, 'completed', 'status'],
+        [resumed.attempts, 2, 'taken over after lease expiry']
+      ];
+    })
+  },
+
+  {
+    name: "Leases block other owners until they expire",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const ledger = new RunLedger(databaseService, { leaseMs: 60000 });
+
+      const first = await ledger.begin('daily-routine', USER.id, TODAY, { owner: 'a' });
+      const second = await ledger.begin('daily-routine', USER.id, TODAY, { owner: 'b' });
+
+      // Expire a's lease so b can take over; a then loses the run
+      await databaseService.atomicRunUpdate(USER.id, RunLedger.docName('daily-routine', TODAY), run => ({
+        ...run,
+        lease: { ...run.lease, expiresAt: new Date(Date.now() - 1000).toISOString() }
+      }));
+      const takeover = await ledger.begin('daily-routine', USER.id, TODAY, { owner: 'b' });
+      const stale = await ledger.completeStep(first.run, 'plan').catch(error => error);
+      const finished = await ledger.finish(takeover.run, 'completed', { outcome: 'sent' });
+      const afterCompletion = await ledger.begin('daily-routine', USER.id, TODAY, { owner: 'c' });
+
+      return [
+        [first.acquired, true, 'first owner'],
+        [second.reason, 'locked', 'second owner while leased'],
+        [takeover.acquired, true, 'takeover after expiry'],
+        [stale instanceof RunLeaseError, true, 'stale owner rejected'],
+        [finished.lease, null, 'lease released'],
+        [afterCompletion.reason, 'completed', 'completed run not repeated'],
+        [afterCompletion.run.runId, `daily-routine:${USER.id}:${TODAY}`, 'run id']
+      ];
+    }
+  },
+
+  {
+    name: "A solve check that outlasts the lease renews it before the problem lookups",
+    run: () => atTwoAm(async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const docName = RunLedger.docName('daily-routine', TODAY);
+      const sent = [];
+      let competing = null;
+      const tracker = new ProgressTracker({
+        leetcodeApi: {
+          // A cold start long enough for the lease to run out
+          getUserSubmissions: async () => {
+            await databaseService.atomicRunUpdate(USER.id, docName, run => ({
+              ...run,
+              lease: { ...run.lease, expiresAt: new Date(Date.now() - 1000).toISOString() }
+            }));
+            return { submission: [] };
+          }
+        },
+        problemMetadata: {
+          enrichProblems: async problems => {
+            competing = await new RunLedger(databaseService).begin('daily-routine', USER.id, TODAY, { owner: 'other' });
+            return problems;
+          }
+        },
+        emailService: { forRecipient: () => ({ deliver: async message => { sent.push(message); } }) }
+      });
+
+      const result = await tracker.runDailyRoutineForUser(USER, { trigger: 'cron' });
+      const run = await loadRun();
+      return [
+        [competing.acquired, false, 'second trigger kept out'],
+        [competing.reason, 'locked', 'lease renewed'],
+        [result.outcome, 'sent', 'first run finished'],
+        [sent.length, 1, 'emails sent'],
+        [run.attempts, 1, 'attempts']
+      ];
+    })
+  },
+
+    {
+    name: "Runs older than the retention are pruned",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const ledger = new RunLedger(databaseService, { keepDays: 30 });
+      const dates = ['2025-01-10', '2025-02-01', '2025-02-02', TODAY];
+      for (const date of dates) {
+        await databaseService.atomicRunUpdate(USER.id, RunLedger.docName('daily-routine', date), () => ({ status: 'completed' }));
+      }
+      await databaseService.saveProgress({ studyPlanPosition: 1 }, USER.id);
+
+      const deleted = await ledger.prune(USER.id, TODAY);
+      const remaining = (await databaseService.listRunDocuments(USER.id)).sort();
+      const progress = await databaseService.loadProgress(USER.id);
+
+      return [
+        [deleted, 2, 'runs deleted'],
+        [remaining.join(','), [RunLedger.docName('daily-routine', '2025-02-02'), RunLedger.docName('daily-routine', TODAY)].join(','), 'runs kept'],
+        [progress.studyPlanPosition, 1, 'progress untouched'],
+        [await ledger.prune(USER.id, TODAY), 0, 'nothing left to prune']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Run Ledger Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! The run ledger is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the run ledger.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
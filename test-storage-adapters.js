@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Test Storage Adapters
+ *
+ * Runs the same DatabaseService scenarios against the in-memory and local-file
+ * adapters: load/save, atomic updates, history, checkpoints, rollback and
+ * run documents.
+ * No Firebase credentials or network access needed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DatabaseService, DEFAULT_PROGRESS } = require('./lib/firebase');
+const { MemoryAdapter, FileAdapter } = require('./lib/storage');
+const { HistoryLog } = require('./lib/historyLog');
+
+const USER_ID = 'storage-test';
+
+const scenarios = [
+  {
+    name: "Missing progress loads defaults",
+    run: async (db) => {
+      const progress = await db.loadProgress(USER_ID);
+      return [[progress.studyPlanPosition, DEFAULT_PROGRESS.studyPlanPosition, 'studyPlanPosition']];
+    }
+  },
+
+  {
+    name: "Saved progress round-trips",
+    run: async (db) => {
+      await db.saveProgress({
+        ...DEFAULT_PROGRESS,
+        lastSentDate: '2025-06-26',
+        sentProblems: [{ slug: 'two-sum', solved: false, sentDate: '2025-06-26' }],
+        studyPlanPosition: 1
+      }, USER_ID);
+      const progress = await db.loadProgress(USER_ID);
+      return [
+        [progress.studyPlanPosition, 1, 'studyPlanPosition'],
+        [progress.sentProblems[0].slug, 'two-sum', 'sentProblems[0].slug']
+      ];
+    }
+  },
+
+  {
+    name: "Atomic updates are serialized",
+    run: async (db) => {
+      await Promise.all([1, 2, 3].map(() =>
+        db.atomicProgressUpdate(USER_ID, (current) => ({
+          ...current,
+          studyPlanPosition: current.studyPlanPosition + 1
+        }))
+      ));
+      const progress = await db.loadProgress(USER_ID);
+      return [[progress.studyPlanPosition, 4, 'studyPlanPosition']];
+    }
+  },
+
+  {
+    name: "Invalid update is rejected and not written",
+    run: async (db) => {
+      db.maxRetries = 1;
+      let rejected = false;
+      try {
+        await db.atomicProgressUpdate(USER_ID, (current) => ({ ...current, studyPlanPosition: -1 }));
+      } catch (error) {
+        rejected = true;
+      }
+      db.maxRetries = 3;
+      const progress = await db.loadProgress(USER_ID);
+      return [
+        [rejected, true, 'rejected'],
+        [progress.studyPlanPosition, 4, 'studyPlanPosition']
+      ];
+    }
+  },
+
+  {
+    name: "History is appended once per event and filtered",
+    run: async (db) => {
+      const assigned = HistoryLog.createEvent('assigned', {
+        slug: 'two-sum', date: '2025-06-26', sentDate: '2025-06-26', kind: 'new', topic: 'Arrays & Hashing'
+      });
+      const solved = HistoryLog.createEvent('solved', {
+        slug: 'two-sum', date: '2025-06-27', sentDate: '2025-06-26', topic: 'Arrays & Hashing',
+        solvedTimestamp: '2025-06-27T10:00:00.000Z', attempts: 2, language: 'python3'
+      });
+      await db.appendHistory([assigned, solved], USER_ID);
+      await db.appendHistory([solved], USER_ID);
+
+      const all = await db.loadHistory(USER_ID);
+      const filtered = await db.loadHistory(USER_ID, HistoryLog.parseFilters({
+        from: '2025-06-27', topic: 'arrays & hashing'
+      }));
+      return [
+        [all.length, 2, 'events'],
+        [all[0].type, 'assigned', 'oldest first'],
+        [filtered.length, 1, 'filtered events'],
+        [filtered[0].attempts, 2, 'attempts']
+      ];
+    }
+  },
+
+  {
+    name: "Rollback restores checkpoint",
+    run: async (db) => {
+      const checkpoint = await db.createCheckpoint(USER_ID);
+      await db.atomicProgressUpdate(USER_ID, (current) => ({ ...current, studyPlanPosition: 10 }));
+      await db.rollbackToCheckpoint(checkpoint);
+      const progress = await db.loadProgress(USER_ID);
+      return [
+        [typeof checkpoint.id, 'string', 'checkpoint id'],
+        [progress.studyPlanPosition, 4, 'studyPlanPosition'],
+        [progress.restoredFrom, checkpoint.timestamp, 'restoredFrom']
+      ];
+    }
+  },
+
+  {
+    name: "Run documents are listed and deleted",
+    run: async (db) => {
+      await db.atomicRunUpdate(USER_ID, 'run-daily-routine-2025-01-01', () => ({ status: 'completed' }));
+      await db.atomicRunUpdate(USER_ID, 'run-daily-routine-2025-01-02', () => ({ status: 'completed' }));
+      const listed = await db.listRunDocuments(USER_ID);
+      await db.deleteRun(USER_ID, 'run-daily-routine-2025-01-01');
+      await db.deleteRun(USER_ID, 'run-daily-routine-2025-01-01');
+      const remaining = await db.listRunDocuments(USER_ID);
+      return [
+        [listed.length, 2, 'runs listed'],
+        [remaining.join(','), 'run-daily-routine-2025-01-02', 'runs left'],
+        [await db.loadRun(USER_ID, 'run-daily-routine-2025-01-01'), null, 'deleted run']
+      ];
+    }
+  }
+];
+
+async function runScenarios(label, db) {
+  console.log(`\n📦 ${label} adapter`);
+  let passed = 0;
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    try {
+      const errors = (await scenario.run(db))
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, field]) => `Expected ${field} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log(`   ✅ ${scenario.name}`);
+        passed++;
+      } else {
+        console.log(`   ❌ ${scenario.name}`);
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log(`   💥 ${scenario.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return { passed, failed };
+}
+
+async function runTests() {
+  console.log('🧪 Running Storage Adapter Tests');
+
+  // Keep test output quiet - DatabaseService logs every transaction
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  const quiet = (...args) => {
+    const line = args.join(' ');
+    if (line.startsWith('\n📦') || line.startsWith('   ')) originalLog(...args);
+  };
+  console.log = quiet;
+  console.warn = () => {};
+  console.error = () => {};
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-mind-storage-'));
+  let totals;
+
+  try {
+    const memory = await runScenarios('Memory', new DatabaseService(new MemoryAdapter()));
+    const file = await runScenarios('File', new DatabaseService(new FileAdapter(dataDir)));
+
+    // A fresh file adapter must see what the previous one wrote
+    const reopened = await new DatabaseService(new FileAdapter(dataDir)).loadProgress(USER_ID);
+    const persisted = reopened.studyPlanPosition === 4;
+    console.log(`   ${persisted ? '✅' : '❌'} File data survives a new adapter instance`);
+
+    totals = {
+      passed: memory.passed + file.passed + (persisted ? 1 : 0),
+      failed: memory.failed + file.failed + (persisted ? 0 : 1)
+    };
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${totals.passed} passed, ${totals.failed} failed`);
+
+  if (totals.failed === 0) {
+    console.log('🎉 All tests passed! Storage adapters are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the adapters.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
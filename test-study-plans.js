@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Test Study Plans
+ *
+ * Covers named, versioned plans (lib/planService.js), progress kept per plan
+ * by slug (lib/studyPlan.js) and the daily routine picking new problems from
+ * the active plan, including switching plans without resending solved
+ * problems. Uses in-memory storage.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { ProgressTracker } = require('./tracker');
+const { StudyPlan } = require('./lib/studyPlan');
+const { PlanService } = require('./lib/planService');
+const { databaseService, DataValidator, DEFAULT_PROGRESS, DEFAULT_SETTINGS } = require('./lib/firebase');
+const { InternalDataValidator } = require('./lib/dataValidator');
+const { MemoryAdapter } = require('./lib/storage/memoryAdapter');
+const { clock } = require('./lib/clock');
+
+const USER = { id: 'plan-user', leetcodeUsername: 'plan-user', email: 'plan@localhost' };
+
+const problem = (slug, difficulty = 'Easy') => ({ name: slug, slug, difficulty });
+
+const WEEKS = {
+  1: { theme: 'Arrays', problems: [problem('two-sum'), problem('valid-anagram')] },
+  2: { theme: 'Stack', problems: [problem('valid-parentheses')] },
+  3: { theme: 'Arrays', problems: [problem('contains-duplicate'), problem('two-sum')] }
+};
+
+/**
+ * Tracker on fresh in-memory storage whose LeetCode API reports the given accepted slugs
+ */
+function createTracker(accepted = () => []) {
+  databaseService.useStorage(new MemoryAdapter());
+  const leetcodeApi = {
+    getUserSubmissions: async () => ({
+      submission: accepted().map(slug => ({
+        titleSlug: slug,
+        statusDisplay: 'Accepted',
+        timestamp: String(Math.floor(clock.now().getTime() / 1000)),
+        lang: 'python3'
+      }))
+    })
+  };
+  return new ProgressTracker({ leetcodeApi, emailService: {}, problemMetadata: { enrichProblems: async problems => problems } });
+}
+
+/**
+ * Plan the routine for a day and save the progress it would leave
+ */
+async function runDay(tracker, date, settings) {
+  return clock.withTime(`${date}T02:00:00`, async () => {
+    const planned = await tracker.planDailyRoutine(USER, settings, date);
+    if (planned.progress) {
+      await databaseService.saveProgress(planned.progress, USER.id);
+    }
+    return planned;
+  });
+}
+
+const tests = [
+  {
+    name: "A plan merges themes into topics and skips problems done in any plan",
+    run: async () => {
+      const plan = new StudyPlan({ id: 'arrays', name: 'Arrays first', version: 3, weeks: WEEKS });
+      const progress = {
+        sentProblems: [{ slug: 'valid-anagram', solved: true, sentDate: '2025-03-01' }],
+        pendingQueue: [],
+        planProgress: { other: { assigned: ['contains-duplicate'] } }
+      };
+      const planProgress = StudyPlan.withAssigned(progress.planProgress, 'arrays', ['two-sum']);
+
+      return [
+        [plan.topics.map(topic => topic.name).join(','), 'Arrays,Stack', 'topics'],
+        [plan.getAllProblemSlugs().join(','), 'two-sum,valid-anagram,contains-duplicate,two-sum,valid-parentheses', 'order'],
+        [plan.getTopicBySlug('valid-parentheses'), 'Stack', 'topic'],
+        [plan.getTopicBySlug('nope'), 'Unknown', 'unknown topic'],
+        [plan.getRemainingProblems(progress).map(p => p.slug).join(','), 'two-sum,valid-parentheses', 'remaining (repeat listed once)'],
+        [plan.getCompletion(progress).done, 2, 'done'],
+        [plan.getCompletion(progress).total, 4, 'total distinct'],
+        [planProgress.arrays.assigned.join(','), 'two-sum', 'assigned recorded'],
+        [progress.planProgress.arrays, undefined, 'input not modified']
+      ];
+    }
+  },
+
+  {
+    name: "Saving a plan bumps its version and keeps every version",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const plans = new PlanService(databaseService);
+
+      const before = await plans.listPlans();
+      const first = await plans.savePlan({ id: 'arrays', name: 'Arrays first', weeks: WEEKS, source: 'plan.csv' });
+      const second = await plans.savePlan({ id: 'arrays', weeks: { 1: WEEKS[2] } });
+      const replaced = await plans.savePlan({ id: 'default', weeks: WEEKS });
+      const after = await plans.listPlans();
+      const invalid = await plans.savePlan({ id: 'no spaces', weeks: WEEKS }).catch(error => error.message);
+      const empty = await plans.savePlan({ id: 'empty', weeks: {} }).catch(error => error.message);
+
+      return [
+        [before.map(plan => plan.id).join(','), 'default', 'bundled default listed'],
+        [first.version, 1, 'first version'],
+        [second.version, 2, 'second version'],
+        [second.name, 'Arrays first', 'name kept'],
+        [(await plans.getPlanVersion('arrays', 1)).weeks[3].problems.length, 2, 'old version kept'],
+        [(await plans.getPlan('arrays')).version, 2, 'latest version loaded'],
+        [replaced.version, 2, 'replacing the bundled default'],
+        [(await plans.getPlanVersion('default', 1)).source, 'study-plan.clean.json', 'bundled version kept'],
+        [after.map(plan => `${plan.id}:${plan.problems}`).join(','), 'arrays:1,default:5', 'summaries'],
+        [invalid, 'save plan: id - Plan id must be 1-64 letters, digits, "_" or "-"', 'invalid id'],
+        [empty, 'study plan: weeks - Must have at least one week', 'invalid plan'],
+        [await plans.getPlan('missing'), null, 'unknown plan']
+      ];
+    }
+  },
+
+  {
+    name: "The active plan comes from settings, then the user, then the default",
+    run: async () => {
+      databaseService.useStorage(new MemoryAdapter());
+      const plans = new PlanService(databaseService);
+      await plans.savePlan({ id: 'arrays', weeks: WEEKS });
+      await plans.savePlan({ id: 'stack', weeks: { 1: WEEKS[2] } });
+
+      const fromSettings = await plans.resolveActivePlan({ studyPlan: 'stack' }, { study_plan: 'arrays' });
+      const fromUser = await plans.resolveActivePlan({ studyPlan: 'stack' }, {});
+      const deleted = await plans.resolveActivePlan(null, { study_plan: 'gone' });
+      const settingsError = (() => {
+        try {
+          DataValidator.validateSettings({ ...DEFAULT_SETTINGS, study_plan: '../etc' });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })();
+
+      return [
+        [fromSettings.id, 'arrays', 'settings win'],
+        [fromUser.id, 'stack', 'user plan'],
+        [deleted.id, 'default', 'unknown plan falls back'],
+        [deleted.getOrderedProblemList()[0].slug, 'two-sum', 'bundled plan'],
+        [settingsError, 'study_plan must be a plan id (letters, digits, "_" and "-")', 'settings validation']
+      ];
+    }
+  },
+
+  {
+    name: "The daily routine assigns by slug and records the plan version",
+    run: async () => {
+      const tracker = createTracker();
+      await tracker.planService.savePlan({ id: 'arrays', weeks: WEEKS });
+      const settings = { ...DEFAULT_SETTINGS, num_questions: 2, study_plan: 'arrays' };
+
+      const day1 = await runDay(tracker, '2025-03-03', settings);
+      const progress = await databaseService.loadProgress(USER.id);
+
+      return [
+        [day1.progress.sentProblems.map(p => p.slug).join(','), 'two-sum,valid-anagram', 'first problems'],
+        [progress.planProgress.arrays.assigned.join(','), 'two-sum,valid-anagram', 'assigned slugs saved'],
+        [progress.studyPlanPosition, undefined, 'no position'],
+        [progress.settingsAtSendTime.study_plan, 'arrays', 'plan recorded'],
+        [progress.settingsAtSendTime.plan_version, 1, 'plan version recorded'],
+        [progress.schemaVersion, DEFAULT_PROGRESS.schemaVersion, 'schema version kept'],
+        [day1.historyEvents[0].topic, 'Arrays', 'topic from the active plan']
+      ];
+    }
+  },
+
+  {
+    name: "Switching or editing plans never resends solved problems",
+    run: async () => {
+      let accepted = [];
+      const tracker = createTracker(() => accepted);
+      await tracker.planService.savePlan({ id: 'arrays', weeks: WEEKS });
+      const settings = { ...DEFAULT_SETTINGS, num_questions: 1 };
+
+      // Day 1 on the default plan: two-sum
+      const day1 = await runDay(tracker, '2025-03-03', settings);
+
+      // Solve it, switch to a plan that also starts with two-sum
+      accepted = ['two-sum'];
+      const day2 = await runDay(tracker, '2025-03-04', { ...settings, study_plan: 'arrays' });
+
+      // Edit the plan - new problem first - and keep going from where we are
+      accepted = ['two-sum', 'valid-anagram'];
+      await tracker.planService.savePlan({ id: 'arrays', weeks: { 1: { theme: 'Greedy', problems: [problem('jump-game')] }, 2: WEEKS[1], 3: WEEKS[2] } });
+      const day3 = await runDay(tracker, '2025-03-05', { ...settings, study_plan: 'arrays' });
+      const progress = await databaseService.loadProgress(USER.id);
+      const newProblems = day => day.historyEvents.filter(event => event.kind === 'new').map(event => event.slug).join(',');
+
+      return [
+        [newProblems(day1), 'two-sum', 'default plan first problem'],
+        [newProblems(day2), 'valid-anagram', 'solved problem skipped after switching'],
+        [newProblems(day3), 'jump-game', 'edited plan picked up'],
+        [day3.progress.settingsAtSendTime.plan_version, 2, 'new version recorded'],
+        [progress.planProgress.default.assigned.join(','), 'two-sum', 'default plan progress kept'],
+        [progress.planProgress.arrays.assigned.join(','), 'valid-anagram,jump-game', 'arrays plan progress'],
+        [(await tracker.planService.loadStudyPlan('arrays')).getCompletion(progress).done, 3, 'completion counts other plans']
+      ];
+    }
+  },
+
+  {
+    name: "Progress validation accepts planProgress and rejects bad entries",
+    run: async () => {
+      const base = { lastSentDate: null, sentProblems: [], pendingQueue: [] };
+      const message = progress => {
+        try {
+          InternalDataValidator.validateProgressData(progress);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+
+      return [
+        [message({ ...base, planProgress: { default: { assigned: ['two-sum'] } } }), null, 'valid'],
+        [message({ ...base, studyPlanPosition: 3 }), null, 'older position still valid'],
+        [message({ ...base, planProgress: [] }), 'progress data: planProgress - Must be an object keyed by plan id', 'array'],
+        [message({ ...base, planProgress: { default: { assigned: [''] } } }), 'progress data: planProgress.default.assigned[0] - Must be non-empty string', 'empty slug'],
+        [message({ ...base, planProgress: { default: {} } }), 'progress data: planProgress.default.assigned - Must be an array', 'missing list']
+      ];
+    }
+  }
+];
+
+// Run Tests
+async function runTests() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  originalLog('🧪 Running Study Plan Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, test] of tests.entries()) {
+    originalLog(`${index + 1}. ${test.name}`);
+
+    try {
+      console.log = () => {};
+      console.warn = () => {};
+      console.error = () => {};
+      const checks = await test.run();
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+
+      const errors = checks
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Study plans are working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the study plans.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test Weekly Report
+ *
+ * Covers the week range, assigned vs. solved counts, topics, average
+ * time to solve and building records from the history log.
+ */
+
+const { WeeklyReport } = require('./lib/weeklyReport');
+
+// Local-time ISO timestamp, matching how solves are stored
+const at = (date, hour) => new Date(`${date}T${String(hour).padStart(2, '0')}:00:00`).toISOString();
+
+const TOPICS = { 'two-sum': 'Arrays', 'valid-anagram': 'Arrays', 'lru-cache': 'Design', 'old': 'Graphs' };
+const getTopic = slug => TOPICS[slug] || 'Unknown';
+
+const RECORDS = [
+  { slug: 'two-sum', sentDate: '2025-06-23', solved: true, solvedTimestamp: at('2025-06-23', 10), reviewDates: [] },
+  { slug: 'valid-anagram', sentDate: '2025-06-24', solved: true, solvedTimestamp: at('2025-06-25', 2), reviewDates: [] },
+  { slug: 'lru-cache', sentDate: '2025-06-28', solved: false, reviewDates: [] },
+  { slug: 'old', sentDate: '2025-06-10', solved: true, solvedTimestamp: at('2025-06-11', 9), reviewDates: ['2025-06-12', '2025-06-26'] }
+];
+
+const tests = [
+  {
+    name: "Week range is the 7 days ending today",
+    run: () => {
+      const range = WeeklyReport.getWeekRange('2025-06-29');
+      return [
+        [range.startDate, '2025-06-23', 'startDate'],
+        [range.endDate, '2025-06-29', 'endDate']
+      ];
+    }
+  },
+
+  {
+    name: "Counts assigned, solved and reviews in the week",
+    run: () => {
+      const report = WeeklyReport.build(RECORDS, { ...WeeklyReport.getWeekRange('2025-06-29'), getTopic });
+      return [
+        [report.assignedCount, 3, 'assignedCount'],
+        [report.solvedCount, 2, 'solvedCount'],
+        [report.solvedOfAssignedCount, 2, 'solvedOfAssignedCount'],
+        [report.reviewsCompletedCount, 1, 'reviewsCompletedCount'],
+        [report.unsolved.join(','), 'lru-cache', 'unsolved']
+      ];
+    }
+  },
+
+  {
+    name: "Topics touched and average time to solve",
+    run: () => {
+      const report = WeeklyReport.build(RECORDS, { ...WeeklyReport.getWeekRange('2025-06-29'), getTopic });
+      return [
+        [report.topics.join(','), 'Arrays,Design', 'topics'],
+        // 10 hours and 26 hours after the start of the assignment day
+        [report.averageSolveHours, 18, 'averageSolveHours']
+      ];
+    }
+  },
+
+  {
+    name: "Empty week has no average",
+    run: () => {
+      const report = WeeklyReport.build([], WeeklyReport.getWeekRange('2025-06-29'));
+      return [
+        [report.assignedCount, 0, 'assignedCount'],
+        [report.averageSolveHours, null, 'averageSolveHours']
+      ];
+    }
+  },
+
+  {
+    name: "Records come from history events and sentProblems",
+    run: () => {
+      const history = [
+        { type: 'assigned', kind: 'new', slug: 'two-sum', date: '2025-06-23', sentDate: '2025-06-23' },
+        { type: 'solved', slug: 'two-sum', date: '2025-06-23', sentDate: '2025-06-23', solvedTimestamp: at('2025-06-23', 10) },
+        { type: 'assigned', kind: 'repeat', slug: 'lru-cache', date: '2025-06-24', sentDate: '2025-06-20' },
+        { type: 'reviewed', slug: 'old', date: '2025-06-26', sentDate: '2025-06-10' }
+      ];
+      const progress = {
+        sentProblems: [
+          { slug: 'lru-cache', sentDate: '2025-06-20', solved: false },
+          { slug: 'two-sum', sentDate: '2025-06-23', solved: true, solvedTimestamp: at('2025-06-23', 10) }
+        ]
+      };
+      const records = WeeklyReport.collectRecords(progress, history);
+      const bySlug = Object.fromEntries(records.map(r => [r.slug, r]));
+      return [
+        [records.length, 3, 'records'],
+        [bySlug['two-sum'].solved, true, 'two-sum solved'],
+        [bySlug['lru-cache'].sentDate, '2025-06-20', 'repeat keeps original send date'],
+        [bySlug['old'].reviewDates.join(','), '2025-06-26', 'review dates']
+      ];
+    }
+  }
+];
+
+// Run Tests
+function runTests() {
+  console.log('🧪 Running Weekly Report Tests\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  tests.forEach((test, index) => {
+    console.log(`${index + 1}. ${test.name}`);
+
+    try {
+      const errors = test.run()
+        .filter(([actual, expected]) => actual !== expected)
+        .map(([actual, expected, label]) => `Expected ${label} ${expected}, got ${actual}`);
+
+      if (errors.length === 0) {
+        console.log('   ✅ PASSED');
+        passed++;
+      } else {
+        console.log('   ❌ FAILED');
+        errors.forEach(error => console.log(`      - ${error}`));
+        failed++;
+      }
+    } catch (error) {
+      console.log('   💥 ERROR:', error.message);
+      failed++;
+    }
+
+    console.log('');
+  });
+
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed! Weekly report is working correctly.\n');
+  } else {
+    console.log('⚠️ Some tests failed. Please review the logic.\n');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -12,23 +12,82 @@
  */
 
 require('dotenv').config();
+const fs = require('fs');
 const axios = require('axios');
-const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 const { format, startOfDay, isToday, parseISO } = require('date-fns');
 
-const { STUDY_PLAN, TRACKER_CONFIG, StudyPlanHelper } = require('./study-plan');
+const { STUDY_PLAN, TRACKER_CONFIG, StudyPlanHelper, DEFAULT_STUDY_PLAN } = require('./study-plan');
+const { StudyPlan } = require('./lib/studyPlan');
 
 // Import Firebase database service
 const { databaseService } = require('./lib/firebase');
 
+// Import UserService for per-user routines
+const { userService, DEFAULT_USER_ID } = require('./lib/userService');
+
 // Import ReliabilityService for persistent wake-up
 const { ReliabilityService } = require('./lib/reliabilityService');
 
+// Import ReviewScheduler for spaced-repetition reviews
+const { ReviewScheduler } = require('./lib/reviewScheduler');
+
+// Import StreakTracker for practice streaks
+const { StreakTracker, STREAK_RULES } = require('./lib/streakTracker');
+
+// Pause windows and rest days
+const { PauseSchedule } = require('./lib/pauseSchedule');
+
+// Adaptive daily problem count
+const { AdaptiveLoad } = require('./lib/adaptiveLoad');
+
+// Import HistoryLog for the append-only solve history
+const { HistoryLog } = require('./lib/historyLog');
+
+// Import manual solve / skip / snooze actions
+const { ProblemActions, DETECTED_SOURCE } = require('./lib/problemActions');
+const { actionLinks } = require('./lib/actionLinks');
+
+// Import the run ledger that keeps the daily routine idempotent
+const { runLedger, RunLedger } = require('./lib/runLedger');
+
+// Import job history so every scheduled run is recorded with its log
+const { jobHistory } = require('./lib/jobHistory');
+
+// Import cached problem metadata (tags, premium flags) for emails
+const { problemMetadata } = require('./lib/problemMetadata');
+
+// Import PlanService for named, versioned study plans
+const { planService, PlanService } = require('./lib/planService');
+
+// Import the study plan importers (CSV, YAML, Markdown, bundled lists)
+const { importPlan, PLAN_FORMATS, BUILTIN_PLANS } = require('./lib/planImport');
+
+// Import the Prometheus metrics served at /metrics
+const { metrics } = require('./lib/metrics');
+
+// Import WeeklyReport for the Sunday summary
+const { WeeklyReport } = require('./lib/weeklyReport');
+
+// Import notification channels (email, Slack, Discord, webhook)
+const { createNotifier, createTransporter, NOTIFICATION_CHANNELS, DEFAULT_CHANNELS } = require('./lib/notifier');
+
+// Import the shared clock so routines can run as of any date
+const { clock } = require('./lib/clock');
+const { emailTemplates } = require('./lib/emailTemplates');
+
+// Import the logger - job logs are recorded by correlation id (lib/jobHistory.js)
+const { logger } = require('./lib/logger');
+
+const log = logger.child('tracker');
+
 /**
  * New Data Structure Management
  */
 
+// Daily routine outcomes that sent nothing - the run ledger leaves the day open for another try
+const SKIPPED_OUTCOMES = ['paused', 'plan-complete'];
+
 // Default user settings
 const DEFAULT_SETTINGS = {
   num_questions: 1,
@@ -37,53 +96,6 @@ const DEFAULT_SETTINGS = {
   updated_at: new Date().toISOString()
 };
 
-// Default progress structure
-const DEFAULT_PROGRESS = {
-  lastSentDate: null,
-  sentProblems: [],
-  studyPlanPosition: 0,
-  pendingQueue: [],
-  settingsAtSendTime: {
-    num_questions: 1,
-    timestamp: null
-  }
-};
-
-/**
- * Migration function for old progress.json format
- */
-function migrateOldProgress(oldData) {
-  console.log('📦 Old format detected:', oldData);
-  
-  const orderedProblems = StudyPlanHelper.getOrderedProblemList();
-  let studyPlanPosition = 0;
-  
-  // Find current position in study plan
-  if (oldData.lastSlug) {
-    const currentIndex = orderedProblems.findIndex(p => p.slug === oldData.lastSlug);
-    studyPlanPosition = currentIndex !== -1 ? currentIndex : 0;
-  }
-  
-  const migratedProgress = {
-    lastSentDate: oldData.lastSentDate,
-    sentProblems: oldData.lastSlug ? [{
-      slug: oldData.lastSlug,
-      solved: oldData.solved || false,
-      sentDate: oldData.lastSentDate
-    }] : [],
-    studyPlanPosition: studyPlanPosition,
-    pendingQueue: [],
-    settingsAtSendTime: {
-      num_questions: 1, // Default for migrated data
-      timestamp: oldData.lastSentDate
-    }
-  };
-  
-  console.log('✅ Migrated to new format:', migratedProgress);
-  databaseService.saveProgress(migratedProgress);
-  return migratedProgress;
-}
-
 /**
  * Helper function to validate and sanitize num_questions
  */
@@ -94,36 +106,105 @@ function validateNumQuestions(num) {
   return parsed;
 }
 
+/**
+ * Get the review share for the current settings (settings override config)
+ */
+function getReviewShare(settings) {
+  if (!TRACKER_CONFIG.review.enabled) return 0;
+  const share = settings.review_share ?? TRACKER_CONFIG.review.dailyShare;
+  if (typeof share !== 'number' || isNaN(share)) return TRACKER_CONFIG.review.dailyShare;
+  return Math.min(1, Math.max(0, share));
+}
+
+/**
+ * Get the streak rule for the current settings (settings override config)
+ */
+function getStreakRule(settings) {
+  const rule = settings.streak_rule || TRACKER_CONFIG.goals.streakRule;
+  return STREAK_RULES.includes(rule) ? rule : 'assigned';
+}
+
+/**
+ * This week's system design topic name, or null if it can't be determined
+ */
+function getSystemDesignTopicName() {
+  try {
+    // Required lazily - the system design sender loads its plan and template on require
+    const { getCurrentTopic } = require('./send-system-design');
+    return getCurrentTopic()?.name || null;
+  } catch (error) {
+    log.warn(`⚠️ Could not determine system design topic: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Plan entry for a problem: the active plan's, else the bundled plan's for
+ * problems carried over from another plan, else null
+ */
+function findProblem(plan, slug) {
+  return plan.getProblemBySlug(slug) || StudyPlanHelper.getProblemBySlug(slug);
+}
+
+/**
+ * Topic of a problem in the active plan (same fallback as findProblem)
+ */
+function getTopic(plan, slug) {
+  const topic = plan.getTopicBySlug(slug);
+  return topic === 'Unknown' ? StudyPlanHelper.getTopicBySlug(slug) : topic;
+}
+
+/**
+ * Attach the study plan topic to each problem for the email templates
+ * (getProblemDetails already attaches the active plan's topic)
+ */
+function withTopics(problems) {
+  return problems.map(problem => ({ ...problem, topic: problem.topic || StudyPlanHelper.getTopicBySlug(problem.slug) }));
+}
+
 /**
  * Get problems to send today based on progress and settings
+ * New problems are the plan's next ones not yet assigned by any plan; they are
+ * recorded in updatedPlanProgress under the plan's id.
+ * @param {StudyPlan} plan - Active study plan (defaults to the bundled one)
  */
-function calculateTodaysProblems(progress, settings) {
+function calculateTodaysProblems(progress, settings, todayStr = clock.today(), plan = DEFAULT_STUDY_PLAN) {
   const numQuestions = validateNumQuestions(settings.num_questions);
-  const orderedProblems = StudyPlanHelper.getOrderedProblemList();
+  const remainingProblems = plan.getRemainingProblems(progress);
   
-  // Get unfinished problems from any previous day
+  // Get unfinished problems from any previous day (snoozed ones wait until their date)
+  const isWaiting = p => !p.solved && !ProblemActions.isSnoozed(p, todayStr);
   const unfinishedProblems = progress.sentProblems
-    .filter(p => !p.solved)
+    .filter(isWaiting)
     .map(p => p.slug);
   
   // Handle pending queue (from previous num_questions decreases)
   const allPending = [...unfinishedProblems, ...progress.pendingQueue];
+
+  // Reviews due today take up to their share of the daily slots
+  const dueReviews = ReviewScheduler.getDueReviews(progress.sentProblems, todayStr).map(p => p.slug);
+  const reviewSlots = Math.min(
+    dueReviews.length,
+    ReviewScheduler.getReviewSlots(numQuestions, getReviewShare(settings))
+  );
+  const planSlots = numQuestions - reviewSlots;
   
   const result = {
     problems: [],
     unfinished: [],
     newProblems: [],
-    updatedPosition: progress.studyPlanPosition,
+    reviews: dueReviews.slice(0, reviewSlots),
+    updatedPlanProgress: progress.planProgress || {},
     updatedPendingQueue: []
   };
   
   // If we have pending problems
   if (allPending.length > 0) {
-    if (allPending.length >= numQuestions) {
+    if (allPending.length >= planSlots) {
       // More pending than we can send - prioritize oldest unsolved first
       const sortedPending = [...allPending];
       const oldestFirst = progress.sentProblems
-        .filter(p => !p.solved)
+        .filter(isWaiting)
         .sort((a, b) => new Date(a.sentDate) - new Date(b.sentDate))
         .map(p => p.slug);
       
@@ -136,34 +217,36 @@ function calculateTodaysProblems(progress, settings) {
         }
       });
       
-      result.problems = sortedPending.slice(0, numQuestions);
+      result.problems = sortedPending.slice(0, planSlots);
       result.unfinished = result.problems;
-      result.updatedPendingQueue = sortedPending.slice(numQuestions);
+      result.updatedPendingQueue = sortedPending.slice(planSlots);
     } else {
       // Some pending + some new
       result.unfinished = [...allPending];
       result.problems = [...allPending];
       
       // Add new problems to fill quota
-      const newNeeded = numQuestions - allPending.length;
-      for (let i = 0; i < newNeeded && result.updatedPosition < orderedProblems.length; i++) {
-        const nextProblem = orderedProblems[result.updatedPosition];
-        result.problems.push(nextProblem.slug);
-        result.newProblems.push(nextProblem.slug);
-        result.updatedPosition++;
-      }
+      const newNeeded = planSlots - allPending.length;
+      result.newProblems = remainingProblems.slice(0, newNeeded).map(p => p.slug);
+      result.problems.push(...result.newProblems);
       
       result.updatedPendingQueue = [];
     }
   } else {
     // No pending, all new problems
-    for (let i = 0; i < numQuestions && result.updatedPosition < orderedProblems.length; i++) {
-      const nextProblem = orderedProblems[result.updatedPosition];
-      result.problems.push(nextProblem.slug);
-      result.newProblems.push(nextProblem.slug);
-      result.updatedPosition++;
-    }
+    result.newProblems = remainingProblems.slice(0, planSlots).map(p => p.slug);
+    result.problems.push(...result.newProblems);
+  }
+
+  result.updatedPlanProgress = StudyPlan.withAssigned(result.updatedPlanProgress, plan.id, result.newProblems);
+
+  // Study plan ran dry - let extra due reviews fill the remaining slots
+  const freeSlots = planSlots - result.problems.length;
+  if (freeSlots > 0) {
+    result.reviews.push(...dueReviews.slice(reviewSlots, reviewSlots + freeSlots));
   }
+
+  result.problems.push(...result.reviews);
   
   return result;
 }
@@ -172,12 +255,23 @@ function calculateTodaysProblems(progress, settings) {
  * LeetCode API Client
  */
 class LeetCodeAPI {
-  constructor() {
-    this.baseURL = TRACKER_CONFIG.api.baseUrl;
+  /**
+   * @param {Object} options - { baseURL } to use instead of the configured API
+   */
+  constructor(options = {}) {
+    this.configuredBaseURL = options.baseURL || null;
     this.timeout = TRACKER_CONFIG.api.timeout;
     this.reliabilityService = new ReliabilityService();
   }
 
+  /**
+   * API base URL - resolved on first use so a missing LEETCODE_API_URL only
+   * fails commands that actually call the API
+   */
+  get baseURL() {
+    return this.configuredBaseURL || TRACKER_CONFIG.api.baseUrl;
+  }
+
   /**
    * Get user's recent submissions with retry logic
    */
@@ -220,7 +314,7 @@ class LeetCodeAPI {
    * Get all submissions with pagination
    */
   async getAllSubmissions(username, startDate) {
-    console.log(`\n🔄 Fetching ALL submissions since ${startDate}...`);
+    log.info(`\n🔄 Fetching ALL submissions since ${startDate}...`);
     let allSubmissions = [];
     let offset = 0;
     const limit = 100; // Maximum allowed by API
@@ -228,7 +322,7 @@ class LeetCodeAPI {
 
     while (hasMore) {
       try {
-        console.log(`\n📑 Fetching page ${offset/limit + 1} (offset: ${offset}, limit: ${limit})`);
+        log.debug(`\n📑 Fetching page ${offset/limit + 1} (offset: ${offset}, limit: ${limit})`);
         
         const response = await this.reliabilityService.withRetry(
           async () => {
@@ -244,19 +338,19 @@ class LeetCodeAPI {
         );
 
         const submissions = response.data.submission || [];
-        console.log(`✅ Retrieved ${submissions.length} submissions`);
+        log.info(`✅ Retrieved ${submissions.length} submissions`);
 
         if (submissions.length > 0) {
           // Log first and last submission timestamps in this batch
           const first = new Date(parseInt(submissions[0].timestamp) * 1000);
           const last = new Date(parseInt(submissions[submissions.length - 1].timestamp) * 1000);
-          console.log(`   Range: ${first.toISOString()} -> ${last.toISOString()}`);
+          log.debug(`   Range: ${first.toISOString()} -> ${last.toISOString()}`);
 
           // Check if we've gone past our start date
           const oldestTimestamp = parseInt(submissions[submissions.length - 1].timestamp) * 1000;
           const startTimestamp = new Date(startDate).getTime();
           if (oldestTimestamp < startTimestamp) {
-            console.log(`🎯 Reached submissions older than target date, stopping pagination`);
+            log.info(`🎯 Reached submissions older than target date, stopping pagination`);
             hasMore = false;
           }
         }
@@ -265,7 +359,7 @@ class LeetCodeAPI {
         
         // If we got fewer results than limit, we've reached the end
         if (submissions.length < limit) {
-          console.log(`📌 Reached end of submissions (got ${submissions.length} < ${limit})`);
+          log.info(`📌 Reached end of submissions (got ${submissions.length} < ${limit})`);
           hasMore = false;
         } else {
           offset += limit;
@@ -273,12 +367,12 @@ class LeetCodeAPI {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       } catch (error) {
-        console.error(`❌ Error fetching submissions page:`, error.message);
+        log.error(`❌ Error fetching submissions page:`, error.message);
         hasMore = false; // Stop on error
       }
     }
 
-    console.log(`\n📊 Total submissions fetched: ${allSubmissions.length}`);
+    log.info(`\n📊 Total submissions fetched: ${allSubmissions.length}`);
     return {
       count: allSubmissions.length,
       submission: allSubmissions
@@ -291,24 +385,24 @@ class LeetCodeAPI {
   async getSubmissionsForDate(username, targetDate) {
     return await this.reliabilityService.withRetry(
       async () => {
-        console.log(`\n🔍 Fetching submissions for ${targetDate}...`);
+        log.info(`\n🔍 Fetching submissions for ${targetDate}...`);
         const response = await axios.get(
           `${this.baseURL}/${username}/acSubmission?date=${targetDate}&limit=100`,
           { timeout: 30000 }
         );
 
         if (!response.data.submission || !Array.isArray(response.data.submission)) {
-          console.log('⚠️ Invalid API response structure');
+          log.warn('⚠️ Invalid API response structure');
           return [];
         }
 
-        console.log(`\n📊 Found ${response.data.submission.length} submissions:`);
+        log.info(`\n📊 Found ${response.data.submission.length} submissions:`);
         response.data.submission.forEach(s => {
           const timestamp = new Date(parseInt(s.timestamp) * 1000);
-          console.log(`\n${s.titleSlug}:`);
-          console.log(`  Status: ${s.statusDisplay}`);
-          console.log(`  UTC: ${timestamp.toISOString()}`);
-          console.log(`  Local: ${timestamp.toLocaleString()}`);
+          log.info(`\n${s.titleSlug}:`);
+          log.info(`  Status: ${s.statusDisplay}`);
+          log.info(`  UTC: ${timestamp.toISOString()}`);
+          log.info(`  Local: ${timestamp.toLocaleString()}`);
         });
 
         // Filter accepted submissions
@@ -317,16 +411,16 @@ class LeetCodeAPI {
         );
 
         if (acceptedSubmissions.length > 0) {
-          console.log(`\n✅ Found ${acceptedSubmissions.length} accepted submissions:`);
+          log.info(`\n✅ Found ${acceptedSubmissions.length} accepted submissions:`);
           acceptedSubmissions.forEach(s => {
             const timestamp = new Date(parseInt(s.timestamp) * 1000);
-            console.log(`\n${s.titleSlug}:`);
-            console.log(`  Status: ${s.statusDisplay}`);
-            console.log(`  UTC: ${timestamp.toISOString()}`);
-            console.log(`  Local: ${timestamp.toLocaleString()}`);
+            log.info(`\n${s.titleSlug}:`);
+            log.info(`  Status: ${s.statusDisplay}`);
+            log.info(`  UTC: ${timestamp.toISOString()}`);
+            log.info(`  Local: ${timestamp.toLocaleString()}`);
           });
         } else {
-          console.log('\n❌ No accepted submissions found');
+          log.info('\n❌ No accepted submissions found');
         }
 
         return acceptedSubmissions;
@@ -338,18 +432,45 @@ class LeetCodeAPI {
     );
   }
 
+  /**
+   * Get a problem's details (tags, difficulty, premium flag, similar questions)
+   * @param {string} slug - Problem slug
+   * @returns {Promise<Object|null>} /select response, or null if LeetCode has no such problem
+   */
+  async getProblem(slug) {
+    return await this.reliabilityService.withRetry(
+      async () => {
+        try {
+          const response = await axios.get(`${this.baseURL}/select`, {
+            params: { titleSlug: slug },
+            timeout: 30000
+          });
+          return response.data;
+        } catch (error) {
+          // Unknown slugs are an answer, not a failure for the circuit breaker
+          if (error.response?.status === 404) return null;
+          throw error;
+        }
+      },
+      {
+        strategy: 'normal',
+        name: `getProblem(${slug})`
+      }
+    );
+  }
+
   /**
    * Persistent wake up for Render free tier - will wait as long as needed
    */
   async wakeUpAPI() {
-    console.log('🌅 Waking up external API (Render free tier can take 2-3 minutes)...');
+    log.info('🌅 Waking up external API (Render free tier can take 2-3 minutes)...');
     
     return await this.reliabilityService.withRetry(
       async () => {
         const response = await axios.get(`${this.baseURL}/daily`, { 
           timeout: 60000 // 60 second timeout per attempt
         });
-        console.log('✅ API is fully awake and responsive!');
+        log.info('✅ API is fully awake and responsive!');
         return true;
       },
       {
@@ -368,10 +489,10 @@ class LeetCodeAPI {
       const response = await axios.get(`${this.baseURL}/daily`, { timeout: 10000 });
       const duration = Date.now() - start;
       
-      console.log(`✅ API Health: OK (${duration}ms response time)`);
+      log.info(`✅ API Health: OK (${duration}ms response time)`);
       return { healthy: true, responseTime: duration };
     } catch (error) {
-      console.log(`❌ API Health: POOR (${error.message})`);
+      log.warn(`❌ API Health: POOR (${error.message})`);
       return { healthy: false, error: error.message };
     }
   }
@@ -381,215 +502,188 @@ class LeetCodeAPI {
  * Email Notification Service
  */
 class EmailService {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      service: process.env.EMAIL_SERVICE || 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
+  constructor(options = {}) {
+    this.to = options.to || process.env.TO_EMAIL;
+    this.transporter = options.transporter || createTransporter();
+    // An explicit notifier (e.g. the recorder in `simulate`) is kept for every recipient
+    this.fixedNotifier = options.notifier || null;
+    this.notifier = this.fixedNotifier || createNotifier(options.settings, {
+      transporter: this.transporter,
+      to: this.to
+    });
+  }
+
+  /**
+   * Get a service for another recipient and their channel settings (shares the transporter)
+   */
+  forRecipient(to, settings = null) {
+    return new EmailService({
+      to: to || this.to,
+      transporter: this.transporter,
+      notifier: this.fixedNotifier,
+      settings
     });
   }
 
   /**
-   * Send email notification
+   * Send notification through the configured channels (email, Slack, Discord, webhook)
    */
-  async sendEmail(subject, htmlContent, textContent) {
+  async sendEmail(subject, htmlContent, textContent, type = 'notification') {
     try {
-      const mailOptions = {
-        from: process.env.FROM_EMAIL,
-        to: process.env.TO_EMAIL,
-        subject: subject,
+      const result = await this.notifier.send({
+        type,
+        subject,
         html: htmlContent,
         text: textContent
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Email sent successfully:', subject);
+      });
+      metrics.emailsSent.inc({ type });
       return result;
     } catch (error) {
-      console.error('❌ Error sending email:', error.message);
+      log.error('❌ Error sending notification:', error.message);
+      metrics.emailsFailed.inc({ type });
       throw error;
     }
   }
 
   /**
-   * Send new question notification
+   * Send a composed message - see the compose* methods
+   * @param {Object} message - { type, subject, html, text }
    */
-  async sendNewQuestionEmail(weekNumber, weekTheme, problems) {
-    const subject = `🚀 Week ${weekNumber} LeetCode Challenge: ${weekTheme}`;
-    
-    const htmlContent = `
-      <h2>🎯 New Week Challenge!</h2>
-      <p>Hey there! Ready for <strong>Week ${weekNumber}: ${weekTheme}</strong>?</p>
-      
-      <h3>📚 This Week's Problems:</h3>
-      <ul>
-        ${problems.map(p => `
-          <li>
-            <strong>${p.name}</strong> (${p.difficulty})
-            <br/>⏱️ Estimated time: ${p.estimatedTime} minutes
-            <br/>🔗 <a href="https://leetcode.com/problems/${p.slug}/">Solve on LeetCode</a>
-          </li>
-        `).join('')}
-      </ul>
-      
-      <p>💪 <strong>Goal:</strong> Complete at least ${TRACKER_CONFIG.goals.dailyMinimum} problem today!</p>
-      <p>🎯 <strong>Week Target:</strong> ${TRACKER_CONFIG.goals.weeklyTarget} problems</p>
-      
-      <p>Good luck! 🍀</p>
-    `;
-
-    const textContent = `
-      Week ${weekNumber} LeetCode Challenge: ${weekTheme}
-      
-      This week's problems:
-      ${problems.map(p => `- ${p.name} (${p.difficulty}) - ${p.estimatedTime} min`).join('\n')}
-      
-      Goal: Complete at least ${TRACKER_CONFIG.goals.dailyMinimum} problem today!
-      Week Target: ${TRACKER_CONFIG.goals.weeklyTarget} problems
-    `;
-
-    await this.sendEmail(subject, htmlContent, textContent);
+  async deliver(message) {
+    return this.sendEmail(message.subject, message.html, message.text, message.type);
   }
 
   /**
-   * Send reminder notification
+   * Render a template from templates/email/ into a message
+   * @returns {Object} { type, subject, html, text }
    */
-  async sendReminderEmail(problem, topicName){
-    const subject = `⏰ Reminder – Yesterday's problem still pending`;
-    const html = `
-      <h2>⏰ Don't forget your LeetCode!</h2>
-      <p>You didn't submit <strong>${problem.name}</strong> yesterday.</p>
-      <p>Topic: ${topicName}</p>
-      <p>🔗 <a href="https://leetcode.com/problems/${problem.slug}/">Try the problem now</a></p>`;
-    const text = `Reminder – You still need to solve yesterday's problem:\n${problem.name}\nhttps://leetcode.com/problems/${problem.slug}/`;
-    await this.sendEmail(subject,html,text);
+  static compose(template, type, subject, data) {
+    return { type, subject, ...emailTemplates.render(template, data) };
   }
 
   /**
-   * Send congratulations notification
+   * New week notification
    */
-  async sendCongratulationsEmail(todaysProblems, streak = 0) {
-    const subject = `🎉 Great job! ${todaysProblems.length} problem${todaysProblems.length > 1 ? 's' : ''} solved today!`;
-    
-    const htmlContent = `
-      <h2>🎉 Fantastic work!</h2>
-      <p>You solved <strong>${todaysProblems.length} problem${todaysProblems.length > 1 ? 's' : ''}</strong> today!</p>
-      
-      <h3>✅ Today's achievements:</h3>
-      <ul>
-        ${todaysProblems.map(p => `
-          <li><strong>${p.title}</strong> - ${p.lang}</li>
-        `).join('')}
-      </ul>
-      
-      ${streak > 0 ? `<p>🔥 <strong>Current streak: ${streak} days!</strong></p>` : ''}
-      
-      ${todaysProblems.length > TRACKER_CONFIG.goals.dailyMinimum ? 
-        `<p>💪 You exceeded your daily goal of ${TRACKER_CONFIG.goals.dailyMinimum}! Amazing!</p>` : 
-        `<p>✅ Perfect! You hit your daily goal of ${TRACKER_CONFIG.goals.dailyMinimum} problem!</p>`
-      }
-      
-      <p>Keep up the momentum! 🚀</p>
-    `;
+  static composeNewQuestionEmail(weekNumber, weekTheme, problems) {
+    return EmailService.compose('new-week', 'new-week',
+      `🚀 Week ${weekNumber} LeetCode Challenge: ${weekTheme}`,
+      { weekNumber, weekTheme, problems, goals: TRACKER_CONFIG.goals, showEstimates: true });
+  }
 
-    const textContent = `
-      Great job! ${todaysProblems.length} problem${todaysProblems.length > 1 ? 's' : ''} solved today!
-      
-      Today's achievements:
-      ${todaysProblems.map(p => `- ${p.title} (${p.lang})`).join('\n')}
-      
-      ${streak > 0 ? `Current streak: ${streak} days!` : ''}
-      ${todaysProblems.length > TRACKER_CONFIG.goals.dailyMinimum ? 'You exceeded your daily goal! Amazing!' : 'Perfect! You hit your daily goal!'}
-    `;
+  /**
+   * Reminder for a single unfinished problem
+   */
+  static composeReminderEmail(problem, topicName, streak = null, load = null) {
+    return EmailService.compose('reminder', 'reminder',
+      `⏰ Reminder – Yesterday's problem still pending`,
+      { problem, topicName, streak, load });
+  }
 
-    await this.sendEmail(subject, htmlContent, textContent);
+  /**
+   * Congratulations for today's solves
+   * @param {Array<Object>} todaysProblems - { title, lang }
+   */
+  static composeCongratulationsEmail(todaysProblems, streak = null) {
+    const count = todaysProblems.length;
+    return EmailService.compose('congratulations', 'congratulations',
+      `🎉 Great job! ${count} problem${count > 1 ? 's' : ''} solved today!`,
+      {
+        solved: todaysProblems,
+        exceededGoal: count > TRACKER_CONFIG.goals.dailyMinimum,
+        goals: TRACKER_CONFIG.goals,
+        streak
+      });
   }
 
   /**
-   * Send today's question email (supports multiple problems)
+   * Today's single new problem
    */
-  async sendTodaysQuestionEmail(problem, topicName){
-    const subject = `📝 Today's LeetCode – ${problem.name}`;
-    const html = `
-      <h2>Topic: ${topicName}</h2>
-      <p>Your problem for today is <strong>${problem.name}</strong> (${problem.difficulty}).</p>
-      <p>🔗 <a href="https://leetcode.com/problems/${problem.slug}/">Open on LeetCode</a></p>
-      <p>Good luck! You only need to complete <strong>one</strong> problem today.</p>`;
-    const text = `Topic: ${topicName}\nToday's problem: ${problem.name} (${problem.difficulty})\nhttps://leetcode.com/problems/${problem.slug}/`;
-    await this.sendEmail(subject,html,text);
+  static composeTodaysQuestionEmail(problem, topicName, streak = null, load = null) {
+    return EmailService.compose('todays-question', 'daily-problems',
+      `📝 Today's LeetCode – ${problem.name}`,
+      { problem, topicName, streak, load });
   }
 
   /**
-   * Send multiple problems email with categorization
+   * Today's problems split into unfinished, new and review sections
    */
-  async sendMultipleProblemsEmail(problemDetails, categories) {
-    const { unfinished, newProblems, totalCount } = categories;
+  static composeMultipleProblemsEmail(problemDetails, categories) {
+    const { unfinished, newProblems, reviews = [], totalCount, streak = null, load = null } = categories;
     
     let subject;
     if (unfinished.length > 0 && newProblems.length > 0) {
       subject = `📝 Today's LeetCode Mix – ${unfinished.length} reminder + ${newProblems.length} new`;
+    } else if (reviews.length === totalCount) {
+      subject = `🔁 Review – ${reviews.length} problem${reviews.length > 1 ? 's' : ''} to revisit`;
     } else if (unfinished.length > 0) {
       subject = `⏰ Reminder – ${unfinished.length} unfinished problem${unfinished.length > 1 ? 's' : ''}`;
     } else {
       subject = `📝 Today's LeetCode – ${totalCount} problem${totalCount > 1 ? 's' : ''}`;
     }
 
-    let htmlContent = '<h2>🎯 Your LeetCode Problems for Today</h2>';
-    let textContent = 'Your LeetCode Problems for Today\n\n';
+    return EmailService.compose('multiple-problems', 'daily-problems', subject, {
+      unfinished: withTopics(unfinished),
+      newProblems: withTopics(newProblems),
+      reviews: withTopics(reviews),
+      totalCount,
+      streak,
+      load
+    });
+  }
 
-    // Unfinished problems section
-    if (unfinished.length > 0) {
-      htmlContent += `
-        <h3>⏰ Unfinished from Yesterday (${unfinished.length})</h3>
-        <p><em>Complete these first to progress:</em></p>
-        <ul>`;
-      
-      textContent += `⏰ Unfinished from Yesterday (${unfinished.length})\nComplete these first to progress:\n\n`;
-      
-      unfinished.forEach(problem => {
-        const topicName = StudyPlanHelper.getTopicBySlug(problem.slug);
-        htmlContent += `
-          <li>
-            <strong>${problem.name}</strong> (${problem.difficulty}) - ${topicName}
-            <br/>🔗 <a href="https://leetcode.com/problems/${problem.slug}/">Solve on LeetCode</a>
-          </li>`;
-        textContent += `- ${problem.name} (${problem.difficulty}) - ${topicName}\n  https://leetcode.com/problems/${problem.slug}/\n\n`;
-      });
-      
-      htmlContent += '</ul>';
-    }
+  /**
+   * Evening reminder for problems still unsolved today
+   */
+  static composeEveningReminderEmail(problems, streak = null) {
+    const count = problems.length;
+    return EmailService.compose('evening-reminder', 'evening-reminder',
+      `🌙 ${count} problem${count > 1 ? 's' : ''} still open today`,
+      { problems: withTopics(problems), streak });
+  }
 
-    // New problems section
-    if (newProblems.length > 0) {
-      htmlContent += `
-        <h3>🆕 New Problems (${newProblems.length})</h3>
-        <ul>`;
-      
-      textContent += `\n🆕 New Problems (${newProblems.length})\n\n`;
-      
-      newProblems.forEach(problem => {
-        const topicName = StudyPlanHelper.getTopicBySlug(problem.slug);
-        htmlContent += `
-          <li>
-            <strong>${problem.name}</strong> (${problem.difficulty}) - ${topicName}
-            <br/>🔗 <a href="https://leetcode.com/problems/${problem.slug}/">Solve on LeetCode</a>
-          </li>`;
-        textContent += `- ${problem.name} (${problem.difficulty}) - ${topicName}\n  https://leetcode.com/problems/${problem.slug}/\n\n`;
+  /**
+   * Weekly summary (see lib/weeklyReport.js for the report fields)
+   * @param {StudyPlan} plan - Active study plan, for problem names
+   */
+  static composeWeeklySummaryEmail(report, streak = null, systemDesignTopic = null, plan = DEFAULT_STUDY_PLAN) {
+    return EmailService.compose('weekly-summary', 'weekly-summary',
+      `📅 Weekly LeetCode Summary – ${report.solvedCount} solved, ${report.assignedCount} assigned`,
+      {
+        report,
+        averageSolve: report.averageSolveHours === null ? 'n/a' : `${report.averageSolveHours} hours`,
+        unsolvedNames: report.unsolved.map(slug => findProblem(plan, slug)?.name || slug),
+        systemDesignTopic,
+        streak
       });
-      
-      htmlContent += '</ul>';
-    }
+  }
+
+  // Send helpers - same arguments as the matching compose* method
+  async sendNewQuestionEmail(weekNumber, weekTheme, problems) {
+    await this.deliver(EmailService.composeNewQuestionEmail(weekNumber, weekTheme, problems));
+  }
+
+  async sendReminderEmail(problem, topicName, streak = null) {
+    await this.deliver(EmailService.composeReminderEmail(problem, topicName, streak));
+  }
+
+  async sendCongratulationsEmail(todaysProblems, streak = null) {
+    await this.deliver(EmailService.composeCongratulationsEmail(todaysProblems, streak));
+  }
 
-    htmlContent += `
-      <p>💪 <strong>Goal:</strong> Complete all ${totalCount} problem${totalCount > 1 ? 's' : ''} to unlock tomorrow's challenges!</p>
-      <p>🎯 Remember: You need to solve unfinished problems to progress through the study plan.</p>
-    `;
+  async sendTodaysQuestionEmail(problem, topicName, streak = null) {
+    await this.deliver(EmailService.composeTodaysQuestionEmail(problem, topicName, streak));
+  }
+
+  async sendMultipleProblemsEmail(problemDetails, categories) {
+    await this.deliver(EmailService.composeMultipleProblemsEmail(problemDetails, categories));
+  }
 
-    textContent += `\nGoal: Complete all ${totalCount} problem${totalCount > 1 ? 's' : ''} to unlock tomorrow's challenges!\nRemember: You need to solve unfinished problems to progress through the study plan.`;
+  async sendEveningReminderEmail(problems, streak = null) {
+    await this.deliver(EmailService.composeEveningReminderEmail(problems, streak));
+  }
 
-    await this.sendEmail(subject, htmlContent, textContent);
+  async sendWeeklySummaryEmail(report, streak = null, systemDesignTopic = null, plan = DEFAULT_STUDY_PLAN) {
+    await this.deliver(EmailService.composeWeeklySummaryEmail(report, streak, systemDesignTopic, plan));
   }
 }
 
@@ -597,237 +691,991 @@ class EmailService {
  * Progress Tracker Service
  */
 class ProgressTracker {
-  constructor() {
-    this.leetcodeApi = new LeetCodeAPI();
-    this.emailService = new EmailService();
+  /**
+   * @param {Object} options - { leetcodeApi, emailService, jobHistory, problemMetadata, planService, actionLinks } to replace the defaults
+   */
+  constructor(options = {}) {
+    this.leetcodeApi = options.leetcodeApi || new LeetCodeAPI();
+    this.emailService = options.emailService || new EmailService();
+    this.jobHistory = options.jobHistory || jobHistory;
+    this.problemMetadata = options.problemMetadata || problemMetadata;
+    this.planService = options.planService || planService;
+    this.actionLinks = options.actionLinks || actionLinks;
+  }
+
+  /**
+   * Run a scheduled job and record it in the job history (lib/jobHistory.js)
+   * @param {string} job - Job name
+   * @param {string} trigger - What started it
+   * @param {Function} fn - async () => { outcome, users }
+   * @returns {Promise<Object>} The recorded job run
+   */
+  async trackJob(job, trigger, fn) {
+    return this.jobHistory.track(job, { trigger, reliability: this.leetcodeApi.reliabilityService }, fn);
   }
 
   /**
    * Main daily check function - handles multiple problems
+   * Safe to trigger more than once a day: each user's run is deduplicated and
+   * resumed through the run ledger (lib/runLedger.js).
+   * @param {Object} options - { trigger } - what started it, e.g. 'cron', 'api', 'cli'
+   * @returns {Promise<Object>} The recorded job run
+   */
+  async runDailyRoutine({ trigger = 'manual' } = {}) {
+    return this.trackJob('daily-routine', trigger, () => this.executeDailyRoutine(trigger));
+  }
+
+  /**
+   * Body of the daily routine
+   * @param {string} trigger - What started it
+   * @returns {Promise<Object>} { outcome, users }
    */
-  async runDailyRoutine() {
-    console.log('\n🕑 Daily routine - Multi-problem support');
+  async executeDailyRoutine(trigger) {
+    log.info('\n🕑 Daily routine - Multi-problem support');
     
     try {
       // Step 1: Check API health and wake it up if needed
-      console.log('🏥 Checking LeetCode API health...');
+      log.info('🏥 Checking LeetCode API health...');
       let apiHealth = await this.leetcodeApi.checkAPIHealth();
       
       if (!apiHealth.healthy) {
-        console.log('⚡ API appears to be sleeping, attempting wake-up...');
+        log.info('⚡ API appears to be sleeping, attempting wake-up...');
         await this.leetcodeApi.wakeUpAPI();
         
         // Wait a bit and verify API is actually responding
-        console.log('⏳ Waiting for API to fully wake up...');
+        log.info('⏳ Waiting for API to fully wake up...');
         for (let attempt = 1; attempt <= 3; attempt++) {
           await new Promise(resolve => setTimeout(resolve, 5000 * attempt)); // 5s, 10s, 15s waits
           apiHealth = await this.leetcodeApi.checkAPIHealth();
           
           if (apiHealth.healthy) {
-            console.log('✅ API is now awake and responding!');
+            log.info('✅ API is now awake and responding!');
             break;
           }
           
           if (attempt === 3) {
-            console.log('❌ API failed to wake up after multiple attempts');
-            console.log('💡 Will try again on next scheduled run');
-            return;
+            log.warn('❌ API failed to wake up after multiple attempts');
+            log.info('💡 Will try again on next scheduled run');
+            return { outcome: 'api-unavailable', users: [] };
           }
           
-          console.log(`⏳ API still waking up, attempt ${attempt}/3...`);
+          log.info(`⏳ API still waking up, attempt ${attempt}/3...`);
         }
       }
 
       // Only proceed if API is healthy
       if (!apiHealth.healthy) {
-        return;
-      }
-
-      // Step 2: Load progress and settings
-      const progress = await databaseService.loadProgress();
-      const settings = await databaseService.loadSettings();
-      const now = new Date();
-      const todayStr = format(now, 'yyyy-MM-dd');
-      
-      console.log(`📊 Current settings: ${settings.num_questions} problems per day`);
-      console.log(`📅 Last sent: ${progress.lastSentDate}, Today: ${todayStr}`);
-
-      // Check if we already sent problems today
-      if (progress.lastSentDate === todayStr) {
-        console.log('⏭️ Problems already sent today. Skipping daily routine.');
-        console.log(`📝 Today's problems: [${progress.sentProblems.map(p => p.slug).join(', ')}]`);
-        return;
-      }
-
-      // Step 3: Check for solved problems
-      console.log('🔍 Checking for solved problems...');
-      await this.updateSolvedStatus(progress, STUDY_PLAN.username);
-
-      // Step 4: Calculate what problems to send today
-      const todaysCalculation = calculateTodaysProblems(progress, settings);
-      
-      if (todaysCalculation.problems.length === 0) {
-        console.log('🎉 Study plan completed! No more problems to send.');
-        return;
-      }
-
-      console.log(`📝 Sending ${todaysCalculation.problems.length} problems:`);
-      console.log(`  - Unfinished: ${todaysCalculation.unfinished.length}`);
-      console.log(`  - New: ${todaysCalculation.newProblems.length}`);
-
-      // Step 5: Get problem details for email
-      const problemDetails = this.getProblemDetails(todaysCalculation.problems);
-      const unfinishedDetails = problemDetails.filter(p => todaysCalculation.unfinished.includes(p.slug));
-      const newProblemDetails = problemDetails.filter(p => todaysCalculation.newProblems.includes(p.slug));
-
-      // Step 6: Send appropriate email
-      if (problemDetails.length === 1) {
-        // Single problem - use original email format
-        const problem = problemDetails[0];
-        const topicName = StudyPlanHelper.getTopicBySlug(problem.slug);
-        if (todaysCalculation.unfinished.includes(problem.slug)) {
-          await this.emailService.sendReminderEmail(problem, topicName);
-        } else {
-          await this.emailService.sendTodaysQuestionEmail(problem, topicName);
-        }
-      } else {
-        // Multiple problems - use new email format
-        await this.emailService.sendMultipleProblemsEmail(problemDetails, {
-          unfinished: unfinishedDetails,
-          newProblems: newProblemDetails,
-          totalCount: problemDetails.length
-        });
+        return { outcome: 'api-unavailable', users: [] };
       }
 
-      // Step 7: Update progress - preserve unsolved problems
-      const unsolvedProblems = progress.sentProblems.filter(p => !p.solved);
-      const newSentProblems = todaysCalculation.problems.map(slug => {
-        // Check if this problem was previously unsolved
-        const existingProblem = unsolvedProblems.find(p => p.slug === slug);
-        if (existingProblem) {
-          return existingProblem; // Keep the existing record
-        }
-        // Create new record for new problems
-        return {
-          slug: slug,
-          solved: false,
-          sentDate: todayStr
-        };
-      });
-
-      const newProgress = {
-        lastSentDate: todayStr,
-        sentProblems: newSentProblems,
-        studyPlanPosition: todaysCalculation.updatedPosition,
-        pendingQueue: todaysCalculation.updatedPendingQueue,
-        settingsAtSendTime: {
-          num_questions: settings.num_questions,
-          timestamp: new Date().toISOString()
-        }
-      };
+      // Run steps 2-7 for every active user
+      const owner = RunLedger.createOwner(trigger);
+      const users = await this.runForActiveUsers('Daily routine', user => this.runDailyRoutineForUser(user, { owner, trigger }));
 
-      // Save updated progress
-      await databaseService.saveProgress(newProgress);
-      console.log(`✅ Daily routine completed. Progress saved.`);
+      // Old run ledger entries and job runs are only clutter - losing them never fails the routine
+      await this.pruneRunLedger().catch(error => log.error('⚠️ Failed to prune the run ledger:', error.message));
+      await this.jobHistory.prune();
+      return { outcome: 'completed', users };
     } catch (error) {
-      console.error('❌ Daily routine failed:', error);
+      log.error('❌ Daily routine failed:', error);
       throw error;
     }
   }
 
   /**
-   * Update solved status for sent problems
+   * Delete run ledger entries older than RUN_LEDGER_KEEP_DAYS for every user
+   * @returns {Promise<number>} Runs deleted
    */
-  async updateSolvedStatus(progress, username) {
-    try {
-      console.log(`🔍 Checking recent submissions for ${username}...`);
-      const submissions = await this.leetcodeApi.getUserSubmissions(username, 20); // 20 is enough for recent submissions
-      
-      if (!submissions.submission || !Array.isArray(submissions.submission)) {
-        console.log('⚠️ Invalid API response structure');
-        return;
-      }
-
-      // Only look at accepted submissions and convert timestamps
-      const acceptedSubmissions = submissions.submission
-        .filter(s => (s.statusDisplay || '').toLowerCase() === 'accepted')
-        .map(s => ({
-          slug: s.titleSlug,
-          timestamp: new Date(parseInt(s.timestamp) * 1000)
-        }));
-
-      console.log(`📝 Found ${acceptedSubmissions.length} recent accepted submissions:`);
-      acceptedSubmissions.forEach(sub => {
-        console.log(`   ${sub.slug} at ${sub.timestamp.toLocaleString()}`);
-      });
+  async pruneRunLedger() {
+    const todayStr = clock.today();
+    let deleted = 0;
+    for (const user of await userService.listUsers()) {
+      deleted += await runLedger.prune(user.id, todayStr);
+    }
+    return deleted;
+  }
 
-      // Update solved status for each unsolved sent problem
-      let solvedCount = 0;
-      progress.sentProblems.forEach(sentProblem => {
-        if (sentProblem.solved) {
-          console.log(`\n⏭️ ${sentProblem.slug} already marked as solved`);
-          return;
+  /**
+   * Run a per-user job for every active user
+   * One user's failure doesn't stop the others; a summary error is thrown at the end.
+   * @param {string} jobName - Name used in logs and the error message
+   * @param {Function} fn - async (user) => { outcome, problems } (or nothing)
+   * @returns {Promise<Array<Object>>} Per-user results, { userId, ...result }
+   * @throws {Error} If any user failed, with every user's result as error.results
+   */
+  async runForActiveUsers(jobName, fn) {
+    const users = await userService.listActiveUsers();
+    log.info(`👥 Running ${jobName.toLowerCase()} for ${users.length} user${users.length === 1 ? '' : 's'}`);
+
+    const results = [];
+    const failedUsers = [];
+    for (const user of users) {
+      // Tag the user's log lines so job history can show each user their own part
+      await logger.withUserId(user.id, async () => {
+        try {
+          results.push({ userId: user.id, outcome: 'completed', ...(await fn(user)) });
+        } catch (error) {
+          log.error(`❌ ${jobName} failed for ${user.id}:`, error.message);
+          results.push({ userId: user.id, outcome: 'failed', error: error.message });
+          failedUsers.push(user.id);
         }
+      });
+    }
 
-        // Get assignment time
-        const assignmentTime = new Date(sentProblem.sentDate);
-        console.log(`\n🔍 Checking ${sentProblem.slug}:`);
-        console.log(`   Assigned: ${assignmentTime.toLocaleString()}`);
+    if (failedUsers.length > 0) {
+      const error = new Error(`${jobName} failed for ${failedUsers.length}/${users.length} users: ${failedUsers.join(', ')}`);
+      error.results = results;
+      throw error;
+    }
+    return results;
+  }
 
-        // Look for an accepted submission after assignment
-        const matchingSubmission = acceptedSubmissions.find(sub => 
-          sub.slug === sentProblem.slug && sub.timestamp > assignmentTime
-        );
+  /**
+   * Daily routine for a single user - check solves, pick problems, send email, save progress
+   * Runs as one run ledger entry per user and day: plan -> send -> history ->
+   * save-progress. A completed run is skipped, a run another trigger is working
+   * on is left alone, and a run that stopped part-way resumes at the step it
+   * stopped at with the email it had planned.
+   * @param {Object} user - User record from UserService
+   * @param {Object} options - { owner, trigger } for the run lease
+   * @returns {Promise<Object>} { outcome, problems } - problems sent by this call
+   */
+  async runDailyRoutineForUser(user, { owner = RunLedger.createOwner(), trigger = 'manual' } = {}) {
+    log.info(`\n👤 User: ${user.id} (LeetCode: ${user.leetcodeUsername})`);
 
-        if (matchingSubmission) {
-          sentProblem.solved = true;
-          sentProblem.solvedTimestamp = matchingSubmission.timestamp.toISOString();
-          solvedCount++;
-          console.log(`✅ Solved at ${matchingSubmission.timestamp.toLocaleString()}`);
-        } else {
-          console.log(`❌ No accepted submissions since assignment`);
-        }
-      });
+    const todayStr = clock.today();
+    const lease = await runLedger.begin('daily-routine', user.id, todayStr, { owner, trigger });
 
-      if (solvedCount > 0) {
-        await databaseService.saveProgress(progress);
-        console.log(`\n🎉 Updated ${solvedCount} problems as solved!`);
+    if (!lease.acquired) {
+      if (lease.reason === 'completed') {
+        log.info(`⏭️ Daily routine already completed today (${lease.run.outcome || 'done'}). Skipping.`);
       } else {
-        console.log('\n📝 No new problems marked as solved');
+        log.info(`⏭️ Daily routine is already running (${lease.run.lease.owner}, lease until ${lease.run.lease.expiresAt}). Skipping.`);
       }
+      return { outcome: `skipped-${lease.reason}`, problems: [] };
+    }
 
+    let run = lease.run;
+    try {
+      const outcome = await this.executeDailyRun(user, run, todayStr, latest => { run = latest; });
+      // A day that sent nothing stays open, so a later trigger still sends after a resume or a plan edit
+      await runLedger.finish(run, SKIPPED_OUTCOMES.includes(outcome) ? 'skipped' : 'completed', { outcome });
+      const sent = run.outbox.some(entry => entry.status === 'sent');
+      return { outcome, problems: sent ? run.plan.historyEvents.map(event => event.slug) : [] };
     } catch (error) {
-      console.error('❌ Error checking submissions:', error.message);
-      if (error.response) {
-        console.error('API Response Status:', error.response.status);
-        console.error('API Response Data:', error.response.data);
+      if (error.name !== 'RunLeaseError') {
+        await runLedger.finish(run, 'failed', { error: error.message })
+          .catch(finishError => log.error('⚠️ Failed to record the failed run:', finishError.message));
       }
+      throw error;
     }
   }
 
   /**
-   * Get problem details for a list of slugs
+   * Steps of the daily routine for a run that holds its lease
+   * @param {Object} user - User record
+   * @param {Object} run - Run ledger entry
+   * @param {string} todayStr - Date of the run
+   * @param {Function} onUpdate - Called with the run after every ledger write
+   * @returns {Promise<string>} Outcome: 'sent', 'already-sent', 'paused' or 'plan-complete'
    */
-  getProblemDetails(slugs) {
-    return slugs.map(slug => {
-      const problem = StudyPlanHelper.getProblemBySlug(slug);
-      return problem || { slug, name: slug, difficulty: 'Unknown' };
-    }).filter(Boolean);
+  async executeDailyRun(user, run, todayStr, onUpdate) {
+    const settings = await databaseService.loadSettings(user.id);
+    const emailService = this.emailService.forRecipient(user.email, settings);
+    const track = latest => { run = latest; onUpdate(latest); return latest; };
+
+    // Steps 2-5: decide what to send (skipped when resuming - the plan is in the ledger)
+    if (!RunLedger.isStepDone(run, 'plan')) {
+      const plan = await this.planDailyRoutine(user, settings, todayStr, {
+        renewLease: async () => track(await runLedger.renew(run))
+      });
+      if (!plan.message) {
+        return plan.outcome;
+      }
+
+      track(await runLedger.completeStep(run, 'plan', {
+        plan: { progress: plan.progress, base: plan.base, historyEvents: plan.historyEvents },
+        outbox: [{ id: plan.message.type, message: plan.message, status: 'pending' }]
+      }));
+    } else {
+      log.info(`📋 Resuming with the problems planned earlier: [${run.plan.progress.sentProblems.map(p => p.slug).join(', ')}]`);
+    }
+
+    // Step 6: Send the planned email
+    if (!RunLedger.isStepDone(run, 'send')) {
+      track(await runLedger.flushOutbox(run, message => emailService.deliver(message)));
+      track(await runLedger.completeStep(run, 'send'));
+    }
+
+    // Record today's assignments in the history log
+    if (!RunLedger.isStepDone(run, 'history')) {
+      await this.recordHistory(user.id, run.plan.historyEvents);
+      track(await runLedger.completeStep(run, 'history'));
+    }
+
+    // Step 7: Save progress (unless an earlier attempt already did)
+    if (!RunLedger.isStepDone(run, 'save-progress')) {
+      const current = await databaseService.loadProgress(user.id);
+      if (current.lastSentDate !== todayStr) {
+        await this.saveDailyProgress(user.id, run.plan, todayStr);
+      }
+      track(await runLedger.completeStep(run, 'save-progress'));
+    }
+
+    log.info(`✅ Daily routine completed for ${user.id}. Progress saved.`);
+    return 'sent';
   }
 
   /**
-   * Check if we need to send new week notification
+   * Steps 2-5 of the daily routine: check solves, pick today's problems and compose the email
+   * @param {Object} user - User record
+   * @param {Object} settings - User settings
+   * @param {string} todayStr - Today's date
+   * @param {Object} options - { renewLease } called between the slow LeetCode API steps
+   * @returns {Promise<Object>} { message, progress, base, historyEvents } or { outcome } when nothing is sent
+   *   - base: sentProblems and pendingQueue the plan started from, for saveDailyProgress
    */
-  async checkNewWeek() {
-    const currentWeek = StudyPlanHelper.getCurrentWeek();
-    const weekData = STUDY_PLAN.weeks[currentWeek];
+  async planDailyRoutine(user, settings, todayStr, { renewLease = async () => {} } = {}) {
+    // Step 2: Load progress, settings and the active study plan
+    const progress = await databaseService.loadProgress(user.id);
+    const plan = await this.planService.resolveActivePlan(user, settings);
+    const now = clock.now();
     
-    if (weekData) {
-      // For simplicity, we'll check if it's Monday (start of week)
-      const today = new Date();
-      if (today.getDay() === 1) { // Monday = 1
-        console.log(`📚 Starting Week ${currentWeek}: ${weekData.theme}`);
-        await this.emailService.sendNewQuestionEmail(
+    log.info(`📊 Current settings: ${settings.num_questions} problems per day, plan ${plan.id} v${plan.version}`);
+    log.info(`📅 Last sent: ${progress.lastSentDate}, Today: ${todayStr}`);
+
+    // Check if we already sent problems today (e.g. by a run from before the ledger)
+    if (progress.lastSentDate === todayStr) {
+      log.info('⏭️ Problems already sent today. Skipping daily routine.');
+      log.info(`📝 Today's problems: [${progress.sentProblems.map(p => p.slug).join(', ')}]`);
+      return { outcome: 'already-sent' };
+    }
+
+    // Nothing goes out on a day off - the streak carries over it
+    const pause = PauseSchedule.getPause(settings, todayStr);
+    if (pause) {
+      log.info(pause.reason === 'pause' ? `⏸️ Paused until ${pause.until}. Skipping daily routine.` : `⏸️ Rest day (${pause.weekday}). Skipping daily routine.`);
+      return { outcome: 'paused' };
+    }
+
+    // Step 3: Check for solved problems
+    log.info('🔍 Checking for solved problems...');
+    const isOffDay = PauseSchedule.offDayCheck(settings);
+    await this.updateSolvedStatus(progress, user.leetcodeUsername, user.id, getStreakRule(settings), plan, isOffDay);
+    const streak = StreakTracker.summarize(progress.streak, todayStr, TRACKER_CONFIG.goals.streakGoal, isOffDay);
+    log.info(`🔥 Streak: ${streak.current} day(s), longest ${streak.longest}`);
+    // The solve check may have waited out a cold start - hold on to the run before fetching details
+    await renewLease();
+    const base = { sentProblems: progress.sentProblems, pendingQueue: progress.pendingQueue };
+
+    // Step 4: Calculate what problems to send today (adaptive mode picks the count first)
+    const load = await this.planDailyLoad(user.id, settings, progress, todayStr);
+    const dailySettings = load ? { ...settings, num_questions: load.num_questions } : settings;
+    const todaysCalculation = calculateTodaysProblems(progress, dailySettings, todayStr, plan);
+    
+    if (todaysCalculation.problems.length === 0) {
+      log.info('🎉 Study plan completed! No more problems to send.');
+      return { outcome: 'plan-complete' };
+    }
+
+    log.info(`📝 Sending ${todaysCalculation.problems.length} problems:`);
+    log.info(`  - Unfinished: ${todaysCalculation.unfinished.length}`);
+    log.info(`  - New: ${todaysCalculation.newProblems.length}`);
+    log.info(`  - Review: ${todaysCalculation.reviews.length}`);
+
+    // Step 5: Get problem details for email, with solve / snooze / skip links
+    const problemDetails = this.withActionLinks(user.id,
+      await this.getProblemDetails(todaysCalculation.problems, plan), todaysCalculation.reviews);
+    const unfinishedDetails = problemDetails.filter(p => todaysCalculation.unfinished.includes(p.slug));
+    const newProblemDetails = problemDetails.filter(p => todaysCalculation.newProblems.includes(p.slug));
+    const reviewDetails = problemDetails.filter(p => todaysCalculation.reviews.includes(p.slug));
+
+    // Compose the email (reviews always use the categorized format so they get labelled)
+    const loadNote = load?.message ? load : null;
+    let message;
+    if (problemDetails.length === 1 && reviewDetails.length === 0) {
+      // Single problem - use original email format
+      const problem = problemDetails[0];
+      const topicName = problem.topic;
+      message = todaysCalculation.unfinished.includes(problem.slug) ?
+        EmailService.composeReminderEmail(problem, topicName, streak, loadNote) :
+        EmailService.composeTodaysQuestionEmail(problem, topicName, streak, loadNote);
+    } else {
+      // Multiple problems - use new email format
+      message = EmailService.composeMultipleProblemsEmail(problemDetails, {
+        unfinished: unfinishedDetails,
+        newProblems: newProblemDetails,
+        reviews: reviewDetails,
+        totalCount: problemDetails.length,
+        streak,
+        load: loadNote
+      });
+    }
+
+    // Today's assignments for the history log
+    const sentDateOf = slug => progress.sentProblems.find(p => p.slug === slug)?.sentDate || todayStr;
+    const historyEvents = todaysCalculation.problems.map(slug => {
+      const kind = todaysCalculation.reviews.includes(slug) ? 'review' :
+        (todaysCalculation.unfinished.includes(slug) ? 'repeat' : 'new');
+      return HistoryLog.createEvent('assigned', {
+        slug,
+        date: todayStr,
+        sentDate: kind === 'new' ? todayStr : sentDateOf(slug),
+        kind,
+        topic: getTopic(plan, slug)
+      });
+    });
+
+    // Progress after sending - preserve unsolved problems and the review queue
+    const unsolvedProblems = progress.sentProblems.filter(p => !p.solved);
+    const planSlugs = todaysCalculation.problems.filter(slug => !todaysCalculation.reviews.includes(slug));
+    const newSentProblems = planSlugs.map(slug => {
+      // Check if this problem was previously unsolved
+      const existingProblem = unsolvedProblems.find(p => p.slug === slug);
+      if (existingProblem) {
+        // Keep the existing record (a snooze that ran out is over)
+        const { snoozedUntil, ...record } = existingProblem;
+        return record;
+      }
+      // Create new record for new problems
+      return {
+        slug: slug,
+        solved: false,
+        sentDate: todayStr
+      };
+    });
+
+    // Snoozed problems wait for their date
+    unsolvedProblems
+      .filter(p => ProblemActions.isSnoozed(p, todayStr))
+      .forEach(p => newSentProblems.push(p));
+
+    // Solved problems stay until they graduate out of the review queue
+    progress.sentProblems
+      .filter(p => ReviewScheduler.isInQueue(p))
+      .forEach(p => {
+        newSentProblems.push(todaysCalculation.reviews.includes(p.slug)
+          ? { ...p, review: ReviewScheduler.markSent(p.review, todayStr) }
+          : p);
+      });
+
+    return {
+      message,
+      historyEvents,
+      base,
+      progress: {
+        lastSentDate: todayStr,
+        sentProblems: newSentProblems,
+        planProgress: todaysCalculation.updatedPlanProgress,
+        pendingQueue: todaysCalculation.updatedPendingQueue,
+        settingsAtSendTime: {
+          num_questions: dailySettings.num_questions,
+          study_plan: plan.id,
+          plan_version: plan.version,
+          ...(load && { adaptive: load }),
+          timestamp: now.toISOString()
+        },
+        streak: progress.streak || null,
+        schemaVersion: progress.schemaVersion
+      }
+    };
+  }
+
+  /**
+   * Save the progress the daily routine planned
+   * Only the fields the routine owns are written, over the progress stored now:
+   * the rest of the document (migrationHistory, lastReminderDate, ...) is kept,
+   * and so is any problem action taken since planning (ProblemActions.rebase).
+   * @param {string} userId - User identifier
+   * @param {Object} plan - { progress, base } from planDailyRoutine
+   * @param {string} todayStr - Date of the run
+   */
+  async saveDailyProgress(userId, plan, todayStr) {
+    const { lastSentDate, planProgress, settingsAtSendTime } = plan.progress;
+    let conflicts = [];
+
+    await databaseService.atomicProgressUpdate(userId, current => {
+      if (current.lastSentDate === todayStr) {
+        return current;
+      }
+      // Runs planned before base was recorded fall back to the plan as it stands
+      const rebased = ProblemActions.rebase(plan.base || current, plan.progress, current);
+      conflicts = rebased.conflicts;
+      return {
+        ...current,
+        lastSentDate,
+        planProgress,
+        settingsAtSendTime,
+        sentProblems: rebased.sentProblems,
+        pendingQueue: rebased.pendingQueue
+      };
+    });
+
+    if (conflicts.length > 0) {
+      log.info(`✋ Kept changes made since planning: ${conflicts.join(', ')}`);
+    }
+  }
+
+  /**
+   * Today's problem count in adaptive mode (lib/adaptiveLoad.js)
+   * @param {string} userId - User identifier
+   * @param {Object} settings - User settings
+   * @param {Object} progress - Progress with yesterday's settingsAtSendTime
+   * @param {string} todayStr - Today's date
+   * @returns {Promise<Object|null>} Decision for settingsAtSendTime.adaptive, or null when adaptive mode is off
+   */
+  async planDailyLoad(userId, settings, progress, todayStr) {
+    if (!AdaptiveLoad.isEnabled(settings)) return null;
+
+    const config = TRACKER_CONFIG.adaptive;
+    const previous = progress.settingsAtSendTime;
+    const range = AdaptiveLoad.getRange(previous, todayStr, config.windowDays);
+    let history = [];
+    try {
+      // From a window further back, so solves of older assignments find their send time
+      history = await databaseService.loadHistory(userId, { from: ReviewScheduler.addDays(range.from, -config.windowDays), to: range.to });
+    } catch (error) {
+      log.warn('⚠️ Could not load history for the adaptive load, keeping the count:', error.message);
+    }
+
+    const load = AdaptiveLoad.decide(settings, previous, AdaptiveLoad.getStats(history, range), todayStr, config);
+    log.info(load.change === 0 ?
+      `⚖️ Adaptive load: holding at ${load.num_questions} (${load.min}-${load.max})` :
+      `⚖️ Adaptive load: ${load.previous} → ${load.num_questions} - ${load.message}`);
+    return load;
+  }
+
+  /**
+   * Evening reminder (6 PM) - nudge every user who still has unsolved problems today
+   */
+  async runEveningReminder({ trigger = 'manual' } = {}) {
+    return this.trackJob('evening-reminder', trigger, async () => {
+      log.info('\n🕕 Evening reminder');
+      const users = await this.runForActiveUsers('Evening reminder', user => this.runEveningReminderForUser(user));
+      return { outcome: 'completed', users };
+    });
+  }
+
+  /**
+   * Evening reminder for a single user
+   * @param {Object} user - User record from UserService
+   * @returns {Promise<Object>} { outcome, problems } - problems the reminder was about
+   */
+  async runEveningReminderForUser(user) {
+    log.info(`\n👤 User: ${user.id} (LeetCode: ${user.leetcodeUsername})`);
+
+    const progress = await databaseService.loadProgress(user.id);
+    const settings = await databaseService.loadSettings(user.id);
+    const todayStr = clock.today();
+
+    if (progress.lastSentDate !== todayStr) {
+      log.info('⏭️ No problems sent today. Skipping reminder.');
+      return { outcome: 'nothing-sent-today' };
+    }
+    if (progress.lastReminderDate === todayStr) {
+      log.info('⏭️ Reminder already sent today.');
+      return { outcome: 'already-reminded' };
+    }
+    if (PauseSchedule.isPaused(settings, todayStr)) {
+      log.info('⏸️ Paused today. Skipping reminder.');
+      return { outcome: 'paused' };
+    }
+
+    // Refresh solves first so we don't nag about problems finished this afternoon
+    const plan = await this.planService.resolveActivePlan(user, settings);
+    const isOffDay = PauseSchedule.offDayCheck(settings);
+    await this.updateSolvedStatus(progress, user.leetcodeUsername, user.id, getStreakRule(settings), plan, isOffDay);
+
+    const pending = progress.sentProblems.filter(p => ProblemActions.isOpen(p) && !ProblemActions.isSnoozed(p, todayStr));
+    if (pending.length === 0) {
+      log.info('🎉 Everything solved today. No reminder needed.');
+      return { outcome: 'all-solved' };
+    }
+
+    const streak = StreakTracker.summarize(progress.streak, todayStr, TRACKER_CONFIG.goals.streakGoal, isOffDay);
+    const problemDetails = this.withActionLinks(user.id,
+      await this.getProblemDetails(pending.map(p => p.slug), plan), pending.filter(p => p.solved).map(p => p.slug));
+    await this.emailService.forRecipient(user.email, settings).sendEveningReminderEmail(problemDetails, streak);
+
+    await databaseService.atomicProgressUpdate(user.id, current => ({
+      ...current,
+      lastReminderDate: todayStr
+    }));
+    log.info(`✅ Evening reminder sent for ${pending.length} problem${pending.length > 1 ? 's' : ''}`);
+    return { outcome: 'sent', problems: pending.map(p => p.slug) };
+  }
+
+  /**
+   * Weekly summary (Sunday 9 AM) for every active user
+   */
+  async runWeeklySummary({ trigger = 'manual' } = {}) {
+    return this.trackJob('weekly-summary', trigger, async () => {
+      log.info('\n📅 Weekly summary');
+      const users = await this.runForActiveUsers('Weekly summary', user => this.runWeeklySummaryForUser(user));
+      return { outcome: 'completed', users };
+    });
+  }
+
+  /**
+   * Weekly summary for a single user
+   * @param {Object} user - User record from UserService
+   */
+  async runWeeklySummaryForUser(user) {
+    log.info(`\n👤 User: ${user.id} (LeetCode: ${user.leetcodeUsername})`);
+
+    const progress = await databaseService.loadProgress(user.id);
+    const settings = await databaseService.loadSettings(user.id);
+    const todayStr = clock.today();
+
+    const plan = await this.planService.resolveActivePlan(user, settings);
+    const report = await this.buildWeeklyReport(user.id, progress, todayStr, plan);
+    const streak = StreakTracker.summarize(progress.streak, todayStr, TRACKER_CONFIG.goals.streakGoal, PauseSchedule.offDayCheck(settings));
+
+    log.info(`📊 ${report.startDate} → ${report.endDate}: ${report.solvedCount} solved, ${report.assignedCount} assigned`);
+    await this.emailService.forRecipient(user.email, settings)
+      .sendWeeklySummaryEmail(report, streak, getSystemDesignTopicName(), plan);
+    return { outcome: 'sent' };
+  }
+
+  /**
+   * Update solved status for sent problems and the practice streak
+   * @param {StudyPlan} plan - Active study plan, for history topics
+   * @param {Function} isOffDay - dateStr => boolean for days off the streak carries over
+   */
+  async updateSolvedStatus(progress, username, userId = databaseService.userId, streakRule = TRACKER_CONFIG.goals.streakRule, plan = DEFAULT_STUDY_PLAN, isOffDay) {
+    try {
+      log.info(`🔍 Checking recent submissions for ${username}...`);
+      const submissions = await this.leetcodeApi.getUserSubmissions(username, 20); // 20 is enough for recent submissions
+      
+      if (!submissions.submission || !Array.isArray(submissions.submission)) {
+        log.warn('⚠️ Invalid API response structure');
+        return;
+      }
+
+      // Only look at accepted submissions and convert timestamps
+      const acceptedSubmissions = submissions.submission
+        .filter(s => (s.statusDisplay || '').toLowerCase() === 'accepted')
+        .map(s => ({
+          slug: s.titleSlug,
+          timestamp: new Date(parseInt(s.timestamp) * 1000),
+          language: s.lang
+        }));
+
+      // What the check starts from, so the save keeps changes made meanwhile (ProblemActions.rebase)
+      const base = {
+        sentProblems: structuredClone(progress.sentProblems),
+        pendingQueue: progress.pendingQueue
+      };
+
+      // Submissions (any status) for a problem in (after, upTo] - attempts taken to solve it
+      const countAttempts = (slug, after, upTo) => submissions.submission.filter(s => {
+        const time = new Date(parseInt(s.timestamp) * 1000);
+        return s.titleSlug === slug && time > after && time <= upTo;
+      }).length;
+      const historyEvents = [];
+
+      log.info(`📝 Found ${acceptedSubmissions.length} recent accepted submissions:`);
+      acceptedSubmissions.forEach(sub => {
+        log.info(`   ${sub.slug} at ${sub.timestamp.toLocaleString()}`);
+      });
+
+      // Update solved status for each unsolved sent problem
+      let solvedCount = 0;
+      let reviewedCount = 0;
+      const reviewIntervals = TRACKER_CONFIG.review.intervals;
+      progress.sentProblems.forEach(sentProblem => {
+        if (sentProblem.solved) {
+          // Solved problems out for review count as reviewed on a fresh accepted submission
+          if (sentProblem.review?.pendingSince) {
+            const reviewSentTime = new Date(sentProblem.review.pendingSince);
+            const reviewSubmission = acceptedSubmissions.find(sub =>
+              sub.slug === sentProblem.slug && sub.timestamp > reviewSentTime
+            );
+
+            if (reviewSubmission) {
+              sentProblem.review = ReviewScheduler.completeReview(
+                sentProblem.review,
+                format(reviewSubmission.timestamp, 'yyyy-MM-dd'),
+                reviewIntervals
+              );
+              reviewedCount++;
+              historyEvents.push(HistoryLog.createEvent('reviewed', {
+                slug: sentProblem.slug,
+                date: sentProblem.review.lastReviewedDate,
+                sentDate: sentProblem.sentDate,
+                topic: getTopic(plan, sentProblem.slug),
+                solvedTimestamp: reviewSubmission.timestamp.toISOString(),
+                attempts: countAttempts(sentProblem.slug, reviewSentTime, reviewSubmission.timestamp),
+                language: reviewSubmission.language,
+                source: DETECTED_SOURCE
+              }));
+              log.info(`\n🔁 ${sentProblem.slug} reviewed - ${sentProblem.review.graduated ? 'graduated from review queue' : `next review ${sentProblem.review.dueDate}`}`);
+            } else {
+              log.info(`\n🔁 ${sentProblem.slug} review still pending since ${sentProblem.review.pendingSince}`);
+            }
+            return;
+          }
+
+          log.info(`\n⏭️ ${sentProblem.slug} already marked as solved`);
+          return;
+        }
+
+        // Get assignment time
+        const assignmentTime = new Date(sentProblem.sentDate);
+        log.info(`\n🔍 Checking ${sentProblem.slug}:`);
+        log.info(`   Assigned: ${assignmentTime.toLocaleString()}`);
+
+        // Look for an accepted submission after assignment
+        const matchingSubmission = acceptedSubmissions.find(sub => 
+          sub.slug === sentProblem.slug && sub.timestamp > assignmentTime
+        );
+
+        if (matchingSubmission) {
+          sentProblem.solved = true;
+          sentProblem.solvedTimestamp = matchingSubmission.timestamp.toISOString();
+          sentProblem.solvedSource = DETECTED_SOURCE;
+          delete sentProblem.snoozedUntil;
+          if (TRACKER_CONFIG.review.enabled) {
+            sentProblem.review = ReviewScheduler.createReviewState(
+              format(matchingSubmission.timestamp, 'yyyy-MM-dd'),
+              reviewIntervals
+            );
+          }
+          solvedCount++;
+          historyEvents.push(HistoryLog.createEvent('solved', {
+            slug: sentProblem.slug,
+            date: format(matchingSubmission.timestamp, 'yyyy-MM-dd'),
+            sentDate: sentProblem.sentDate,
+            topic: getTopic(plan, sentProblem.slug),
+            solvedTimestamp: sentProblem.solvedTimestamp,
+            attempts: countAttempts(sentProblem.slug, assignmentTime, matchingSubmission.timestamp),
+            language: matchingSubmission.language,
+            source: DETECTED_SOURCE
+          }));
+          log.info(`✅ Solved at ${matchingSubmission.timestamp.toLocaleString()}`);
+        } else {
+          log.info(`❌ No accepted submissions since assignment`);
+        }
+      });
+
+      // Streak days: assigned problems solved, or any accepted submission
+      const streakDates = streakRule === 'any' ?
+        StreakTracker.toDates(acceptedSubmissions.map(sub => sub.timestamp)) :
+        StreakTracker.getSolveDates(progress.sentProblems);
+      const previousStreak = progress.streak?.rule === streakRule ?
+        progress.streak :
+        StreakTracker.createStreak(streakRule);
+      const streak = StreakTracker.recordDays(previousStreak, streakDates, isOffDay);
+      const streakChanged = streak.lastDate !== progress.streak?.lastDate || streak.rule !== progress.streak?.rule;
+      progress.streak = streak;
+
+      if (solvedCount > 0 || reviewedCount > 0 || streakChanged) {
+        // Write only the entries and streak days found here, over the progress stored now
+        let conflicts = [];
+        const saved = await databaseService.atomicProgressUpdate(userId, current => {
+          const rebased = ProblemActions.rebase(base, progress, current);
+          conflicts = rebased.conflicts;
+          const currentStreak = current.streak?.rule === streakRule ? current.streak : StreakTracker.createStreak(streakRule);
+          return {
+            ...current,
+            sentProblems: rebased.sentProblems,
+            pendingQueue: rebased.pendingQueue,
+            streak: StreakTracker.recordDays(currentStreak, streakDates, isOffDay)
+          };
+        });
+        Object.assign(progress, saved);
+
+        // A problem solved or snoozed by hand meanwhile keeps that, and isn't counted again
+        const kept = historyEvents.filter(event => !conflicts.includes(`${event.slug}@${event.sentDate}`));
+        solvedCount = kept.filter(event => event.type === 'solved').length;
+        reviewedCount = kept.filter(event => event.type === 'reviewed').length;
+        await this.recordHistory(userId, kept);
+        metrics.problemsSolved.inc({ user: userId, source: DETECTED_SOURCE }, solvedCount);
+        log.info(`\n🎉 Updated ${solvedCount} problems as solved, ${reviewedCount} reviews completed, streak ${progress.streak.current} (longest ${progress.streak.longest})!`);
+      } else {
+        log.info('\n📝 No new problems marked as solved');
+      }
+
+    } catch (error) {
+      log.error('❌ Error checking submissions:', error.message);
+      if (error.response) {
+        log.error('API Response Status:', error.response.status);
+        log.error('API Response Data:', error.response.data);
+      }
+    }
+  }
+
+  /**
+   * Append events to the user's history log
+   * History is secondary to progress, so a failed write is logged and not rethrown.
+   */
+  async recordHistory(userId, events) {
+    if (events.length === 0) return;
+    try {
+      await databaseService.appendHistory(events, userId);
+      log.info(`🗂️ Recorded ${events.length} history event${events.length > 1 ? 's' : ''}`);
+    } catch (error) {
+      log.error('⚠️ Failed to record history:', error.message);
+    }
+  }
+
+  /**
+   * Solve, skip or snooze an assigned problem by hand (lib/problemActions.js)
+   * A manual solve counts towards an 'assigned' streak straight away.
+   * @param {Object} user - User record from UserService
+   * @param {string} slug - Problem slug
+   * @param {string} action - One of PROBLEM_ACTIONS
+   * @param {Object} options - { source, days } (days for snooze), { review } to only act on
+   *   a review (true) or a problem that isn't one (false)
+   * @returns {Promise<Object>} History event for the action
+   * @throws {ValidationError} If the problem isn't assigned or the options are invalid
+   */
+  async applyProblemAction(user, slug, action, { source, days, review } = {}) {
+    const settings = await databaseService.loadSettings(user.id);
+    const plan = await this.planService.resolveActivePlan(user, settings);
+    const streakRule = getStreakRule(settings);
+    const todayStr = clock.today();
+    let event;
+
+    await databaseService.atomicProgressUpdate(user.id, current => {
+      const result = ProblemActions.apply(current, action, slug, {
+        today: todayStr,
+        now: clock.now(),
+        source,
+        days,
+        topic: getTopic(plan, slug),
+        review,
+        reviewEnabled: TRACKER_CONFIG.review.enabled,
+        reviewIntervals: TRACKER_CONFIG.review.intervals
+      });
+      event = result.event;
+
+      if (action !== 'solve' || streakRule !== 'assigned') {
+        return result.progress;
+      }
+      const previousStreak = current.streak?.rule === streakRule ? current.streak : StreakTracker.createStreak(streakRule);
+      return { ...result.progress, streak: StreakTracker.recordDays(previousStreak, [todayStr], PauseSchedule.offDayCheck(settings)) };
+    });
+
+    await this.recordHistory(user.id, [event]);
+    if (event.type === 'solved') {
+      metrics.problemsSolved.inc({ user: user.id, source });
+    }
+    metrics.problemActions.inc({ action, source });
+    log.info(`✋ ${slug}: ${event.type} from ${source}${event.until ? ` until ${event.until}` : ''}`);
+    return event;
+  }
+
+  /**
+   * Pause the daily routine through a date (lib/pauseSchedule.js)
+   * @param {string} userId - User identifier
+   * @param {string} until - Last day off (YYYY-MM-DD)
+   * @param {string} from - First day off (defaults to today)
+   * @returns {Promise<Object>} Updated settings
+   * @throws {ValidationError} If the dates are invalid
+   */
+  async pauseUntil(userId, until, from) {
+    const todayStr = clock.today();
+    const start = from ?? todayStr;
+    const settings = await databaseService.loadSettings(userId);
+    const pauseWindows = PauseSchedule.addWindow(settings, until, todayStr, start);
+    const updated = await databaseService.saveSettings({ ...settings, pause_windows: pauseWindows }, userId);
+    log.info(`⏸️ ${userId} paused ${start} → ${until}`);
+    return updated;
+  }
+
+  /**
+   * End the pause covering today - the routine runs again from the next check
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Updated settings
+   */
+  async resumeFromPause(userId) {
+    const settings = await databaseService.loadSettings(userId);
+    const updated = await databaseService.saveSettings({
+      ...settings,
+      pause_windows: PauseSchedule.resume(settings, clock.today())
+    }, userId);
+    log.info(`▶️ ${userId} resumed`);
+    return updated;
+  }
+
+  /**
+   * Get problem details for a list of slugs, with their topic and cached LeetCode metadata (lib/problemMetadata.js)
+   * @param {Array<string>} slugs - Problem slugs
+   * @param {StudyPlan} plan - Active study plan
+   */
+  async getProblemDetails(slugs, plan = DEFAULT_STUDY_PLAN) {
+    const problems = slugs.map(slug => {
+      const problem = findProblem(plan, slug) || { slug, name: slug, difficulty: 'Unknown' };
+      return { ...problem, topic: getTopic(plan, slug) };
+    });
+    return this.problemMetadata.enrichProblems(problems);
+  }
+
+  /**
+   * Add signed solve / snooze / skip links to problems for an email (lib/actionLinks.js)
+   * Problems are left as they are when links are disabled (no BASE_URL or secret).
+   * @param {string} userId - User the links act for
+   * @param {Array<Object>} problems - Problem details
+   * @param {Array<string>} reviewSlugs - Problems that are reviews (no skip link)
+   */
+  withActionLinks(userId, problems, reviewSlugs = []) {
+    return problems.map(problem => {
+      const links = this.actionLinks.linksFor(userId, problem.slug, { review: reviewSlugs.includes(problem.slug) });
+      return links ? { ...problem, actionLinks: links } : problem;
+    });
+  }
+
+  /**
+   * Report for the 7 days ending today
+   * Solve and review events are dated when they happen, so the week's events are enough
+   */
+  async buildWeeklyReport(userId, progress, todayStr, plan = DEFAULT_STUDY_PLAN) {
+    const range = WeeklyReport.getWeekRange(todayStr);
+    const history = await databaseService.loadHistory(userId, { from: range.startDate, to: range.endDate });
+    return WeeklyReport.build(WeeklyReport.collectRecords(progress, history), {
+      ...range,
+      getTopic: slug => getTopic(plan, slug)
+    });
+  }
+
+  /**
+   * Render an email without sending it, for /api/email-preview
+   * Sample data uses the start of the user's study plan (up to three problems, or
+   * the bundled plan's first if it has none); live data uses the user's
+   * progress as the next run would see it (without checking LeetCode), and
+   * falls back to the sample when there is nothing to show yet.
+   * @param {string} template - One of EMAIL_TEMPLATES (lib/emailTemplates.js)
+   * @param {Object} user - User record from UserService
+   * @param {Object} options - { live }
+   * @returns {Promise<Object>} { template, source, type, subject, html, text }
+   * @throws {Error} If the template is unknown
+   */
+  async buildEmailPreview(template, user, { live = false } = {}) {
+    if (!emailTemplates.has(template)) {
+      throw new Error(`Unknown email template: ${template}`);
+    }
+
+    const todayStr = clock.today();
+    const goal = TRACKER_CONFIG.goals.streakGoal;
+    const settings = await databaseService.loadSettings(user.id);
+    const plan = await this.planService.resolveActivePlan(user, settings);
+    const planProblems = plan.getOrderedProblemList().slice(0, 3);
+    const samplePlan = planProblems.length > 0 ? plan : DEFAULT_STUDY_PLAN;
+    const sampleProblems = await this.getProblemDetails(
+      (planProblems.length > 0 ? planProblems : DEFAULT_STUDY_PLAN.getOrderedProblemList().slice(0, 1)).map(p => p.slug),
+      samplePlan
+    );
+    const weekRange = WeeklyReport.getWeekRange(todayStr);
+    const sample = {
+      streak: { current: 4, longest: 9, lastDate: todayStr, goal },
+      today: {
+        unfinished: sampleProblems.slice(0, 1),
+        newProblems: sampleProblems.slice(1, 2),
+        reviews: sampleProblems.slice(2)
+      },
+      pending: sampleProblems.slice(0, 2),
+      solved: sampleProblems.slice(0, 2).map(p => ({ title: p.name, lang: 'python3' })),
+      report: WeeklyReport.build(sampleProblems.slice(0, 2).map((problem, index) => index === 0 ?
+        { slug: problem.slug, sentDate: weekRange.startDate, solved: true, solvedTimestamp: clock.now().toISOString() } :
+        { slug: problem.slug, sentDate: todayStr, solved: false }
+      ), { ...weekRange, getTopic: slug => getTopic(samplePlan, slug) })
+    };
+
+    let data = sample;
+    let source = 'sample';
+    if (live) {
+      const progress = await databaseService.loadProgress(user.id);
+      const calculation = calculateTodaysProblems(progress, settings, todayStr, plan);
+      const solvedEvents = await databaseService.loadHistory(user.id, { from: todayStr, to: todayStr, type: 'solved' });
+      const details = slugs => this.getProblemDetails(slugs, plan);
+
+      const liveData = {
+        streak: StreakTracker.summarize(progress.streak, todayStr, goal, PauseSchedule.offDayCheck(settings)),
+        today: calculation.problems.length > 0 ? {
+          unfinished: await details(calculation.unfinished),
+          newProblems: await details(calculation.newProblems),
+          reviews: await details(calculation.reviews)
+        } : null,
+        pending: progress.sentProblems.length > 0 ?
+          await details(progress.sentProblems.filter(p => ProblemActions.isOpen(p) && !ProblemActions.isSnoozed(p, todayStr)).map(p => p.slug)) :
+          null,
+        solved: solvedEvents.map(event => ({
+          title: findProblem(plan, event.slug)?.name || event.slug,
+          lang: event.language || 'unknown'
+        })),
+        report: await this.buildWeeklyReport(user.id, progress, todayStr, plan)
+      };
+      if (liveData.pending?.length === 0) liveData.pending = null;
+      if (liveData.solved.length === 0) liveData.solved = null;
+
+      // Only switch to live data when this template has something to show
+      const needs = {
+        'todays-question': 'today', 'reminder': 'today', 'multiple-problems': 'today',
+        'evening-reminder': 'pending', 'congratulations': 'solved'
+      }[template];
+      if (!needs || liveData[needs]) {
+        data = { ...sample, ...Object.fromEntries(Object.entries(liveData).filter(([, value]) => value)) };
+        source = 'live';
+      }
+    }
+
+    const { unfinished, newProblems, reviews } = data.today;
+    const todaysProblems = [...unfinished, ...newProblems, ...reviews];
+    let message;
+    switch (template) {
+      case 'todays-question': {
+        const problem = newProblems[0] || todaysProblems[0];
+        message = EmailService.composeTodaysQuestionEmail(problem, problem.topic, data.streak);
+        break;
+      }
+      case 'reminder': {
+        const problem = unfinished[0] || todaysProblems[0];
+        message = EmailService.composeReminderEmail(problem, problem.topic, data.streak);
+        break;
+      }
+      case 'multiple-problems':
+        message = EmailService.composeMultipleProblemsEmail(todaysProblems, {
+          unfinished,
+          newProblems,
+          reviews,
+          totalCount: todaysProblems.length,
+          streak: data.streak
+        });
+        break;
+      case 'evening-reminder':
+        message = EmailService.composeEveningReminderEmail(data.pending, data.streak);
+        break;
+      case 'weekly-summary':
+        message = EmailService.composeWeeklySummaryEmail(data.report, data.streak, getSystemDesignTopicName(), plan);
+        break;
+      case 'congratulations':
+        message = EmailService.composeCongratulationsEmail(data.solved, data.streak);
+        break;
+      case 'new-week': {
+        const currentWeek = plan.getCurrentWeek(STUDY_PLAN.startDate);
+        const week = plan.weeks[currentWeek] ? currentWeek : Object.keys(plan.weeks)[0];
+        message = EmailService.composeNewQuestionEmail(week, plan.weeks[week].theme, plan.weeks[week].problems);
+        break;
+      }
+    }
+
+    return { template, source, ...message };
+  }
+
+  /**
+   * Check if we need to send new week notification
+   */
+  async checkNewWeek() {
+    const currentWeek = StudyPlanHelper.getCurrentWeek();
+    const weekData = STUDY_PLAN.weeks[currentWeek];
+    
+    if (weekData) {
+      // For simplicity, we'll check if it's Monday (start of week)
+      const today = clock.now();
+      if (today.getDay() === 1) { // Monday = 1
+        log.info(`📚 Starting Week ${currentWeek}: ${weekData.theme}`);
+        await this.emailService.sendNewQuestionEmail(
           currentWeek, 
           weekData.theme, 
           weekData.problems
@@ -839,78 +1687,87 @@ class ProgressTracker {
   /**
    * Test the tracker manually
    */
-  async testTracker() {
-    console.log('🧪 Testing LeetCode Progress Tracker (Multi-problem version)...\n');
+  async testTracker(userId = DEFAULT_USER_ID) {
+    log.info('🧪 Testing LeetCode Progress Tracker (Multi-problem version)...\n');
     
     try {
+      const user = await userService.getUser(userId);
+      if (!user) {
+        throw new Error(`Unknown user: ${userId}`);
+      }
+      log.info(`👤 Testing as ${user.id} (LeetCode: ${user.leetcodeUsername})\n`);
+
       // Test API connection
-      console.log('1. Testing API connection...');
-      const profile = await this.leetcodeApi.getUserProfile(STUDY_PLAN.username);
-      console.log(`✅ Connected! User: ${profile.username}, Ranking: ${profile.ranking}\n`);
+      log.info('1. Testing API connection...');
+      const profile = await this.leetcodeApi.getUserProfile(user.leetcodeUsername);
+      log.info(`✅ Connected! User: ${profile.username}, Ranking: ${profile.ranking}\n`);
 
       // Test submissions
-      console.log('2. Testing submissions...');
-      const submissions = await this.leetcodeApi.getUserSubmissions(STUDY_PLAN.username, 5);
-      console.log(`✅ Recent submissions: ${submissions.count} total, showing ${submissions.submission.length}\n`);
-
-      // Test study plan
-      console.log('3. Testing study plan...');
-      const orderedProblems = StudyPlanHelper.getOrderedProblemList();
-      console.log(`✅ Total problems in study plan: ${orderedProblems.length}`);
-      console.log(`✅ Topics: ${STUDY_PLAN.topics.length}\n`);
-
-      // Test settings and progress
-      console.log('4. Testing settings and progress...');
-      const settings = await databaseService.loadSettings();
-      const progress = await databaseService.loadProgress();
-      console.log(`✅ Settings loaded: ${settings.num_questions} problems per day`);
-      console.log(`✅ Progress loaded: Position ${progress.studyPlanPosition}/${orderedProblems.length}`);
-      console.log(`✅ Sent problems: ${progress.sentProblems.length}, Pending queue: ${progress.pendingQueue.length}\n`);
+      log.info('2. Testing submissions...');
+      const submissions = await this.leetcodeApi.getUserSubmissions(user.leetcodeUsername, 5);
+      log.info(`✅ Recent submissions: ${submissions.count} total, showing ${submissions.submission.length}\n`);
+
+      // Test settings, study plan and progress
+      log.info('3. Testing settings and study plan...');
+      const settings = await databaseService.loadSettings(user.id);
+      const plan = await this.planService.resolveActivePlan(user, settings);
+      log.info(`✅ Settings loaded: ${settings.num_questions} problems per day`);
+      log.info(`✅ Study plan: ${plan.name} (${plan.id} v${plan.version})`);
+      log.info(`✅ Total problems in study plan: ${plan.getOrderedProblemList().length}`);
+      log.info(`✅ Topics: ${plan.topics.length}\n`);
+
+      log.info('4. Testing progress...');
+      const progress = await databaseService.loadProgress(user.id);
+      const completion = plan.getCompletion(progress);
+      log.info(`✅ Progress loaded: ${completion.done}/${completion.total} problems assigned`);
+      log.info(`✅ Sent problems: ${progress.sentProblems.length}, Pending queue: ${progress.pendingQueue.length}\n`);
 
       // Test problem calculation
-      console.log('5. Testing problem calculation...');
-      const todaysCalculation = calculateTodaysProblems(progress, settings);
-      console.log(`✅ Would send ${todaysCalculation.problems.length} problems today:`);
-      console.log(`   - Unfinished: ${todaysCalculation.unfinished.length}`);
-      console.log(`   - New: ${todaysCalculation.newProblems.length}`);
-      console.log(`   - Updated position: ${todaysCalculation.updatedPosition}\n`);
+      log.info('5. Testing problem calculation...');
+      const todaysCalculation = calculateTodaysProblems(progress, settings, clock.today(), plan);
+      log.info(`✅ Would send ${todaysCalculation.problems.length} problems today:`);
+      log.info(`   - Unfinished: ${todaysCalculation.unfinished.length}`);
+      log.info(`   - New: ${todaysCalculation.newProblems.length}`);
+      log.info(`   - Review: ${todaysCalculation.reviews.length}`);
+      log.info(`   - New problems from ${plan.id}: [${todaysCalculation.newProblems.join(', ')}]\n`);
 
       // Test submission checking
-      console.log('6. Testing submission checking...');
-      const yesterdayStr = format(new Date(Date.now() - 24 * 60 * 60 * 1000), 'yyyy-MM-dd');
-      const todayStr = format(new Date(), 'yyyy-MM-dd');
+      log.info('6. Testing submission checking...');
+      const todayStr = clock.today();
+      const yesterdayStr = ReviewScheduler.addDays(todayStr, -1);
       
       try {
-        const yesterdaySubmissions = await this.leetcodeApi.getSubmissionsForDate(STUDY_PLAN.username, yesterdayStr);
-        const todaySubmissions = await this.leetcodeApi.getSubmissionsForDate(STUDY_PLAN.username, todayStr);
+        const yesterdaySubmissions = await this.leetcodeApi.getSubmissionsForDate(user.leetcodeUsername, yesterdayStr);
+        const todaySubmissions = await this.leetcodeApi.getSubmissionsForDate(user.leetcodeUsername, todayStr);
         
-        console.log(`✅ Yesterday (${yesterdayStr}): ${yesterdaySubmissions.length} accepted submissions`);
-        console.log(`✅ Today (${todayStr}): ${todaySubmissions.length} accepted submissions`);
+        log.info(`✅ Yesterday (${yesterdayStr}): ${yesterdaySubmissions.length} accepted submissions`);
+        log.info(`✅ Today (${todayStr}): ${todaySubmissions.length} accepted submissions`);
         
         if (yesterdaySubmissions.length > 0) {
-          console.log(`   Yesterday's problems: [${yesterdaySubmissions.map(s => s.titleSlug).join(', ')}]`);
+          log.info(`   Yesterday's problems: [${yesterdaySubmissions.map(s => s.titleSlug).join(', ')}]`);
         }
       } catch (error) {
-        console.log(`❌ Submission checking failed: ${error.message}`);
+        log.error(`❌ Submission checking failed: ${error.message}`);
       }
 
-      // Test email (optional)
+      // Test notification (optional)
       if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-        console.log('7. Testing email (sending test email)...');
-        await this.emailService.sendEmail(
+        log.info(`7. Testing notifications (${(settings.notification_channels || ['email']).join(', ')})...`);
+        await this.emailService.forRecipient(user.email, settings).sendEmail(
           '🧪 LeetCode Tracker Test - Multi-problem Support',
           '<h2>🎉 Test email successful!</h2><p>Your LeetCode tracker with multi-problem support is working!</p>',
-          'Test email successful! Your LeetCode tracker with multi-problem support is working!'
+          'Test email successful! Your LeetCode tracker with multi-problem support is working!',
+          'test'
         );
-        console.log('✅ Email test successful!\n');
+        log.info('✅ Notification test successful!\n');
       } else {
-        console.log('7. ⚠️ Email not configured (set EMAIL_USER and EMAIL_PASS in .env)\n');
+        log.info('7. ⚠️ Email not configured (set EMAIL_USER and EMAIL_PASS in .env)\n');
       }
 
-      console.log('🎉 All tests passed! Multi-problem tracker is ready to use.\n');
+      log.info('🎉 All tests passed! Multi-problem tracker is ready to use.\n');
       
     } catch (error) {
-      console.error('❌ Test failed:', error.message);
+      log.error('❌ Test failed:', error.message);
     }
   }
 
@@ -918,34 +1775,82 @@ class ProgressTracker {
    * Start scheduled jobs
    */
   startScheduledJobs() {
-    console.log('⏰ Starting scheduled jobs...');
+    log.info('⏰ Starting scheduled jobs...');
     
-    cron.schedule(TRACKER_CONFIG.email.schedules.dailyCheck, () => {
-      this.runDailyRoutine();
+    const { dailyCheck, reminderCheck, weeklyReview } = TRACKER_CONFIG.email.schedules;
+
+    cron.schedule(dailyCheck, () => {
+      this.runDailyRoutine({ trigger: 'cron' }).catch(error => log.error('❌ Daily routine failed:', error.message));
+    });
+
+    cron.schedule(reminderCheck, () => {
+      this.runEveningReminder({ trigger: 'cron' }).catch(error => log.error('❌ Evening reminder failed:', error.message));
+    });
+
+    cron.schedule(weeklyReview, () => {
+      this.runWeeklySummary({ trigger: 'cron' }).catch(error => log.error('❌ Weekly summary failed:', error.message));
     });
 
-    console.log('✅ Scheduled job registered!');
-    console.log(`🕑 Daily routine cron: ${TRACKER_CONFIG.email.schedules.dailyCheck}`);
+    log.info('✅ Scheduled jobs registered!');
+    log.info(`🕑 Daily routine cron: ${dailyCheck}`);
+    log.info(`🕕 Evening reminder cron: ${reminderCheck}`);
+    log.info(`📅 Weekly summary cron: ${weeklyReview}`);
   }
 }
 
 /**
  * CLI Interface
  */
+/**
+ * Split CLI arguments into positional args and --key=value / --key value options
+ */
+function parseCliArgs(argv) {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return { args, options };
+}
+
 async function main() {
   const tracker = new ProgressTracker();
-  const command = process.argv[2];
-  const subcommand = process.argv[3];
+  const { args, options } = parseCliArgs(process.argv.slice(2));
+  const [command, subcommand] = args;
+  const userId = options.user || process.env.TRACKER_USER || DEFAULT_USER_ID;
 
   switch (command) {
     case 'test':
-      await tracker.testTracker();
+      await tracker.testTracker(userId);
       break;
     
     case 'check':
-      await tracker.runDailyRoutine();
+      await tracker.runDailyRoutine({ trigger: 'cli' });
       break;
     
+    case 'remind':
+      await tracker.runEveningReminder({ trigger: 'cli' });
+      break;
+
+    case 'weekly':
+      await tracker.runWeeklySummary({ trigger: 'cli' });
+      break;
+
     case 'start':
       console.log('🚀 Starting LeetCode Progress Tracker...');
       tracker.startScheduledJobs();
@@ -953,13 +1858,56 @@ async function main() {
       break;
 
     case 'settings':
-      await handleSettingsCommand(subcommand);
+      await handleSettingsCommand(subcommand, args[2], userId);
       break;
 
     case 'status':
-      await showStatus();
+      await showStatus(userId);
+      break;
+
+    case 'users':
+      await handleUsersCommand(subcommand, args.slice(2));
+      break;
+
+    case 'plans':
+      await handlePlansCommand(subcommand, args[2], userId);
+      break;
+
+    case 'simulate':
+      await simulateRoutine(options);
+      break;
+
+    case 'migrate':
+      await handleMigrateCommand(subcommand, userId);
+      break;
+
+    case 'enrich-plan':
+      await enrichPlan(tracker, options);
+      break;
+
+    case 'import-plan':
+      await importStudyPlan(subcommand, options);
+      break;
+
+    case 'solve':
+    case 'skip':
+    case 'snooze':
+      await handleProblemAction(tracker, command, subcommand, userId, options);
       break;
 
+    case 'pause':
+    case 'resume':
+      await handlePauseCommand(tracker, command, userId, options);
+      break;
+
+    case 'prune-runs': {
+      const deleted = await tracker.pruneRunLedger();
+      console.log(`🧹 Deleted ${deleted} run ledger entr${deleted === 1 ? 'y' : 'ies'} older than ${runLedger.keepDays} days`);
+      const jobRuns = await tracker.jobHistory.prune();
+      console.log(`🧹 Deleted ${jobRuns} job run${jobRuns === 1 ? '' : 's'} beyond the newest ${tracker.jobHistory.maxRuns}`);
+      break;
+    }
+
     case 'diagnose':
       const DiagnosticTool = require('./diagnose-progress');
       const diagnostic = new DiagnosticTool();
@@ -981,15 +1929,20 @@ async function main() {
     case 'force-check':
       console.log('🔧 Force checking submissions and updating progress...');
       const forceTracker = new ProgressTracker();
-      const forceProgress = await databaseService.loadProgress();
-      const forceSettings = await databaseService.loadSettings();
-      const yesterdayStr = format(new Date(Date.now() - 24 * 60 * 60 * 1000), 'yyyy-MM-dd');
+      const forceUser = await userService.getUser(userId);
+      if (!forceUser) {
+        console.log(`❌ Unknown user: ${userId}`);
+        break;
+      }
+      const forceProgress = await databaseService.loadProgress(forceUser.id);
       
-      console.log(`🔍 Force checking ${yesterdayStr} submissions...`);
-      await forceTracker.updateSolvedStatus(forceProgress, yesterdayStr, process.env.LEETCODE_USERNAME);
+      console.log(`🔍 Force checking recent submissions for ${forceUser.leetcodeUsername}...`);
+      const forceSettings = await databaseService.loadSettings(forceUser.id);
+      const forcePlan = await forceTracker.planService.resolveActivePlan(forceUser, forceSettings);
+      await forceTracker.updateSolvedStatus(forceProgress, forceUser.leetcodeUsername, forceUser.id, getStreakRule(forceSettings), forcePlan, PauseSchedule.offDayCheck(forceSettings));
       
       console.log('\n📊 Updated progress:');
-      const updatedProgress = await databaseService.loadProgress();
+      const updatedProgress = await databaseService.loadProgress(forceUser.id);
       updatedProgress.sentProblems.forEach((problem, i) => {
         console.log(`  ${i + 1}. ${problem.slug} - solved: ${problem.solved} (sent: ${problem.sentDate})`);
       });
@@ -1003,19 +1956,88 @@ Usage:
   node tracker.js test                    - Test all components
   node tracker.js check                   - Run daily routine once (same as 2 AM job)
   node tracker.js start                   - Start scheduled monitoring
+  node tracker.js remind                  - Send the evening reminder now (same as 6 PM job)
+  node tracker.js weekly                  - Send the weekly summary now (same as Sunday job)
   node tracker.js settings [get|set]      - Manage settings
   node tracker.js status                  - Show current status
   node tracker.js diagnose               - Run diagnostic tool to troubleshoot issues
   node tracker.js wake                    - Wake up external API (fixes timeout issues)
   node tracker.js force-check            - Force check yesterday's submissions and update progress
+  node tracker.js users [list|add|enable|disable] - Manage users
+  node tracker.js plans [list|show <id>]  - List study plans or show one
+  node tracker.js simulate --from <date> [--days 30] - Replay the routine day by day (nothing is saved or sent)
+  node tracker.js migrate [status|up|down] - Show or change the progress schema version
+  node tracker.js enrich-plan [--refresh] - Cache tags, difficulty and premium flags for the plan's problems
+  node tracker.js import-plan <source>    - Build a study plan from a CSV, YAML or Markdown file, or a bundled list
+  node tracker.js solve|skip|snooze <slug> - Mark an assigned problem solved, skip it or put it off
+  node tracker.js pause --until <date>    - Send nothing through a date (resume ends it early)
+  node tracker.js prune-runs              - Delete run ledger entries older than RUN_LEDGER_KEEP_DAYS (30)
+                                          and job runs beyond JOB_HISTORY_MAX_RUNS (200)
 
 Settings Management:
   node tracker.js settings get            - Show current settings
   node tracker.js settings set <num>      - Set number of daily problems (1-10)
+  node tracker.js settings channels <list> - Pick notification channels, e.g. email,slack
+  node tracker.js settings streak-rule <assigned|any> - What counts as a streak day
+  node tracker.js settings plan <id>      - Study from another plan (solved problems stay solved)
+  node tracker.js settings rest-days <days> - Weekdays with no problems, e.g. sat,sun (or none)
+  node tracker.js settings adaptive <min>-<max> - Raise or lower the daily count by solve rate, e.g. 1-4 (or off)
+
+User Management:
+  node tracker.js users list                                    - List users
+  node tracker.js users add <id> <leetcode-username> <email>    - Add a user
+  node tracker.js users enable|disable <id>                     - Include/exclude from daily routine
+
+Migrations:
+  node tracker.js migrate status          - Stored schema version and migration history
+  node tracker.js migrate up              - Migrate stored progress to the current schema now
+  node tracker.js migrate down            - Undo the latest migration and pin that version until migrate up
+  Every load migrates unpinned progress automatically; a checkpoint is written before each step.
+
+  test, status, settings, plans, migrate, force-check, solve, skip, snooze, pause and resume act on the user given by --user <id>
+  (or TRACKER_USER), defaulting to the 'default' user.
+
+Problem Actions (for problems the submission check can't see):
+  node tracker.js solve two-sum           - Count it as solved today (or reviewed, if it is out for review)
+  node tracker.js skip two-sum            - Drop it without solving; it is not sent again
+  node tracker.js snooze two-sum --days 3 - Leave it out of emails for 3 days (default 1, at most 30)
+
+Pauses (nothing is sent on days off, and the streak carries over them):
+  node tracker.js pause --until 2025-08-17                   - Pause from today through Aug 17
+  node tracker.js pause --from 2025-08-10 --until 2025-08-17 - Plan a pause ahead
+  node tracker.js resume                                     - End today's pause (planned ones stay)
+
+Problem Metadata:
+  node tracker.js enrich-plan             - Look up problems that aren't cached yet (or are over 30 days old)
+    --refresh           Look up every problem again
+    --slug <slug>       Only this problem
+    --delay <ms>        Pause between API calls (default 300)
+
+Plan Import:
+  node tracker.js import-plan plan.csv    - Print the plan as study-plan.clean.json JSON
+  node tracker.js import-plan neetcode150 --per-week 7 --output study-plan.clean.json
+    <source>            A .csv, .yaml/.yml or .md file, or a bundled list: blind75, neetcode150
+    --format <format>   csv, yaml or markdown, when the extension doesn't say
+    --per-week <n>      Split themes into weeks of at most n problems (lists without week numbers)
+    --output <file>     Write the plan to a file instead of printing it (restart to load it)
+    --save <id>         Save it as a named plan in the database (a new version if the id exists)
+    --name <name>       Display name for --save
+
+Study Plans:
+  node tracker.js plans list              - Plans in the database, * marks the active one
+  node tracker.js plans show <id>         - Weeks of a plan and how far through it you are
+  node tracker.js import-plan blind75 --save blind75 && node tracker.js settings plan blind75
+
+Simulation:
+  node tracker.js simulate --from 2025-01-01 --days 30
+    --questions <n>     Daily problems (default 1)
+    --solve-rate <0-1>  Share of open problems the simulated user solves each day (default 1)
+    --verbose           Show the routine's own logs
 
 Examples:
   node tracker.js settings set 3          - Send 3 problems per day
   node tracker.js settings get            - View current settings
+  node tracker.js status --user alice     - Show alice's progress
 
 Make sure to:
 1. Copy env.example to .env and configure your settings
@@ -1028,20 +2050,27 @@ Make sure to:
 /**
  * Handle settings command
  */
-async function handleSettingsCommand(subcommand) {
-  const settings = await databaseService.loadSettings();
+async function handleSettingsCommand(subcommand, value, userId = DEFAULT_USER_ID) {
+  const settings = await databaseService.loadSettings(userId);
 
   switch (subcommand) {
     case 'get':
       console.log('\n⚙️ Current Settings:');
       console.log(`📊 Daily problems: ${settings.num_questions}`);
+      console.log(`⚖️ Adaptive load: ${AdaptiveLoad.isEnabled(settings) ? `on, ${settings.adaptive_load.min}-${settings.adaptive_load.max} a day` : 'off'}`);
       console.log(`📧 Email enabled: ${settings.email_enabled}`);
+      console.log(`🔁 Review share: ${Math.round(getReviewShare(settings) * 100)}% of daily slots`);
+      console.log(`🔔 Channels: ${(settings.notification_channels || DEFAULT_CHANNELS).join(', ')}`);
+      console.log(`🔥 Streak rule: ${getStreakRule(settings)}`);
+      console.log(`📚 Study plan: ${settings.study_plan || 'default (from the user)'}`);
+      console.log(`😴 Rest days: ${(settings.rest_days || []).join(', ') || 'none'}`);
+      console.log(`⏸️ Pauses: ${(settings.pause_windows || []).map(window => `${window.from} → ${window.to}`).join(', ') || 'none'}`);
       console.log(`📅 Created: ${settings.created_at}`);
       console.log(`🔄 Last updated: ${settings.updated_at}\n`);
       break;
 
     case 'set':
-      const newNum = parseInt(process.argv[4]);
+      const newNum = parseInt(value);
       if (isNaN(newNum)) {
         console.log('❌ Please provide a valid number');
         console.log('Usage: node tracker.js settings set <number>');
@@ -1052,7 +2081,7 @@ async function handleSettingsCommand(subcommand) {
       const updatedSettings = await databaseService.saveSettings({
         ...settings,
         num_questions: validatedNum
-      });
+      }, userId);
 
       console.log(`✅ Settings updated!`);
       console.log(`📊 Daily problems: ${validatedNum}`);
@@ -1061,39 +2090,180 @@ async function handleSettingsCommand(subcommand) {
         console.log(`⚠️ Number adjusted to valid range (1-10)`);
       }
       
+      if (AdaptiveLoad.isEnabled(settings)) {
+        console.log('⚖️ Adaptive load is on - it picks the daily count (settings adaptive off to use this one)');
+      }
       console.log('\n💡 Changes will take effect on the next daily routine.\n');
       break;
 
+    case 'channels': {
+      const channels = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = channels.filter(name => !NOTIFICATION_CHANNELS.includes(name));
+      if (channels.length === 0 || unknown.length > 0) {
+        console.log(`❌ Please provide channels from: ${NOTIFICATION_CHANNELS.join(', ')}`);
+        console.log('Usage: node tracker.js settings channels email,slack');
+        return;
+      }
+
+      await databaseService.saveSettings({
+        ...settings,
+        notification_channels: channels
+      }, userId);
+
+      console.log(`✅ Notifications will be sent via: ${channels.join(', ')}`);
+      console.log('💡 Slack, Discord and webhook channels use SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL and NOTIFY_WEBHOOK_URL\n');
+      break;
+    }
+
+    case 'streak-rule':
+      if (!STREAK_RULES.includes(value)) {
+        console.log(`❌ Please provide a streak rule: ${STREAK_RULES.join(' or ')}`);
+        console.log('Usage: node tracker.js settings streak-rule <assigned|any>');
+        return;
+      }
+
+      await databaseService.saveSettings({
+        ...settings,
+        streak_rule: value
+      }, userId);
+
+      console.log(`✅ Streak rule set to "${value}"`);
+      console.log(value === 'any' ?
+        '🔥 Any accepted submission now counts as a streak day' :
+        '🔥 Only solving an assigned problem now counts as a streak day');
+      console.log('💡 The streak is recalculated on the next check.\n');
+      break;
+
+    case 'plan': {
+      const plan = value ? await planService.getPlan(value) : null;
+      if (!plan) {
+        const plans = await planService.listPlans();
+        console.log(`❌ Please provide a plan id: ${plans.map(p => p.id).join(', ')}`);
+        console.log('Usage: node tracker.js settings plan <id>');
+        return;
+      }
+
+      await databaseService.saveSettings({
+        ...settings,
+        study_plan: plan.id
+      }, userId);
+
+      console.log(`✅ Studying from ${plan.name} (${plan.id} v${plan.version})`);
+      console.log('💡 Problems already sent or solved from other plans are not sent again.\n');
+      break;
+    }
+
+    case 'adaptive': {
+      const match = /^(\d+)-(\d+)$/.exec(value || '');
+      if (value === 'off') {
+        if (!settings.adaptive_load) {
+          console.log('✅ Adaptive load is already off');
+          return;
+        }
+        await databaseService.saveSettings({
+          ...settings,
+          adaptive_load: { ...settings.adaptive_load, enabled: false }
+        }, userId);
+        console.log(`✅ Adaptive load off - sending ${settings.num_questions} problem${settings.num_questions > 1 ? 's' : ''} per day`);
+        return;
+      }
+
+      const [min, max] = match ? [parseInt(match[1]), parseInt(match[2])] : [];
+      if (!match || min < 1 || max > 10 || min > max) {
+        console.log('❌ Please provide a range within 1-10, or off');
+        console.log('Usage: node tracker.js settings adaptive <min>-<max>|off');
+        return;
+      }
+
+      await databaseService.saveSettings({
+        ...settings,
+        adaptive_load: { enabled: true, min, max }
+      }, userId);
+
+      console.log(`✅ Adaptive load on - between ${min} and ${max} problems per day`);
+      console.log('📈 One more after a few days with everything solved, one fewer when problems pile up');
+      console.log(`💡 Starts from ${Math.min(max, Math.max(min, settings.num_questions))} on the next daily routine.\n`);
+      break;
+    }
+
+    case 'rest-days': {
+      let restDays;
+      try {
+        restDays = PauseSchedule.parseRestDays(value);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+        console.log('Usage: node tracker.js settings rest-days <sat,sun|none>');
+        return;
+      }
+
+      await databaseService.saveSettings({
+        ...settings,
+        rest_days: restDays
+      }, userId);
+
+      console.log(restDays.length > 0 ?
+        `✅ No problems on ${restDays.join(', ')} - the streak carries over them` :
+        '✅ No rest days - problems are sent every day');
+      break;
+    }
+
     default:
       console.log('\n⚙️ Settings Commands:');
-      console.log('  node tracker.js settings get      - Show current settings');
-      console.log('  node tracker.js settings set <n>  - Set daily problems (1-10)\n');
+      console.log('  node tracker.js settings get                 - Show current settings');
+      console.log('  node tracker.js settings set <n>             - Set daily problems (1-10)');
+      console.log('  node tracker.js settings channels <list>     - Set notification channels (email,slack,discord,webhook)');
+      console.log('  node tracker.js settings streak-rule <rule>  - What counts as a streak day (assigned|any)');
+      console.log('  node tracker.js settings plan <id>           - Pick the study plan (see: node tracker.js plans list)');
+      console.log('  node tracker.js settings rest-days <days>    - Weekdays with no problems (sat,sun or none)');
+      console.log('  node tracker.js settings adaptive <min>-<max> - Let the tracker pick the daily count (or off)\n');
   }
 }
 
 /**
  * Show current status
  */
-async function showStatus() {
-  const settings = await databaseService.loadSettings();
-  const progress = await databaseService.loadProgress();
-  const orderedProblems = StudyPlanHelper.getOrderedProblemList();
+async function showStatus(userId = DEFAULT_USER_ID) {
+  const settings = await databaseService.loadSettings(userId);
+  const progress = await databaseService.loadProgress(userId);
+  const plan = await planService.resolveActivePlan(await userService.getUser(userId), settings);
+  const completion = plan.getCompletion(progress);
 
-  console.log('\n📊 LeetCode Tracker Status\n');
+  console.log(`\n📊 LeetCode Tracker Status (${userId})\n`);
   
   console.log('⚙️ Settings:');
   console.log(`  Daily problems: ${settings.num_questions}`);
-  console.log(`  Email enabled: ${settings.email_enabled}\n`);
+  if (AdaptiveLoad.isEnabled(settings)) {
+    const adaptive = progress.settingsAtSendTime?.adaptive;
+    console.log(`  Adaptive load: ${settings.adaptive_load.min}-${settings.adaptive_load.max}, last sent ${adaptive ? progress.settingsAtSendTime.num_questions : '-'}` +
+      (adaptive?.message ? ` (${adaptive.message})` : ''));
+  }
+  console.log(`  Email enabled: ${settings.email_enabled}`);
+  console.log(`  Channels: ${(settings.notification_channels || DEFAULT_CHANNELS).join(', ')}\n`);
   
   console.log('📈 Progress:');
-  console.log(`  Study plan position: ${progress.studyPlanPosition}/${orderedProblems.length}`);
+  console.log(`  Study plan: ${plan.name} (${plan.id} v${plan.version})`);
+  console.log(`  Assigned: ${completion.done}/${completion.total} (${completion.percentage}%)`);
   console.log(`  Last sent: ${progress.lastSentDate || 'Never'}`);
   console.log(`  Sent problems: ${progress.sentProblems.length}`);
-  console.log(`  Pending queue: ${progress.pendingQueue.length}\n`);
+  console.log(`  Pending queue: ${progress.pendingQueue.length}`);
+
+  const reviewQueue = progress.sentProblems.filter(p => ReviewScheduler.isInQueue(p));
+  const dueReviews = ReviewScheduler.getDueReviews(progress.sentProblems, clock.today());
+  console.log(`  Review queue: ${reviewQueue.length} (${dueReviews.length} due)`);
+
+  const streak = StreakTracker.summarize(progress.streak, clock.today(), TRACKER_CONFIG.goals.streakGoal, PauseSchedule.offDayCheck(settings));
+  console.log(`  Streak: ${streak.current} day(s), longest ${streak.longest} (goal ${streak.goal}, rule: ${getStreakRule(settings)})`);
+
+  const pause = PauseSchedule.getPause(settings, clock.today());
+  if (pause) {
+    console.log(pause.reason === 'pause' ? `  ⏸️ Paused until ${pause.until}` : `  ⏸️ Rest day (${pause.weekday})`);
+  }
+  console.log('');
 
-  if (progress.sentProblems.length > 0) {
-    const solvedCount = progress.sentProblems.filter(p => p.solved).length;
-    const unsolvedCount = progress.sentProblems.length - solvedCount;
+  const lastBatch = progress.sentProblems.filter(p => !ReviewScheduler.isInQueue(p) || p.sentDate === progress.lastSentDate);
+  if (lastBatch.length > 0) {
+    const solvedCount = lastBatch.filter(p => p.solved).length;
+    const unsolvedCount = lastBatch.length - solvedCount;
     
     console.log('📋 Last Sent Problems:');
     console.log(`  Solved: ${solvedCount}`);
@@ -1104,8 +2274,9 @@ async function showStatus() {
       progress.sentProblems
         .filter(p => !p.solved)
         .forEach(p => {
-          const problem = StudyPlanHelper.getProblemBySlug(p.slug);
-          console.log(`  - ${problem?.name || p.slug} (${p.sentDate})`);
+          const problem = findProblem(plan, p.slug);
+          const snoozed = ProblemActions.isSnoozed(p, clock.today()) ? `, 💤 snoozed until ${p.snoozedUntil}` : '';
+          console.log(`  - ${problem?.name || p.slug} (${p.sentDate}${snoozed})`);
         });
     }
   }
@@ -1113,6 +2284,519 @@ async function showStatus() {
   console.log('\n💡 Next routine will run at 2:00 AM\n');
 }
 
+/**
+ * Handle users command
+ */
+async function handleUsersCommand(subcommand, args) {
+  switch (subcommand) {
+    case 'list': {
+      const users = await userService.listUsers();
+      console.log(`\n👥 Users (${users.length}):`);
+      users.forEach(user => {
+        const state = user.active === false ? '⏸️ disabled' : '✅ active';
+        console.log(`  ${user.id} - LeetCode: ${user.leetcodeUsername}, Email: ${user.email || 'not set'}, Plan: ${user.studyPlan || 'default'} (${state})`);
+      });
+      console.log('');
+      break;
+    }
+
+    case 'add': {
+      const [id, leetcodeUsername, email] = args;
+      if (!id || !leetcodeUsername || !email) {
+        console.log('Usage: node tracker.js users add <id> <leetcode-username> <email>');
+        return;
+      }
+      try {
+        const user = await userService.createUser({ id, leetcodeUsername, email });
+        console.log(`✅ User ${user.id} added (LeetCode: ${user.leetcodeUsername}, Email: ${user.email})`);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+      }
+      break;
+    }
+
+    case 'enable':
+    case 'disable': {
+      const [id] = args;
+      if (!id) {
+        console.log(`Usage: node tracker.js users ${subcommand} <id>`);
+        return;
+      }
+      try {
+        await userService.updateUser(id, { active: subcommand === 'enable' });
+        console.log(`✅ User ${id} ${subcommand}d`);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+      }
+      break;
+    }
+
+    default:
+      console.log('\n👥 User Commands:');
+      console.log('  node tracker.js users list                                  - List users');
+      console.log('  node tracker.js users add <id> <leetcode-username> <email>  - Add a user');
+      console.log('  node tracker.js users enable|disable <id>                   - Toggle daily routine\n');
+  }
+}
+
+/**
+ * Handle migrate command
+ */
+async function handleMigrateCommand(subcommand, userId = DEFAULT_USER_ID) {
+  switch (subcommand) {
+    case 'status': {
+      const status = await databaseService.getMigrationStatus(userId);
+      console.log(`\n🗂️ Progress schema (${userId})`);
+      if (!status.stored) {
+        console.log(`  No progress stored yet - it will be created at ${status.latestVersion}\n`);
+        return;
+      }
+      console.log(`  Stored version: ${status.currentVersion}${status.isLegacy ? ' (legacy format)' : ''}`);
+      console.log(`  Current version: ${status.latestVersion}`);
+      if (status.pinnedVersion) {
+        console.log(`  Pinned by migrate down - loads keep it at ${status.pinnedVersion} until migrate up`);
+      }
+      if (status.needsMigration) {
+        console.log(`  Pending migrations: ${status.migrationPath.join(' → ')}`);
+      }
+      if (status.migrationHistory.length > 0) {
+        console.log('  History:');
+        status.migrationHistory.forEach(entry => {
+          console.log(`    ${entry.fromVersion} → ${entry.toVersion} at ${entry.migratedAt}`);
+        });
+      }
+      console.log('');
+      break;
+    }
+
+    case 'up':
+      try {
+        const before = await databaseService.getMigrationStatus(userId);
+        if (!before.needsMigration && !before.pinnedVersion) {
+          console.log(`✅ Progress for ${userId} is already at ${before.latestVersion}`);
+          return;
+        }
+        await databaseService.migrateStoredProgress(userId);
+        const after = await databaseService.getMigrationStatus(userId);
+        if (after.needsMigration) {
+          console.log(`❌ Progress for ${userId} is still at ${after.currentVersion} - see the log above`);
+          process.exitCode = 1;
+          return;
+        }
+        console.log(`✅ Progress for ${userId} is now at ${after.currentVersion} (was ${before.currentVersion})`);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exitCode = 1;
+      }
+      break;
+
+    case 'down':
+      try {
+        const result = await databaseService.rollbackProgressMigration(userId);
+        console.log(`✅ Progress for ${userId} is now at ${result.toVersion}; checkpoint ${result.checkpointId} holds the ${result.fromVersion} data`);
+        console.log(`   Loads leave it at ${result.toVersion} until \`node tracker.js migrate up\`.`);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exitCode = 1;
+      }
+      break;
+
+    default:
+      console.log('\n🗂️ Migration Commands:');
+      console.log('  node tracker.js migrate status  - Stored schema version and migration history');
+      console.log('  node tracker.js migrate up      - Migrate stored progress to the current schema now');
+      console.log('  node tracker.js migrate down    - Undo the latest migration and pin that version\n');
+  }
+}
+
+/**
+ * Cache LeetCode metadata for the problems of every study plan (lib/problemMetadata.js)
+ * @param {ProgressTracker} tracker - Tracker whose LeetCode API client to use
+ * @param {Object} options - CLI options { refresh, slug, delay }
+ */
+async function enrichPlan(tracker, options) {
+  let slugs;
+  if (typeof options.slug === 'string') {
+    slugs = [options.slug];
+  } else {
+    const plans = await planService.listPlans();
+    const studyPlans = await Promise.all(plans.map(plan => planService.loadStudyPlan(plan.id)));
+    slugs = [...new Set(studyPlans.flatMap(plan => plan.getAllProblemSlugs()))];
+  }
+  const delayMs = options.delay !== undefined ? parseInt(options.delay) : 300;
+  if (isNaN(delayMs) || delayMs < 0) {
+    console.log('❌ --delay must be a number of milliseconds');
+    return;
+  }
+
+  const api = tracker.leetcodeApi;
+  const health = await api.checkAPIHealth();
+  if (!health.healthy) {
+    await api.wakeUpAPI();
+  }
+
+  console.log(`🏷️ Enriching ${new Set(slugs).size} problem${slugs.length === 1 ? '' : 's'}...`);
+  const summary = await tracker.problemMetadata.enrich(slugs, slug => api.getProblem(slug), {
+    refresh: Boolean(options.refresh),
+    delayMs
+  });
+
+  const cached = await tracker.problemMetadata.load();
+  const premium = slugs.filter(slug => cached.get(slug)?.isPaidOnly);
+
+  console.log('\n📊 Problem metadata:');
+  console.log(`  Fetched: ${summary.fetched.length}`);
+  console.log(`  Already cached: ${summary.cached.length}`);
+  if (summary.notFound.length > 0) {
+    const shown = summary.notFound.slice(0, 10).join(', ');
+    const more = summary.notFound.length > 10 ? ` and ${summary.notFound.length - 10} more` : '';
+    console.log(`  Not on LeetCode: ${shown}${more}`);
+  }
+  if (premium.length > 0) {
+    console.log(`  Premium only: ${premium.join(', ')}`);
+  }
+  if (summary.failed.length > 0) {
+    console.log(`  Failed: ${summary.failed.map(failure => `${failure.slug} (${failure.error})`).join(', ')}`);
+    console.log('  Run enrich-plan again to retry them.');
+    process.exitCode = 1;
+  }
+  console.log('');
+}
+
+/**
+ * Build a study plan from a file or bundled list (lib/planImport)
+ * Saves it as a named plan with --save, writes it to --output, or prints the
+ * { weeks } JSON; when printing, the summary goes to stderr so the JSON can
+ * be redirected to a file.
+ * @param {string} source - File path, or one of BUILTIN_PLANS
+ * @param {Object} options - CLI options { format, 'per-week', output, save, name }
+ */
+async function importStudyPlan(source, options) {
+  if (!source) {
+    console.log(`❌ Usage: node tracker.js import-plan <file|${BUILTIN_PLANS.join('|')}> [--format ${PLAN_FORMATS.join('|')}] [--per-week <n>] [--output <file> | --save <id> [--name <name>]]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let plan;
+  try {
+    plan = importPlan(source, {
+      format: options.format,
+      perWeek: options['per-week'] !== undefined ? parseInt(options['per-week']) : undefined
+    });
+  } catch (error) {
+    console.log(`❌ Import failed: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const output = typeof options.output === 'string' ? options.output : null;
+  const saveAs = typeof options.save === 'string' ? options.save : null;
+  const report = output || saveAs ? console.log : console.error;
+  const json = JSON.stringify(plan, null, 2);
+  if (saveAs) {
+    try {
+      plan = await planService.savePlan({
+        id: saveAs,
+        name: typeof options.name === 'string' ? options.name : undefined,
+        weeks: plan.weeks,
+        source
+      });
+    } catch (error) {
+      console.log(`❌ Import failed: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  if (output) {
+    fs.writeFileSync(output, `${json}\n`);
+  } else if (!saveAs) {
+    console.log(json);
+  }
+
+  const weeks = Object.entries(plan.weeks);
+  const problems = weeks.flatMap(([, week]) => week.problems);
+  const unknown = problems.filter(problem => problem.difficulty === 'Unknown').length;
+  report(`\n📚 Imported ${problems.length} problems in ${weeks.length} weeks from ${source}`);
+  weeks.forEach(([number, week]) => report(`  Week ${number}: ${week.theme} (${week.problems.length})`));
+  if (unknown > 0) {
+    report(`  ${unknown} without a difficulty - run enrich-plan once the plan is in use to look them up`);
+  }
+  if (output) {
+    report(`💾 Written to ${output}\n`);
+  }
+  if (saveAs) {
+    report(`💾 Saved as ${plan.name} (${plan.id} v${plan.version}) - select it with: node tracker.js settings plan ${plan.id}\n`);
+  }
+}
+
+/**
+ * Solve, skip or snooze an assigned problem from the command line
+ * @param {ProgressTracker} tracker - Tracker instance
+ * @param {string} action - solve, skip or snooze
+ * @param {string} slug - Problem slug
+ * @param {string} userId - User identifier
+ * @param {Object} options - CLI options { days }
+ */
+async function handleProblemAction(tracker, action, slug, userId, options) {
+  if (!slug) {
+    console.log(`❌ Usage: node tracker.js ${action} <slug>${action === 'snooze' ? ' [--days <1-30>]' : ''} [--user <id>]`);
+    process.exitCode = 1;
+    return;
+  }
+  const user = await userService.getUser(userId);
+  if (!user) {
+    console.log(`❌ Unknown user: ${userId}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const event = await tracker.applyProblemAction(user, slug, action, {
+      source: 'cli',
+      days: action === 'snooze' ? options.days ?? 1 : undefined
+    });
+    const messages = {
+      solved: `✅ ${slug} marked as solved`,
+      reviewed: `🔁 ${slug} marked as reviewed`,
+      skipped: `⏭️ ${slug} skipped - it won't be sent again`,
+      snoozed: `💤 ${slug} snoozed until ${event.until}`
+    };
+    console.log(messages[event.type]);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Pause the daily routine through a date, or resume it
+ * @param {ProgressTracker} tracker - Tracker instance
+ * @param {string} command - pause or resume
+ * @param {string} userId - User identifier
+ * @param {Object} options - CLI options { until, from }
+ */
+async function handlePauseCommand(tracker, command, userId, options) {
+  if (command === 'pause' && typeof options.until !== 'string') {
+    console.log('❌ Usage: node tracker.js pause --until <YYYY-MM-DD> [--from <YYYY-MM-DD>] [--user <id>]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!(await userService.getUser(userId))) {
+    console.log(`❌ Unknown user: ${userId}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (command === 'resume') {
+      const settings = await tracker.resumeFromPause(userId);
+      const next = settings.pause_windows.find(window => window.from > clock.today());
+      console.log('▶️ Resumed - problems are sent again from the next daily routine');
+      if (next) {
+        console.log(`📅 Next planned pause: ${next.from} → ${next.to}`);
+      }
+      return;
+    }
+
+    const from = typeof options.from === 'string' ? options.from : undefined;
+    await tracker.pauseUntil(userId, options.until, from);
+    console.log(`⏸️ Paused ${from ? `from ${from} ` : ''}until ${options.until} - no problems or reminders, and the streak carries over`);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handle plans command
+ */
+async function handlePlansCommand(subcommand, planId, userId = DEFAULT_USER_ID) {
+  const settings = await databaseService.loadSettings(userId);
+  const activeId = PlanService.getActivePlanId(await userService.getUser(userId), settings);
+
+  switch (subcommand) {
+    case 'list':
+    case undefined: {
+      const plans = await planService.listPlans();
+      console.log(`\n📚 Study plans (${plans.length}):`);
+      plans.forEach(plan => {
+        const marker = plan.id === activeId ? '*' : ' ';
+        console.log(`${marker} ${plan.id} - ${plan.name} v${plan.version}: ${plan.problems} problems in ${plan.weeks} weeks${plan.source ? ` (from ${plan.source})` : ''}`);
+      });
+      console.log('');
+      break;
+    }
+
+    case 'show': {
+      const plan = await planService.loadStudyPlan(planId || activeId);
+      if (!plan) {
+        console.log(`❌ Unknown plan: ${planId}`);
+        return;
+      }
+      const progress = await databaseService.loadProgress(userId);
+      const done = StudyPlan.getDoneSlugs(progress);
+      const completion = plan.getCompletion(progress);
+
+      console.log(`\n📚 ${plan.name} (${plan.id} v${plan.version})${plan.id === activeId ? ' - active' : ''}`);
+      console.log(`  Assigned: ${completion.done}/${completion.total} (${completion.percentage}%)`);
+      Object.entries(plan.weeks).forEach(([number, week]) => {
+        const assigned = week.problems.filter(problem => done.has(problem.slug)).length;
+        console.log(`  Week ${number}: ${week.theme} (${assigned}/${week.problems.length})`);
+      });
+      console.log('');
+      break;
+    }
+
+    default:
+      console.log('\n📚 Plans Commands:');
+      console.log('  node tracker.js plans list        - List study plans (* = active)');
+      console.log('  node tracker.js plans show [id]   - Weeks of a plan and progress through it');
+      console.log('  node tracker.js settings plan <id> - Switch plans\n');
+  }
+}
+
+/**
+ * Replay the routines day by day from a start date
+ * Runs on the shared clock against in-memory storage, the bundled mock API
+ * and a recording notifier, so nothing is saved or sent. Each simulated day:
+ * 02:00 daily routine, 09:00 weekly summary (Sundays), 17:00 the simulated
+ * user solves open problems (--solve-rate of them), 18:00 evening reminder.
+ * @param {Object} options - CLI options { from, days, questions, 'solve-rate', verbose }
+ */
+async function simulateRoutine(options) {
+  const from = options.from;
+  const days = parseInt(options.days || 30);
+  const solveRate = options['solve-rate'] !== undefined ? parseFloat(options['solve-rate']) : 1;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || isNaN(new Date(from).getTime())) {
+    console.log('Usage: node tracker.js simulate --from <YYYY-MM-DD> [--days 30] [--questions 1] [--solve-rate 1] [--verbose]');
+    return;
+  }
+  if (isNaN(days) || days < 1 || days > 366) {
+    console.log('❌ --days must be between 1 and 366');
+    return;
+  }
+  if (isNaN(solveRate) || solveRate < 0 || solveRate > 1) {
+    console.log('❌ --solve-rate must be between 0 and 1');
+    return;
+  }
+
+  // Lazily required - only the simulation needs the mock and the recorder
+  const { MockLeetCodeApi } = require('./lib/mockLeetCodeApi');
+  const { MemoryAdapter } = require('./lib/storage');
+  const { Notifier, RecordingChannel } = require('./lib/notifier');
+
+  const user = {
+    id: 'simulation',
+    name: 'Simulation',
+    leetcodeUsername: 'simulated-user',
+    email: 'simulation@localhost',
+    active: true
+  };
+  databaseService.useStorage(new MemoryAdapter());
+  await databaseService.saveSettings({
+    ...DEFAULT_SETTINGS,
+    num_questions: validateNumQuestions(options.questions || 1)
+  }, user.id);
+
+  const mock = new MockLeetCodeApi({ users: { [user.leetcodeUsername]: {} } }, { now: () => clock.now() });
+  const recorder = new RecordingChannel();
+  const tracker = new ProgressTracker({
+    leetcodeApi: new LeetCodeAPI({ baseURL: await mock.start(0) }),
+    emailService: new EmailService({ to: user.email, notifier: new Notifier([recorder]) })
+  });
+
+  // The routines log every step - keep them quiet unless asked
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const quietly = async (fn) => {
+    if (!options.verbose) {
+      console.log = () => {};
+      console.warn = () => {};
+    }
+    try {
+      await fn();
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+    }
+  };
+  const at = (date, time, fn) => {
+    clock.set(`${date}T${time}:00`);
+    return quietly(fn);
+  };
+
+  console.log(`\n🧪 Simulating ${days} day${days > 1 ? 's' : ''} from ${from} (solve rate ${solveRate})\n`);
+
+  let openSeen = 0;
+  let solvedTotal = 0;
+  const sentByType = {};
+
+  try {
+    for (let day = 0; day < days; day++) {
+      const date = ReviewScheduler.addDays(from, day);
+      const firstMessage = recorder.messages.length;
+      const solvedToday = [];
+
+      await at(date, '02:00', () => tracker.runDailyRoutineForUser(user, { trigger: 'simulate' }));
+
+      if (clock.now().getDay() === 0) {
+        await at(date, '09:00', () => tracker.runWeeklySummaryForUser(user));
+      }
+
+      // The simulated user works through open problems, oldest first; a partial rate is spread evenly
+      await at(date, '17:00', async () => {
+        const progress = await databaseService.loadProgress(user.id);
+        progress.sentProblems
+          .filter(p => !p.solved || p.review?.pendingSince)
+          .forEach((p, index) => {
+            const solves = Math.floor((openSeen + 1) * solveRate + 0.5) - Math.floor(openSeen * solveRate + 0.5);
+            openSeen++;
+            if (solves === 0) return;
+            clock.set(`${date}T17:${String(index).padStart(2, '0')}:00`);
+            mock.addSubmission(user.leetcodeUsername, { titleSlug: p.slug, timestamp: Math.floor(clock.now().getTime() / 1000) });
+            solvedToday.push(p.slug);
+          });
+      });
+      solvedTotal += solvedToday.length;
+
+      await at(date, '18:00', () => tracker.runEveningReminderForUser(user));
+
+      // What would have been sent today
+      const history = await databaseService.loadHistory(user.id, { from: date, to: date, type: 'assigned' });
+      console.log(`📅 ${date} ${format(new Date(`${date}T00:00:00`), 'EEE')}`);
+      recorder.messages.slice(firstMessage).forEach(message => {
+        sentByType[message.type] = (sentByType[message.type] || 0) + 1;
+        console.log(`   📧 [${message.type}] ${message.subject}`);
+        if (message.type !== 'evening-reminder' && message.type !== 'weekly-summary') {
+          history.forEach(event => console.log(`      - ${event.slug} (${event.kind})`));
+        }
+      });
+      if (solvedToday.length > 0) {
+        console.log(`   ✅ Solved: ${solvedToday.join(', ')}`);
+      }
+    }
+
+    let progress;
+    await quietly(async () => { progress = await databaseService.loadProgress(user.id); });
+    const lastDate = ReviewScheduler.addDays(from, days - 1);
+    const streak = StreakTracker.summarize(progress.streak, lastDate, TRACKER_CONFIG.goals.streakGoal);
+    const emails = Object.entries(sentByType).map(([type, count]) => `${count} ${type}`).join(', ');
+
+    console.log(`\n📊 Simulation summary (${from} → ${lastDate}):`);
+    console.log(`  Messages: ${emails || 'none'}`);
+    console.log(`  Solved: ${solvedTotal}`);
+    const completion = DEFAULT_STUDY_PLAN.getCompletion(progress);
+    console.log(`  Study plan: ${completion.done}/${completion.total} assigned`);
+    console.log(`  Review queue: ${progress.sentProblems.filter(p => ReviewScheduler.isInQueue(p)).length}`);
+    console.log(`  Streak: ${streak.current} day(s), longest ${streak.longest}\n`);
+  } finally {
+    clock.reset();
+    await mock.stop();
+  }
+}
+
 // Run if called directly
 if (require.main === module) {
   main().catch(console.error);